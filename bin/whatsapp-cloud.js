@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then((result) => {
+    if (typeof result === "number") {
+        process.exitCode = result;
+    }
+});
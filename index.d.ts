@@ -0,0 +1,1361 @@
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+import { Readable } from "stream";
+import { Server, IncomingHttpHeaders } from "http";
+
+/**
+ * Resolved value of a client call: failures resolve with a WhatsappApiError in "return" error mode, and reject in "throw" mode.
+ */
+type Result<T, M extends Whatsapp.ErrorMode> = Promise<M extends "throw" ? T : T | Whatsapp.WhatsappApiError>;
+
+declare class Whatsapp<M extends Whatsapp.ErrorMode = "return"> extends EventEmitter {
+    /**
+     * Create a new Whatsapp instance.
+     * @param phoneNumberId - The phone number ID associated with the Whatsapp account.
+     * @param accessToken - The access token for accessing the Whatsapp API.
+     * @param appVersion - The version of the Whatsapp API to use, "v19.0" by default.
+     * @param accountId - The whatsapp business account ID, used by template management.
+     * @param appId - The app ID, used by the Resumable Upload API.
+     * @param webhookVerifyToken - The verification token of the webhook endpoint.
+     * @param appSecret - The app secret, used to verify webhook signatures.
+     * @param options - Additional client options.
+     */
+    constructor(phoneNumberId: string, accessToken: string | null, appVersion?: string, accountId?: string, appId?: string, webhookVerifyToken?: string, appSecret?: string, options?: Whatsapp.ClientOptions & { errorMode?: M });
+
+    phoneNumberId: string;
+    /** The static access token, or the last token resolved by the token provider. */
+    accessToken: string | null;
+    appVersion: string;
+    accountId: string;
+    appId: string;
+    webhookVerifyToken: string;
+    appSecret: string;
+    errorMode: M;
+    retryPolicy: Whatsapp.RetryPolicy;
+    timeout: number;
+    rateLimiter: Whatsapp.RateLimiter | null;
+    conversationTracker: Whatsapp.ConversationTracker | null;
+    enforceWindow: boolean;
+    windowFallback: Whatsapp.WindowFallback | null;
+    tokenProvider: Whatsapp.TokenProvider | null;
+    ledger: Whatsapp.MessageLedger | null;
+    logger: Whatsapp.Logger;
+    redaction: Whatsapp.RedactOptions | false;
+    interceptors: { request: Whatsapp.RequestInterceptor[]; response: Whatsapp.ResponseInterceptor[] };
+    /** The Graph API root, e.g. https://graph.facebook.com/v19.0. */
+    apiUrl: string;
+    /** The URL of the phone number node. */
+    baseUrl: string;
+
+    /** Build the URL of a Graph API node. */
+    nodeUrl(node: string): string;
+    /** Get the access token, from the token provider when there is one. Pass the token the Graph API rejected to get a fresh one. */
+    resolveAccessToken(failedToken?: string | null): Promise<string>;
+    /** Add a request interceptor, called before every HTTP request. Returns a function removing it. */
+    onRequest(interceptor: Whatsapp.RequestInterceptor): () => void;
+    /** Add a response interceptor, called after every HTTP request with its status and duration. Returns a function removing it. */
+    onResponse(interceptor: Whatsapp.ResponseInterceptor): () => void;
+    /** Copy a value with its secrets and personal data redacted according to the redact option. */
+    redact<T = unknown>(value: T): T;
+    makeRequest(url: string, method: string, headers?: Record<string, string> | null, data?: unknown, timeout?: number): Promise<Response>;
+    afterRequest(request: Whatsapp.InterceptedRequest, response: Response | null, durationMs: number, error: Whatsapp.WhatsappApiError | null): Promise<void>;
+    /** Make an authenticated Graph API request, with retries and rate limiting. Always throws on failure. */
+    graphRequest<T = any>(url: string, method: string, data?: unknown, headers?: Record<string, string>, requestOptions?: Whatsapp.GraphRequestOptions): Promise<T>;
+    graphRequestWithToken<T = any>(token: string, url: string, method: string, data: unknown, headers: Record<string, string>, requestOptions: Whatsapp.GraphRequestOptions): Promise<T>;
+    /** Send a message payload to the messages endpoint. Always throws on failure. */
+    sendPayload(data: Record<string, unknown>, options?: Whatsapp.MessageOptions): Promise<Whatsapp.SendMessageResponse>;
+    handleError(error: unknown): Whatsapp.WhatsappApiError;
+    /** Build the template message sent instead of a free-form message when the customer service window is closed. */
+    windowFallbackPayload(data: Record<string, unknown>): Promise<Record<string, unknown>>;
+
+    sendTemplate(to: string, templateName: string, language?: string, header?: Whatsapp.TemplateParameter[], body?: Whatsapp.TemplateParameter[], buttons?: Whatsapp.TemplateButtonComponent[], options?: Whatsapp.SendTemplateOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendMessage(to: string, message: string, options?: Whatsapp.TextMessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendImage(to: string, media: string, caption?: string, options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendVideo(to: string, media: string, caption?: string, options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendAudio(to: string, media: string, options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendDocument(to: string, media: string, caption?: string, filename?: string, options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendSticker(to: string, media: string, options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendLocation(to: string, latitude: number | string, longitude: number | string, name?: string, address?: string, options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendContacts(to: string, contacts: Whatsapp.ContactInput | Whatsapp.ContactInput[], options?: Whatsapp.MessageOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendReaction(to: string, messageId: string, emoji?: string, options?: Whatsapp.ReactionOptions): Result<Whatsapp.SendMessageResponse, M>;
+    removeReaction(to: string, messageId: string, options?: Whatsapp.ReactionOptions): Result<Whatsapp.SendMessageResponse, M>;
+    markAsRead(messageId: string, options?: { typing?: boolean }): Result<Whatsapp.SuccessResponse, M>;
+    sendButtons(to: string, body: string, buttons: Whatsapp.ReplyButton[], options?: Whatsapp.InteractiveOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendList(to: string, body: string, buttonText: string, sections: Whatsapp.ListSection[], options?: Whatsapp.InteractiveOptions & { header?: string }): Result<Whatsapp.SendMessageResponse, M>;
+    sendCtaUrl(to: string, body: string, displayText: string, url: string, options?: Whatsapp.InteractiveOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendFlow(to: string, body: string, flow: Whatsapp.FlowOptions, options?: Whatsapp.InteractiveOptions): Result<Whatsapp.SendMessageResponse, M>;
+    sendProductMessage(to: string, catalogId: string, productRetailerId: string, options?: Whatsapp.MessageOptions & { body?: string; footer?: string }): Result<Whatsapp.SendMessageResponse, M>;
+    sendProductList(to: string, header: string, body: string, catalogId: string, sections: Whatsapp.ProductSection[], options?: Whatsapp.MessageOptions & { footer?: string }): Result<Whatsapp.SendMessageResponse, M>;
+
+    broadcast<R extends string | { to: string }>(recipients: R[], messageFactory: Whatsapp.BroadcastMessageFactory<R>, options?: Whatsapp.BroadcastOptions): Whatsapp.Broadcast<R>;
+
+    uploadMedia(file: Whatsapp.UploadInput, options?: Whatsapp.UploadOptions): Result<{ id: string }, M>;
+    getMediaUrl(mediaId: string): Result<Whatsapp.MediaInfo, M>;
+    /** @deprecated Use getMediaUrl, or downloadMediaContent to get the file itself. */
+    downloadMedia(mediaId: string): Result<Whatsapp.MediaInfo, M>;
+    downloadMediaContent(mediaId: string, options: { toFile: string }): Result<Whatsapp.MediaContent & { path: string }, M>;
+    downloadMediaContent(mediaId: string, options: { asStream: true }): Result<Whatsapp.MediaContent & { stream: Readable }, M>;
+    downloadMediaContent(mediaId: string, options?: { asBuffer?: boolean }): Result<Whatsapp.MediaContent & { buffer: Buffer }, M>;
+    deleteMedia(mediaId: string): Result<Whatsapp.SuccessResponse, M>;
+
+    verifyWebhook(req: Whatsapp.WebhookRequest, res: Whatsapp.WebhookResponse, next?: (error?: unknown) => void): Promise<void>;
+    verifyWebhookSignature(rawBody: string | Buffer, signatureHeader: string | undefined): boolean;
+    verifySignature(req: Whatsapp.WebhookRequest, res: Whatsapp.WebhookResponse, next: (error?: unknown) => void): void;
+    static captureRawBody(req: { rawBody?: Buffer }, res: unknown, buffer: Buffer): void;
+    parseWebhook(body: Whatsapp.WebhookNotification | string | Buffer): Whatsapp.WebhookEvent[];
+    processWebhook(body: Whatsapp.WebhookNotification | string | Buffer): Whatsapp.WebhookEvent[];
+    dispatchEvents(events: Whatsapp.WebhookEvent[]): Whatsapp.WebhookEvent[];
+    receiveWebhook(req: Whatsapp.WebhookRequest, res: Whatsapp.WebhookResponse): Promise<void>;
+    isWindowOpen(waId: string): Result<boolean, M>;
+    getMessageStatus(messageId: string): Result<Whatsapp.MessageRecord | null, M>;
+    waitForStatus(messageId: string, status?: Exclude<Whatsapp.LedgerStatus, "accepted">, options?: { timeout?: number }): Result<Whatsapp.MessageRecord, M>;
+    getTemplateStats(name?: string, language?: string): Result<Whatsapp.TemplateStats[], M>;
+
+    registerTemplate(definition: Whatsapp.TemplateDefinition): Result<Whatsapp.RegisterTemplateResponse, M>;
+    registerTemplate(name: string, components: Whatsapp.TemplateComponent[], category?: Whatsapp.TemplateCategory, allowCategoryChange?: boolean, language?: string): Result<Whatsapp.RegisterTemplateResponse, M>;
+    getTemplates(query?: string | Record<string, string>, fields?: string, limit?: number): Result<Whatsapp.Page<Whatsapp.Template>, M>;
+    listTemplates(filters?: Whatsapp.TemplateFilters): AsyncGenerator<Whatsapp.Template, void, undefined>;
+    getTemplateByName(name: string, language?: string): Result<Whatsapp.Template | null, M>;
+    getTemplateGroups(filters?: Whatsapp.TemplateFilters): Result<Record<string, Record<string, Whatsapp.Template>>, M>;
+    syncTemplates(localDefinitions: Array<Whatsapp.TemplateDefinition | Whatsapp.TemplateBuilder>, options?: { dryRun?: boolean; deleteMissing?: boolean }): Result<Whatsapp.TemplateSyncResult, M>;
+    getTemplateInfo(templateId: string): Result<Whatsapp.Template, M>;
+    validateTemplateSend(template: string | Whatsapp.TemplateDefinition, header?: Whatsapp.TemplateParameter[], body?: Whatsapp.TemplateParameter[], buttons?: Whatsapp.TemplateButtonComponent[]): Result<{ valid: boolean; errors: string[] }, M>;
+    resolveTemplateDefinition(template: string | Whatsapp.TemplateDefinition): Promise<Whatsapp.TemplateDefinition>;
+    updateTemplate(templateId: string, category?: Whatsapp.TemplateCategory, components?: Whatsapp.TemplateComponent[]): Result<Whatsapp.SuccessResponse, M>;
+    deleteTemplate(name: string, templateId?: string): Result<Whatsapp.SuccessResponse, M>;
+
+    createUploadSession(fileLength: number, fileType: string, fileName?: string): Result<{ id: string }, M>;
+    getUploadSession(sessionId: string): Result<{ id: string; file_offset: number }, M>;
+    uploadChunk(sessionId: string, chunk: Buffer, fileOffset?: number): Result<{ h?: string; file_offset?: number }, M>;
+    resumableUpload(file: Whatsapp.UploadInput, options?: Whatsapp.ResumableUploadOptions | number): Result<Whatsapp.ResumableUploadResult, M>;
+    uploadSessionUrl(fileLength: number, fileType: string, fileName?: string): string;
+
+    listPhoneNumbers(fields?: string | string[]): Result<Whatsapp.PhoneNumber[], M>;
+    getPhoneNumber(phoneNumberId?: string, fields?: string | string[]): Result<Whatsapp.PhoneNumber, M>;
+    requestVerificationCode(codeMethod?: "SMS" | "VOICE", language?: string, phoneNumberId?: string): Result<Whatsapp.SuccessResponse, M>;
+    verifyCode(code: string | number, phoneNumberId?: string): Result<Whatsapp.SuccessResponse, M>;
+    registerPhoneNumber(pin: string, options?: { phoneNumberId?: string; dataLocalizationRegion?: string }): Result<Whatsapp.SuccessResponse, M>;
+    deregisterPhoneNumber(phoneNumberId?: string): Result<Whatsapp.SuccessResponse, M>;
+    setTwoStepPin(pin: string, phoneNumberId?: string): Result<Whatsapp.SuccessResponse, M>;
+    getBusinessProfile(fields?: string | string[], phoneNumberId?: string): Result<Whatsapp.BusinessProfile, M>;
+    updateBusinessProfile(profile: Whatsapp.BusinessProfileUpdate, phoneNumberId?: string): Result<Whatsapp.SuccessResponse, M>;
+
+    getMessagingAnalytics(query: Whatsapp.MessagingAnalyticsQuery): Result<Whatsapp.MessagingAnalytics, M>;
+    getConversationAnalytics(query: Whatsapp.ConversationAnalyticsQuery): Result<Whatsapp.ConversationAnalytics, M>;
+    getTemplateAnalytics(query: Whatsapp.TemplateAnalyticsQuery): Result<Whatsapp.TemplateAnalytics, M>;
+
+    on<K extends keyof Whatsapp.WebhookEventMap>(event: K, listener: (event: Whatsapp.WebhookEventMap[K]) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once<K extends keyof Whatsapp.WebhookEventMap>(event: K, listener: (event: Whatsapp.WebhookEventMap[K]) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+    off<K extends keyof Whatsapp.WebhookEventMap>(event: K, listener: (event: Whatsapp.WebhookEventMap[K]) => void): this;
+    off(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+declare namespace Whatsapp {
+    type ErrorMode = "return" | "throw";
+
+    // ---------------------------------------------------------------- Client options
+
+    interface RetryPolicy {
+        maxAttempts: number;
+        baseDelay: number;
+        maxDelay: number;
+        jitter: boolean;
+        retryableCodes: number[];
+        retryableStatuses: number[];
+        retryNetworkErrors: boolean;
+        /** Errors rejecting a request before it is processed, the only ones retried for message sends by default. */
+        throttlingCodes: number[];
+        /** Retry message sends on network errors, timeouts and server errors, at the risk of delivering them twice. False by default. */
+        retryUnsafeRequests: boolean;
+        onRetry: ((error: WhatsappApiError, attempt: number, delay: number) => void) | null;
+    }
+
+    interface TokenBucketOptions {
+        /** Rate at which tokens are refilled, 80 by default. */
+        tokensPerSecond?: number;
+        /** Maximum number of tokens, tokensPerSecond by default. */
+        burst?: number;
+    }
+
+    interface ClientOptions {
+        errorMode?: ErrorMode;
+        retry?: Partial<RetryPolicy> | false;
+        /** Milliseconds after which a request is aborted, 0 to disable. 30000 by default. */
+        timeout?: number;
+        rateLimit?: TokenBucketOptions | false;
+        rateLimiter?: RateLimiter;
+        /** The Graph API host, "https://graph.facebook.com" by default. */
+        baseUrl?: string;
+        /** Tracks the customer service window of each user from processed webhooks, true for an in-memory tracker. */
+        conversationTracker?: ConversationTracker | boolean;
+        /** Check the window before sending free-form messages (not reactions or read receipts), true by default when a tracker is set. */
+        enforceWindow?: boolean;
+        windowFallback?: WindowFallback;
+        /** Resolves the access token before every request. Called again with forceRefresh when the token is rejected (error 190). */
+        tokenProvider?: TokenProvider;
+        /** Records sent messages and their statuses from processed webhooks, true for an in-memory ledger. */
+        ledger?: MessageLedger | boolean;
+        /** Requests are logged at debug level, responses at info level and failures at warn level. A console logger writing errors only by default. */
+        logger?: Logger;
+        /** What is redacted besides secrets, false to redact only secrets. */
+        redact?: RedactOptions | false;
+        interceptors?: { request?: RequestInterceptor[]; response?: ResponseInterceptor[] };
+    }
+
+    // ---------------------------------------------------------------- Logging and interceptors
+
+    type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+    const LOG_LEVELS: Record<LogLevel, number>;
+
+    /** A structured logger, e.g. pino or createLogger(). */
+    interface Logger {
+        debug(message: string, fields?: Record<string, unknown>): void;
+        info(message: string, fields?: Record<string, unknown>): void;
+        warn(message: string, fields?: Record<string, unknown>): void;
+        error(message: string, fields?: Record<string, unknown>): void;
+    }
+
+    interface LoggerOptions {
+        /** "error" by default. */
+        level?: LogLevel;
+        /** Write each entry as a line of JSON. */
+        json?: boolean;
+        console?: Pick<Console, "debug" | "info" | "warn" | "error">;
+    }
+
+    interface RedactOptions {
+        /** Mask phone numbers and WhatsApp IDs of users, true by default. */
+        phoneNumbers?: boolean;
+        /** Replace message content, true by default. */
+        messageBodies?: boolean;
+        /** Other keys whose values are replaced. */
+        keys?: string[];
+    }
+
+    interface InterceptedRequest {
+        method: string;
+        url: string;
+        headers: Record<string, string>;
+        body: unknown;
+    }
+
+    /** May change the request in place or return a new one. Throwing fails the request. */
+    type RequestInterceptor = (request: InterceptedRequest) => InterceptedRequest | void | Promise<InterceptedRequest | void>;
+
+    /** Receives the redacted request. Errors are logged and ignored. */
+    type ResponseInterceptor = (context: { request: InterceptedRequest; response: Response | null; status: number | null; durationMs: number; error: WhatsappApiError | null }) => void | Promise<void>;
+
+    function createLogger(options?: LoggerOptions): Logger;
+    /** Copy a value with its secrets (always) and personal data (unless disabled) redacted. */
+    function redact<T = unknown>(value: T, options?: RedactOptions | false): T;
+
+    interface GraphRequestOptions {
+        rateLimitKey?: string;
+        timeout?: number;
+        /** The scheme of the Authorization header, "Bearer" by default. */
+        authScheme?: "Bearer" | "OAuth";
+        /** False for requests that must not be repeated after an ambiguous failure, true by default. */
+        idempotent?: boolean;
+    }
+
+    type TokenProvider = (context: { phoneNumberId?: string; forceRefresh: boolean; failedToken: string | null }) => Promise<string> | string;
+
+    /** A token, or a token with its expiry (a Date or milliseconds timestamp, or seconds from now). */
+    type Credentials = string | { accessToken: string; expiresAt?: Date | number; expiresIn?: number };
+
+    /** Cache the tokens of fetchToken until they expire or are rejected. Concurrent callers share one fetch. */
+    function cachedTokenProvider(fetchToken: (options: { forceRefresh: boolean }) => Promise<Credentials> | Credentials, options?: { refreshMargin?: number }): TokenProvider;
+
+    interface FallbackTemplate {
+        name: string;
+        language?: string;
+        header?: TemplateParameter[];
+        body?: TemplateParameter[];
+        buttons?: TemplateButtonComponent[];
+    }
+
+    /** The template sent instead of a free-form message when the window is closed, or a function returning it (null to fail with 131047). */
+    type WindowFallback = FallbackTemplate | ((to: string, payload: Record<string, unknown>) => FallbackTemplate | null | Promise<FallbackTemplate | null>);
+
+    // ---------------------------------------------------------------- Errors
+
+    type ErrorCategory = "auth" | "rate_limit" | "invalid_parameter" | "reengagement_window" | "recipient_unavailable" | "server" | "network" | "timeout" | "validation" | "unknown";
+
+    /** The `error` object of a failed Graph API response. */
+    interface GraphError {
+        message: string;
+        type?: string;
+        code: number;
+        error_subcode?: number;
+        error_user_title?: string;
+        error_user_msg?: string;
+        error_data?: { messaging_product?: "whatsapp"; details?: string };
+        fbtrace_id?: string;
+    }
+
+    interface WhatsappApiErrorInfo {
+        status?: number | null;
+        code?: number | null;
+        subcode?: number | null;
+        type?: string | null;
+        fbtraceId?: string | null;
+        details?: string | null;
+        error?: GraphError | null;
+        retryAfter?: number | null;
+        category?: ErrorCategory;
+        cause?: unknown;
+    }
+
+    class WhatsappApiError extends Error {
+        constructor(message: string, info?: WhatsappApiErrorInfo);
+        name: string;
+        status: number | null;
+        code: number | null;
+        subcode: number | null;
+        type: string | null;
+        fbtraceId: string | null;
+        details: string | null;
+        error: GraphError | null;
+        /** Delay requested by the Retry-After header, in milliseconds. */
+        retryAfter: number | null;
+        category: ErrorCategory;
+        /** Set on resumableUpload failures, to resume the upload later. */
+        sessionId?: string | null;
+        static fromResponse(status: number, body: { error?: GraphError } | string | null, retryAfter?: number | null): WhatsappApiError;
+        static fromException(exception: unknown, category?: ErrorCategory): WhatsappApiError;
+    }
+
+    class WhatsappValidationError extends WhatsappApiError {
+        constructor(errors: string[]);
+        category: "validation";
+        errors: string[];
+    }
+
+    const ERROR_CATEGORIES: {
+        AUTH: "auth";
+        RATE_LIMIT: "rate_limit";
+        INVALID_PARAMETER: "invalid_parameter";
+        REENGAGEMENT_WINDOW: "reengagement_window";
+        RECIPIENT_UNAVAILABLE: "recipient_unavailable";
+        SERVER: "server";
+        NETWORK: "network";
+        TIMEOUT: "timeout";
+        VALIDATION: "validation";
+        UNKNOWN: "unknown";
+    };
+
+    class RateLimiter {
+        constructor(options?: TokenBucketOptions);
+        take(key: string): Promise<void>;
+    }
+
+    // ---------------------------------------------------------------- Sending messages
+
+    interface SendMessageResponse {
+        messaging_product: "whatsapp";
+        contacts: Array<{ input: string; wa_id: string }>;
+        messages: Array<{ id: string; message_status?: "accepted" | "held_for_quality_assessment" | "paused" }>;
+        /** Name of the template sent instead, when the window fallback was used. */
+        fallbackTemplate?: string;
+    }
+
+    interface SuccessResponse {
+        success: boolean;
+    }
+
+    interface MessageOptions {
+        /** ID of the message to reply to, quoted above the sent message. */
+        replyTo?: string | null;
+        /** Arbitrary data (maximum 512 characters) returned in the status webhooks of the message. */
+        bizOpaqueCallbackData?: string;
+        /** Overrides the enforceWindow client option for this message. */
+        enforceWindow?: boolean;
+        /** Retry on network errors, timeouts and server errors too, accepting that the message may be delivered twice. */
+        retryUnsafe?: boolean;
+    }
+
+    /** Reactions already refer to the message reacted to, replyTo is rejected. */
+    type ReactionOptions = Omit<MessageOptions, "replyTo">;
+
+    interface TextMessageOptions extends MessageOptions {
+        /** Render a preview of the first URL in the message. */
+        previewUrl?: boolean;
+    }
+
+    interface SendTemplateOptions extends MessageOptions {
+        /** A template ID or definition to validate the parameters against before sending. */
+        template?: string | TemplateDefinition;
+    }
+
+    interface MediaObject {
+        id?: string;
+        link?: string;
+        caption?: string;
+        filename?: string;
+    }
+
+    interface LocationObject {
+        latitude: number;
+        longitude: number;
+        name?: string;
+        address?: string;
+    }
+
+    type TemplateParameter =
+        | { type: "text"; text: string; parameter_name?: string }
+        | { type: "currency"; currency: { fallback_value: string; code: string; amount_1000: number }; parameter_name?: string }
+        | { type: "date_time"; date_time: { fallback_value: string }; parameter_name?: string }
+        | { type: "image"; image: MediaObject }
+        | { type: "video"; video: MediaObject }
+        | { type: "document"; document: MediaObject }
+        | { type: "location"; location: LocationObject }
+        | { type: "payload"; payload: string }
+        | { type: "coupon_code"; coupon_code: string }
+        | { type: "action"; action: Record<string, unknown> };
+
+    interface TemplateButtonComponent {
+        type: "button";
+        sub_type: "quick_reply" | "url" | "copy_code" | "flow" | "catalog" | "mpm";
+        index: number | string;
+        parameters: TemplateParameter[];
+    }
+
+    interface ContactName {
+        formatted_name: string;
+        first_name?: string;
+        last_name?: string;
+        middle_name?: string;
+        suffix?: string;
+        prefix?: string;
+    }
+
+    interface ContactInput {
+        /** A full name object, or a string split into first and last names. */
+        name: string | ContactName;
+        phones?: string | Array<string | { phone?: string; type?: string; wa_id?: string }>;
+        emails?: string | Array<string | { email: string; type?: string }>;
+        urls?: string | Array<string | { url: string; type?: string }>;
+        addresses?: string | Array<string | { street?: string; city?: string; state?: string; zip?: string; country?: string; country_code?: string; type?: string }>;
+        org?: { company?: string; department?: string; title?: string };
+        /** YYYY-MM-DD. */
+        birthday?: string;
+    }
+
+    type InteractiveHeader =
+        | { type: "text"; text: string }
+        | { type: "image"; image: MediaObject }
+        | { type: "video"; video: MediaObject }
+        | { type: "document"; document: MediaObject };
+
+    interface InteractiveOptions extends MessageOptions {
+        /** Header text, or a header object. */
+        header?: string | InteractiveHeader;
+        footer?: string;
+    }
+
+    interface ReplyButton {
+        id: string;
+        title: string;
+    }
+
+    interface ListSection {
+        title?: string;
+        rows: Array<{ id: string; title: string; description?: string }>;
+    }
+
+    interface ProductSection {
+        title: string;
+        products: string[];
+    }
+
+    interface FlowOptions {
+        id?: string;
+        name?: string;
+        cta: string;
+        token?: string;
+        mode?: "published" | "draft";
+        action?: "navigate" | "data_exchange";
+        screen?: string;
+        data?: Record<string, unknown>;
+        messageVersion?: string;
+    }
+
+    const INTERACTIVE_LIMITS: Readonly<Record<"HEADER_TEXT" | "BODY_TEXT" | "FOOTER_TEXT" | "BUTTONS" | "BUTTON_ID" | "BUTTON_TITLE" | "LIST_BUTTON_TEXT" | "LIST_SECTIONS" | "LIST_ROWS" | "SECTION_TITLE" | "ROW_ID" | "ROW_TITLE" | "ROW_DESCRIPTION" | "CTA_DISPLAY_TEXT" | "FLOW_CTA" | "PRODUCT_SECTIONS" | "PRODUCT_ITEMS", number>>;
+
+    // ---------------------------------------------------------------- Broadcast
+
+    type BroadcastStatus = "in_flight" | "sent" | "failed" | "unknown";
+
+    const BROADCAST_STATUSES: {
+        IN_FLIGHT: "in_flight";
+        SENT: "sent";
+        FAILED: "failed";
+        UNKNOWN: "unknown";
+    };
+
+    /** Returns the promise of a send method call, or a message payload without its `to` field. */
+    type BroadcastMessageFactory<R> = (recipient: R, index: number) => Promise<SendMessageResponse | WhatsappApiError> | Record<string, unknown>;
+
+    /** Key/value store with async methods, e.g. backed by Redis. */
+    interface Store {
+        get(key: string): Promise<any>;
+        set(key: string, value: any, ttl?: number): Promise<unknown>;
+        delete(key: string): Promise<unknown>;
+    }
+
+    interface BroadcastOptions {
+        jobId?: string;
+        concurrency?: number;
+        messagesPerSecond?: number;
+        store?: Store;
+        checkpointTtl?: number;
+        /** The checkpointed failures sent again on resume, "throttled" by default. "transient" also retries server errors, network errors and timeouts. */
+        retryFailed?: "throttled" | "transient" | boolean | ((outcome: BroadcastOutcome) => boolean);
+    }
+
+    interface BroadcastOutcome {
+        to: string;
+        index: number;
+        status: Exclude<BroadcastStatus, "in_flight">;
+        messageId?: string | null;
+        error?: { message: string; status: number | null; code: number | null; category: ErrorCategory | null } | null;
+    }
+
+    interface BroadcastProgress {
+        jobId: string;
+        state: "idle" | "running" | "paused" | "cancelled" | "completed";
+        total: number;
+        completed: number;
+        sent: number;
+        failed: number;
+        unknown: number;
+        resumed: number;
+        retried: number;
+        inFlight: number;
+    }
+
+    interface BroadcastSummary extends BroadcastProgress {
+        duplicates: number;
+        results: Array<BroadcastOutcome | null>;
+    }
+
+    interface BroadcastEventMap {
+        start: BroadcastProgress;
+        progress: BroadcastProgress;
+        sent: BroadcastOutcome;
+        failed: BroadcastOutcome;
+        unknown: BroadcastOutcome;
+        paused: BroadcastProgress;
+        resumed: BroadcastProgress;
+        cancelled: BroadcastProgress;
+        done: BroadcastSummary;
+    }
+
+    class Broadcast<R extends string | { to: string } = string> extends EventEmitter {
+        constructor(whatsapp: Whatsapp<ErrorMode>, recipients: R[], messageFactory: BroadcastMessageFactory<R>, options?: BroadcastOptions);
+        jobId: string;
+        state: BroadcastProgress["state"];
+        recipients: R[];
+        duplicates: number;
+        static recipientNumber(recipient: string | { to: string }): string;
+        start(): Promise<BroadcastSummary>;
+        pause(): void;
+        resume(): void;
+        cancel(): void;
+        progress(): BroadcastProgress;
+        summary(): BroadcastSummary;
+        on<K extends keyof BroadcastEventMap>(event: K, listener: (payload: BroadcastEventMap[K]) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once<K extends keyof BroadcastEventMap>(event: K, listener: (payload: BroadcastEventMap[K]) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    class MemoryStore implements Store {
+        constructor();
+        get(key: string): Promise<any>;
+        set(key: string, value: any, ttl?: number): Promise<void>;
+        delete(key: string): Promise<void>;
+    }
+
+    // ---------------------------------------------------------------- Conversations
+
+    /** Duration of the customer service window, in milliseconds. */
+    const CUSTOMER_SERVICE_WINDOW: number;
+
+    interface ConversationTrackerOptions {
+        store?: Store;
+        windowMs?: number;
+        prefix?: string;
+        onError?: (error: unknown) => void;
+        logger?: Logger;
+    }
+
+    class ConversationTracker {
+        constructor(options?: ConversationTrackerOptions);
+        store: Store;
+        windowMs: number;
+        prefix: string;
+        onError: (error: unknown) => void;
+        logger: Logger;
+        recordInbound(waId: string, timestamp?: Date | number): Promise<void>;
+        track(events: WebhookEvent[]): Promise<void>;
+        getLastInbound(waId: string): Promise<Date | null>;
+        getWindowExpiry(waId: string): Promise<Date | null>;
+        isWindowOpen(waId: string, at?: Date | number): Promise<boolean>;
+        forget(waId: string): Promise<void>;
+    }
+
+    // ---------------------------------------------------------------- Message ledger and analytics
+
+    type LedgerStatus = "accepted" | "sent" | "delivered" | "read" | "failed";
+
+    const MESSAGE_STATUSES: readonly ["accepted", "sent", "delivered", "read"];
+
+    interface MessageRecord {
+        id: string;
+        to: string | null;
+        waId: string | null;
+        phoneNumberId: string | null;
+        /** Null for messages only known from status webhooks. */
+        type: string | null;
+        templateName: string | null;
+        templateLanguage: string | null;
+        /** The bizOpaqueCallbackData of the message. */
+        correlationId: string | null;
+        status: LedgerStatus | null;
+        /** ISO time each status was reached. */
+        timestamps: Partial<Record<LedgerStatus, string>>;
+        errors: WebhookErrorDetail[];
+        pricing: Record<string, any> | null;
+        conversation: Record<string, any> | null;
+    }
+
+    interface TemplateStats {
+        name: string;
+        language: string;
+        total: number;
+        sent: number;
+        delivered: number;
+        read: number;
+        failed: number;
+        /** delivered / total, null when nothing was sent. */
+        deliveryRate: number | null;
+        /** read / delivered. */
+        readRate: number | null;
+        /** failed / total. */
+        failureRate: number | null;
+    }
+
+    interface MessageLedgerOptions {
+        store?: Store;
+        /** Milliseconds message records are kept, if the store supports expiry. */
+        ttl?: number;
+        /** "ledger" by default. */
+        prefix?: string;
+        onError?: (error: unknown) => void;
+        logger?: Logger;
+    }
+
+    class MessageLedger {
+        constructor(options?: MessageLedgerOptions);
+        store: Store;
+        ttl: number | undefined;
+        prefix: string;
+        onError: (error: unknown) => void;
+        logger: Logger;
+        recordSent(payload: Record<string, any>, response: SendMessageResponse, phoneNumberId?: string | null): Promise<MessageRecord | null>;
+        track(events: WebhookEvent[]): Promise<void>;
+        applyStatus(event: StatusEvent): Promise<MessageRecord>;
+        getMessageStatus(messageId: string): Promise<MessageRecord | null>;
+        /** Rejects with a WhatsappApiError if the message fails (unless waiting for failed) or on timeout (60 seconds by default, 0 to wait forever). */
+        waitForStatus(messageId: string, status?: Exclude<LedgerStatus, "accepted">, options?: { timeout?: number }): Promise<MessageRecord>;
+        getTemplateStats(name?: string, language?: string): Promise<TemplateStats[]>;
+    }
+
+    type AnalyticsTime = Date | number | string;
+
+    const ANALYTICS_GRANULARITIES: Readonly<{ analytics: string[]; conversation_analytics: string[]; template_analytics: string[] }>;
+
+    interface MessagingAnalyticsQuery {
+        start: AnalyticsTime;
+        end: AnalyticsTime;
+        granularity?: "HALF_HOUR" | "DAY" | "MONTH";
+        phoneNumbers?: string[];
+        countryCodes?: string[];
+    }
+
+    interface MessagingAnalytics {
+        phone_numbers: string[];
+        country_codes?: string[];
+        granularity: string;
+        data_points: Array<{ start: number; end: number; sent: number; delivered: number }>;
+    }
+
+    interface ConversationAnalyticsQuery {
+        start: AnalyticsTime;
+        end: AnalyticsTime;
+        granularity?: "HALF_HOUR" | "DAILY" | "MONTHLY";
+        phoneNumbers?: string[];
+        metricTypes?: Array<"COST" | "CONVERSATION">;
+        conversationCategories?: string[];
+        conversationTypes?: string[];
+        conversationDirections?: Array<"BUSINESS_INITIATED" | "USER_INITIATED">;
+        dimensions?: string[];
+    }
+
+    interface ConversationAnalytics {
+        data: Array<{ data_points: Array<{ start: number; end: number; conversation?: number; cost?: number; [dimension: string]: unknown }> }>;
+    }
+
+    interface TemplateAnalyticsQuery {
+        templateIds: string | string[];
+        start: AnalyticsTime;
+        end: AnalyticsTime;
+        granularity?: "DAILY";
+        metricTypes?: Array<"SENT" | "DELIVERED" | "READ" | "CLICKED" | "COST">;
+    }
+
+    interface TemplateAnalytics extends Page<{
+        granularity: string;
+        data_points: Array<{ template_id: string; start: number; end: number; sent?: number; delivered?: number; read?: number; clicked?: Array<Record<string, any>>; cost?: Array<Record<string, any>> }>;
+    }> {}
+
+    // ---------------------------------------------------------------- Media
+
+    /** A Buffer, a Blob / File, a Readable stream, a file path, or a multer-style file. */
+    type UploadInput = Buffer | Uint8Array | Blob | Readable | AsyncIterable<Uint8Array> | string | { path?: string; buffer?: Buffer; originalname?: string; filename?: string; mimetype?: string };
+
+    interface UploadOptions {
+        filename?: string;
+        mimeType?: string;
+    }
+
+    interface MediaInfo {
+        messaging_product: "whatsapp";
+        url: string;
+        mime_type: string;
+        sha256: string;
+        file_size: number;
+        id: string;
+    }
+
+    interface MediaContent {
+        mimeType: string;
+        sha256: string;
+        fileSize: number;
+    }
+
+    type MediaType = "audio" | "document" | "image" | "sticker" | "video";
+
+    const MEDIA_TYPES: Readonly<Record<MediaType, { mimeTypes: string[]; maxSize: number; maxAnimatedSize?: number }>>;
+
+    interface ResumableUploadOptions extends UploadOptions {
+        chunkSize?: number;
+        sessionId?: string;
+        fileOffset?: number;
+        maxChunkAttempts?: number;
+        onProgress?: (progress: { sessionId: string; uploaded: number; total: number }) => void;
+    }
+
+    interface ResumableUploadResult {
+        /** The file handle, to use in template header examples. */
+        h: string;
+        sessionId: string;
+        fileLength: number;
+    }
+
+    // ---------------------------------------------------------------- Phone numbers and business profile
+
+    type QualityRating = "GREEN" | "YELLOW" | "RED" | "UNKNOWN";
+    type MessagingLimitTier = "TIER_50" | "TIER_250" | "TIER_1K" | "TIER_10K" | "TIER_100K" | "TIER_UNLIMITED";
+    type BusinessVertical = "UNDEFINED" | "OTHER" | "AUTO" | "BEAUTY" | "APPAREL" | "EDU" | "ENTERTAIN" | "EVENT_PLAN" | "FINANCE" | "GROCERY" | "GOVT"
+        | "HOTEL" | "HEALTH" | "NONPROFIT" | "PROF_SERVICES" | "RETAIL" | "TRAVEL" | "RESTAURANT" | "NOT_A_BIZ";
+
+    interface PhoneNumber {
+        id: string;
+        display_phone_number?: string;
+        verified_name?: string;
+        quality_rating?: QualityRating;
+        messaging_limit_tier?: MessagingLimitTier;
+        code_verification_status?: string;
+        name_status?: string;
+        status?: string;
+        platform_type?: string;
+        throughput?: { level: string };
+        is_official_business_account?: boolean;
+        [key: string]: unknown;
+    }
+
+    interface BusinessProfile {
+        messaging_product?: "whatsapp";
+        about?: string;
+        address?: string;
+        description?: string;
+        email?: string;
+        profile_picture_url?: string;
+        websites?: string[];
+        vertical?: BusinessVertical;
+    }
+
+    interface BusinessProfileUpdate {
+        about?: string;
+        address?: string;
+        description?: string;
+        email?: string;
+        websites?: string[];
+        vertical?: BusinessVertical;
+        /** The handle of a picture uploaded with resumableUpload. */
+        profilePictureHandle?: string;
+        /** A JPEG or PNG file, uploaded with resumableUpload (appId required). */
+        profilePicture?: UploadInput;
+    }
+
+    const PROFILE_LIMITS: Readonly<Record<"ABOUT" | "ADDRESS" | "DESCRIPTION" | "EMAIL" | "WEBSITES" | "WEBSITE", number>>;
+    const BUSINESS_VERTICALS: readonly BusinessVertical[];
+
+    // ---------------------------------------------------------------- Templates
+
+    type TemplateCategory = "UTILITY" | "MARKETING" | "AUTHENTICATION";
+    type TemplateStatus = "APPROVED" | "PENDING" | "REJECTED" | "PAUSED" | "DISABLED" | "IN_APPEAL" | "PENDING_DELETION" | "DELETED" | "LIMIT_EXCEEDED";
+    type TemplateButtonType = "QUICK_REPLY" | "URL" | "PHONE_NUMBER" | "COPY_CODE" | "OTP" | "FLOW" | "CATALOG" | "MPM";
+
+    interface TemplateButton {
+        type: TemplateButtonType;
+        text?: string;
+        url?: string;
+        phone_number?: string;
+        example?: string | string[];
+        [key: string]: unknown;
+    }
+
+    interface TemplateComponent {
+        type: "HEADER" | "BODY" | "FOOTER" | "BUTTONS";
+        format?: "TEXT" | "IMAGE" | "VIDEO" | "DOCUMENT" | "LOCATION";
+        text?: string;
+        buttons?: TemplateButton[];
+        example?: {
+            header_text?: string[];
+            header_text_named_params?: Array<{ param_name: string; example: string }>;
+            header_handle?: string[];
+            body_text?: string[][];
+            body_text_named_params?: Array<{ param_name: string; example: string }>;
+        };
+    }
+
+    interface TemplateDefinition {
+        name: string;
+        language: string;
+        category: TemplateCategory;
+        allow_category_change?: boolean;
+        parameter_format?: "POSITIONAL" | "NAMED";
+        components: TemplateComponent[];
+    }
+
+    interface Template extends Partial<TemplateDefinition> {
+        id: string;
+        name: string;
+        language: string;
+        status?: TemplateStatus;
+        [key: string]: unknown;
+    }
+
+    interface RegisterTemplateResponse {
+        id: string;
+        status: TemplateStatus;
+        category: TemplateCategory;
+    }
+
+    interface Page<T> {
+        data: T[];
+        paging?: { cursors?: { before?: string; after?: string }; next?: string; previous?: string };
+    }
+
+    interface TemplateFilters {
+        status?: TemplateStatus;
+        category?: TemplateCategory;
+        language?: string;
+        name?: string;
+        fields?: string;
+        limit?: number;
+        [filter: string]: string | number | undefined;
+    }
+
+    interface TemplateSyncItem {
+        name: string;
+        language: string;
+        id: string | null;
+    }
+
+    interface TemplateSyncResult {
+        dryRun: boolean;
+        created: TemplateSyncItem[];
+        updated: TemplateSyncItem[];
+        deleted: TemplateSyncItem[];
+        unchanged: TemplateSyncItem[];
+        failed: Array<TemplateSyncItem & { action: "created" | "updated" | "deleted"; error: WhatsappApiError }>;
+    }
+
+    const TEMPLATE_LIMITS: Readonly<Record<"NAME" | "HEADER_TEXT" | "BODY_TEXT" | "FOOTER_TEXT" | "BUTTONS" | "BUTTON_TEXT" | "URL" | "PHONE_NUMBER" | "URL_BUTTONS" | "PHONE_NUMBER_BUTTONS" | "COPY_CODE", number>>;
+
+    interface TemplateBuilderOptions {
+        language?: string;
+        category?: TemplateCategory;
+        allowCategoryChange?: boolean;
+        parameterFormat?: "POSITIONAL" | "NAMED";
+    }
+
+    interface TemplateSendComponents {
+        header: TemplateParameter[];
+        body: TemplateParameter[];
+        buttons: TemplateButtonComponent[];
+    }
+
+    class TemplateBuilder {
+        constructor(name: string, options?: TemplateBuilderOptions);
+        name: string;
+        language: string;
+        category: TemplateCategory;
+        allowCategoryChange: boolean;
+        parameterFormat: "POSITIONAL" | "NAMED";
+        readonly named: boolean;
+        headerText(text: string, examples?: string | string[] | Record<string, string>): this;
+        headerMedia(format: "IMAGE" | "VIDEO" | "DOCUMENT", handle: string): this;
+        headerLocation(): this;
+        body(text: string, examples?: string[] | Record<string, string>): this;
+        footer(text: string): this;
+        quickReplyButton(text: string): this;
+        urlButton(text: string, url: string, example?: string): this;
+        phoneNumberButton(text: string, phoneNumber: string): this;
+        copyCodeButton(example: string): this;
+        components(): TemplateComponent[];
+        /** Build and validate the registration payload. */
+        build(): TemplateDefinition;
+        /** Build the send-time parameters, to pass to sendTemplate. */
+        sendComponents(values?: { header?: string | TemplateParameter | LocationObject; body?: Array<string | number> | Record<string, string | number>; buttons?: Array<string | undefined> | Record<number, string> }): TemplateSendComponents;
+    }
+
+    function validateTemplateDefinition(definition: TemplateDefinition): string[];
+
+    // ---------------------------------------------------------------- Webhooks
+
+    /** The minimal request shape used by the Express-style webhook handlers. */
+    interface WebhookRequest {
+        query: Record<string, any>;
+        headers: IncomingHttpHeaders;
+        body?: any;
+        rawBody?: Buffer | string;
+    }
+
+    /** The minimal response shape used by the Express-style webhook handlers. */
+    interface WebhookResponse {
+        status(code: number): WebhookResponse;
+        send(body?: any): unknown;
+        json(body: any): unknown;
+        sendStatus(code: number): unknown;
+    }
+
+    /** The raw notification POSTed by Meta. */
+    interface WebhookNotification {
+        object: "whatsapp_business_account";
+        entry: Array<{
+            id: string;
+            time?: number;
+            changes: Array<{ field: string; value: Record<string, any> }>;
+        }>;
+    }
+
+    interface WebhookContact {
+        profile?: { name?: string };
+        wa_id: string;
+    }
+
+    interface MessageContext {
+        from?: string;
+        id?: string;
+        forwarded?: boolean;
+        frequently_forwarded?: boolean;
+        referred_product?: { catalog_id: string; product_retailer_id: string };
+    }
+
+    interface WebhookErrorDetail {
+        code: number;
+        title: string;
+        message?: string;
+        error_data?: { details?: string };
+        href?: string;
+    }
+
+    interface InboundMedia {
+        id: string;
+        mime_type: string;
+        sha256: string;
+        caption?: string;
+        filename?: string;
+        animated?: boolean;
+        voice?: boolean;
+    }
+
+    /** Content of inbound messages, by message type. */
+    interface MessageContentMap {
+        text: { body: string };
+        image: InboundMedia;
+        video: InboundMedia;
+        audio: InboundMedia;
+        document: InboundMedia;
+        sticker: InboundMedia;
+        location: LocationObject & { url?: string };
+        contacts: Array<Record<string, any>>;
+        button: { text: string; payload: string };
+        reaction: { message_id: string; emoji?: string };
+        order: { catalog_id: string; text?: string; product_items: Array<{ product_retailer_id: string; quantity: number; item_price: number; currency: string }> };
+        system: { body: string; type?: string; wa_id?: string; new_wa_id?: string };
+        request_welcome: null;
+        unsupported: null;
+        unknown: null;
+    }
+
+    /** Replies to interactive messages, by interactive type. */
+    interface InteractiveReplyMap {
+        button_reply: { id: string; title: string };
+        list_reply: { id: string; title: string; description?: string };
+        nfm_reply: { name?: string; body?: string; response_json: string };
+    }
+
+    interface WebhookEventBase {
+        field: string;
+        businessAccountId: string;
+        phoneNumberId: string | null;
+        displayPhoneNumber: string | null;
+    }
+
+    interface MessageEventBase extends WebhookEventBase {
+        field: "messages";
+        id: string;
+        from: string;
+        profileName: string | null;
+        contact: WebhookContact | null;
+        timestamp: Date | null;
+        /** ID of the message this one replies to. */
+        replyTo: string | null;
+        context: MessageContext | null;
+        /** Human readable text of the message, whatever its type. */
+        text: string | null;
+        referral: Record<string, any> | null;
+        errors: WebhookErrorDetail[];
+        raw: Record<string, any>;
+    }
+
+    type ContentMessageEvent = {
+        [T in keyof MessageContentMap]: MessageEventBase & { type: `message.${T}`; messageType: T; content: MessageContentMap[T] };
+    }[keyof MessageContentMap];
+
+    type InteractiveMessageEvent = {
+        [T in keyof InteractiveReplyMap]: MessageEventBase & { type: `message.interactive.${T}`; messageType: "interactive"; content: { type: T } & { [K in T]: InteractiveReplyMap[T] } };
+    }[keyof InteractiveReplyMap];
+
+    type MessageEvent = ContentMessageEvent | InteractiveMessageEvent;
+
+    type MessageStatus = "sent" | "delivered" | "read" | "failed" | "deleted";
+
+    interface StatusEvent<S extends MessageStatus = MessageStatus> extends WebhookEventBase {
+        field: "messages";
+        type: `status.${S}`;
+        id: string;
+        status: S;
+        recipientId: string;
+        timestamp: Date | null;
+        conversation: { id: string; expiration_timestamp?: string; origin: { type: string } } | null;
+        pricing: { billable: boolean; pricing_model: string; category: string } | null;
+        bizOpaqueCallbackData: string | null;
+        errors: WebhookErrorDetail[];
+        raw: Record<string, any>;
+    }
+
+    interface NotificationErrorEvent extends WebhookEventBase {
+        type: "notification.error";
+        code: number;
+        title: string;
+        message: string | null;
+        details: string | null;
+        raw: WebhookErrorDetail;
+    }
+
+    interface TemplateEvent extends WebhookEventBase {
+        type: "template.status_update" | "template.quality_update" | "template.category_update";
+        timestamp: Date | null;
+        value: Record<string, any>;
+        event: string | null;
+        templateId: number | string | null;
+        templateName: string | null;
+        language: string | null;
+        reason: string | null;
+    }
+
+    interface FieldChangeEvent extends WebhookEventBase {
+        type: "phone_number.quality_update" | "phone_number.name_update" | "account.update" | "account.review_update" | "account.alerts" | "business.capability_update";
+        timestamp: Date | null;
+        value: Record<string, any>;
+    }
+
+    type WebhookEvent = MessageEvent | StatusEvent | NotificationErrorEvent | TemplateEvent | FieldChangeEvent;
+
+    /** Events emitted by processWebhook / receiveWebhook: each event under its type, its category and "webhook". */
+    type WebhookEventMap = { [E in WebhookEvent as E["type"]]: E } & {
+        message: MessageEvent;
+        "message.interactive": InteractiveMessageEvent;
+        status: StatusEvent;
+        template: TemplateEvent;
+        phone_number: FieldChangeEvent;
+        account: FieldChangeEvent;
+        business: FieldChangeEvent;
+        notification: NotificationErrorEvent;
+        webhook: WebhookEvent;
+    };
+
+    function createWebhookSignature(rawBody: string | Buffer, appSecret: string): string;
+
+    // ---------------------------------------------------------------- Client registry
+
+    interface ClientRegistryOptions {
+        /** The class the clients are created with, e.g. a Whatsapp subclass. */
+        Whatsapp?: new (...args: ConstructorParameters<typeof Whatsapp>) => Whatsapp<any>;
+        appVersion?: string;
+        webhookVerifyToken?: string;
+        appSecret?: string;
+        appId?: string;
+        credentialProvider?: (tenantKey: string, options: { forceRefresh: boolean }) => Promise<Credentials> | Credentials;
+        clientOptions?: ClientOptions;
+        rateLimiter?: RateLimiter;
+        /** clientOptions.logger or a console logger by default. */
+        logger?: Logger;
+    }
+
+    interface TenantOptions {
+        phoneNumberIds?: string | string[];
+        phoneNumberId?: string;
+        accessToken?: string;
+        credentialProvider?: (options: { forceRefresh: boolean }) => Promise<Credentials> | Credentials;
+        accountId?: string;
+        appId?: string;
+        appVersion?: string;
+        options?: ClientOptions;
+    }
+
+    interface Tenant {
+        key: string;
+        accountId: string;
+        phoneNumberIds: string[];
+        clients: Map<string, Whatsapp<any>>;
+    }
+
+    interface WebhookRoute {
+        tenantKey: string;
+        phoneNumberId: string;
+        client: Whatsapp<any>;
+    }
+
+    class ClientRegistry extends EventEmitter {
+        constructor(options?: ClientRegistryOptions);
+        appVersion: string;
+        webhookVerifyToken: string;
+        appSecret: string;
+        appId: string;
+        clientOptions: ClientOptions;
+        rateLimiter: RateLimiter | null;
+        logger: Logger;
+        tenants: Map<string, Tenant>;
+        phoneNumbers: Map<string, { tenantKey: string; client: Whatsapp<any> }>;
+        register(tenantKey: string, tenant: TenantOptions): Tenant;
+        unregister(tenantKey: string): boolean;
+        has(key: string): boolean;
+        /** The client of a phone number ID, or of the first phone number of a tenant. Throws if the key is not registered. */
+        client<M extends ErrorMode = "return">(key: string): Whatsapp<M>;
+        tenantOf(phoneNumberId: string): Tenant | null;
+        clients(): Array<Whatsapp<any>>;
+        route(event: WebhookEvent): WebhookRoute | null;
+        processWebhook(body: WebhookNotification | string | Buffer): WebhookEvent[];
+        verifyWebhook(req: WebhookRequest, res: WebhookResponse, next?: (error?: unknown) => void): Promise<void>;
+        verifySignature(req: WebhookRequest, res: WebhookResponse, next: (error?: unknown) => void): void;
+        receiveWebhook(req: WebhookRequest, res: WebhookResponse): Promise<void>;
+
+        on<K extends keyof WebhookEventMap>(event: K, listener: (event: WebhookEventMap[K], route: WebhookRoute) => void): this;
+        on(event: "unrouted", listener: (event: WebhookEvent) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once<K extends keyof WebhookEventMap>(event: K, listener: (event: WebhookEventMap[K], route: WebhookRoute) => void): this;
+        once(event: "unrouted", listener: (event: WebhookEvent) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    // ---------------------------------------------------------------- Bot router
+
+    type RoutePattern = string | RegExp | Array<string | RegExp>;
+    type BotHandler = (ctx: BotContext, next: () => Promise<void>) => unknown;
+
+    interface BotSession {
+        state: string | null;
+        [key: string]: any;
+    }
+
+    class BotContext {
+        constructor(event: MessageEvent, whatsapp: Whatsapp<any>, session: BotSession);
+        event: MessageEvent;
+        whatsapp: Whatsapp<any>;
+        /** The session of the user, saved once the message is handled. */
+        session: BotSession;
+        from: string;
+        text: string | null;
+        messageType: MessageEvent["messageType"];
+        /** The RegExp match of the route, if any. */
+        match: RegExpMatchArray | null;
+        readonly state: string | null;
+        setState(state: string | null): void;
+        endSession(): void;
+        replyOptions<O extends MessageOptions>(options: O): O;
+        reply(text: string, options?: TextMessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyImage(media: string, caption?: string, options?: MessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyVideo(media: string, caption?: string, options?: MessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyAudio(media: string, options?: MessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyDocument(media: string, caption?: string, filename?: string, options?: MessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replySticker(media: string, options?: MessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyLocation(latitude: number | string, longitude: number | string, name?: string, address?: string, options?: MessageOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyButtons(body: string, buttons: ReplyButton[], options?: InteractiveOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyList(body: string, buttonText: string, sections: ListSection[], options?: InteractiveOptions & { header?: string }): Promise<SendMessageResponse | WhatsappApiError>;
+        replyCtaUrl(body: string, displayText: string, url: string, options?: InteractiveOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        replyTemplate(templateName: string, language?: string, header?: TemplateParameter[], body?: TemplateParameter[], buttons?: TemplateButtonComponent[], options?: SendTemplateOptions): Promise<SendMessageResponse | WhatsappApiError>;
+        react(emoji: string): Promise<SendMessageResponse | WhatsappApiError>;
+        markAsRead(options?: { typing?: boolean }): Promise<SuccessResponse | WhatsappApiError>;
+    }
+
+    interface BotRouterOptions {
+        store?: Store;
+        /** Milliseconds, if the store supports expiry. */
+        sessionTtl?: number;
+        /** "bot" by default. */
+        prefix?: string;
+        onError?: (error: unknown, event: MessageEvent) => void;
+        logger?: Logger;
+    }
+
+    class BotRouter {
+        constructor(options?: BotRouterOptions);
+        store: Store;
+        use(middleware: BotHandler): this;
+        route(test: (ctx: BotContext) => RegExpMatchArray | boolean | null, handler: BotHandler): this;
+        hears(pattern: RoutePattern, handler: BotHandler): this;
+        button(pattern: RoutePattern, handler: BotHandler): this;
+        listReply(pattern: RoutePattern, handler: BotHandler): this;
+        on(type: string | string[], handler: BotHandler): this;
+        state(state: string | string[], handler: BotHandler): this;
+        otherwise(handler: BotHandler): this;
+        sessionKey(event: MessageEvent): string;
+        handle(event: MessageEvent, whatsapp: Whatsapp<any>): Promise<boolean>;
+        /** Handle the messages emitted by a client or registry. Returns a function detaching the router. */
+        attach(source: Whatsapp<any> | ClientRegistry): () => void;
+    }
+
+    // ---------------------------------------------------------------- Mock server
+
+    interface MockErrorSpec {
+        status?: number;
+        code?: number;
+        subcode?: number;
+        type?: string;
+        message?: string;
+        details?: string;
+        /** Seconds, sent as the Retry-After header. */
+        retryAfter?: number;
+        /** Destroy the connection instead of answering. */
+        network?: boolean;
+        /** Milliseconds to wait before answering. */
+        delay?: number;
+    }
+
+    type MockErrorName = "auth" | "permission" | "rate_limit" | "pair_rate_limit" | "invalid_parameter" | "reengagement" | "recipient_unavailable" | "template_not_found" | "template_params" | "code_mismatch" | "pin_mismatch" | "server" | "unavailable";
+
+    const MOCK_ERRORS: Readonly<Record<MockErrorName, MockErrorSpec>>;
+
+    interface MockRequest {
+        method: string;
+        path: string;
+        query: Record<string, string>;
+        headers: IncomingHttpHeaders;
+        body: any;
+        timestamp: Date;
+    }
+
+    interface MockServerOptions {
+        port?: number;
+        host?: string;
+        accessToken?: string;
+        templateStatus?: TemplateStatus;
+        strictTemplates?: boolean;
+        latency?: number;
+        verificationCode?: string;
+    }
+
+    class MockServer extends EventEmitter {
+        constructor(options?: MockServerOptions);
+        url: string | null;
+        server: Server | null;
+        requests: MockRequest[];
+        messages: Array<{ id: string; to: string; payload: Record<string, any> }>;
+        media: Map<string, { id: string; buffer: Buffer; filename: string; mimeType: string; sha256: string }>;
+        templates: Map<string, Template>;
+        uploadSessions: Map<string, { id: string; fileLength: number; fileType: string; fileName: string | null; offset: number; chunks: Buffer[]; handle?: string }>;
+        phoneNumbers: Map<string, { data: PhoneNumber; pin: string | null; codeRequested: boolean; profile: BusinessProfile }>;
+        start(): Promise<string>;
+        stop(): Promise<void>;
+        reset(): void;
+        failNext(match: { method?: string; path?: string | RegExp; to?: string } | ((request: MockRequest) => boolean), error?: MockErrorName | MockErrorSpec, options?: { times?: number }): this;
+        addTemplate(template: Partial<Template> & { name: string; language: string }): Template;
+        addPhoneNumber(phoneNumber?: Partial<PhoneNumber> & { pin?: string }): PhoneNumber;
+        messagesTo(to: string): Array<{ id: string; to: string; payload: Record<string, any> }>;
+    }
+
+    interface WebhookSimulatorOptions {
+        url: string;
+        appSecret?: string;
+        phoneNumberId?: string;
+        displayPhoneNumber?: string;
+        businessAccountId?: string;
+    }
+
+    interface SimulatedMessageOptions {
+        name?: string;
+        id?: string;
+        context?: MessageContext;
+        timestamp?: Date | number;
+    }
+
+    interface SimulatedStatusOptions {
+        errors?: WebhookErrorDetail[];
+        bizOpaqueCallbackData?: string;
+        conversation?: StatusEvent["conversation"];
+        pricing?: StatusEvent["pricing"];
+        timestamp?: Date | number;
+    }
+
+    interface SimulatorResponse {
+        status: number;
+        body: string;
+    }
+
+    class WebhookSimulator {
+        constructor(options: WebhookSimulatorOptions);
+        notification(value: Record<string, any>, field?: string): WebhookNotification;
+        messagePayload(from: string, message: { type: string; [content: string]: any }, options?: SimulatedMessageOptions): WebhookNotification;
+        statusPayload(messageId: string, status: MessageStatus, recipientId: string, options?: SimulatedStatusOptions): WebhookNotification;
+        post(body: WebhookNotification): Promise<SimulatorResponse>;
+        sendMessage(from: string, message: { type: string; [content: string]: any }, options?: SimulatedMessageOptions): Promise<SimulatorResponse>;
+        sendText(from: string, text: string, options?: SimulatedMessageOptions): Promise<SimulatorResponse>;
+        sendButtonReply(from: string, id: string, title: string, options?: SimulatedMessageOptions): Promise<SimulatorResponse>;
+        sendListReply(from: string, id: string, title: string, description?: string, options?: SimulatedMessageOptions): Promise<SimulatorResponse>;
+        sendStatus(messageId: string, status: MessageStatus, recipientId: string, options?: SimulatedStatusOptions): Promise<SimulatorResponse>;
+    }
+}
+
+export = Whatsapp;
@@ -1,7 +1,29 @@
 const fs = require('fs');
-const path = require('path');
-
-class Whatsapp {
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseWebhook, createWebhookSignature, verifyWebhookSignature } = require('./lib/webhook');
+const { WhatsappApiError, WhatsappValidationError, ERROR_CATEGORIES } = require('./lib/errors');
+const { resolveRetryPolicy, withRetry } = require('./lib/retry');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { checkText, assertValid } = require('./lib/validation');
+const { mediaObject, buildLocation, buildContacts, buildReaction } = require('./lib/messages');
+const { MEDIA_TYPES, RESUMABLE_UPLOAD_MIME_TYPES, openUploadSource, resolveUpload } = require('./lib/media');
+const { TEMPLATE_LIMITS, TemplateBuilder, validateTemplateDefinition, validateTemplateSend, buildTemplateMessage, planTemplateSync } = require('./lib/templates');
+const { INTERACTIVE_LIMITS, buildButtons, buildList, buildCtaUrl, buildFlow, buildProduct, buildProductList } = require('./lib/interactive');
+const { Broadcast, BROADCAST_STATUSES } = require('./lib/broadcast');
+const { MemoryStore } = require('./lib/memory-store');
+const { MockServer, WebhookSimulator, MOCK_ERRORS } = require('./lib/mock-server');
+const { ConversationTracker, CUSTOMER_SERVICE_WINDOW } = require('./lib/conversation');
+const { cachedTokenProvider } = require('./lib/credentials');
+const { ClientRegistry } = require('./lib/client-registry');
+const { BotRouter, BotContext } = require('./lib/router');
+const { MessageLedger, MESSAGE_STATUSES } = require('./lib/ledger');
+const { ANALYTICS_GRANULARITIES, checkRange, fieldExpression } = require('./lib/analytics');
+const { PROFILE_LIMITS, BUSINESS_VERTICALS, PHONE_NUMBER_FIELDS, BUSINESS_PROFILE_FIELDS, checkPin, buildBusinessProfile } = require('./lib/profile');
+const { LOG_LEVELS, createLogger, redact } = require('./lib/logger');
+
+class Whatsapp extends EventEmitter {
     /**
      * Create a new Whatsapp instance.
      * @param {String} phoneNumberId - The phone number ID associated with the Whatsapp account.
@@ -10,41 +32,340 @@ class Whatsapp {
      * @param {String} [accountId=""] - The whatsapp buseness account Id of the Whatsapp API to use (optional).
      * @param {String} [appId=""] - The whatsapp buseness app Id of the Whatsapp API to use (optional).
      * @param {String} [webhookVerifyToken=""] - The verification token for webhook endpoints (optional).
+     * @param {String} [appSecret=""] - The whatsapp buseness app secret, used to verify webhook signatures (optional).
+     * @param {Object} [options={}] - Additional client options (optional).
+     * @param {String} [options.errorMode="return"] - How failed calls are reported: "return" resolves with a WhatsappApiError, "throw" rejects with it.
+     * @param {Object|false} [options.retry] - Retry policy overrides (maxAttempts, baseDelay, maxDelay, jitter, retryableCodes, retryableStatuses, retryNetworkErrors, throttlingCodes,
+     * retryUnsafeRequests, onRetry), or false to disable retries. Message sends are only retried on throttling errors unless retryUnsafeRequests is set.
+     * @param {Number} [options.timeout=30000] - Milliseconds after which a request is aborted, 0 to disable.
+     * @param {Object|false} [options.rateLimit] - Token bucket options ({ tokensPerSecond: 80, burst }) applied per phone number ID to sent messages, or false to disable.
+     * @param {RateLimiter} [options.rateLimiter] - A rate limiter to share between instances (takes precedence over options.rateLimit).
+     * @param {String} [options.baseUrl="https://graph.facebook.com"] - The Graph API host, e.g. the URL of a MockServer to develop and test offline.
+     * @param {ConversationTracker|Boolean} [options.conversationTracker] - Tracks the customer service window of each user from processed webhooks, true for an in-memory tracker.
+     * @param {Boolean} [options.enforceWindow=true] - With a conversation tracker, check the window before sending free-form (non-template) messages. Reactions and read receipts are not checked.
+     * @param {Object|function} [options.windowFallback] - The template sent instead of a free-form message when the window is closed, as { name, language, header, body, buttons },
+     * or a function called with (to, payload) returning one (or null to fail). Without it, such messages fail with a local 131047 error.
+     * @param {function} [options.tokenProvider] - Resolves the access token before every request, for rotated or expiring tokens, called as tokenProvider({ phoneNumberId, forceRefresh, failedToken }).
+     * When a request fails with an expired or invalid token (error 190) it is called again with forceRefresh and the request is retried once. Wrap slow sources with Whatsapp.cachedTokenProvider.
+     * @param {MessageLedger|Boolean} [options.ledger] - Records sent messages and their statuses from processed webhooks, true for an in-memory ledger.
+     * @param {Object} [options.logger] - A structured logger with debug, info, warn and error methods called as (message, fields), e.g. pino or Whatsapp.createLogger({ level: "info" }).
+     * Requests are logged at debug level, responses (method, URL, status and duration) at info level and failures at warn level. Defaults to a console logger writing errors only.
+     * @param {Object|false} [options.redact] - What is redacted from logged requests and interceptor snapshots besides tokens: { phoneNumbers: true, messageBodies: true, keys: [] }, or false to redact only secrets.
+     * @param {Object} [options.interceptors] - Interceptors as { request: [], response: [] }, see onRequest and onResponse.
      */
-    constructor(phoneNumberId, accessToken, appVersion = "v19.0", accountId = "", appId = "", webhookVerifyToken = "") {
+    constructor(phoneNumberId, accessToken, appVersion = "v19.0", accountId = "", appId = "", webhookVerifyToken = "", appSecret = "", options = {}) {
+        super();
         this.phoneNumberId = phoneNumberId;
         this.accessToken = accessToken;
         this.appVersion = appVersion;
         this.accountId = accountId;
         this.appId = appId;
         this.webhookVerifyToken = webhookVerifyToken;
-        this.baseUrl = `https://graph.facebook.com/${this.appVersion}/${this.phoneNumberId}`;
+        this.appSecret = appSecret;
+        this.errorMode = options.errorMode || "return";
+        this.retryPolicy = resolveRetryPolicy(options.retry);
+        this.timeout = options.timeout ?? 30000;
+        this.rateLimiter = options.rateLimiter || (options.rateLimit === false ? null : new RateLimiter(options.rateLimit));
+        this.enforceWindow = options.enforceWindow ?? true;
+        this.windowFallback = options.windowFallback || null;
+        this.tokenProvider = options.tokenProvider || null;
+        this.logger = options.logger || createLogger();
+        this.redaction = options.redact ?? {};
+        this.interceptors = { "request": [...(options.interceptors?.request || [])], "response": [...(options.interceptors?.response || [])] };
+        this.conversationTracker = options.conversationTracker === true ? new ConversationTracker({ "logger": this.logger }) : (options.conversationTracker || null);
+        this.ledger = options.ledger === true ? new MessageLedger({ "logger": this.logger }) : (options.ledger || null);
+        this.apiUrl = `${String(options.baseUrl || "https://graph.facebook.com").replace(/\/+$/, "")}/${this.appVersion}`;
+        this.baseUrl = this.nodeUrl(this.phoneNumberId);
+
+        // Bound so they can be passed straight to Express as route handlers.
+        this.verifyWebhook = this.verifyWebhook.bind(this);
+        this.receiveWebhook = this.receiveWebhook.bind(this);
+        this.verifySignature = this.verifySignature.bind(this);
+    };
+
+    /**
+     * Build the URL of a Graph API node (phone number, business account, media, template, upload session, etc.).
+     * @param {String} node - The ID of the node.
+     * @returns {String} - The URL.
+     */
+    nodeUrl(node) {
+        return `${this.apiUrl}/${node}`;
+    };
+
+    /**
+     * Get the access token to authenticate requests with, from the token provider when there is one.
+     * @param {String|null} [failedToken=null] - The token the Graph API just rejected, to get a fresh one (optional).
+     * @returns {Promise<String>} - A promise resolving to the access token.
+     */
+    async resolveAccessToken(failedToken = null) {
+        if (this.tokenProvider) {
+            this.accessToken = await this.tokenProvider({ "phoneNumberId": this.phoneNumberId, "forceRefresh": failedToken !== null, "failedToken": failedToken });
+        }
+
+        return this.accessToken;
+    };
+
+    /**
+     * Add a request interceptor, called before every HTTP request (each retry included) as interceptor(request) with { method, url, headers, body }.
+     * It may change the request in place or return a new one, e.g. to add headers. An error thrown by an interceptor fails the request.
+     * The request holds the access token, log it through client.redact(request).
+     * @param {function} interceptor - The interceptor, may be async.
+     * @returns {function} - A function removing the interceptor.
+     */
+    onRequest(interceptor) {
+        this.interceptors.request.push(interceptor);
+        return () => this.interceptors.request.splice(this.interceptors.request.indexOf(interceptor) >>> 0, 1);
+    };
+
+    /**
+     * Add a response interceptor, called after every HTTP request as interceptor({ request, response, status, durationMs, error }), e.g. to export latency and status metrics.
+     * The request is redacted, the response is the fetch Response (null when no response was received, read its body through response.clone()) and error is set when no response was received.
+     * Errors thrown by an interceptor are logged and ignored.
+     * @param {function} interceptor - The interceptor, may be async.
+     * @returns {function} - A function removing the interceptor.
+     */
+    onResponse(interceptor) {
+        this.interceptors.response.push(interceptor);
+        return () => this.interceptors.response.splice(this.interceptors.response.indexOf(interceptor) >>> 0, 1);
+    };
+
+    /**
+     * Copy a value with its secrets and personal data redacted according to the redact client option, for logging.
+     * @param {*} value - The value, e.g. a request, a payload or a URL.
+     * @returns {*} - The redacted copy.
+     */
+    redact(value) {
+        return redact(value, this.redaction);
     };
 
     /**
-     * Make a HTTP request to the Whatsapp API.
+     * Make a HTTP request to the Whatsapp API, through the request and response interceptors.
      * @param {String} url - The URL of the API endpoint.
      * @param {String} method - The HTTP method (GET, POST, etc.).
      * @param {Object|null} headers - The HTTP headers (optional).
      * @param {String|Object|null} data - The data to send in the request body (optional).
+     * @param {Number} [timeout=this.timeout] - Milliseconds after which the request is aborted, 0 to disable (optional).
      * @returns {Promise<Response>} - A promise resolving to the response object.
+     * @throws {WhatsappApiError} - If no response could be received (DNS failure, connection reset, timeout, etc.).
+     */
+    async makeRequest(url, method, headers = null, data = null, timeout = this.timeout) {
+        let request = { method, url, "headers": { ...headers }, "body": data };
+
+        for (const interceptor of this.interceptors.request) {
+            request = (await interceptor(request)) || request;
+        }
+
+        const requestOptions = { "method": request.method, "headers": request.headers };
+        const controller = new AbortController();
+        const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+        const startedAt = Date.now();
+        const logged = { ...this.redact({ "method": request.method, "url": request.url, "headers": request.headers }), "body": this.redact(request.body) };
+        let response = null;
+        let failure = null;
+
+        if (request.body) {
+            requestOptions.body = request.body;
+        }
+
+        requestOptions.signal = controller.signal;
+        this.logger.debug("whatsapp.request", logged);
+
+        try {
+            response = await fetch(request.url, requestOptions);
+            return response;
+        } catch (error) {
+            failure = controller.signal.aborted
+                ? WhatsappApiError.fromException(new Error(`Request timed out after ${timeout}ms`, { cause: error }), ERROR_CATEGORIES.TIMEOUT)
+                : WhatsappApiError.fromException(error, ERROR_CATEGORIES.NETWORK);
+
+            throw failure;
+        } finally {
+            clearTimeout(timer);
+            await this.afterRequest(logged, response, Date.now() - startedAt, failure);
+        }
+    };
+
+    /**
+     * Log a completed request and run the response interceptors.
+     * @param {Object} request - The redacted request.
+     * @param {Response|null} response - The response, null if none was received.
+     * @param {Number} durationMs - The time the request took, in milliseconds.
+     * @param {WhatsappApiError|null} error - The error, if no response was received.
+     */
+    async afterRequest(request, response, durationMs, error) {
+        const status = response ? response.status : null;
+        const fields = { "method": request.method, "url": request.url, status, durationMs };
+
+        if (error) {
+            this.logger.warn("whatsapp.request.failed", { ...fields, error });
+        } else {
+            this.logger.info("whatsapp.response", fields);
+        }
+
+        for (const interceptor of this.interceptors.response) {
+            try {
+                await interceptor({ request, response, status, durationMs, error });
+            } catch (interceptorError) {
+                this.logger.error("whatsapp.interceptor.failed", { "error": interceptorError });
+            }
+        }
+    };
+
+    /**
+     * Make an authenticated request to the Graph API and parse its JSON response, retrying transient failures.
+     * @param {String} url - The URL of the API endpoint.
+     * @param {String} method - The HTTP method (GET, POST, etc.).
+     * @param {Object|FormData|Buffer|null} [data=null] - The request body, plain objects are sent as JSON (optional).
+     * @param {Object} [headers={}] - Additional HTTP headers (optional).
+     * @param {Object} [requestOptions={}] - Request options (optional).
+     * @param {String} [requestOptions.rateLimitKey] - Key of the rate limiter bucket every attempt takes a token from.
+     * @param {Number} [requestOptions.timeout] - Overrides the client timeout for this request.
+     * @param {String} [requestOptions.authScheme="Bearer"] - The scheme of the Authorization header, "OAuth" for the Resumable Upload API.
+     * @param {Boolean} [requestOptions.idempotent=true] - False for requests that must not be repeated after an ambiguous failure (network error, timeout, server error).
+     * @returns {Promise<Object>} - A promise resolving to the parsed response body.
+     * @throws {WhatsappApiError} - If the request fails or the Graph API responds with an error.
      */
-    async makeRequest(url, method, headers = null, data = null) {
+    async graphRequest(url, method, data = null, headers = {}, requestOptions = {}) {
+        const token = await this.resolveAccessToken();
+
         try {
-            const requestOptions = { method };
+            return await this.graphRequestWithToken(token, url, method, data, headers, requestOptions);
+        } catch (error) {
+            if (!this.tokenProvider || error.code !== 190) {
+                throw error;
+            }
+
+            return await this.graphRequestWithToken(await this.resolveAccessToken(token), url, method, data, headers, requestOptions);
+        }
+    };
+
+    /**
+     * Make a request to the Graph API with a given access token, see graphRequest.
+     * @param {String} token - The access token.
+     * @param {String} url - The URL of the API endpoint.
+     * @param {String} method - The HTTP method (GET, POST, etc.).
+     * @param {Object|FormData|Buffer|null} data - The request body.
+     * @param {Object} headers - Additional HTTP headers.
+     * @param {Object} requestOptions - Request options, see graphRequest.
+     * @returns {Promise<Object>} - A promise resolving to the parsed response body.
+     * @throws {WhatsappApiError} - If the request fails or the Graph API responds with an error.
+     */
+    async graphRequestWithToken(token, url, method, data, headers, requestOptions) {
+        const requestHeaders = { 'Authorization': `${requestOptions.authScheme || "Bearer"} ${token}`, ...headers };
+        let body = data;
+
+        if (Object.prototype.toString.call(data) === "[object Object]") {
+            requestHeaders['Content-Type'] = 'application/json';
+            body = JSON.stringify(data);
+        }
 
-            if (headers) {
-                requestOptions.headers = headers;
+        return await withRetry(async () => {
+            if (requestOptions.rateLimitKey && this.rateLimiter) {
+                await this.rateLimiter.take(requestOptions.rateLimitKey);
             }
 
-            if (data) {
-                requestOptions.body = data;
+            const response = await this.makeRequest(url, method, requestHeaders, body, requestOptions.timeout ?? this.timeout);
+            const text = await response.text();
+            let json = null;
+
+            try {
+                json = text ? JSON.parse(text) : {};
+            } catch (error) {
+                json = null;
             }
 
-            return await fetch(url, requestOptions);
-        } catch (error) {
-            return error;
+            if (!response.ok || json === null || json.error) {
+                const retryAfter = Number(response.headers.get('retry-after')) * 1000 || null;
+                throw WhatsappApiError.fromResponse(response.status, json ?? text, retryAfter);
+            }
+
+            return json;
+        }, this.retryPolicy, requestOptions.idempotent ?? true);
+    };
+
+    /**
+     * Send a message payload to the messages endpoint of the phone number. The message is recorded by the ledger, if any.
+     * @param {Object} data - The message payload.
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String} [options.replyTo] - The ID of the message to reply to, quoted above the sent message. Not supported by reactions.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data (maximum 512 characters) returned in the status webhooks of the message.
+     * @param {Boolean} [options.enforceWindow] - Overrides the enforceWindow client option for this message.
+     * @param {Boolean} [options.retryUnsafe] - Retry this message on network errors, timeouts and server errors too, accepting that it may be delivered twice.
+     * @returns {Promise<Object>} - A promise resolving to the response object, with the name of the template sent in `fallbackTemplate` when the window fallback was used.
+     * @throws {WhatsappApiError} - If the message could not be sent.
+     */
+    async sendPayload(data, options = {}) {
+        const errors = [];
+        let fallbackTemplate = null;
+
+        checkText(errors, options.bizOpaqueCallbackData, "bizOpaqueCallbackData", 512, false);
+
+        if (options.replyTo && data.type === "reaction") {
+            errors.push("replyTo is not supported by reactions, they already refer to the message reacted to");
+        }
+
+        assertValid(errors);
+
+        if (this.conversationTracker && (options.enforceWindow ?? this.enforceWindow) && data.to && !["template", "reaction"].includes(data.type) && !(await this.conversationTracker.isWindowOpen(data.to))) {
+            data = await this.windowFallbackPayload(data);
+            fallbackTemplate = data.template.name;
+        }
+
+        if (options.replyTo) {
+            data.context = { "message_id": options.replyTo };
+        }
+
+        if (options.bizOpaqueCallbackData) {
+            data.biz_opaque_callback_data = options.bizOpaqueCallbackData;
+        }
+
+        const response = await this.graphRequest(`${this.baseUrl}/messages`, "POST", data, {}, { rateLimitKey: this.phoneNumberId, idempotent: options.retryUnsafe ?? false });
+
+        if (fallbackTemplate) {
+            response.fallbackTemplate = fallbackTemplate;
+        }
+
+        if (this.ledger) {
+            await this.ledger.recordSent(data, response, this.phoneNumberId).catch((error) => this.ledger.onError(error));
+        }
+
+        return response;
+    };
+
+    /**
+     * Build the template message sent instead of a free-form message whose recipient's customer service window is closed.
+     * @param {Object} data - The free-form message payload.
+     * @returns {Promise<Object>} - A promise resolving to the template message payload.
+     * @throws {WhatsappApiError} - A re-engagement error (131047) if no fallback template is configured.
+     */
+    async windowFallbackPayload(data) {
+        const fallback = typeof this.windowFallback === "function" ? await this.windowFallback(data.to, data) : this.windowFallback;
+
+        if (!fallback?.name) {
+            throw new WhatsappApiError("Re-engagement message", {
+                code: 131047,
+                category: ERROR_CATEGORIES.REENGAGEMENT_WINDOW,
+                details: `${data.to} has not messaged this number in the last 24 hours, only template messages can be sent.`
+            });
+        }
+
+        return buildTemplateMessage(data.to, fallback.name, fallback.language, fallback.header, fallback.body, fallback.buttons);
+    };
+
+    /**
+     * Report a failed call according to the configured error mode.
+     * @param {Error} error - The failure.
+     * @returns {WhatsappApiError} - The failure as a WhatsappApiError, when the error mode is "return".
+     * @throws {WhatsappApiError} - The failure as a WhatsappApiError, when the error mode is "throw".
+     */
+    handleError(error) {
+        const apiError = error instanceof WhatsappApiError ? error : WhatsappApiError.fromException(error);
+
+        if (this.errorMode === "throw") {
+            throw apiError;
         }
+
+        return apiError;
     };
 
     /**
@@ -55,57 +376,21 @@ class Whatsapp {
      * @param {Array} [header=[]] - An array of objects representing the header components of the template (optional).
      * @param {Array} [body=[]] - An array of objects representing the body components of the template (optional).
      * @param {Array} [buttons=[]] - An array of objects representing the button components of the template (optional).
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to), bizOpaqueCallbackData and template (a template ID or definition to validate the parameters against before sending) (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the parameters do not match the template) if an error occurs.
      */
-    async sendTemplate(to, templateName, language = "en_US", header = [], body = [], buttons = []) {
+    async sendTemplate(to, templateName, language = "en_US", header = [], body = [], buttons = [], options = {}) {
         try {
-            const url = `${this.baseUrl}/messages`;
-            const components = [];
-            const data = {
-                "messaging_product": "whatsapp",
-                "to": to,
-                "type": "template",
-                "template": {
-                    "name": templateName,
-                    "language": {
-                        "code": language
-                    }
-                }
-            };
-
-            if (header.length > 0) {
-                const headerComponent = {
-                    "type": "header",
-                    "parameters": header
-                };
-                components.push(headerComponent);
-            }
-
-            if (body.length > 0) {
-                const bodyComponent = {
-                    "type": "body",
-                    "parameters": body
-                };
-                components.push(bodyComponent);
-            }
-
-            if (buttons.length > 0) {
-                components.push(...buttons);
-            }
+            const data = buildTemplateMessage(to, templateName, language, header, body, buttons);
 
-            if (components.length > 0) {
-                data['template']['components'] = components;
+            if (options.template) {
+                const definition = await this.resolveTemplateDefinition(options.template);
+                assertValid(validateTemplateSend(definition, header, body, buttons));
             }
 
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
-
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
@@ -113,31 +398,25 @@ class Whatsapp {
      * Send a Whatsapp text message.
      * @param {String} to - The recipient's phone number.
      * @param {String} message - The text message to send.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * @param {Object} [options={}] - Message options: previewUrl (render a preview of the first URL in the message), replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
      */
-    async sendMessage(to, message) {
+    async sendMessage(to, message, options = {}) {
         try {
-            const url = `${this.baseUrl}/messages`;
             const data = {
                 "messaging_product": "whatsapp",
                 "recipient_type": "individual",
                 "to": to,
                 "type": "text",
                 "text": {
-                    "preview_url": false,
+                    "preview_url": options.previewUrl ?? false,
                     "body": message
                 }
             };
 
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
-
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
@@ -145,12 +424,12 @@ class Whatsapp {
      * Send a Whatsapp image message.
      * @param {String} to - The recipient's phone number.
      * @param {String} media - The URL or ID of the image to send.
-     * @param {String} [caption=""] - The caption for the image (optional).
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * @param {String} [caption=""] - The caption for the image, at most 1024 characters (optional).
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the caption is too long) if an error occurs.
      */
-    async sendImage(to, media, caption = "") {
+    async sendImage(to, media, caption = "", options = {}) {
         try {
-            const url = `${this.baseUrl}/messages`;
             const data = {
                 "messaging_product": "whatsapp",
                 "recipient_type": "individual",
@@ -158,21 +437,11 @@ class Whatsapp {
                 "type": "image",
             };
 
-            if (media.startsWith("http")) {
-                data.image = { "link": media, "caption": caption };
-            } else {
-                data.image = { "id": media, "caption": caption };
-            }
-
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
+            data.image = mediaObject(media, { "caption": caption });
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
@@ -180,12 +449,12 @@ class Whatsapp {
      * Send a Whatsapp video message.
      * @param {String} to - The recipient's phone number.
      * @param {String} media - The URL or ID of the video to send.
-     * @param {String} [caption=""] - The caption for the video (optional).
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * @param {String} [caption=""] - The caption for the video, at most 1024 characters (optional).
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the caption is too long) if an error occurs.
      */
-    async sendVideo(to, media, caption = "") {
+    async sendVideo(to, media, caption = "", options = {}) {
         try {
-            const url = `${this.baseUrl}/messages`;
             const data = {
                 "messaging_product": "whatsapp",
                 "recipient_type": "individual",
@@ -193,21 +462,11 @@ class Whatsapp {
                 "type": "video",
             };
 
-            if (media.startsWith("http")) {
-                data.video = { "link": media, "caption": caption };
-            } else {
-                data.video = { "id": media, "caption": caption };
-            }
-
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
+            data.video = mediaObject(media, { "caption": caption });
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
@@ -215,11 +474,11 @@ class Whatsapp {
      * Send a Whatsapp audio message.
      * @param {String} to - The recipient's phone number.
      * @param {String} media - The URL or ID of the audio file to send.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
      */
-    async sendAudio(to, media) {
+    async sendAudio(to, media, options = {}) {
         try {
-            const url = `${this.baseUrl}/messages`;
             const data = {
                 "messaging_product": "whatsapp",
                 "recipient_type": "individual",
@@ -227,21 +486,11 @@ class Whatsapp {
                 "type": "audio",
             };
 
-            if (media.startsWith("http")) {
-                data.audio = { "link": media };
-            } else {
-                data.audio = { "id": media };
-            }
-
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
+            data.audio = mediaObject(media);
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
@@ -249,13 +498,13 @@ class Whatsapp {
      * Send a Whatsapp document message.
      * @param {String} to - The recipient's phone number.
      * @param {String} media - The URL or ID of the document to send.
-     * @param {String} [caption=""] - The caption for the document (optional).
+     * @param {String} [caption=""] - The caption for the document, at most 1024 characters (optional).
      * @param {String} [filename=""] - The filename of the document (optional).
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the caption is too long) if an error occurs.
      */
-    async sendDocument(to, media, caption = "", filename = "") {
+    async sendDocument(to, media, caption = "", filename = "", options = {}) {
         try {
-            const url = `${this.baseUrl}/messages`;
             const data = {
                 "messaging_product": "whatsapp",
                 "recipient_type": "individual",
@@ -263,280 +512,1409 @@ class Whatsapp {
                 "type": "document",
             };
 
-            if (media.startsWith("http")) {
-                data.document = { "link": media, "caption": caption, "filename": filename };
-            } else {
-                data.document = { "id": media, "caption": caption, "filename": filename };
-            }
-
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
+            data.document = mediaObject(media, { "caption": caption, "filename": filename });
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Upload media to be used in Whatsapp messages.
-     * @param {Object} file - The file object to upload.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp sticker message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} media - The URL or ID of the sticker to send (static or animated webp).
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
      */
-    async uploadMedia(file) {
+    async sendSticker(to, media, options = {}) {
         try {
-            const url = `${this.baseUrl}/media`;
-            const formData = new FormData();
-            formData.append('file', fs.createReadStream(file.path), {
-                filename: file.filename,
-                contentType: file.mimetype
-            });
-            formData.append('type', file.mimetype);
-            formData.append('messaging_product', 'whatsapp');
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "sticker",
+            };
 
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-            }, formData);
+            data.sticker = mediaObject(media);
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Download media from Whatsapp messages.
-     * @param {String} mediaId - The ID of the media to download.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp location message.
+     * @param {String} to - The recipient's phone number.
+     * @param {Number} latitude - The latitude of the location, between -90 and 90.
+     * @param {Number} longitude - The longitude of the location, between -180 and 180.
+     * @param {String} [name=""] - The name of the location (optional).
+     * @param {String} [address=""] - The address of the location (optional).
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the coordinates are invalid) if an error occurs.
      */
-    async downloadMedia(mediaId) {
+    async sendLocation(to, latitude, longitude, name = "", address = "", options = {}) {
         try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, mediaId)}`;
-            const response = await this.makeRequest(url, "GET", {
-                'Authorization': `Bearer ${this.accessToken}`,
-            });
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "location",
+                "location": buildLocation(latitude, longitude, name, address)
+            };
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Verify a Whatsapp webhook request.
-     * @param {Object} req - The Express request object.
-     * @param {Object} res - The Express response object.
-     * @param {function} next - The next middleware function.
+     * Send a Whatsapp contacts message.
+     * @param {String} to - The recipient's phone number.
+     * @param {Object|Array<Object>} contacts - One or more contact cards as { name, phones, emails, org, urls, addresses, birthday }. The name may be a string or a name object with a formatted_name, phones, emails and urls may be strings or objects.
+     * @param {Object} [options={}] - Message options: replyTo (ID of the message to reply to) and bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if a contact card is invalid) if an error occurs.
      */
-    async verifyWebhook(req, res, next) {
+    async sendContacts(to, contacts, options = {}) {
         try {
-            const hubMode = req.query['hub.mode'];
-            const hubVerifyToken = req.query['hub.verify_token'];
-            const hubChallenge = req.query['hub.challenge'];
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "contacts",
+                "contacts": buildContacts(contacts)
+            };
 
-            if (hubMode == 'subscribe' && hubVerifyToken == this.webhookVerifyToken) {
-                res.status(200).send(hubChallenge);
-            } else {
-                res.sendStatus(400);
-            }
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.log(error);
-            res.status(500).json({ message: error.message });
+            return this.handleError(error);
         }
     };
 
     /**
-     * Register template in your meta whatsapp app.
-     * @param {String} name  Template name (Maximum 512 characters. naming convention should be only in lowercase and underscore).
-     * @param {Array of Objects} components  Components that make up the template. Reffer : https://developers.facebook.com/docs/whatsapp/business-management-api/message-templates/#template-components
-     * @param {String} [category="UTILITY"]  Template category (Allowed values : UTILITY, MARKETING, AUTHENTICATION).
-     * @param {Boolean} [allowCategoryChange=false]  Set to true to allow META to automatically assign a category.
-     * @param {String} [language="en_US"]  Template language code.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp reaction to a message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} messageId - The ID of the message to react to.
+     * @param {String} [emoji=""] - The emoji to react with, an empty string removes the reaction (optional).
+     * @param {Object} [options={}] - Message options: bizOpaqueCallbackData (optional). replyTo is rejected, a reaction already refers to its message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
      */
-    async registerTemplate(name, components, category = "UTILITY", allowCategoryChange = false, language = "en_US") {
+    async sendReaction(to, messageId, emoji = "", options = {}) {
         try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, this.accountId)}/message_templates`;
             const data = {
-                "name": name,
-                "category": category.toUpperCase(),
-                "allow_category_change": allowCategoryChange,
-                "language": language,
-                "components": components
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "reaction",
+                "reaction": buildReaction(messageId, emoji)
             };
 
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
-
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Get a list of templates owned by the WhatsApp Business Account.
-     * @param {String} [query=""]  Filter templates by field, (Example : status=REJECTED).
-     * @param {String} [fields="name,status"]  List of template fields you want returned.
-     * @param {Number} [limit=0]  The maximum number of templates you want returned in each page of results.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Remove a Whatsapp reaction previously sent to a message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} messageId - The ID of the message the reaction was sent to.
+     * @param {Object} [options={}] - Message options: bizOpaqueCallbackData (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
      */
-    async getTemplates(query = "", fields = "name,status", limit = 0) {
-        try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, this.accountId)}/message_templates?fields=${fields}${query ? `&${query}` : ""}${limit ? `&limit=${limit}` : ""}`;
-
-            const response = await this.makeRequest(url, "GET", {
-                'Authorization': `Bearer ${this.accessToken}`,
-            });
-
-            return await response.json();
-        } catch (error) {
-            console.error(error);
-            return null;
-        }
+    async removeReaction(to, messageId, options = {}) {
+        return await this.sendReaction(to, messageId, "", options);
     };
 
     /**
-     * Get a particular template information owned by the WhatsApp Business Account.
-     * @param {String} templateId Whatsapp message template id.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Mark a received Whatsapp message as read, optionally showing a typing indicator.
+     * @param {String} messageId - The ID of the received message.
+     * @param {Object} [options={}] - Options (optional).
+     * @param {Boolean} [options.typing=false] - Show a typing indicator until the next message is sent (or for up to 25 seconds).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
      */
-    async getTemplateInfo(templateId) {
+    async markAsRead(messageId, options = {}) {
         try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, templateId)}?access_token=${this.accessToken}`;
+            const data = {
+                "messaging_product": "whatsapp",
+                "status": "read",
+                "message_id": messageId
+            };
 
-            const response = await this.makeRequest(url, "GET");
+            if (options.typing) {
+                data.typing_indicator = { "type": "text" };
+            }
 
-            return await response.json();
+            // Marking a message as read twice is harmless.
+            return await this.sendPayload(data, { "retryUnsafe": true });
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Update template in your meta whatsapp app.
-     * @param {String} templateId Whatsapp message template id.
-     * @param {String} [category="UTILITY"]  Template category (Allowed values : UTILITY, MARKETING, AUTHENTICATION).
-     * @param {Array of Objects} [components=[]]  Components that make up the template. Reffer : https://developers.facebook.com/docs/whatsapp/business-management-api/message-templates/#template-components
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp interactive reply buttons message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} body - The body text (maximum 1024 characters).
+     * @param {Array<Object>} buttons - Up to 3 buttons as { id, title } (title maximum 20 characters).
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String|Object} [options.header] - The header text (maximum 60 characters) or a header object, e.g. { type: "image", image: { link } }.
+     * @param {String} [options.footer] - The footer text (maximum 60 characters).
+     * @param {String} [options.replyTo] - The ID of the message to reply to.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data returned in the status webhooks of the message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the message breaks Meta's limits) if an error occurs.
      */
-    async updateTemplate(templateId, category = "UTILITY", components = []) {
+    async sendButtons(to, body, buttons, options = {}) {
         try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, templateId)}`;
             const data = {
-                "category": category.toUpperCase(),
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "interactive",
+                "interactive": buildButtons(body, buttons, options)
             };
 
-            if (components.length > 0) {
-                data.components = components;
-            }
-
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
-
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Delete template in your meta whatsapp app.
-     * @param {String} name  Whatsapp message template name.
-     * @param {String} [templateId=""] Whatsapp message template id (Optional, Required if you wish to delete a template by ID).
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp interactive list message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} body - The body text (maximum 1024 characters).
+     * @param {String} buttonText - The text of the button opening the list (maximum 20 characters).
+     * @param {Array<Object>} sections - Up to 10 sections as { title, rows: [{ id, title, description }] }, with at most 10 rows in total (section and row titles maximum 24 characters, descriptions maximum 72 characters).
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String} [options.header] - The header text (maximum 60 characters).
+     * @param {String} [options.footer] - The footer text (maximum 60 characters).
+     * @param {String} [options.replyTo] - The ID of the message to reply to.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data returned in the status webhooks of the message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the message breaks Meta's limits) if an error occurs.
      */
-    async deleteTemplate(name, templateId = "") {
+    async sendList(to, body, buttonText, sections, options = {}) {
         try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, this.accountId)}/message_templates?${templateId ? `hsm_id=${templateId}&name=${name}` : `name=${name}`}`;
-
-            const response = await this.makeRequest(url, "DELETE", {
-                'Authorization': `Bearer ${this.accessToken}`
-            });
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "interactive",
+                "interactive": buildList(body, buttonText, sections, options)
+            };
 
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
 
     /**
-     * Validate whatsApp account users/contacts
-     * @param {Array of Strings} contacts  Array of phone numbers that you wish to Validate.
-     * @param {Boolean} [blocking=false]  Whether the request should wait for processing to complete or not before returning a response.
-     * @param {Boolean} [forceCheck=false]  Whether to check the contacts cache or not.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp interactive call-to-action URL button message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} body - The body text (maximum 1024 characters).
+     * @param {String} displayText - The text of the button (maximum 20 characters).
+     * @param {String} url - The URL opened when the button is tapped.
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String|Object} [options.header] - The header text (maximum 60 characters) or a header object, e.g. { type: "image", image: { link } }.
+     * @param {String} [options.footer] - The footer text (maximum 60 characters).
+     * @param {String} [options.replyTo] - The ID of the message to reply to.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data returned in the status webhooks of the message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the message breaks Meta's limits) if an error occurs.
      */
-    /*
-    async validateContacts(contacts, blocking = false, forceCheck = false) {
+    async sendCtaUrl(to, body, displayText, url, options = {}) {
         try {
-            const url = `${this.baseUrl.replace(this.phoneNumberId, "")}v1/contacts`;
             const data = {
-                "blocking": blocking ? "wait" : "no_wait",
-                "contacts": contacts,
-                "force_check": forceCheck,
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "interactive",
+                "interactive": buildCtaUrl(body, displayText, url, options)
             };
 
-            const response = await this.makeRequest(url, "POST", {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
-            }, JSON.stringify(data));
-
-            return await response.json();
+            return await this.sendPayload(data, options);
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
         }
     };
-    */
 
     /**
-     * 
-     * @param {Object} file - The file object to upload.
-     * @param {*} [fileOffset=0] - An integer that indicates the number of bytes that have been successfully uploaded Default 0.
-     * @returns {Promise<Object|null>} - A promise resolving to the response object if successful, or null if an error occurs.
+     * Send a Whatsapp interactive flow message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} body - The body text (maximum 1024 characters).
+     * @param {Object} flow - The flow to open: { id or name, cta, token, mode, action, screen, data, messageVersion }.
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String|Object} [options.header] - The header text (maximum 60 characters) or a header object, e.g. { type: "image", image: { link } }.
+     * @param {String} [options.footer] - The footer text (maximum 60 characters).
+     * @param {String} [options.replyTo] - The ID of the message to reply to.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data returned in the status webhooks of the message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the message breaks Meta's limits) if an error occurs.
      */
-    async resumableUpload(file, fileOffset = 0) {
+    async sendFlow(to, body, flow, options = {}) {
         try {
-            const sessionUrl = `${this.baseUrl.replace(this.phoneNumberId, this.appId)}/uploads?file_length=${file.size}&file_type=${file.mimetype}&access_token=${this.accessToken}`;
-            const sessionResponse = await this.makeRequest(sessionUrl, "POST");
-            const sessionResponseJson = await sessionResponse.json();
-            const sessionId = sessionResponseJson?.id;
-
-            if (!sessionId) {
-                return null;
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "interactive",
+                "interactive": buildFlow(body, flow, options)
+            };
+
+            return await this.sendPayload(data, options);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Send a Whatsapp interactive single product message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} catalogId - The ID of the catalog the product belongs to.
+     * @param {String} productRetailerId - The retailer ID (SKU) of the product.
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String} [options.body] - The body text (maximum 1024 characters).
+     * @param {String} [options.footer] - The footer text (maximum 60 characters).
+     * @param {String} [options.replyTo] - The ID of the message to reply to.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data returned in the status webhooks of the message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the message breaks Meta's limits) if an error occurs.
+     */
+    async sendProductMessage(to, catalogId, productRetailerId, options = {}) {
+        try {
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "interactive",
+                "interactive": buildProduct(catalogId, productRetailerId, options)
+            };
+
+            return await this.sendPayload(data, options);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Send a Whatsapp interactive multi-product message.
+     * @param {String} to - The recipient's phone number.
+     * @param {String} header - The header text (maximum 60 characters).
+     * @param {String} body - The body text (maximum 1024 characters).
+     * @param {String} catalogId - The ID of the catalog the products belong to.
+     * @param {Array<Object>} sections - Up to 10 sections as { title, products: [productRetailerId] }, with at most 30 products in total.
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String} [options.footer] - The footer text (maximum 60 characters).
+     * @param {String} [options.replyTo] - The ID of the message to reply to.
+     * @param {String} [options.bizOpaqueCallbackData] - Arbitrary data returned in the status webhooks of the message.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError (WhatsappValidationError if the message breaks Meta's limits) if an error occurs.
+     */
+    async sendProductList(to, header, body, catalogId, sections, options = {}) {
+        try {
+            const data = {
+                "messaging_product": "whatsapp",
+                "recipient_type": "individual",
+                "to": to,
+                "type": "interactive",
+                "interactive": buildProductList(header, body, catalogId, sections, options)
+            };
+
+            return await this.sendPayload(data, options);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Create a broadcast job sending a message to many recipients, with bounded concurrency, throughput pacing and per-recipient outcomes.
+     * Progress is checkpointed to a store, so a job started again with the same jobId (e.g. after a crash) never messages a recipient twice.
+     * The job is not started: attach listeners (start, progress, sent, failed, unknown, paused, resumed, cancelled, done) then call job.start().
+     * @param {Array<String|Object>} recipients - The recipients, as phone numbers or objects with a `to` field.
+     * @param {Function} messageFactory - Called as messageFactory(recipient, index), returns the promise of a send method call or a message payload without `to`.
+     * @param {Object} [options={}] - Broadcast options: jobId, concurrency, messagesPerSecond, store and checkpointTtl, see Broadcast (optional).
+     * @returns {Broadcast} - The broadcast job.
+     */
+    broadcast(recipients, messageFactory, options = {}) {
+        return new Broadcast(this, recipients, messageFactory, options);
+    };
+
+    /**
+     * Upload media to be used in Whatsapp messages.
+     * The MIME type is sniffed from the content (or the file name) when not given, and the size is checked against the limit of its media type before sending.
+     * @param {Buffer|Blob|Readable|String|Object} file - A Buffer, a Blob / File, a Readable stream, a file path, or a multer-style file object ({ path | buffer, originalname | filename, mimetype }).
+     * @param {Object} [options={}] - Upload options (optional).
+     * @param {String} [options.filename] - The file name sent to Meta.
+     * @param {String} [options.mimeType] - The MIME type of the file.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ id }) if successful, or a WhatsappApiError (WhatsappValidationError if the file type or size is not allowed) if an error occurs.
+     */
+    async uploadMedia(file, options = {}) {
+        try {
+            const url = `${this.baseUrl}/media`;
+            const upload = await resolveUpload(file, options);
+            const formData = new FormData();
+            formData.append('file', new Blob([upload.blob], { type: upload.mimeType }), upload.filename);
+            formData.append('type', upload.mimeType);
+            formData.append('messaging_product', 'whatsapp');
+
+            return await this.graphRequest(url, "POST", formData);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the temporary download URL and metadata of a media.
+     * @param {String} mediaId - The ID of the media.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the media metadata ({ url, mime_type, sha256, file_size, id }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getMediaUrl(mediaId) {
+        try {
+            const url = this.nodeUrl(mediaId);
+
+            return await this.graphRequest(url, "GET");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Download media from Whatsapp messages.
+     * @deprecated Use getMediaUrl, which this is an alias of, or downloadMediaContent to get the file itself.
+     * @param {String} mediaId - The ID of the media to download.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    async downloadMedia(mediaId) {
+        return await this.getMediaUrl(mediaId);
+    };
+
+    /**
+     * Download the content of a media.
+     * @param {String} mediaId - The ID of the media.
+     * @param {Object} [options={}] - Download options, defaults to returning a Buffer (optional).
+     * @param {String} [options.toFile] - Stream the content to this file path.
+     * @param {Boolean} [options.asStream=false] - Return the content as a Readable stream.
+     * @param {Boolean} [options.asBuffer=true] - Return the content as a Buffer.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to { mimeType, sha256, fileSize } plus `path`, `stream` or `buffer` if successful, or a WhatsappApiError if an error occurs.
+     */
+    async downloadMediaContent(mediaId, options = {}) {
+        try {
+            const media = await this.getMediaUrl(mediaId);
+
+            if (media instanceof WhatsappApiError) {
+                return media;
+            }
+
+            const response = await this.makeRequest(media.url, "GET", {
+                'Authorization': `Bearer ${await this.resolveAccessToken()}`,
+            });
+
+            if (!response.ok) {
+                throw WhatsappApiError.fromResponse(response.status, await response.text());
+            }
+
+            const result = {
+                "mimeType": media.mime_type,
+                "sha256": media.sha256,
+                "fileSize": media.file_size
+            };
+
+            if (options.toFile) {
+                await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(options.toFile));
+                result.path = options.toFile;
+            } else if (options.asStream) {
+                result.stream = Readable.fromWeb(response.body);
+            } else {
+                result.buffer = Buffer.from(await response.arrayBuffer());
+            }
+
+            return result;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Delete an uploaded media.
+     * @param {String} mediaId - The ID of the media to delete.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async deleteMedia(mediaId) {
+        try {
+            const url = this.nodeUrl(mediaId);
+
+            return await this.graphRequest(url, "DELETE");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Verify a Whatsapp webhook request.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {function} next - The next middleware function.
+     */
+    async verifyWebhook(req, res, next) {
+        try {
+            const hubMode = req.query['hub.mode'];
+            const hubVerifyToken = req.query['hub.verify_token'];
+            const hubChallenge = req.query['hub.challenge'];
+
+            if (hubMode == 'subscribe' && hubVerifyToken == this.webhookVerifyToken) {
+                res.status(200).send(hubChallenge);
+            } else {
+                res.sendStatus(400);
+            }
+        } catch (error) {
+            this.logger.error("whatsapp.webhook.verify.failed", { error });
+            res.status(500).json({ message: error.message });
+        }
+    };
+
+    /**
+     * Verify that a webhook notification was sent by Meta using its X-Hub-Signature-256 header.
+     * @param {String|Buffer} rawBody - The exact bytes of the request body, before JSON parsing.
+     * @param {String} signatureHeader - The value of the X-Hub-Signature-256 header.
+     * @returns {Boolean} - True if the signature is valid for this app secret.
+     */
+    verifyWebhookSignature(rawBody, signatureHeader) {
+        return verifyWebhookSignature(rawBody, signatureHeader, this.appSecret);
+    };
+
+    /**
+     * Verify the signature of a Whatsapp webhook notification, rejecting it with 401 if it is invalid.
+     * The raw body is read from `req.rawBody` (see `Whatsapp.captureRawBody`) or from `req.body` when it is a Buffer or string (e.g. `express.raw()`), in which case `req.body` is replaced by the parsed JSON.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {function} next - The next middleware function.
+     */
+    verifySignature(req, res, next) {
+        try {
+            const bodyIsRaw = Buffer.isBuffer(req.body) || typeof req.body === "string";
+            const rawBody = req.rawBody ?? (bodyIsRaw ? req.body : null);
+
+            if (!this.verifyWebhookSignature(rawBody, req.headers['x-hub-signature-256'])) {
+                return res.sendStatus(401);
+            }
+
+            if (bodyIsRaw) {
+                req.body = JSON.parse(req.body.toString());
+            }
+
+            next();
+        } catch (error) {
+            this.logger.error("whatsapp.webhook.signature.failed", { error });
+            res.status(error instanceof SyntaxError ? 400 : 500).json({ message: error.message });
+        }
+    };
+
+    /**
+     * Keep the raw request body on `req.rawBody`, for use as the `verify` option of `express.json()`.
+     * @param {Object} req - The request object.
+     * @param {Object} res - The response object.
+     * @param {Buffer} buffer - The raw request body.
+     */
+    static captureRawBody(req, res, buffer) {
+        req.rawBody = buffer;
+    };
+
+    /**
+     * Parse a Whatsapp webhook notification into normalized events.
+     * @param {Object|String|Buffer} body - The notification payload POSTed by Meta.
+     * @returns {Array<Object>} - The events found in the notification (message.*, status.*, template.*, etc.).
+     */
+    parseWebhook(body) {
+        return parseWebhook(body);
+    };
+
+    /**
+     * Parse a Whatsapp webhook notification and emit every event it contains.
+     * Each event is emitted under its own type (e.g. "message.text", "status.read"), under its category (e.g. "message", "status") and under "webhook".
+     * Inbound messages are recorded by the conversation tracker and statuses by the ledger, if any, before the events are emitted.
+     * @param {Object|String|Buffer} body - The notification payload POSTed by Meta.
+     * @returns {Array<Object>} - The emitted events.
+     */
+    processWebhook(body) {
+        return this.dispatchEvents(parseWebhook(body));
+    };
+
+    /**
+     * Emit parsed webhook events, see processWebhook. Used by ClientRegistry to hand each client the events of its phone number.
+     * @param {Array<Object>} events - The parsed webhook events.
+     * @returns {Array<Object>} - The emitted events.
+     */
+    dispatchEvents(events) {
+        if (this.conversationTracker) {
+            this.conversationTracker.track(events).catch((error) => this.conversationTracker.onError(error));
+        }
+
+        if (this.ledger) {
+            this.ledger.track(events).catch((error) => this.ledger.onError(error));
+        }
+
+        for (const event of events) {
+            const category = event.type.split(".")[0];
+
+            this.emit(event.type, event);
+
+            if (category !== event.type) {
+                this.emit(category, event);
+            }
+
+            this.emit("webhook", event);
+        }
+
+        return events;
+    };
+
+    /**
+     * Check whether free-form messages can be sent to a user, i.e. whether they messaged the business in the last 24 hours.
+     * Requires the conversationTracker option.
+     * @param {String} waId - The WhatsApp ID or phone number of the user.
+     * @returns {Promise<Boolean|WhatsappApiError>} - A promise resolving to true if the customer service window is open, or a WhatsappApiError if an error occurs.
+     */
+    async isWindowOpen(waId) {
+        try {
+            assertValid(this.conversationTracker ? [] : ["the conversationTracker option is required to track customer service windows"]);
+
+            return await this.conversationTracker.isWindowOpen(waId);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the record of a sent message: recipient, type, template, correlation ID (bizOpaqueCallbackData), status with the time each was reached, errors, pricing and conversation.
+     * Requires the ledger option.
+     * @param {String} messageId - The message ID (wamid) returned by a send method.
+     * @returns {Promise<Object|null|WhatsappApiError>} - A promise resolving to the record, or null if the message is unknown, or a WhatsappApiError if an error occurs.
+     */
+    async getMessageStatus(messageId) {
+        try {
+            assertValid(this.ledger ? [] : ["the ledger option is required to track message statuses"]);
+
+            return await this.ledger.getMessageStatus(messageId);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Wait until a sent message reaches a status, or a later one (e.g. read when waiting for delivered). Requires the ledger option.
+     * @param {String} messageId - The message ID (wamid) returned by a send method.
+     * @param {String} [status="delivered"] - The status to wait for: sent, delivered, read or failed (optional).
+     * @param {Object} [options={}] - Wait options (optional).
+     * @param {Number} [options.timeout=60000] - Milliseconds after which the wait fails, 0 to wait forever.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the message record, or a WhatsappApiError if the message failed, the status was not reached in time, or an error occurs.
+     */
+    async waitForStatus(messageId, status = "delivered", options = {}) {
+        try {
+            assertValid([
+                ...(this.ledger ? [] : ["the ledger option is required to track message statuses"]),
+                ...(["sent", "delivered", "read", "failed"].includes(status) ? [] : ["status must be one of: sent, delivered, read, failed"])
+            ]);
+
+            return await this.ledger.waitForStatus(messageId, status, options);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the delivery statistics of the templates sent through the ledger: counts and delivery, read and failure rates. Requires the ledger option.
+     * @param {String} [name] - The template name, every template when omitted (optional).
+     * @param {String} [language] - The template language, every language when omitted (optional).
+     * @returns {Promise<Array<Object>|WhatsappApiError>} - A promise resolving to the statistics of each template and language
+     * ({ name, language, total, sent, delivered, read, failed, deliveryRate, readRate, failureRate }), or a WhatsappApiError if an error occurs.
+     */
+    async getTemplateStats(name, language) {
+        try {
+            assertValid(this.ledger ? [] : ["the ledger option is required to track message statuses"]);
+
+            return await this.ledger.getTemplateStats(name, language);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Receive a Whatsapp webhook notification and emit its events.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     */
+    async receiveWebhook(req, res) {
+        try {
+            this.processWebhook(req.body);
+            res.sendStatus(200);
+        } catch (error) {
+            this.logger.error("whatsapp.webhook.receive.failed", { error });
+            res.status(500).json({ message: error.message });
+        }
+    };
+
+    /**
+     * Register template in your meta whatsapp app.
+     * @param {String|Object} name  Template name, or a complete registration payload such as the one returned by TemplateBuilder.build() (the other parameters are then ignored) (Maximum 512 characters. naming convention should be only in lowercase and underscore).
+     * @param {Array<Object>} components  Components that make up the template. Reffer : https://developers.facebook.com/docs/whatsapp/business-management-api/message-templates/#template-components
+     * @param {String} [category="UTILITY"]  Template category (Allowed values : UTILITY, MARKETING, AUTHENTICATION).
+     * @param {Boolean} [allowCategoryChange=false]  Set to true to allow META to automatically assign a category.
+     * @param {String} [language="en_US"]  Template language code.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    async registerTemplate(name, components, category = "UTILITY", allowCategoryChange = false, language = "en_US") {
+        try {
+            const url = `${this.nodeUrl(this.accountId)}/message_templates`;
+            const data = (name && typeof name === "object") ? { ...name } : {
+                "name": name,
+                "category": category.toUpperCase(),
+                "allow_category_change": allowCategoryChange,
+                "language": language,
+                "components": components
+            };
+
+            return await this.graphRequest(url, "POST", data);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get a list of templates owned by the WhatsApp Business Account.
+     * @param {String} [query=""]  Filter templates by field, (Example : status=REJECTED).
+     * @param {String} [fields="name,status"]  List of template fields you want returned.
+     * @param {Number} [limit=0]  The maximum number of templates you want returned in each page of results.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getTemplates(query = "", fields = "name,status", limit = 0) {
+        try {
+            const params = new URLSearchParams({ "fields": fields });
+
+            new URLSearchParams(query).forEach((value, key) => params.append(key, value));
+
+            if (limit) {
+                params.set("limit", String(limit));
+            }
+
+            const url = `${this.nodeUrl(this.accountId)}/message_templates?${params}`;
+
+            return await this.graphRequest(url, "GET");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Iterate over every template owned by the WhatsApp Business Account, following the pagination cursors.
+     * Unlike the other methods, failures are always thrown, whatever the error mode.
+     * @param {Object} [filters={}] - Template filters (optional).
+     * @param {String} [filters.status] - Only templates with this status (APPROVED, PENDING, REJECTED, etc.).
+     * @param {String} [filters.category] - Only templates of this category (UTILITY, MARKETING, AUTHENTICATION).
+     * @param {String} [filters.language] - Only templates in this language.
+     * @param {String} [filters.name] - Only templates whose name contains this value.
+     * @param {String} [filters.fields="id,name,language,status,category,components,parameter_format"] - The template fields to return.
+     * @param {Number} [filters.limit] - The number of templates fetched per page.
+     * @returns {AsyncGenerator<Object>} - An async iterator of templates.
+     * @throws {WhatsappApiError} - If a page could not be fetched.
+     */
+    async *listTemplates(filters = {}) {
+        const { fields = "id,name,language,status,category,components,parameter_format", limit, ...query } = filters;
+        const params = new URLSearchParams({ "fields": fields });
+
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null && value !== "") {
+                params.set(key, String(value));
+            }
+        }
+
+        if (limit) {
+            params.set("limit", String(limit));
+        }
+
+        const url = `${this.nodeUrl(this.accountId)}/message_templates`;
+        let after = null;
+
+        do {
+            if (after) {
+                params.set("after", after);
+            }
+
+            const page = await this.graphRequest(`${url}?${params}`, "GET");
+
+            for (const template of page.data || []) {
+                yield template;
+            }
+
+            after = page.paging?.next ? page.paging?.cursors?.after : null;
+        } while (after);
+    };
+
+    /**
+     * Find a template by its exact name.
+     * @param {String} name - The template name.
+     * @param {String} [language=""] - The template language, the first language variant found is returned when omitted (optional).
+     * @returns {Promise<Object|null|WhatsappApiError>} - A promise resolving to the template, or null if there is no such template, or a WhatsappApiError if an error occurs.
+     */
+    async getTemplateByName(name, language = "") {
+        try {
+            for await (const template of this.listTemplates({ name, language })) {
+                if (template.name === name && (!language || template.language === language)) {
+                    return template;
+                }
+            }
+
+            return null;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the templates owned by the WhatsApp Business Account grouped by name, with one entry per language variant.
+     * @param {Object} [filters={}] - Template filters, see listTemplates (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to { [name]: { [language]: template } } if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getTemplateGroups(filters = {}) {
+        try {
+            const groups = {};
+
+            for await (const template of this.listTemplates(filters)) {
+                groups[template.name] = groups[template.name] || {};
+                groups[template.name][template.language] = template;
+            }
+
+            return groups;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Reconcile the templates of the WhatsApp Business Account with local definitions: register missing templates, update changed ones and optionally delete the ones not defined locally.
+     * Templates are matched by name and language, and compared on category and components.
+     * @param {Array<Object|TemplateBuilder>} localDefinitions - The template registration payloads, or TemplateBuilder instances.
+     * @param {Object} [options={}] - Sync options (optional).
+     * @param {Boolean} [options.dryRun=false] - Only compute the plan, without changing anything.
+     * @param {Boolean} [options.deleteMissing=false] - Delete account templates that have no local definition.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to { dryRun, created, updated, deleted, unchanged, failed } (lists of { name, language, id, error }) if the account could be read, or a WhatsappApiError if an error occurs.
+     */
+    async syncTemplates(localDefinitions, options = {}) {
+        try {
+            const { dryRun = false, deleteMissing = false } = options;
+            const local = localDefinitions.map((definition) => (definition instanceof TemplateBuilder ? definition.build() : definition));
+            const remote = [];
+
+            for await (const template of this.listTemplates()) {
+                remote.push(template);
+            }
+
+            const plan = planTemplateSync(local, remote, { deleteMissing });
+            const summary = (item, extra = {}) => ({ "name": item.name, "language": item.language, "id": item.id, ...extra });
+            const result = {
+                "dryRun": dryRun,
+                "created": [],
+                "updated": [],
+                "deleted": [],
+                "unchanged": plan.unchanged.map((item) => summary(item)),
+                "failed": []
+            };
+            const actions = [
+                ["created", plan.create, (item) => this.registerTemplate(item.definition)],
+                ["updated", plan.update, (item) => this.updateTemplate(item.id, item.definition.category, item.definition.components)],
+                ["deleted", plan.delete, (item) => this.deleteTemplate(item.name, item.id)],
+            ];
+
+            for (const [outcome, items, action] of actions) {
+                for (const item of items) {
+                    if (dryRun) {
+                        result[outcome].push(summary(item));
+                        continue;
+                    }
+
+                    try {
+                        const response = await action(item);
+
+                        if (response instanceof WhatsappApiError) {
+                            throw response;
+                        }
+
+                        result[outcome].push(summary(item, { "id": response?.id ?? item.id }));
+                    } catch (error) {
+                        result.failed.push(summary(item, { "action": outcome, "error": error }));
+                    }
+                }
             }
 
-            const uploadUrl = `${this.baseUrl.replace(this.phoneNumberId, sessionId)}`;
-            const formData = new FormData();
-            formData.append('file', fs.readFileSync(path.resolve(file.path)).toString("utf8"));
+            return result;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get a particular template information owned by the WhatsApp Business Account.
+     * @param {String} templateId Whatsapp message template id.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getTemplateInfo(templateId) {
+        try {
+            const url = this.nodeUrl(templateId);
+
+            return await this.graphRequest(url, "GET");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
 
-            const uploadResponse = await this.makeRequest(uploadUrl, "POST", {
-                'Authorization': `OAuth ${this.accessToken}`,
-                'file_offset': fileOffset,
-                'Content-Type': 'application/x-www-form-urlencoded',
-            }, formData);
+    /**
+     * Check the parameters of a sendTemplate call against the template definition, without sending anything.
+     * @param {String|Object} template - The template ID (its definition is fetched like getTemplateInfo does) or the template definition.
+     * @param {Array} [header=[]] - The header parameters, as passed to sendTemplate (optional).
+     * @param {Array} [body=[]] - The body parameters, as passed to sendTemplate (optional).
+     * @param {Array} [buttons=[]] - The button components, as passed to sendTemplate (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to { valid, errors } if the template could be checked, or a WhatsappApiError if an error occurs.
+     */
+    async validateTemplateSend(template, header = [], body = [], buttons = []) {
+        try {
+            const errors = validateTemplateSend(await this.resolveTemplateDefinition(template), header, body, buttons);
 
-            return await uploadResponse.json();
+            return { "valid": errors.length === 0, "errors": errors };
         } catch (error) {
-            console.error(error);
-            return null;
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get a template definition from its ID, or pass a definition through.
+     * @param {String|Object} template - The template ID or definition.
+     * @returns {Promise<Object>} - A promise resolving to the template definition.
+     * @throws {WhatsappApiError} - If the template could not be fetched.
+     */
+    async resolveTemplateDefinition(template) {
+        if (template && typeof template === "object") {
+            return template;
+        }
+
+        return await this.graphRequest(this.nodeUrl(template), "GET");
+    };
+
+    /**
+     * Update template in your meta whatsapp app.
+     * @param {String} templateId Whatsapp message template id.
+     * @param {String} [category="UTILITY"]  Template category (Allowed values : UTILITY, MARKETING, AUTHENTICATION).
+     * @param {Array<Object>} [components=[]]  Components that make up the template. Reffer : https://developers.facebook.com/docs/whatsapp/business-management-api/message-templates/#template-components
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    async updateTemplate(templateId, category = "UTILITY", components = []) {
+        try {
+            const url = this.nodeUrl(templateId);
+            const data = {
+                "category": category.toUpperCase(),
+            };
+
+            if (components.length > 0) {
+                data.components = components;
+            }
+
+            return await this.graphRequest(url, "POST", data);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Delete template in your meta whatsapp app.
+     * @param {String} name  Whatsapp message template name.
+     * @param {String} [templateId=""] Whatsapp message template id (Optional, Required if you wish to delete a template by ID).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    async deleteTemplate(name, templateId = "") {
+        try {
+            const params = new URLSearchParams(templateId ? { "hsm_id": templateId, "name": name } : { "name": name });
+            const url = `${this.nodeUrl(this.accountId)}/message_templates?${params}`;
+
+            return await this.graphRequest(url, "DELETE");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Validate whatsApp account users/contacts
+     * @param {Array<String>} contacts  Array of phone numbers that you wish to Validate.
+     * @param {Boolean} [blocking=false]  Whether the request should wait for processing to complete or not before returning a response.
+     * @param {Boolean} [forceCheck=false]  Whether to check the contacts cache or not.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object if successful, or a WhatsappApiError if an error occurs.
+     */
+    /*
+    async validateContacts(contacts, blocking = false, forceCheck = false) {
+        try {
+            const url = `${this.nodeUrl("v1")}/contacts`;
+            const data = {
+                "blocking": blocking ? "wait" : "no_wait",
+                "contacts": contacts,
+                "force_check": forceCheck,
+            };
+
+            return await this.graphRequest(url, "POST", data);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+    */
+
+    /**
+     * Create a Resumable Upload session, used to upload files for template header examples and business profile pictures.
+     * @param {Number} fileLength - The size of the file in bytes.
+     * @param {String} fileType - The MIME type of the file (application/pdf, image/jpeg, image/jpg, image/png or video/mp4).
+     * @param {String} [fileName=""] - The name of the file (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the session ({ id }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async createUploadSession(fileLength, fileType, fileName = "") {
+        try {
+            return await this.graphRequest(this.uploadSessionUrl(fileLength, fileType, fileName), "POST");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the status of a Resumable Upload session, to find the offset an interrupted upload should resume from.
+     * @param {String} sessionId - The upload session ID ("upload:...").
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the session status ({ id, file_offset }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getUploadSession(sessionId) {
+        try {
+            const url = this.nodeUrl(sessionId);
+
+            return await this.graphRequest(url, "GET", null, {}, { authScheme: "OAuth" });
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Upload a chunk of raw bytes to a Resumable Upload session.
+     * @param {String} sessionId - The upload session ID ("upload:...").
+     * @param {Buffer} chunk - The bytes to upload.
+     * @param {Number} [fileOffset=0] - The position of the chunk in the file (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ h } once the file is complete) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async uploadChunk(sessionId, chunk, fileOffset = 0) {
+        try {
+            const url = this.nodeUrl(sessionId);
+
+            return await this.graphRequest(url, "POST", chunk, {
+                'file_offset': String(fileOffset),
+            }, { authScheme: "OAuth" });
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Upload a file through the Resumable Upload API, in chunks, resuming from the session offset after a failed chunk.
+     * Pass the sessionId of an interrupted upload to resume it.
+     * @param {Buffer|Blob|String|Object} file - A Buffer, a Blob / File, a file path, or a multer-style file object ({ path | buffer, originalname, mimetype }).
+     * @param {Object|Number} [options={}] - Upload options, or the file offset to start from (optional).
+     * @param {Number} [options.chunkSize=4194304] - The number of bytes sent per request.
+     * @param {String} [options.sessionId] - The session of an interrupted upload to resume, its offset is queried unless fileOffset is given.
+     * @param {Number} [options.fileOffset] - The offset to start uploading from.
+     * @param {Number} [options.maxChunkAttempts=3] - The number of times a failing chunk is resumed before giving up.
+     * @param {function} [options.onProgress] - Called after each chunk with { sessionId, uploaded, total }.
+     * @param {String} [options.filename] - The file name sent to Meta.
+     * @param {String} [options.mimeType] - The MIME type of the file, sniffed from the content when omitted.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to { h, sessionId, fileLength } if successful, h being the file handle to use in template header examples, or a WhatsappApiError if an error occurs. The error carries the sessionId, to resume the upload later.
+     */
+    async resumableUpload(file, options = {}) {
+        const settings = typeof options === "number" ? { fileOffset: options } : options;
+        const { chunkSize = 4 * 1024 * 1024, maxChunkAttempts = 3, onProgress } = settings;
+        let sessionId = settings.sessionId;
+
+        try {
+            const upload = await openUploadSource(file, settings);
+            const errors = [];
+
+            if (!RESUMABLE_UPLOAD_MIME_TYPES.includes(upload.mimeType)) {
+                errors.push(`unsupported resumable upload MIME type: ${upload.mimeType || "unknown"}, allowed: ${RESUMABLE_UPLOAD_MIME_TYPES.join(", ")}`);
+            }
+
+            if (!this.appId) {
+                errors.push("appId is required to use the Resumable Upload API");
+            }
+
+            assertValid(errors);
+
+            if (!sessionId) {
+                sessionId = (await this.graphRequest(this.uploadSessionUrl(upload.size, upload.mimeType, upload.filename), "POST")).id;
+            }
+
+            const sessionUrl = this.nodeUrl(sessionId);
+            const oauth = { authScheme: "OAuth" };
+            let offset = settings.fileOffset;
+            let failures = 0;
+
+            if (offset === undefined) {
+                offset = settings.sessionId ? Number((await this.graphRequest(sessionUrl, "GET", null, {}, oauth)).file_offset) : 0;
+            }
+
+            while (true) {
+                const end = Math.min(offset + chunkSize, upload.size);
+                const chunk = Buffer.from(await upload.blob.slice(offset, end).arrayBuffer());
+                let result;
+
+                try {
+                    result = await this.graphRequest(sessionUrl, "POST", chunk, { 'file_offset': String(offset) }, oauth);
+                } catch (error) {
+                    if (++failures >= maxChunkAttempts) {
+                        throw error;
+                    }
+
+                    offset = Number((await this.graphRequest(sessionUrl, "GET", null, {}, oauth)).file_offset);
+                    continue;
+                }
+
+                failures = 0;
+                offset = end;
+
+                if (onProgress) {
+                    onProgress({ sessionId, uploaded: offset, total: upload.size });
+                }
+
+                if (offset >= upload.size) {
+                    if (!result.h) {
+                        throw new WhatsappApiError("Upload completed without a file handle", { category: ERROR_CATEGORIES.UNKNOWN });
+                    }
+
+                    return { h: result.h, sessionId, fileLength: upload.size };
+                }
+            }
+        } catch (error) {
+            const apiError = error instanceof WhatsappApiError ? error : WhatsappApiError.fromException(error);
+
+            apiError.sessionId = sessionId || null;
+
+            return this.handleError(apiError);
+        }
+    };
+
+    /**
+     * Build the URL creating a Resumable Upload session.
+     * @param {Number} fileLength - The size of the file in bytes.
+     * @param {String} fileType - The MIME type of the file.
+     * @param {String} [fileName=""] - The name of the file (optional).
+     * @returns {String} - The URL.
+     */
+    uploadSessionUrl(fileLength, fileType, fileName = "") {
+        const params = new URLSearchParams({ "file_length": String(fileLength), "file_type": fileType });
+
+        if (fileName) {
+            params.set("file_name", fileName);
+        }
+
+        return `${this.nodeUrl(this.appId)}/uploads?${params}`;
+    };
+
+    /**
+     * List the phone numbers of the WhatsApp Business Account, with their quality rating and messaging limit tier.
+     * @param {Array<String>|String} [fields=PHONE_NUMBER_FIELDS] - The fields to return (optional).
+     * @returns {Promise<Array<Object>|WhatsappApiError>} - A promise resolving to every phone number of the account if successful, or a WhatsappApiError if an error occurs.
+     */
+    async listPhoneNumbers(fields = PHONE_NUMBER_FIELDS) {
+        try {
+            const params = new URLSearchParams({ "fields": [].concat(fields).join(",") });
+            const url = `${this.nodeUrl(this.accountId)}/phone_numbers`;
+            const phoneNumbers = [];
+            let after = null;
+
+            do {
+                if (after) {
+                    params.set("after", after);
+                }
+
+                const page = await this.graphRequest(`${url}?${params}`, "GET");
+
+                phoneNumbers.push(...(page.data || []));
+                after = page.paging?.next ? page.paging?.cursors?.after : null;
+            } while (after);
+
+            return phoneNumbers;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get a phone number, with its quality rating and messaging limit tier.
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @param {Array<String>|String} [fields=PHONE_NUMBER_FIELDS] - The fields to return (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the phone number if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getPhoneNumber(phoneNumberId = this.phoneNumberId, fields = PHONE_NUMBER_FIELDS) {
+        try {
+            const params = new URLSearchParams({ "fields": [].concat(fields).join(",") });
+
+            return await this.graphRequest(`${this.nodeUrl(phoneNumberId)}?${params}`, "GET");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Request the verification code of a phone number, sent by SMS or voice call.
+     * @param {String} [codeMethod="SMS"] - SMS or VOICE (optional).
+     * @param {String} [language="en_US"] - The language of the message or call (optional).
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async requestVerificationCode(codeMethod = "SMS", language = "en_US", phoneNumberId = this.phoneNumberId) {
+        try {
+            assertValid(["SMS", "VOICE"].includes(codeMethod) ? [] : ["codeMethod must be SMS or VOICE"]);
+
+            return await this.graphRequest(`${this.nodeUrl(phoneNumberId)}/request_code`, "POST", { "code_method": codeMethod, "language": language });
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Verify a phone number with the code received after requestVerificationCode.
+     * @param {String} code - The verification code.
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async verifyCode(code, phoneNumberId = this.phoneNumberId) {
+        try {
+            assertValid(/^\d+$/.test(String(code ?? "")) ? [] : ["code must be the numeric verification code"]);
+
+            return await this.graphRequest(`${this.nodeUrl(phoneNumberId)}/verify_code`, "POST", { "code": String(code) });
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Register a verified phone number for use with the Cloud API, setting its two-step verification PIN.
+     * @param {String} pin - The 6-digit two-step verification PIN (the existing PIN if two-step verification is already enabled).
+     * @param {Object} [options={}] - Registration options (optional).
+     * @param {String} [options.phoneNumberId=this.phoneNumberId] - The phone number ID.
+     * @param {String} [options.dataLocalizationRegion] - The country code where message data is stored at rest (local storage).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async registerPhoneNumber(pin, options = {}) {
+        try {
+            const { phoneNumberId = this.phoneNumberId, dataLocalizationRegion } = options;
+            const data = { "messaging_product": "whatsapp", "pin": String(pin) };
+
+            checkPin(pin);
+
+            if (dataLocalizationRegion) {
+                data.data_localization_region = dataLocalizationRegion;
+            }
+
+            return await this.graphRequest(`${this.nodeUrl(phoneNumberId)}/register`, "POST", data);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Deregister a phone number from the Cloud API.
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async deregisterPhoneNumber(phoneNumberId = this.phoneNumberId) {
+        try {
+            return await this.graphRequest(`${this.nodeUrl(phoneNumberId)}/deregister`, "POST");
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Set or change the two-step verification PIN of a registered phone number.
+     * @param {String} pin - The new 6-digit PIN.
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async setTwoStepPin(pin, phoneNumberId = this.phoneNumberId) {
+        try {
+            checkPin(pin);
+
+            return await this.graphRequest(this.nodeUrl(phoneNumberId), "POST", { "pin": String(pin) });
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the WhatsApp Business profile of a phone number.
+     * @param {Array<String>|String} [fields=BUSINESS_PROFILE_FIELDS] - The fields to return (optional).
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the profile ({ about, address, description, email, profile_picture_url, websites, vertical }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getBusinessProfile(fields = BUSINESS_PROFILE_FIELDS, phoneNumberId = this.phoneNumberId) {
+        try {
+            const params = new URLSearchParams({ "fields": [].concat(fields).join(",") });
+            const response = await this.graphRequest(`${this.nodeUrl(phoneNumberId)}/whatsapp_business_profile?${params}`, "GET");
+
+            return response.data?.[0] ?? response;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Update the WhatsApp Business profile of a phone number. Only the given fields are changed.
+     * A profile picture file is uploaded through the Resumable Upload API (appId required), a handle from a previous resumableUpload can be given instead.
+     * @param {Object} profile - The profile fields.
+     * @param {String} [profile.about] - The about text (maximum 139 characters).
+     * @param {String} [profile.address] - The address (maximum 256 characters).
+     * @param {String} [profile.description] - The description (maximum 512 characters).
+     * @param {String} [profile.email] - The contact email (maximum 128 characters).
+     * @param {Array<String>} [profile.websites] - Up to 2 website URLs.
+     * @param {String} [profile.vertical] - The industry, one of BUSINESS_VERTICALS.
+     * @param {String} [profile.profilePictureHandle] - The handle of an uploaded profile picture.
+     * @param {Buffer|Blob|String|Object} [profile.profilePicture] - A profile picture file (JPEG or PNG) to upload.
+     * @param {String} [phoneNumberId=this.phoneNumberId] - The phone number ID (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the response object ({ success }) if successful, or a WhatsappApiError (WhatsappValidationError if a field breaks Meta's rules) if an error occurs.
+     */
+    async updateBusinessProfile(profile, phoneNumberId = this.phoneNumberId) {
+        try {
+            const { profilePicture, ...fields } = profile || {};
+            const data = buildBusinessProfile(fields);
+
+            if (profilePicture) {
+                const upload = await this.resumableUpload(profilePicture);
+
+                if (upload instanceof WhatsappApiError) {
+                    throw upload;
+                }
+
+                data.profile_picture_handle = upload.h;
+            }
+
+            return await this.graphRequest(`${this.nodeUrl(phoneNumberId)}/whatsapp_business_profile`, "POST", data);
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the number of messages sent and delivered by the phone numbers of the WhatsApp Business Account.
+     * @param {Object} query - The query.
+     * @param {Date|Number|String} query.start - The start of the range (a Date, a unix timestamp in seconds or a date string).
+     * @param {Date|Number|String} query.end - The end of the range.
+     * @param {String} [query.granularity="DAY"] - HALF_HOUR, DAY or MONTH.
+     * @param {Array<String>} [query.phoneNumbers] - The display phone numbers to include, all when omitted.
+     * @param {Array<String>} [query.countryCodes] - The recipient country codes to include, all when omitted.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the analytics ({ phone_numbers, granularity, data_points: [{ start, end, sent, delivered }] }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getMessagingAnalytics({ start, end, granularity = "DAY", phoneNumbers, countryCodes } = {}) {
+        try {
+            const range = checkRange("analytics", { start, end, granularity });
+            const fields = fieldExpression("analytics", { ...range, "granularity": granularity, "phone_numbers": phoneNumbers, "country_codes": countryCodes });
+            const response = await this.graphRequest(`${this.nodeUrl(this.accountId)}?${new URLSearchParams({ fields })}`, "GET");
+
+            return response.analytics ?? response;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the conversations and their cost for the WhatsApp Business Account.
+     * @param {Object} query - The query.
+     * @param {Date|Number|String} query.start - The start of the range (a Date, a unix timestamp in seconds or a date string).
+     * @param {Date|Number|String} query.end - The end of the range.
+     * @param {String} [query.granularity="DAILY"] - HALF_HOUR, DAILY or MONTHLY.
+     * @param {Array<String>} [query.phoneNumbers] - The phone numbers to include, all when omitted.
+     * @param {Array<String>} [query.metricTypes] - COST and/or CONVERSATION.
+     * @param {Array<String>} [query.conversationCategories] - e.g. MARKETING, UTILITY, AUTHENTICATION, SERVICE.
+     * @param {Array<String>} [query.conversationTypes] - e.g. REGULAR, FREE_ENTRY_POINT, FREE_TIER.
+     * @param {Array<String>} [query.conversationDirections] - BUSINESS_INITIATED and/or USER_INITIATED.
+     * @param {Array<String>} [query.dimensions] - The dimensions to break the data points down by, e.g. CONVERSATION_CATEGORY, COUNTRY, PHONE.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the conversation analytics ({ data: [{ data_points }] }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getConversationAnalytics({ start, end, granularity = "DAILY", phoneNumbers, metricTypes, conversationCategories, conversationTypes, conversationDirections, dimensions } = {}) {
+        try {
+            const range = checkRange("conversation_analytics", { start, end, granularity });
+            const fields = fieldExpression("conversation_analytics", {
+                ...range,
+                "granularity": granularity,
+                "phone_numbers": phoneNumbers,
+                "metric_types": metricTypes,
+                "conversation_categories": conversationCategories,
+                "conversation_types": conversationTypes,
+                "conversation_directions": conversationDirections,
+                "dimensions": dimensions
+            });
+            const response = await this.graphRequest(`${this.nodeUrl(this.accountId)}?${new URLSearchParams({ fields })}`, "GET");
+
+            return response.conversation_analytics ?? response;
+        } catch (error) {
+            return this.handleError(error);
+        }
+    };
+
+    /**
+     * Get the sent, delivered, read and clicked counts of message templates, as computed by Meta. Template analytics must be enabled on the account.
+     * @param {Object} query - The query.
+     * @param {Array<String>|String} query.templateIds - The IDs of the templates (maximum 10).
+     * @param {Date|Number|String} query.start - The start of the range (a Date, a unix timestamp in seconds or a date string).
+     * @param {Date|Number|String} query.end - The end of the range.
+     * @param {String} [query.granularity="DAILY"] - DAILY.
+     * @param {Array<String>} [query.metricTypes] - SENT, DELIVERED, READ, CLICKED and/or COST, all when omitted.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the template analytics ({ data: [{ granularity, data_points: [{ template_id, start, end, sent, delivered, read, clicked }] }], paging }) if successful, or a WhatsappApiError if an error occurs.
+     */
+    async getTemplateAnalytics({ templateIds, start, end, granularity = "DAILY", metricTypes } = {}) {
+        try {
+            const ids = [].concat(templateIds ?? []).map(String);
+
+            assertValid(ids.length > 0 && ids.length <= 10 ? [] : ["templateIds must list 1 to 10 template IDs"]);
+
+            const range = checkRange("template_analytics", { start, end, granularity });
+            const params = new URLSearchParams({ "start": range.start, "end": range.end, "granularity": granularity, "template_ids": JSON.stringify(ids) });
+
+            if (metricTypes?.length) {
+                params.set("metric_types", JSON.stringify(metricTypes));
+            }
+
+            return await this.graphRequest(`${this.nodeUrl(this.accountId)}/template_analytics?${params}`, "GET");
+        } catch (error) {
+            return this.handleError(error);
         }
     };
 };
 
 
-module.exports = Whatsapp;
\ No newline at end of file
+module.exports = Whatsapp;
+module.exports.createWebhookSignature = createWebhookSignature;
+module.exports.WhatsappApiError = WhatsappApiError;
+module.exports.WhatsappValidationError = WhatsappValidationError;
+module.exports.ERROR_CATEGORIES = ERROR_CATEGORIES;
+module.exports.RateLimiter = RateLimiter;
+module.exports.INTERACTIVE_LIMITS = INTERACTIVE_LIMITS;
+module.exports.MEDIA_TYPES = MEDIA_TYPES;
+module.exports.TEMPLATE_LIMITS = TEMPLATE_LIMITS;
+module.exports.TemplateBuilder = TemplateBuilder;
+module.exports.validateTemplateDefinition = validateTemplateDefinition;
+module.exports.Broadcast = Broadcast;
+module.exports.BROADCAST_STATUSES = BROADCAST_STATUSES;
+module.exports.MemoryStore = MemoryStore;
+module.exports.MockServer = MockServer;
+module.exports.WebhookSimulator = WebhookSimulator;
+module.exports.MOCK_ERRORS = MOCK_ERRORS;
+module.exports.ConversationTracker = ConversationTracker;
+module.exports.CUSTOMER_SERVICE_WINDOW = CUSTOMER_SERVICE_WINDOW;
+module.exports.PROFILE_LIMITS = PROFILE_LIMITS;
+module.exports.BUSINESS_VERTICALS = BUSINESS_VERTICALS;
+module.exports.cachedTokenProvider = cachedTokenProvider;
+module.exports.ClientRegistry = ClientRegistry;
+module.exports.BotRouter = BotRouter;
+module.exports.BotContext = BotContext;
+module.exports.MessageLedger = MessageLedger;
+module.exports.MESSAGE_STATUSES = MESSAGE_STATUSES;
+module.exports.ANALYTICS_GRANULARITIES = ANALYTICS_GRANULARITIES;
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { assertValid } = require('./validation');
+
+/**
+ * Granularities accepted by each analytics endpoint.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/business-management-api/analytics
+ */
+const ANALYTICS_GRANULARITIES = {
+    "analytics": ["HALF_HOUR", "DAY", "MONTH"],
+    "conversation_analytics": ["HALF_HOUR", "DAILY", "MONTHLY"],
+    "template_analytics": ["DAILY"],
+};
+
+/**
+ * Convert a date to the unix timestamp (in seconds) expected by the analytics endpoints.
+ * @param {Date|Number|String} value - A Date, a unix timestamp in seconds, or a date string.
+ * @returns {Number|null} - The timestamp, or null if the value is not a date.
+ */
+function toUnixTime(value) {
+    if (typeof value === "number") {
+        return Math.floor(value);
+    }
+
+    const time = new Date(value).getTime();
+
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+/**
+ * Check the time range and granularity of an analytics query.
+ * @param {String} metric - The analytics endpoint, one of ANALYTICS_GRANULARITIES.
+ * @param {Object} query - The query as { start, end, granularity }.
+ * @returns {Object} - The range as { start, end } unix timestamps.
+ * @throws {WhatsappValidationError} - If the range or granularity is invalid.
+ */
+function checkRange(metric, { start, end, granularity }) {
+    const errors = [];
+    const range = { "start": toUnixTime(start), "end": toUnixTime(end) };
+
+    if (range.start === null || range.end === null) {
+        errors.push("start and end must be dates or unix timestamps");
+    } else if (range.start >= range.end) {
+        errors.push("start must be before end");
+    }
+
+    if (!ANALYTICS_GRANULARITIES[metric].includes(granularity)) {
+        errors.push(`granularity must be one of: ${ANALYTICS_GRANULARITIES[metric].join(", ")}`);
+    }
+
+    assertValid(errors);
+    return range;
+};
+
+/**
+ * Build a Graph API field expansion such as analytics.start(1).end(2).granularity(DAY).phone_numbers(["1"]).
+ * Parameters that are undefined or empty lists are left out.
+ * @param {String} field - The field.
+ * @param {Object} params - The parameters, lists are written as JSON arrays.
+ * @returns {String} - The field expression.
+ */
+function fieldExpression(field, params) {
+    const parts = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+        .map(([name, value]) => `.${name}(${Array.isArray(value) ? JSON.stringify(value) : value})`);
+
+    return `${field}${parts.join("")}`;
+};
+
+
+module.exports = { ANALYTICS_GRANULARITIES, toUnixTime, checkRange, fieldExpression };
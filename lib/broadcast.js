@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WhatsappApiError, ERROR_CATEGORIES } = require('./errors');
+const { TokenBucket } = require('./rate-limiter');
+const { MemoryStore } = require('./memory-store');
+
+/**
+ * Outcome statuses of a broadcast recipient.
+ * SENT and FAILED are final. UNKNOWN is given to recipients whose send was in flight when a previous run of the job stopped:
+ * the message may or may not have been accepted by Meta, so it is never sent again.
+ */
+const BROADCAST_STATUSES = {
+    IN_FLIGHT: "in_flight",
+    SENT: "sent",
+    FAILED: "failed",
+    UNKNOWN: "unknown",
+};
+
+/**
+ * Error categories of the failures sent again on resume, by retryFailed mode.
+ * Throttled failures were rejected before Meta processed them. Transient ones also include server errors, network errors and timeouts,
+ * which may come after the message was accepted.
+ */
+const RETRYABLE_FAILURES = {
+    "throttled": [ERROR_CATEGORIES.RATE_LIMIT],
+    "transient": [ERROR_CATEGORIES.RATE_LIMIT, ERROR_CATEGORIES.SERVER, ERROR_CATEGORIES.NETWORK, ERROR_CATEGORIES.TIMEOUT],
+};
+
+/**
+ * Reduce an error to the fields kept in a checkpoint.
+ * @param {Error} error - The error.
+ * @returns {Object} - The error as { message, status, code, category }.
+ */
+function errorSummary(error) {
+    return {
+        "message": error.message,
+        "status": error.status ?? null,
+        "code": error.code ?? null,
+        "category": error.category ?? null
+    };
+};
+
+class Broadcast extends EventEmitter {
+    /**
+     * Create a new broadcast job. Use Whatsapp.broadcast rather than calling this constructor directly.
+     * @param {Whatsapp} whatsapp - The client used to send the messages.
+     * @param {Array<String|Object>} recipients - The recipients, as phone numbers or objects with a `to` field (passed as is to messageFactory).
+     * @param {Function} messageFactory - Called as messageFactory(recipient, index). Returns either the promise of a send method call
+     * (e.g. whatsapp.sendTemplate(...)) or a message payload without its `to` field (e.g. { type: "text", text: { body } }), sent with sendPayload.
+     * @param {Object} [options={}] - Broadcast options (optional).
+     * @param {String} [options.jobId] - The job ID checkpoints are stored under, a random UUID when omitted. Reuse it to resume a job.
+     * @param {Number} [options.concurrency=10] - The maximum number of sends in flight.
+     * @param {Number} [options.messagesPerSecond] - The maximum throughput of the job, on top of the client's rate limiter (optional).
+     * @param {Object} [options.store] - The checkpoint store, with async get(key), set(key, value, ttl) and delete(key) methods. Defaults to a MemoryStore.
+     * @param {Number} [options.checkpointTtl] - The time to live of checkpoints in milliseconds, if the store supports it (optional).
+     * @param {String|Boolean|Function} [options.retryFailed="throttled"] - The checkpointed failures sent again when the job is resumed:
+     * "throttled" (throttling errors, rejected before Meta processed the message), "transient" (also server errors, network errors and timeouts,
+     * which may deliver the message twice), true for every failure, false for none, or a function called with the checkpointed outcome.
+     */
+    constructor(whatsapp, recipients, messageFactory, options = {}) {
+        super();
+        this.whatsapp = whatsapp;
+        this.messageFactory = messageFactory;
+        this.jobId = options.jobId || crypto.randomUUID();
+        this.concurrency = Math.max(1, options.concurrency || 10);
+        this.bucket = options.messagesPerSecond ? new TokenBucket({ tokensPerSecond: options.messagesPerSecond, burst: 1 }) : null;
+        this.store = options.store || new MemoryStore();
+        this.checkpointTtl = options.checkpointTtl;
+        this.retryFailed = options.retryFailed ?? "throttled";
+        this.state = "idle";
+        this.running = null;
+        this.resumeSignal = null;
+        this.paused = null;
+
+        const seen = new Set();
+
+        this.recipients = recipients.filter((recipient) => {
+            const to = Broadcast.recipientNumber(recipient);
+
+            if (seen.has(to)) {
+                return false;
+            }
+
+            seen.add(to);
+            return true;
+        });
+        this.duplicates = recipients.length - this.recipients.length;
+        this.reset();
+    };
+
+    /**
+     * Clear the outcomes and counters, before a run.
+     */
+    reset() {
+        this.outcomes = new Array(this.recipients.length).fill(null);
+        this.stats = { "total": this.recipients.length, "completed": 0, "sent": 0, "failed": 0, "unknown": 0, "resumed": 0, "retried": 0, "inFlight": 0 };
+    };
+
+    /**
+     * Get the phone number of a recipient.
+     * @param {String|Object} recipient - The recipient.
+     * @returns {String} - The phone number.
+     */
+    static recipientNumber(recipient) {
+        return String(typeof recipient === "object" && recipient !== null ? recipient.to : recipient);
+    };
+
+    /**
+     * Start the job, or resume a job that stopped (crashed process, cancel) when a checkpoint exists for its jobId.
+     * Recipients with a checkpointed outcome are not messaged again, except failures selected by the retryFailed option.
+     * @returns {Promise<Object>} - A promise resolving to the job summary once every recipient has been processed or the job is cancelled,
+     * see summary. It rejects only if the checkpoint store fails.
+     */
+    start() {
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    };
+
+    /**
+     * Stop starting new sends until resume is called. Sends already in flight complete.
+     */
+    pause() {
+        if (this.state !== "running") {
+            return;
+        }
+
+        this.state = "paused";
+        this.paused = new Promise((resolve) => { this.resumeSignal = resolve; });
+        this.emit("paused", this.progress());
+    };
+
+    /**
+     * Resume a paused job.
+     */
+    resume() {
+        if (this.state !== "paused") {
+            return;
+        }
+
+        this.state = "running";
+        this.resumeSignal();
+        this.paused = null;
+        this.emit("resumed", this.progress());
+    };
+
+    /**
+     * Cancel the job. Sends already in flight complete, the remaining recipients are left unsent and are sent if the job is started again.
+     */
+    cancel() {
+        if (this.state === "completed" || this.state === "cancelled") {
+            return;
+        }
+
+        const wasPaused = this.state === "paused";
+
+        this.state = "cancelled";
+
+        if (wasPaused) {
+            this.resumeSignal();
+            this.paused = null;
+        }
+
+        this.emit("cancelled", this.progress());
+    };
+
+    /**
+     * Get the progress counters of the job.
+     * @returns {Object} - The counters as { jobId, state, total, completed, sent, failed, unknown, resumed, retried, inFlight }.
+     */
+    progress() {
+        return { "jobId": this.jobId, "state": this.state, ...this.stats };
+    };
+
+    /**
+     * Get the summary of the job.
+     * @returns {Object} - The progress counters, plus duplicates (recipients listed more than once, messaged once) and
+     * results, the outcome of every recipient as { to, index, status, messageId, error }, null for recipients not processed.
+     */
+    summary() {
+        return { ...this.progress(), "duplicates": this.duplicates, "results": this.outcomes };
+    };
+
+    /**
+     * Get the checkpoint key of a recipient.
+     * @param {String} to - The phone number of the recipient.
+     * @returns {String} - The key.
+     */
+    checkpointKey(to) {
+        return `broadcast:${this.jobId}:${to}`;
+    };
+
+    /**
+     * Check whether a checkpointed outcome should be sent again, according to the retryFailed option.
+     * @param {Object} outcome - The checkpointed outcome.
+     * @returns {Boolean} - True if the recipient should be messaged again.
+     */
+    shouldRetry(outcome) {
+        if (outcome.status !== BROADCAST_STATUSES.FAILED || !this.retryFailed) {
+            return false;
+        }
+
+        if (typeof this.retryFailed === "function") {
+            return Boolean(this.retryFailed(outcome));
+        }
+
+        return this.retryFailed === true || (RETRYABLE_FAILURES[this.retryFailed] || []).includes(outcome.error?.category);
+    };
+
+    /**
+     * Process every recipient with bounded concurrency.
+     * @returns {Promise<Object>} - A promise resolving to the job summary.
+     */
+    async run() {
+        let next = 0;
+
+        this.reset();
+        this.state = "running";
+        await this.store.set(`broadcast:${this.jobId}`, { "jobId": this.jobId, "total": this.stats.total, "state": "running" }, this.checkpointTtl);
+        this.emit("start", this.progress());
+
+        const worker = async () => {
+            while (true) {
+                if (this.paused) {
+                    await this.paused;
+                }
+
+                if (this.state === "cancelled" || next >= this.recipients.length) {
+                    return;
+                }
+
+                const index = next++;
+                await this.process(this.recipients[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, this.recipients.length) }, worker));
+
+        if (this.state !== "cancelled") {
+            this.state = "completed";
+        }
+
+        await this.store.set(`broadcast:${this.jobId}`, { "jobId": this.jobId, "total": this.stats.total, "state": this.state }, this.checkpointTtl);
+
+        const summary = this.summary();
+
+        this.emit("done", summary);
+        return summary;
+    };
+
+    /**
+     * Send the message of one recipient, unless its checkpoint shows it was already processed.
+     * @param {String|Object} recipient - The recipient.
+     * @param {Number} index - The position of the recipient.
+     * @returns {Promise<void>}
+     */
+    async process(recipient, index) {
+        const to = Broadcast.recipientNumber(recipient);
+        const key = this.checkpointKey(to);
+        const previous = await this.store.get(key);
+
+        if (previous && this.shouldRetry(previous)) {
+            this.stats.retried++;
+        } else if (previous) {
+            const outcome = previous.status === BROADCAST_STATUSES.IN_FLIGHT ? { ...previous, "status": BROADCAST_STATUSES.UNKNOWN } : previous;
+
+            if (outcome !== previous) {
+                await this.store.set(key, outcome, this.checkpointTtl);
+            }
+
+            this.stats.resumed++;
+            this.record({ ...outcome, index }, true);
+            return;
+        }
+
+        await this.store.set(key, { to, index, "status": BROADCAST_STATUSES.IN_FLIGHT }, this.checkpointTtl);
+        this.stats.inFlight++;
+
+        if (this.bucket) {
+            await this.bucket.take();
+        }
+
+        let outcome;
+
+        try {
+            const response = await this.send(recipient, to, index);
+
+            if (response instanceof Error) {
+                throw response;
+            }
+
+            outcome = { to, index, "status": BROADCAST_STATUSES.SENT, "messageId": response?.messages?.[0]?.id ?? null, "error": null };
+        } catch (error) {
+            const apiError = error instanceof WhatsappApiError ? error : WhatsappApiError.fromException(error);
+
+            outcome = { to, index, "status": BROADCAST_STATUSES.FAILED, "messageId": null, "error": errorSummary(apiError) };
+        }
+
+        this.stats.inFlight--;
+        await this.store.set(key, outcome, this.checkpointTtl);
+        this.record(outcome, false);
+    };
+
+    /**
+     * Build and send the message of one recipient.
+     * @param {String|Object} recipient - The recipient.
+     * @param {String} to - The phone number of the recipient.
+     * @param {Number} index - The position of the recipient.
+     * @returns {Promise<Object|WhatsappApiError>} - A promise resolving to the Graph response, or a WhatsappApiError in "return" error mode.
+     */
+    async send(recipient, to, index) {
+        const message = this.messageFactory(recipient, index);
+
+        if (typeof message?.then === "function") {
+            return message;
+        }
+
+        return this.whatsapp.sendPayload({ "messaging_product": "whatsapp", "recipient_type": "individual", "to": to, ...message });
+    };
+
+    /**
+     * Store an outcome and emit the matching events.
+     * @param {Object} outcome - The outcome.
+     * @param {Boolean} resumed - Whether the outcome comes from a checkpoint.
+     */
+    record(outcome, resumed) {
+        this.outcomes[outcome.index] = outcome;
+        this.stats.completed++;
+        this.stats[outcome.status]++;
+
+        if (!resumed) {
+            this.emit(outcome.status, outcome);
+        }
+
+        this.emit("progress", this.progress());
+    };
+};
+
+
+module.exports = { Broadcast, BROADCAST_STATUSES };
@@ -0,0 +1,568 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { parseArgs, inspect } = require('util');
+const { WhatsappApiError } = require('./errors');
+const { createLogger } = require('./logger');
+
+/**
+ * Environment variables read for the credentials, by profile field. They take precedence over the config file.
+ */
+const CLI_ENV = {
+    "phoneNumberId": "WHATSAPP_PHONE_NUMBER_ID",
+    "accessToken": "WHATSAPP_ACCESS_TOKEN",
+    "accountId": "WHATSAPP_ACCOUNT_ID",
+    "appId": "WHATSAPP_APP_ID",
+    "appSecret": "WHATSAPP_APP_SECRET",
+    "webhookVerifyToken": "WHATSAPP_WEBHOOK_VERIFY_TOKEN",
+    "appVersion": "WHATSAPP_API_VERSION",
+    "baseUrl": "WHATSAPP_BASE_URL",
+};
+
+const MEDIA_COMMANDS = ["image", "video", "audio", "document", "sticker"];
+
+const OPTIONS = {
+    "profile": { "type": "string", "short": "p" },
+    "config": { "type": "string", "short": "c" },
+    "phone-number-id": { "type": "string" },
+    "account-id": { "type": "string" },
+    "api-version": { "type": "string" },
+    "format": { "type": "string", "short": "f" },
+    "out": { "type": "string", "short": "o" },
+    "caption": { "type": "string" },
+    "filename": { "type": "string" },
+    "mime-type": { "type": "string" },
+    "preview-url": { "type": "boolean" },
+    "reply-to": { "type": "string" },
+    "language": { "type": "string", "short": "l" },
+    "header": { "type": "string", "multiple": true },
+    "body": { "type": "string", "multiple": true },
+    "params": { "type": "string" },
+    "status": { "type": "string" },
+    "category": { "type": "string" },
+    "name": { "type": "string" },
+    "id": { "type": "string" },
+    "dry-run": { "type": "boolean" },
+    "delete-missing": { "type": "boolean" },
+    "port": { "type": "string" },
+    "path": { "type": "string" },
+    "verify-token": { "type": "string" },
+    "app-secret": { "type": "string" },
+    "json": { "type": "boolean" },
+    "raw": { "type": "boolean" },
+    "help": { "type": "boolean", "short": "h" },
+};
+
+const USAGE = `Usage: whatsapp-cloud <command> [options]
+
+Commands:
+  send text <to> <message> [--preview-url]
+  send image|video|audio|document|sticker <to> <url|media-id|file> [--caption text] [--filename name]
+  send template <to> <name> [--language en_US] [--header value]... [--body value]... [--params file]
+  media upload <file> [--mime-type type] [--filename name]
+  media download <media-id> [--out file]         (saved as <media-id>.<extension> by default)
+  media url <media-id>
+  media delete <media-id>
+  templates list [--status APPROVED] [--category UTILITY] [--language en_US] [--name text]
+  templates export [--out file]
+  templates import <file> [--dry-run] [--delete-missing]
+  templates delete <name> [--id template-id]
+  webhook [--port 3000] [--path /webhook] [--verify-token token] [--app-secret secret] [--json] [--raw]
+  profiles
+
+Options:
+  -p, --profile <name>       The config file profile, WHATSAPP_PROFILE or the default profile of the file otherwise.
+  -c, --config <file>        The config file (JSON or YAML), WHATSAPP_CONFIG or ~/.whatsapp-cloud.json otherwise.
+      --phone-number-id <id> Overrides the phone number ID of the profile.
+      --account-id <id>      Overrides the WhatsApp Business Account ID of the profile.
+      --api-version <v>      Overrides the Graph API version of the profile.
+  -f, --format <json|yaml>   The format of printed and exported data, json by default or the extension of --out.
+  -o, --out <file>           Write the result to a file instead of the standard output.
+      --reply-to <id>        Quote a message in the sent message.
+  -h, --help                 Show this help.
+
+Credentials are read from ${Object.values(CLI_ENV).join(", ")},
+then from the profile. Access tokens are never taken from the command line, to keep them out of the shell history.`;
+
+/**
+ * An error in the command line (unknown command, missing argument, etc.), reported with the usage and exit code 2.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    };
+};
+
+/**
+ * Load the yaml package, which is an optional dependency of the CLI.
+ * @returns {Object} - The yaml module.
+ * @throws {UsageError} - If the package is not installed.
+ */
+function loadYaml() {
+    try {
+        return require('yaml');
+    } catch (error) {
+        throw new UsageError("YAML files need the yaml package, an optional dependency that was not installed, install it with: npm install yaml (or use JSON files)");
+    }
+};
+
+/**
+ * Get the data format of a file from its extension.
+ * @param {String} file - The file path.
+ * @returns {String} - "yaml" or "json".
+ */
+function formatOf(file) {
+    return /\.ya?ml$/i.test(file) ? "yaml" : "json";
+};
+
+/**
+ * Serialize data as JSON or YAML.
+ * @param {*} data - The data.
+ * @param {String} [format="json"] - "json" or "yaml".
+ * @returns {String} - The serialized data, ending with a new line.
+ */
+function serialize(data, format = "json") {
+    if (format === "yaml") {
+        return loadYaml().stringify(data);
+    }
+
+    if (format !== "json") {
+        throw new UsageError(`unknown format ${format}, use json or yaml`);
+    }
+
+    return `${JSON.stringify(data, null, 2)}\n`;
+};
+
+/**
+ * Read a JSON or YAML file.
+ * @param {String} file - The file path.
+ * @returns {*} - The parsed content.
+ */
+function readDataFile(file) {
+    const text = fs.readFileSync(file, "utf8");
+
+    return formatOf(file) === "yaml" ? loadYaml().parse(text) : JSON.parse(text);
+};
+
+/**
+ * Read the config file, { defaultProfile, profiles: { [name]: { phoneNumberId, accessToken, accountId, ... } } }.
+ * @param {String|undefined} file - The config file given on the command line.
+ * @param {Object} env - The environment variables.
+ * @returns {Object} - The config, empty if the default config file does not exist.
+ */
+function loadConfig(file, env) {
+    const configFile = file || env.WHATSAPP_CONFIG || path.join(os.homedir(), ".whatsapp-cloud.json");
+
+    if (!fs.existsSync(configFile)) {
+        if (file || env.WHATSAPP_CONFIG) {
+            throw new UsageError(`config file ${configFile} not found`);
+        }
+
+        return { "profiles": {} };
+    }
+
+    const config = readDataFile(configFile) || {};
+
+    return { ...config, "profiles": config.profiles || {} };
+};
+
+/**
+ * Resolve the credentials and settings of the client from the command line options, the environment and the config profile, in that order.
+ * @param {Object} values - The parsed options.
+ * @param {Object} env - The environment variables.
+ * @returns {Object} - The settings as { profile, phoneNumberId, accessToken, accountId, appId, appSecret, webhookVerifyToken, appVersion, baseUrl }.
+ */
+function resolveSettings(values, env) {
+    const config = loadConfig(values.config, env);
+    const profileName = values.profile || env.WHATSAPP_PROFILE || config.defaultProfile || (config.profiles.default ? "default" : null);
+    const profile = profileName ? config.profiles[profileName] : {};
+
+    if (!profile) {
+        throw new UsageError(`profile ${profileName} not found, available profiles: ${Object.keys(config.profiles).join(", ") || "none"}`);
+    }
+
+    const settings = { "profile": profileName };
+
+    for (const [field, variable] of Object.entries(CLI_ENV)) {
+        settings[field] = env[variable] || profile[field] || "";
+    }
+
+    settings.phoneNumberId = values["phone-number-id"] || settings.phoneNumberId;
+    settings.accountId = values["account-id"] || settings.accountId;
+    settings.appVersion = values["api-version"] || settings.appVersion || "v19.0";
+    return settings;
+};
+
+/**
+ * Create the client of a command, checking that the settings it needs are set.
+ * @param {function} Whatsapp - The Whatsapp class.
+ * @param {Object} settings - The resolved settings.
+ * @param {Array<String>} [required=[]] - The settings the command needs besides the access token.
+ * @returns {Whatsapp} - The client, throwing its errors.
+ */
+function createClient(Whatsapp, settings, required = []) {
+    const missing = ["accessToken", ...required].filter((field) => !settings[field]);
+
+    if (missing.length > 0) {
+        throw new UsageError(`missing ${missing.map((field) => `${field} (${CLI_ENV[field]})`).join(", ")}`);
+    }
+
+    return new Whatsapp(settings.phoneNumberId, settings.accessToken, settings.appVersion, settings.accountId, settings.appId, settings.webhookVerifyToken, settings.appSecret, {
+        "errorMode": "throw",
+        "baseUrl": settings.baseUrl || undefined
+    });
+};
+
+/**
+ * Get a positional argument, failing with a usage error if it is missing.
+ * @param {Array<String>} positionals - The positional arguments.
+ * @param {Number} index - The index of the argument.
+ * @param {String} name - The name of the argument, for the error message.
+ * @returns {String} - The argument.
+ */
+function argument(positionals, index, name) {
+    if (positionals[index] === undefined) {
+        throw new UsageError(`missing <${name}>`);
+    }
+
+    return positionals[index];
+};
+
+/**
+ * Format a webhook event as a single line for the listener.
+ * @param {Object} event - The parsed webhook event.
+ * @returns {String} - The line, e.g. "12:00:01 message.text from 15551234567: Hello".
+ */
+function formatEvent(event) {
+    const time = (event.timestamp || new Date()).toISOString().slice(11, 19);
+    let detail = "";
+
+    if (event.type.startsWith("message.")) {
+        const content = event.text ?? (event.content ? inspect(event.content, { "breakLength": Infinity, "depth": 3 }) : "");
+        detail = `from ${event.from}${event.profileName ? ` (${event.profileName})` : ""}${content ? `: ${content}` : ""}`;
+    } else if (event.type.startsWith("status.")) {
+        detail = `${event.id} to ${event.recipientId}${event.errors.length > 0 ? `: ${event.errors.map((error) => `${error.code} ${error.title}`).join(", ")}` : ""}`;
+    } else if (event.type.startsWith("template.")) {
+        detail = `${event.templateName} (${event.language}) ${event.event}${event.reason && event.reason !== "NONE" ? `: ${event.reason}` : ""}`;
+    } else {
+        detail = inspect(event.value ?? event.errors, { "breakLength": Infinity, "depth": 3 });
+    }
+
+    return `${time} ${event.type}${event.phoneNumberId ? ` [${event.phoneNumberId}]` : ""} ${detail}`;
+};
+
+/**
+ * Give a node:http request and response the Express API the webhook middleware of the client uses.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {URL} url - The parsed request URL.
+ * @param {Buffer} [rawBody] - The request body (optional).
+ */
+function expressify(req, res, url, rawBody) {
+    req.query = Object.fromEntries(url.searchParams);
+    req.rawBody = rawBody;
+    req.body = rawBody;
+    res.status = (status) => {
+        res.statusCode = status;
+        return res;
+    };
+    res.send = (body) => res.end(body === undefined ? undefined : String(body));
+    res.json = (body) => res.setHeader("Content-Type", "application/json").end(JSON.stringify(body));
+    res.sendStatus = (status) => res.status(status).end();
+};
+
+/**
+ * Start a local webhook endpoint answering the verification challenge and printing the events it receives.
+ * Verification, signatures and parsing are handled by a client, like in an Express app (see Whatsapp.verifyWebhook, verifySignature and parseWebhook).
+ * @param {function} Whatsapp - The Whatsapp class.
+ * @param {Object} values - The parsed options.
+ * @param {Object} settings - The resolved settings.
+ * @param {Object} io - The output streams as { stdout, stderr }.
+ * @returns {Promise<http.Server>} - A promise resolving to the listening server.
+ */
+function listenWebhook(Whatsapp, values, settings, io) {
+    const webhookPath = values.path || "/webhook";
+    const verifyToken = values["verify-token"] || settings.webhookVerifyToken;
+    const appSecret = values["app-secret"] || settings.appSecret;
+    const client = new Whatsapp(settings.phoneNumberId, settings.accessToken, settings.appVersion, settings.accountId, settings.appId, verifyToken, appSecret, {
+        "logger": createLogger({ "level": "silent" })
+    });
+
+    const printEvents = (req, res) => {
+        for (const event of client.parseWebhook(req.body)) {
+            io.stdout.write(values.json ? `${JSON.stringify(values.raw ? event : { ...event, "raw": undefined })}\n` : `${formatEvent(event)}\n`);
+
+            if (values.raw && !values.json) {
+                io.stdout.write(`${inspect(event.raw ?? event.value, { "depth": null, "colors": Boolean(io.stdout.isTTY) })}\n`);
+            }
+        }
+
+        res.sendStatus(200);
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+
+        if (url.pathname !== webhookPath) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        if (req.method === "GET") {
+            expressify(req, res, url);
+
+            // Without a token, the client would accept requests with an empty hub.verify_token.
+            if (!verifyToken) {
+                res.sendStatus(400);
+            } else {
+                client.verifyWebhook(req, res);
+            }
+
+            io.stderr.write(`Verification request ${res.statusCode === 200 ? "accepted" : "rejected"}\n`);
+            return;
+        }
+
+        const chunks = [];
+
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            expressify(req, res, url, Buffer.concat(chunks));
+
+            try {
+                if (appSecret) {
+                    client.verifySignature(req, res, () => printEvents(req, res));
+                } else {
+                    req.body = JSON.parse(req.rawBody.toString());
+                    printEvents(req, res);
+                }
+            } catch (error) {
+                res.sendStatus(400);
+            }
+
+            if (res.statusCode === 401) {
+                io.stderr.write("Rejected a notification with an invalid signature\n");
+            } else if (res.statusCode !== 200) {
+                io.stderr.write("Could not parse the notification\n");
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(Number(values.port || 3000), () => {
+            io.stderr.write(`Listening for webhooks on http://localhost:${server.address().port}${webhookPath}${verifyToken ? "" : " (no verify token set, verification requests are rejected)"}\n`);
+            resolve(server);
+        });
+    });
+};
+
+/**
+ * Run a send command.
+ * @param {Whatsapp} client - The client.
+ * @param {Array<String>} positionals - The arguments after "send".
+ * @param {Object} values - The parsed options.
+ * @returns {Promise<Object>} - A promise resolving to the response.
+ */
+async function send(client, positionals, values) {
+    const [type] = positionals;
+    const to = argument(positionals, 1, "to");
+    const options = { "replyTo": values["reply-to"] || null };
+
+    if (type === "text") {
+        return await client.sendMessage(to, argument(positionals, 2, "message"), { ...options, "previewUrl": Boolean(values["preview-url"]) });
+    }
+
+    if (type === "template") {
+        const params = values.params ? readDataFile(values.params) : {};
+        const text = (value) => ({ "type": "text", "text": value });
+        const header = params.header || (values.header || []).map(text);
+        const body = params.body || (values.body || []).map(text);
+
+        return await client.sendTemplate(to, argument(positionals, 2, "name"), values.language || "en_US", header, body, params.buttons || [], options);
+    }
+
+    if (!MEDIA_COMMANDS.includes(type)) {
+        throw new UsageError(`unknown message type ${type}, use text, template or ${MEDIA_COMMANDS.join(", ")}`);
+    }
+
+    let media = argument(positionals, 2, type === "document" ? "url|media-id|file" : "media");
+
+    if (fs.existsSync(media)) {
+        media = (await client.uploadMedia(media, { "filename": values.filename, "mimeType": values["mime-type"] })).id;
+    }
+
+    switch (type) {
+        case "image":
+            return await client.sendImage(to, media, values.caption || "", options);
+        case "video":
+            return await client.sendVideo(to, media, values.caption || "", options);
+        case "audio":
+            return await client.sendAudio(to, media, options);
+        case "document":
+            return await client.sendDocument(to, media, values.caption || "", values.filename || "", options);
+        default:
+            return await client.sendSticker(to, media, options);
+    }
+};
+
+/**
+ * Run a media command.
+ * @param {Whatsapp} client - The client.
+ * @param {Array<String>} positionals - The arguments after "media".
+ * @param {Object} values - The parsed options.
+ * @returns {Promise<Object>} - A promise resolving to the response.
+ */
+async function media(client, positionals, values) {
+    const [action] = positionals;
+
+    switch (action) {
+        case "upload":
+            return await client.uploadMedia(argument(positionals, 1, "file"), { "filename": values.filename, "mimeType": values["mime-type"] });
+        case "url":
+            return await client.getMediaUrl(argument(positionals, 1, "media-id"));
+        case "delete":
+            return await client.deleteMedia(argument(positionals, 1, "media-id"));
+        case "download": {
+            const mediaId = argument(positionals, 1, "media-id");
+            const { buffer, ...result } = await client.downloadMediaContent(mediaId, values.out ? { "toFile": values.out } : { "asBuffer": true });
+
+            if (!values.out) {
+                const extension = (result.mimeType || "").split("/")[1]?.split(";")[0] || "bin";
+                result.path = `${mediaId}.${extension}`;
+                fs.writeFileSync(result.path, buffer);
+            }
+
+            return result;
+        }
+        default:
+            throw new UsageError(`unknown media command ${action}, use upload, download, url or delete`);
+    }
+};
+
+/**
+ * Run a templates command.
+ * @param {Whatsapp} client - The client.
+ * @param {Array<String>} positionals - The arguments after "templates".
+ * @param {Object} values - The parsed options.
+ * @returns {Promise<*>} - A promise resolving to the result.
+ */
+async function templates(client, positionals, values) {
+    const [action] = positionals;
+    const filters = { "status": values.status, "category": values.category, "language": values.language, "name": values.name };
+
+    switch (action) {
+        case "list": {
+            const list = [];
+
+            for await (const template of client.listTemplates({ ...filters, "fields": "id,name,language,status,category" })) {
+                list.push(template);
+            }
+
+            return list;
+        }
+        case "export": {
+            const definitions = [];
+
+            for await (const template of client.listTemplates(filters)) {
+                const { id, status, ...definition } = template;
+                definitions.push(definition);
+            }
+
+            return definitions;
+        }
+        case "import": {
+            const file = argument(positionals, 1, "file");
+            const definitions = readDataFile(file);
+
+            if (!Array.isArray(definitions)) {
+                throw new UsageError(`${file} must hold a list of template definitions`);
+            }
+
+            const result = await client.syncTemplates(definitions, { "dryRun": Boolean(values["dry-run"]), "deleteMissing": Boolean(values["delete-missing"]) });
+
+            return { ...result, "failed": result.failed.map(({ error, ...item }) => ({ ...item, "error": error.message })) };
+        }
+        case "delete":
+            return await client.deleteTemplate(argument(positionals, 1, "name"), values.id || "");
+        default:
+            throw new UsageError(`unknown templates command ${action}, use list, export, import or delete`);
+    }
+};
+
+/**
+ * Run the CLI.
+ * @param {Array<String>} argv - The command line arguments, without the node and script paths.
+ * @param {Object} [io={}] - The environment of the run (optional).
+ * @param {Object} [io.env=process.env] - The environment variables.
+ * @param {Object} [io.stdout=process.stdout] - The stream results are written to.
+ * @param {Object} [io.stderr=process.stderr] - The stream errors and messages are written to.
+ * @param {function} [io.Whatsapp] - The Whatsapp class.
+ * @returns {Promise<Number|http.Server>} - A promise resolving to the exit code, or to the server of the webhook command.
+ */
+async function run(argv, io = {}) {
+    const { env = process.env, stdout = process.stdout, stderr = process.stderr } = io;
+    const Whatsapp = io.Whatsapp || require('../index');
+
+    try {
+        const { values, positionals } = parseArgs({ "args": argv, "options": OPTIONS, "allowPositionals": true });
+        const [command, ...rest] = positionals;
+
+        if (values.help || !command) {
+            stdout.write(`${USAGE}\n`);
+            return command || values.help ? 0 : 2;
+        }
+
+        const settings = resolveSettings(values, env);
+        let result = null;
+
+        switch (command) {
+            case "send":
+                result = await send(createClient(Whatsapp, settings, ["phoneNumberId"]), rest, values);
+                break;
+            case "media":
+                result = await media(createClient(Whatsapp, settings, rest[0] === "upload" ? ["phoneNumberId"] : []), rest, values);
+                break;
+            case "templates":
+                result = await templates(createClient(Whatsapp, settings, ["accountId"]), rest, values);
+                break;
+            case "webhook":
+                return await listenWebhook(Whatsapp, values, settings, { stdout, stderr });
+            case "profiles": {
+                const config = loadConfig(values.config, env);
+                result = { "current": settings.profile, "profiles": Object.keys(config.profiles) };
+                break;
+            }
+            default:
+                throw new UsageError(`unknown command ${command}`);
+        }
+
+        const output = serialize(result, values.format || (values.out && command === "templates" ? formatOf(values.out) : "json"));
+
+        if (values.out && command === "templates") {
+            fs.writeFileSync(values.out, output);
+            stderr.write(`Wrote ${values.out}\n`);
+        } else {
+            stdout.write(output);
+        }
+
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError || error.code?.startsWith?.("ERR_PARSE_ARGS")) {
+            stderr.write(`${error.message}\n\nRun whatsapp-cloud --help for usage.\n`);
+            return 2;
+        }
+
+        if (error instanceof WhatsappApiError) {
+            stderr.write(`${error.name}: ${error.message}${error.code ? ` (code ${error.code})` : ""}\n`);
+            return 1;
+        }
+
+        stderr.write(`${error.stack || error}\n`);
+        return 1;
+    }
+};
+
+
+module.exports = { CLI_ENV, run, formatEvent, resolveSettings };
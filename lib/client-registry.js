@@ -0,0 +1,299 @@
+const EventEmitter = require('events');
+const { parseWebhook, verifyWebhookSignature } = require('./webhook');
+const { WhatsappValidationError } = require('./errors');
+const { RateLimiter } = require('./rate-limiter');
+const { cachedTokenProvider } = require('./credentials');
+const { createLogger } = require('./logger');
+
+class ClientRegistry extends EventEmitter {
+    /**
+     * Create a registry of Whatsapp clients for several businesses (tenants) and phone numbers, served by one Meta app.
+     * Sends are routed by phone number ID or tenant key, and webhook notifications are dispatched to the client of the phone number they are about.
+     * Every client shares the registry rate limiter (one bucket per phone number) and the process-wide fetch connection pool.
+     * Routed events are emitted by the client, and by the registry as (event, { tenantKey, phoneNumberId, client }) under their type, category and "webhook".
+     * Events for phone numbers that are not registered are emitted as "unrouted".
+     * @param {Object} [options={}] - Registry options (optional).
+     * @param {function} [options.Whatsapp] - The class the clients are created with, e.g. a Whatsapp subclass (optional).
+     * @param {String} [options.appVersion="v19.0"] - The default Graph API version of the clients.
+     * @param {String} [options.webhookVerifyToken=""] - The verification token of the app webhook endpoint.
+     * @param {String} [options.appSecret=""] - The app secret, used to verify webhook signatures.
+     * @param {String} [options.appId=""] - The default app ID of the clients, for the Resumable Upload API.
+     * @param {function} [options.credentialProvider] - Resolves the access token of a tenant, called as credentialProvider(tenantKey, { forceRefresh })
+     * and returning the token or { accessToken, expiresAt | expiresIn }. Tokens are cached per tenant and refreshed on expiry or when rejected (error 190).
+     * @param {Object} [options.clientOptions={}] - Options given to every client, see the Whatsapp constructor.
+     * @param {RateLimiter} [options.rateLimiter] - The rate limiter shared by the clients, created from clientOptions.rateLimit when omitted.
+     * @param {Object} [options.logger] - The logger of the registry, defaults to clientOptions.logger or a console logger.
+     */
+    constructor(options = {}) {
+        super();
+        this.Whatsapp = options.Whatsapp || require('../index');
+        this.appVersion = options.appVersion || "v19.0";
+        this.webhookVerifyToken = options.webhookVerifyToken || "";
+        this.appSecret = options.appSecret || "";
+        this.appId = options.appId || "";
+        this.credentialProvider = options.credentialProvider || null;
+        this.clientOptions = options.clientOptions || {};
+        this.logger = options.logger || this.clientOptions.logger || createLogger();
+        this.rateLimiter = options.rateLimiter || (this.clientOptions.rateLimit === false ? null : new RateLimiter(this.clientOptions.rateLimit));
+        this.tenants = new Map();
+        this.phoneNumbers = new Map();
+
+        // Bound so they can be passed straight to Express as route handlers.
+        this.verifyWebhook = this.verifyWebhook.bind(this);
+        this.receiveWebhook = this.receiveWebhook.bind(this);
+        this.verifySignature = this.verifySignature.bind(this);
+    };
+
+    /**
+     * Register a tenant and create a client for each of its phone numbers. Registering an existing tenant key replaces it.
+     * @param {String} tenantKey - The key the tenant is looked up by.
+     * @param {Object} tenant - The tenant.
+     * @param {Array<String>|String} tenant.phoneNumberIds - The phone number IDs of the tenant, the first one is used when sending by tenant key.
+     * @param {String} [tenant.accessToken] - A static access token, used when the tenant has no credential provider.
+     * @param {function} [tenant.credentialProvider] - Resolves the access token of this tenant, see the registry credentialProvider option.
+     * @param {String} [tenant.accountId=""] - The WhatsApp Business Account ID of the tenant.
+     * @param {String} [tenant.appId] - The app ID, defaults to the registry app ID.
+     * @param {String} [tenant.appVersion] - The Graph API version, defaults to the registry version.
+     * @param {Object} [tenant.options={}] - Client options of the tenant, merged over the registry clientOptions.
+     * @returns {Object} - The registered tenant as { key, accountId, phoneNumberIds, clients }.
+     * @throws {WhatsappValidationError} - If the tenant has no phone number or credentials, or one of its phone numbers belongs to another tenant.
+     */
+    register(tenantKey, tenant = {}) {
+        const phoneNumberIds = [].concat(tenant.phoneNumberIds ?? tenant.phoneNumberId ?? []).map(String);
+        const fetchToken = tenant.credentialProvider || (this.credentialProvider && ((options) => this.credentialProvider(tenantKey, options)));
+        const errors = [];
+
+        if (phoneNumberIds.length === 0) {
+            errors.push(`tenant ${tenantKey} has no phone number`);
+        }
+
+        if (!fetchToken && !tenant.accessToken) {
+            errors.push(`tenant ${tenantKey} needs an accessToken or a credential provider`);
+        }
+
+        for (const phoneNumberId of phoneNumberIds) {
+            const owner = this.phoneNumbers.get(phoneNumberId)?.tenantKey;
+
+            if (owner !== undefined && owner !== tenantKey) {
+                errors.push(`phone number ${phoneNumberId} is already registered to tenant ${owner}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new WhatsappValidationError(errors);
+        }
+
+        this.unregister(tenantKey);
+
+        const tokenProvider = fetchToken ? cachedTokenProvider(fetchToken) : null;
+        const options = { "logger": this.logger, ...this.clientOptions, ...tenant.options, "rateLimiter": this.rateLimiter, "rateLimit": false, "tokenProvider": tokenProvider };
+        const record = { "key": tenantKey, "accountId": tenant.accountId || "", "phoneNumberIds": phoneNumberIds, "clients": new Map() };
+
+        for (const phoneNumberId of phoneNumberIds) {
+            const client = new this.Whatsapp(phoneNumberId, tenant.accessToken || null, tenant.appVersion || this.appVersion, record.accountId, tenant.appId || this.appId,
+                this.webhookVerifyToken, this.appSecret, options);
+
+            record.clients.set(phoneNumberId, client);
+            this.phoneNumbers.set(phoneNumberId, { tenantKey, client });
+        }
+
+        this.tenants.set(tenantKey, record);
+        return record;
+    };
+
+    /**
+     * Remove a tenant and its clients.
+     * @param {String} tenantKey - The key of the tenant.
+     * @returns {Boolean} - True if the tenant was registered.
+     */
+    unregister(tenantKey) {
+        const record = this.tenants.get(tenantKey);
+
+        if (!record) {
+            return false;
+        }
+
+        record.phoneNumberIds.forEach((phoneNumberId) => this.phoneNumbers.delete(phoneNumberId));
+        this.tenants.delete(tenantKey);
+        return true;
+    };
+
+    /**
+     * Check whether a phone number ID or tenant key is registered.
+     * @param {String} key - The phone number ID or tenant key.
+     * @returns {Boolean} - True if a client can be found for the key.
+     */
+    has(key) {
+        return this.phoneNumbers.has(String(key)) || this.tenants.has(key);
+    };
+
+    /**
+     * Get the client of a phone number, or the client of the first phone number of a tenant. Phone number IDs are looked up first.
+     * @param {String} key - The phone number ID or tenant key.
+     * @returns {Whatsapp} - The client.
+     * @throws {WhatsappValidationError} - If the key is not registered.
+     */
+    client(key) {
+        const phoneNumber = this.phoneNumbers.get(String(key));
+
+        if (phoneNumber) {
+            return phoneNumber.client;
+        }
+
+        const record = this.tenants.get(key);
+
+        if (!record) {
+            throw new WhatsappValidationError([`no phone number or tenant registered as ${key}`]);
+        }
+
+        return record.clients.get(record.phoneNumberIds[0]);
+    };
+
+    /**
+     * Get the tenant a phone number belongs to.
+     * @param {String} phoneNumberId - The phone number ID.
+     * @returns {Object|null} - The tenant as { key, accountId, phoneNumberIds, clients }, or null if the phone number is not registered.
+     */
+    tenantOf(phoneNumberId) {
+        const phoneNumber = this.phoneNumbers.get(String(phoneNumberId));
+
+        return phoneNumber ? this.tenants.get(phoneNumber.tenantKey) : null;
+    };
+
+    /**
+     * Get every registered client.
+     * @returns {Array<Whatsapp>} - The clients.
+     */
+    clients() {
+        return Array.from(this.phoneNumbers.values(), (phoneNumber) => phoneNumber.client);
+    };
+
+    /**
+     * Find where a webhook event should go: the client of its phone number or, for account level events (template and account updates),
+     * the first client of the tenant owning the business account.
+     * @param {Object} event - The parsed webhook event.
+     * @returns {Object|null} - The route as { tenantKey, phoneNumberId, client }, or null if no registered client matches.
+     */
+    route(event) {
+        if (event.phoneNumberId) {
+            const phoneNumber = this.phoneNumbers.get(String(event.phoneNumberId));
+
+            return phoneNumber ? { "tenantKey": phoneNumber.tenantKey, "phoneNumberId": String(event.phoneNumberId), "client": phoneNumber.client } : null;
+        }
+
+        for (const record of this.tenants.values()) {
+            if (record.accountId && record.accountId === event.businessAccountId) {
+                return { "tenantKey": record.key, "phoneNumberId": record.phoneNumberIds[0], "client": record.clients.get(record.phoneNumberIds[0]) };
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Parse a webhook notification and dispatch each event to the client of its phone number.
+     * @param {Object|String|Buffer} body - The notification payload POSTed by Meta.
+     * @returns {Array<Object>} - The parsed events.
+     */
+    processWebhook(body) {
+        const events = parseWebhook(body);
+        const batches = new Map();
+
+        for (const event of events) {
+            const route = this.route(event);
+
+            if (!route) {
+                this.emit("unrouted", event);
+                continue;
+            }
+
+            if (!batches.has(route.client)) {
+                batches.set(route.client, { route, "events": [] });
+            }
+
+            batches.get(route.client).events.push(event);
+        }
+
+        for (const { route, events: routed } of batches.values()) {
+            route.client.dispatchEvents(routed);
+
+            for (const event of routed) {
+                const category = event.type.split(".")[0];
+
+                this.emit(event.type, event, route);
+
+                if (category !== event.type) {
+                    this.emit(category, event, route);
+                }
+
+                this.emit("webhook", event, route);
+            }
+        }
+
+        return events;
+    };
+
+    /**
+     * Verify a Whatsapp webhook subscription request against the registry verify token.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {function} next - The next middleware function.
+     */
+    async verifyWebhook(req, res, next) {
+        try {
+            if (req.query['hub.mode'] == 'subscribe' && req.query['hub.verify_token'] == this.webhookVerifyToken) {
+                res.status(200).send(req.query['hub.challenge']);
+            } else {
+                res.sendStatus(400);
+            }
+        } catch (error) {
+            this.logger.error("whatsapp.webhook.verify.failed", { error });
+            res.status(500).json({ message: error.message });
+        }
+    };
+
+    /**
+     * Verify the signature of a webhook notification with the registry app secret, rejecting it with 401 if it is invalid.
+     * The raw body is read as by Whatsapp.verifySignature.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {function} next - The next middleware function.
+     */
+    verifySignature(req, res, next) {
+        try {
+            const bodyIsRaw = Buffer.isBuffer(req.body) || typeof req.body === "string";
+            const rawBody = req.rawBody ?? (bodyIsRaw ? req.body : null);
+
+            if (!verifyWebhookSignature(rawBody, req.headers['x-hub-signature-256'], this.appSecret)) {
+                return res.sendStatus(401);
+            }
+
+            if (bodyIsRaw) {
+                req.body = JSON.parse(req.body.toString());
+            }
+
+            next();
+        } catch (error) {
+            this.logger.error("whatsapp.webhook.signature.failed", { error });
+            res.status(error instanceof SyntaxError ? 400 : 500).json({ message: error.message });
+        }
+    };
+
+    /**
+     * Receive a webhook notification and dispatch its events to the tenant clients.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     */
+    async receiveWebhook(req, res) {
+        try {
+            this.processWebhook(req.body);
+            res.sendStatus(200);
+        } catch (error) {
+            this.logger.error("whatsapp.webhook.receive.failed", { error });
+            res.status(500).json({ message: error.message });
+        }
+    };
+};
+
+
+module.exports = { ClientRegistry };
@@ -0,0 +1,142 @@
+const { MemoryStore } = require('./memory-store');
+const { createLogger } = require('./logger');
+
+/**
+ * Duration of the customer service window opened by an inbound message, in milliseconds.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/pricing#customer-service-windows
+ */
+const CUSTOMER_SERVICE_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a phone number or WhatsApp ID, so "+1 555-0100" and "15550100" are the same user.
+ * @param {String} waId - The phone number or WhatsApp ID.
+ * @returns {String} - The digits of the number.
+ */
+function normalizeWaId(waId) {
+    return String(waId).replace(/\D/g, "");
+};
+
+class ConversationTracker {
+    /**
+     * Create a new conversation tracker, recording when each user last messaged the business to know whether their customer service window is open.
+     * Share the store between processes (e.g. Redis) when webhooks and sends are handled by different instances.
+     * @param {Object} [options={}] - Tracker options (optional).
+     * @param {Object} [options.store] - The store, with async get(key), set(key, value, ttl) and delete(key) methods. Defaults to a MemoryStore.
+     * @param {Number} [options.windowMs=86400000] - The duration of the customer service window.
+     * @param {String} [options.prefix="conversation"] - The prefix of the store keys.
+     * @param {function} [options.onError] - Called with the error when recording a webhook event fails, logged by default.
+     * @param {Object} [options.logger] - The logger default error handling writes to, defaults to a console logger.
+     */
+    constructor({ store, windowMs = CUSTOMER_SERVICE_WINDOW, prefix = "conversation", onError, logger } = {}) {
+        this.store = store || new MemoryStore();
+        this.windowMs = windowMs;
+        this.prefix = prefix;
+        this.logger = logger || createLogger();
+        this.onError = onError || ((error) => this.logger.error("conversation.track.failed", { error }));
+        this.pending = new Map();
+    };
+
+    /**
+     * Get the store key of a user.
+     * @param {String} waId - The normalized WhatsApp ID.
+     * @returns {String} - The key.
+     */
+    key(waId) {
+        return `${this.prefix}:${waId}`;
+    };
+
+    /**
+     * Record an inbound message, opening (or extending) the customer service window of its sender.
+     * Updates of the same user are applied in order, and reads wait for the pending updates of the user.
+     * @param {String} waId - The WhatsApp ID of the sender.
+     * @param {Date|Number} [timestamp=new Date()] - The time the message was sent (optional).
+     * @returns {Promise<void>}
+     */
+    recordInbound(waId, timestamp = new Date()) {
+        const id = normalizeWaId(waId);
+        const time = Number(timestamp);
+        const previous = this.pending.get(id) || Promise.resolve();
+        const update = previous.catch(() => {}).then(async () => {
+            const last = await this.store.get(this.key(id));
+
+            if (!last || time > last) {
+                await this.store.set(this.key(id), time, this.windowMs);
+            }
+        });
+
+        this.pending.set(id, update);
+        update.catch(() => {}).finally(() => {
+            if (this.pending.get(id) === update) {
+                this.pending.delete(id);
+            }
+        });
+
+        return update;
+    };
+
+    /**
+     * Record the inbound messages of parsed webhook events (see parseWebhook). Other events are ignored.
+     * @param {Array<Object>} events - The webhook events.
+     * @returns {Promise<void>}
+     */
+    async track(events) {
+        const updates = events
+            .filter((event) => event.type.startsWith("message.") && event.from)
+            .map((event) => this.recordInbound(event.from, event.timestamp || new Date()));
+
+        await Promise.all(updates);
+    };
+
+    /**
+     * Get the time a user last messaged the business.
+     * @param {String} waId - The WhatsApp ID or phone number of the user.
+     * @returns {Promise<Date|null>} - A promise resolving to the time of the last inbound message, or null if none is recorded.
+     */
+    async getLastInbound(waId) {
+        const id = normalizeWaId(waId);
+
+        await this.pending.get(id)?.catch(() => {});
+
+        const last = await this.store.get(this.key(id));
+
+        return last ? new Date(last) : null;
+    };
+
+    /**
+     * Get the time the customer service window of a user closes.
+     * @param {String} waId - The WhatsApp ID or phone number of the user.
+     * @returns {Promise<Date|null>} - A promise resolving to the closing time, or null if the user never messaged the business.
+     */
+    async getWindowExpiry(waId) {
+        const last = await this.getLastInbound(waId);
+
+        return last ? new Date(last.getTime() + this.windowMs) : null;
+    };
+
+    /**
+     * Check whether free-form messages can be sent to a user, i.e. whether they messaged the business in the last 24 hours.
+     * @param {String} waId - The WhatsApp ID or phone number of the user.
+     * @param {Date|Number} [at=Date.now()] - The time to check the window at (optional).
+     * @returns {Promise<Boolean>} - A promise resolving to true if the window is open.
+     */
+    async isWindowOpen(waId, at = Date.now()) {
+        const expiry = await this.getWindowExpiry(waId);
+
+        return expiry !== null && expiry.getTime() > Number(at);
+    };
+
+    /**
+     * Forget a user.
+     * @param {String} waId - The WhatsApp ID or phone number of the user.
+     * @returns {Promise<void>}
+     */
+    async forget(waId) {
+        const id = normalizeWaId(waId);
+
+        await this.pending.get(id)?.catch(() => {});
+        await this.store.delete(this.key(id));
+    };
+};
+
+
+module.exports = { ConversationTracker, CUSTOMER_SERVICE_WINDOW, normalizeWaId };
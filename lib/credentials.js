@@ -0,0 +1,53 @@
+/**
+ * Wrap a function fetching access tokens (from a vault, a token exchange, a database, etc.) into a token provider for the tokenProvider client option.
+ * The token is fetched once and cached until it expires or the Graph API rejects it (error 190). Concurrent callers share a single fetch,
+ * and when several requests fail with the same token, it is refreshed only once.
+ * @param {function} fetchToken - Called as fetchToken({ forceRefresh }), returns (a promise of) the token, or { accessToken, expiresAt (Date or milliseconds) | expiresIn (seconds) }.
+ * @param {Object} [options={}] - Cache options (optional).
+ * @param {Number} [options.refreshMargin=60000] - Milliseconds before expiry at which the token is refreshed.
+ * @returns {function} - The provider, called as provider({ forceRefresh, failedToken }) and resolving to the access token.
+ */
+function cachedTokenProvider(fetchToken, { refreshMargin = 60000 } = {}) {
+    let cached = null;
+    let pending = null;
+
+    const refresh = (forceRefresh) => {
+        if (!pending) {
+            pending = Promise.resolve()
+                .then(() => fetchToken({ forceRefresh }))
+                .then((result) => {
+                    const credentials = typeof result === "string" ? { "accessToken": result } : (result || {});
+                    const expiresAt = credentials.expiresIn ? Date.now() + credentials.expiresIn * 1000 : credentials.expiresAt;
+
+                    if (!credentials.accessToken) {
+                        throw new Error("The credential provider returned no access token.");
+                    }
+
+                    cached = { "token": credentials.accessToken, "expiresAt": expiresAt ? Number(expiresAt) : null };
+                    return cached.token;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+
+        return pending;
+    };
+
+    return async ({ forceRefresh = false, failedToken = null } = {}) => {
+        if (pending) {
+            return await pending;
+        }
+
+        const expired = cached?.expiresAt !== null && cached?.expiresAt !== undefined && cached.expiresAt - refreshMargin <= Date.now();
+
+        if (!cached || expired || (forceRefresh && (failedToken === null || failedToken === cached.token))) {
+            return await refresh(forceRefresh || expired);
+        }
+
+        return cached.token;
+    };
+};
+
+
+module.exports = { cachedTokenProvider };
@@ -0,0 +1,147 @@
+/**
+ * Categories a Graph API failure can be classified into.
+ */
+const ERROR_CATEGORIES = {
+    AUTH: "auth",
+    RATE_LIMIT: "rate_limit",
+    INVALID_PARAMETER: "invalid_parameter",
+    REENGAGEMENT_WINDOW: "reengagement_window",
+    RECIPIENT_UNAVAILABLE: "recipient_unavailable",
+    SERVER: "server",
+    NETWORK: "network",
+    TIMEOUT: "timeout",
+    VALIDATION: "validation",
+    UNKNOWN: "unknown",
+};
+
+/**
+ * Graph API / Cloud API error codes, by category.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+ */
+const ERROR_CODES = {
+    [ERROR_CATEGORIES.AUTH]: [0, 3, 10, 190, 131005, 131031],
+    [ERROR_CATEGORIES.RATE_LIMIT]: [4, 80007, 130429, 131048, 131056, 133016],
+    [ERROR_CATEGORIES.INVALID_PARAMETER]: [100, 131008, 131009, 131021, 131051, 131052, 131053, 132000, 132001, 132005, 132007, 132012, 132015, 132016, 135000],
+    [ERROR_CATEGORIES.REENGAGEMENT_WINDOW]: [131047],
+    [ERROR_CATEGORIES.RECIPIENT_UNAVAILABLE]: [131026],
+    [ERROR_CATEGORIES.SERVER]: [1, 2, 131000, 131016, 133004],
+};
+
+/**
+ * Classify a failure from its Graph error code, falling back to the HTTP status.
+ * @param {Number|null} status - The HTTP status of the response.
+ * @param {Number|null} code - The Graph `error.code`.
+ * @returns {String} - One of ERROR_CATEGORIES.
+ */
+function classifyError(status, code) {
+    for (const [category, codes] of Object.entries(ERROR_CODES)) {
+        if (codes.includes(code)) {
+            return category;
+        }
+    }
+
+    if (code >= 200 && code <= 299) {
+        return ERROR_CATEGORIES.AUTH;
+    }
+
+    if (status === 401 || status === 403) {
+        return ERROR_CATEGORIES.AUTH;
+    }
+
+    if (status === 429) {
+        return ERROR_CATEGORIES.RATE_LIMIT;
+    }
+
+    if (status >= 500) {
+        return ERROR_CATEGORIES.SERVER;
+    }
+
+    if (status === 400 || status === 404) {
+        return ERROR_CATEGORIES.INVALID_PARAMETER;
+    }
+
+    return ERROR_CATEGORIES.UNKNOWN;
+};
+
+class WhatsappApiError extends Error {
+    /**
+     * Create a new WhatsappApiError.
+     * @param {String} message - A description of the failure.
+     * @param {Object} [info={}] - Details of the failure (optional).
+     * @param {Number|null} [info.status=null] - The HTTP status of the response, null if no response was received.
+     * @param {Number|null} [info.code=null] - The Graph `error.code`.
+     * @param {Number|null} [info.subcode=null] - The Graph `error.error_subcode`.
+     * @param {String|null} [info.type=null] - The Graph `error.type` (e.g. OAuthException).
+     * @param {String|null} [info.fbtraceId=null] - The Graph `error.fbtrace_id`, to quote when contacting Meta support.
+     * @param {String|null} [info.details=null] - The Graph `error.error_data.details`.
+     * @param {Object|null} [info.error=null] - The raw Graph `error` object.
+     * @param {Number|null} [info.retryAfter=null] - The delay requested by the Retry-After header, in milliseconds.
+     * @param {String} [info.category] - Overrides the category computed from the status and code.
+     * @param {Error} [info.cause] - The underlying exception, if any.
+     */
+    constructor(message, { status = null, code = null, subcode = null, type = null, fbtraceId = null, details = null, error = null, retryAfter = null, category, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = "WhatsappApiError";
+        this.status = status;
+        this.code = code;
+        this.subcode = subcode;
+        this.type = type;
+        this.fbtraceId = fbtraceId;
+        this.details = details;
+        this.error = error;
+        this.retryAfter = retryAfter;
+        this.category = category || classifyError(status, code);
+    };
+
+    /**
+     * Create an error from a failed Graph API response.
+     * @param {Number} status - The HTTP status of the response.
+     * @param {Object|String|null} body - The parsed response body, or its text if it is not JSON.
+     * @param {Number|null} [retryAfter=null] - The delay requested by the Retry-After header, in milliseconds (optional).
+     * @returns {WhatsappApiError} - The error.
+     */
+    static fromResponse(status, body, retryAfter = null) {
+        const error = (body && typeof body === "object" && body.error) || null;
+
+        if (!error) {
+            const text = typeof body === "string" && body ? `: ${body.slice(0, 200)}` : "";
+            return new WhatsappApiError(`Request failed with status ${status}${text}`, { status, retryAfter });
+        }
+
+        return new WhatsappApiError(error.error_user_msg || error.message || `Request failed with status ${status}`, {
+            status,
+            code: error.code ?? null,
+            subcode: error.error_subcode ?? null,
+            type: error.type ?? null,
+            fbtraceId: error.fbtrace_id ?? null,
+            details: error.error_data?.details ?? null,
+            error,
+            retryAfter
+        });
+    };
+
+    /**
+     * Create an error from an exception that did not come from a Graph API response.
+     * @param {Error} exception - The exception.
+     * @param {String} [category="unknown"] - The category of the failure, "network" for DNS failures, connection resets, etc. and "timeout" for aborted requests (optional).
+     * @returns {WhatsappApiError} - The error.
+     */
+    static fromException(exception, category = ERROR_CATEGORIES.UNKNOWN) {
+        return new WhatsappApiError(exception?.message || String(exception), { category, cause: exception });
+    };
+};
+
+class WhatsappValidationError extends WhatsappApiError {
+    /**
+     * Create a new WhatsappValidationError, raised before a request is made when its input breaks Meta's rules.
+     * @param {Array<String>} errors - The problems found in the input.
+     */
+    constructor(errors) {
+        super(errors.join("; "), { category: ERROR_CATEGORIES.VALIDATION });
+        this.name = "WhatsappValidationError";
+        this.errors = errors;
+    };
+};
+
+
+module.exports = { WhatsappApiError, WhatsappValidationError, ERROR_CATEGORIES, ERROR_CODES, classifyError };
@@ -0,0 +1,393 @@
+const { checkText, assertValid } = require('./validation');
+
+/**
+ * Character and item limits Meta enforces on interactive messages.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/cloud-api/reference/messages#interactive-object
+ */
+const INTERACTIVE_LIMITS = {
+    HEADER_TEXT: 60,
+    BODY_TEXT: 1024,
+    FOOTER_TEXT: 60,
+    BUTTONS: 3,
+    BUTTON_ID: 256,
+    BUTTON_TITLE: 20,
+    LIST_BUTTON_TEXT: 20,
+    LIST_SECTIONS: 10,
+    LIST_ROWS: 10,
+    SECTION_TITLE: 24,
+    ROW_ID: 200,
+    ROW_TITLE: 24,
+    ROW_DESCRIPTION: 72,
+    CTA_DISPLAY_TEXT: 20,
+    FLOW_CTA: 20,
+    PRODUCT_SECTIONS: 10,
+    PRODUCT_ITEMS: 30,
+};
+
+const HEADER_TYPES = ["text", "image", "video", "document"];
+
+/**
+ * Build the header of an interactive message. Strings become text headers, objects are passed as is.
+ * @param {Array<String>} errors - The list problems are added to.
+ * @param {String|Object} header - The header text, or a header object (e.g. { type: "image", image: { link } }).
+ * @param {Array<String>} [types=HEADER_TYPES] - The header types allowed for the message (optional).
+ * @returns {Object} - The header object.
+ */
+function buildHeader(errors, header, types = HEADER_TYPES) {
+    const result = typeof header === "string" ? { "type": "text", "text": header } : header;
+
+    if (!result || !types.includes(result.type)) {
+        errors.push(`header type must be one of: ${types.join(", ")}`);
+        return result;
+    }
+
+    if (result.type === "text") {
+        checkText(errors, result.text, "header text", INTERACTIVE_LIMITS.HEADER_TEXT);
+    } else if (!result[result.type]?.id && !result[result.type]?.link) {
+        errors.push(`${result.type} header requires an id or a link`);
+    }
+
+    return result;
+};
+
+/**
+ * Build the header, body and footer shared by every interactive message.
+ * @param {Array<String>} errors - The list problems are added to.
+ * @param {String} type - The interactive message type.
+ * @param {String} body - The body text.
+ * @param {Object} options - The header and footer.
+ * @param {Object} [rules={}] - Whether the body is required and which header types are allowed (optional).
+ * @returns {Object} - The interactive object, without its action.
+ */
+function buildInteractive(errors, type, body, { header, footer } = {}, { bodyRequired = true, headerTypes = HEADER_TYPES } = {}) {
+    const interactive = { "type": type };
+
+    if (header !== undefined && header !== null) {
+        interactive.header = buildHeader(errors, header, headerTypes);
+    }
+
+    checkText(errors, body, "body text", INTERACTIVE_LIMITS.BODY_TEXT, bodyRequired);
+
+    if (body) {
+        interactive.body = { "text": body };
+    }
+
+    checkText(errors, footer, "footer text", INTERACTIVE_LIMITS.FOOTER_TEXT, false);
+
+    if (footer) {
+        interactive.footer = { "text": footer };
+    }
+
+    return interactive;
+};
+
+/**
+ * Build a reply buttons interactive object.
+ * @param {String} body - The body text.
+ * @param {Array<Object>} buttons - Up to 3 buttons, as { id, title }.
+ * @param {Object} [options={}] - The header (text or media) and footer (optional).
+ * @returns {Object} - The interactive object.
+ * @throws {WhatsappValidationError} - If the message breaks Meta's limits.
+ */
+function buildButtons(body, buttons, options = {}) {
+    const errors = [];
+    const interactive = buildInteractive(errors, "button", body, options);
+
+    if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.BUTTONS) {
+        errors.push(`buttons must contain between 1 and ${INTERACTIVE_LIMITS.BUTTONS} buttons`);
+        assertValid(errors);
+    }
+
+    const ids = new Set();
+
+    buttons.forEach((button, index) => {
+        checkText(errors, button?.id, `buttons[${index}].id`, INTERACTIVE_LIMITS.BUTTON_ID);
+        checkText(errors, button?.title, `buttons[${index}].title`, INTERACTIVE_LIMITS.BUTTON_TITLE);
+
+        if (ids.has(button?.id)) {
+            errors.push(`buttons[${index}].id "${button.id}" is not unique`);
+        }
+
+        ids.add(button?.id);
+    });
+
+    assertValid(errors);
+
+    interactive.action = {
+        "buttons": buttons.map((button) => ({
+            "type": "reply",
+            "reply": { "id": button.id, "title": button.title }
+        }))
+    };
+
+    return interactive;
+};
+
+/**
+ * Build a list interactive object.
+ * @param {String} body - The body text.
+ * @param {String} buttonText - The text of the button opening the list.
+ * @param {Array<Object>} sections - Up to 10 sections, as { title, rows: [{ id, title, description }] }, with 10 rows in total.
+ * @param {Object} [options={}] - The header (text only) and footer (optional).
+ * @returns {Object} - The interactive object.
+ * @throws {WhatsappValidationError} - If the message breaks Meta's limits.
+ */
+function buildList(body, buttonText, sections, options = {}) {
+    const errors = [];
+    const interactive = buildInteractive(errors, "list", body, options, { headerTypes: ["text"] });
+
+    checkText(errors, buttonText, "button text", INTERACTIVE_LIMITS.LIST_BUTTON_TEXT);
+
+    if (!Array.isArray(sections) || sections.length === 0 || sections.length > INTERACTIVE_LIMITS.LIST_SECTIONS) {
+        errors.push(`sections must contain between 1 and ${INTERACTIVE_LIMITS.LIST_SECTIONS} sections`);
+        assertValid(errors);
+    }
+
+    const ids = new Set();
+    let rowCount = 0;
+
+    sections.forEach((section, sectionIndex) => {
+        checkText(errors, section?.title, `sections[${sectionIndex}].title`, INTERACTIVE_LIMITS.SECTION_TITLE, sections.length > 1);
+
+        if (!Array.isArray(section?.rows) || section.rows.length === 0) {
+            errors.push(`sections[${sectionIndex}].rows must contain at least 1 row`);
+            return;
+        }
+
+        section.rows.forEach((row, rowIndex) => {
+            const label = `sections[${sectionIndex}].rows[${rowIndex}]`;
+
+            checkText(errors, row?.id, `${label}.id`, INTERACTIVE_LIMITS.ROW_ID);
+            checkText(errors, row?.title, `${label}.title`, INTERACTIVE_LIMITS.ROW_TITLE);
+            checkText(errors, row?.description, `${label}.description`, INTERACTIVE_LIMITS.ROW_DESCRIPTION, false);
+
+            if (ids.has(row?.id)) {
+                errors.push(`${label}.id "${row.id}" is not unique`);
+            }
+
+            ids.add(row?.id);
+        });
+
+        rowCount += section.rows.length;
+    });
+
+    if (rowCount > INTERACTIVE_LIMITS.LIST_ROWS) {
+        errors.push(`sections must contain at most ${INTERACTIVE_LIMITS.LIST_ROWS} rows in total (got ${rowCount})`);
+    }
+
+    assertValid(errors);
+
+    interactive.action = {
+        "button": buttonText,
+        "sections": sections.map((section) => {
+            const result = section.title ? { "title": section.title } : {};
+
+            result.rows = section.rows.map((row) => {
+                const item = { "id": row.id, "title": row.title };
+
+                if (row.description) {
+                    item.description = row.description;
+                }
+
+                return item;
+            });
+
+            return result;
+        })
+    };
+
+    return interactive;
+};
+
+/**
+ * Build a call-to-action URL button interactive object.
+ * @param {String} body - The body text.
+ * @param {String} displayText - The text of the button.
+ * @param {String} url - The URL opened when the button is tapped.
+ * @param {Object} [options={}] - The header (text or media) and footer (optional).
+ * @returns {Object} - The interactive object.
+ * @throws {WhatsappValidationError} - If the message breaks Meta's limits.
+ */
+function buildCtaUrl(body, displayText, url, options = {}) {
+    const errors = [];
+    const interactive = buildInteractive(errors, "cta_url", body, options);
+
+    checkText(errors, displayText, "display text", INTERACTIVE_LIMITS.CTA_DISPLAY_TEXT);
+
+    if (typeof url !== "string" || !/^https?:\/\//i.test(url)) {
+        errors.push("url must be an http or https URL");
+    }
+
+    assertValid(errors);
+
+    interactive.action = {
+        "name": "cta_url",
+        "parameters": { "display_text": displayText, "url": url }
+    };
+
+    return interactive;
+};
+
+/**
+ * Build a flow interactive object.
+ * @param {String} body - The body text.
+ * @param {Object} flow - The flow to open.
+ * @param {String} [flow.id] - The flow ID (either id or name is required).
+ * @param {String} [flow.name] - The flow name.
+ * @param {String} flow.cta - The text of the button opening the flow.
+ * @param {String} [flow.token] - A token identifying the flow session, sent back with the flow response.
+ * @param {String} [flow.mode="published"] - "published" or "draft".
+ * @param {String} [flow.action="navigate"] - "navigate" or "data_exchange".
+ * @param {String} [flow.screen] - The first screen to open (required for the navigate action).
+ * @param {Object} [flow.data] - Input data for the first screen.
+ * @param {String} [flow.messageVersion="3"] - The flow message version.
+ * @param {Object} [options={}] - The header (text or media) and footer (optional).
+ * @returns {Object} - The interactive object.
+ * @throws {WhatsappValidationError} - If the message breaks Meta's limits.
+ */
+function buildFlow(body, flow, options = {}) {
+    const errors = [];
+    const interactive = buildInteractive(errors, "flow", body, options);
+    const { id, name, cta, token, mode = "published", action = "navigate", screen, data, messageVersion = "3" } = flow || {};
+
+    if (!id && !name) {
+        errors.push("flow id or flow name is required");
+    }
+
+    checkText(errors, cta, "flow cta", INTERACTIVE_LIMITS.FLOW_CTA);
+
+    if (!["published", "draft"].includes(mode)) {
+        errors.push("flow mode must be published or draft");
+    }
+
+    if (!["navigate", "data_exchange"].includes(action)) {
+        errors.push("flow action must be navigate or data_exchange");
+    }
+
+    if (action === "navigate" && !screen) {
+        errors.push("flow screen is required for the navigate action");
+    }
+
+    assertValid(errors);
+
+    const parameters = {
+        "flow_message_version": messageVersion,
+        "flow_cta": cta,
+        "flow_action": action,
+        "mode": mode
+    };
+
+    if (id) {
+        parameters.flow_id = id;
+    } else {
+        parameters.flow_name = name;
+    }
+
+    if (token) {
+        parameters.flow_token = token;
+    }
+
+    if (action === "navigate") {
+        parameters.flow_action_payload = data ? { "screen": screen, "data": data } : { "screen": screen };
+    }
+
+    interactive.action = { "name": "flow", "parameters": parameters };
+
+    return interactive;
+};
+
+/**
+ * Build a single product interactive object.
+ * @param {String} catalogId - The ID of the catalog the product belongs to.
+ * @param {String} productRetailerId - The retailer ID (SKU) of the product.
+ * @param {Object} [options={}] - The body and footer (optional).
+ * @returns {Object} - The interactive object.
+ * @throws {WhatsappValidationError} - If the message breaks Meta's limits.
+ */
+function buildProduct(catalogId, productRetailerId, options = {}) {
+    const errors = [];
+    const interactive = buildInteractive(errors, "product", options.body, { footer: options.footer }, { bodyRequired: false });
+
+    if (!catalogId) {
+        errors.push("catalog id is required");
+    }
+
+    if (!productRetailerId) {
+        errors.push("product retailer id is required");
+    }
+
+    assertValid(errors);
+
+    interactive.action = { "catalog_id": catalogId, "product_retailer_id": productRetailerId };
+
+    return interactive;
+};
+
+/**
+ * Build a multi-product interactive object.
+ * @param {String} header - The header text.
+ * @param {String} body - The body text.
+ * @param {String} catalogId - The ID of the catalog the products belong to.
+ * @param {Array<Object>} sections - Up to 10 sections, as { title, products: [productRetailerId] }, with 30 products in total.
+ * @param {Object} [options={}] - The footer (optional).
+ * @returns {Object} - The interactive object.
+ * @throws {WhatsappValidationError} - If the message breaks Meta's limits.
+ */
+function buildProductList(header, body, catalogId, sections, options = {}) {
+    const errors = [];
+
+    if (!header) {
+        errors.push("header text is required");
+    }
+
+    const interactive = buildInteractive(errors, "product_list", body, { header: header || undefined, footer: options.footer }, { headerTypes: ["text"] });
+
+    if (!catalogId) {
+        errors.push("catalog id is required");
+    }
+
+    if (!Array.isArray(sections) || sections.length === 0 || sections.length > INTERACTIVE_LIMITS.PRODUCT_SECTIONS) {
+        errors.push(`sections must contain between 1 and ${INTERACTIVE_LIMITS.PRODUCT_SECTIONS} sections`);
+        assertValid(errors);
+    }
+
+    let productCount = 0;
+
+    sections.forEach((section, index) => {
+        checkText(errors, section?.title, `sections[${index}].title`, INTERACTIVE_LIMITS.SECTION_TITLE);
+
+        if (!Array.isArray(section?.products) || section.products.length === 0) {
+            errors.push(`sections[${index}].products must contain at least 1 product`);
+            return;
+        }
+
+        productCount += section.products.length;
+    });
+
+    if (productCount > INTERACTIVE_LIMITS.PRODUCT_ITEMS) {
+        errors.push(`sections must contain at most ${INTERACTIVE_LIMITS.PRODUCT_ITEMS} products in total (got ${productCount})`);
+    }
+
+    assertValid(errors);
+
+    interactive.action = {
+        "catalog_id": catalogId,
+        "sections": sections.map((section) => ({
+            "title": section.title,
+            "product_items": section.products.map((product) => ({ "product_retailer_id": product }))
+        }))
+    };
+
+    return interactive;
+};
+
+
+module.exports = {
+    INTERACTIVE_LIMITS,
+    buildButtons,
+    buildList,
+    buildCtaUrl,
+    buildFlow,
+    buildProduct,
+    buildProductList
+};
@@ -0,0 +1,360 @@
+const { MemoryStore } = require('./memory-store');
+const { createLogger } = require('./logger');
+const { WhatsappApiError, ERROR_CATEGORIES } = require('./errors');
+
+/**
+ * Delivery statuses of an outgoing message, in the order they are reached. "failed" is final and has no rank, it is ignored once a message is delivered.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/cloud-api/webhooks/payload-examples#message-status-updates
+ */
+const MESSAGE_STATUSES = ["accepted", "sent", "delivered", "read"];
+
+/**
+ * Get the rank of a status, -1 for failed or unknown statuses.
+ * @param {String} status - The status.
+ * @returns {Number} - The rank.
+ */
+function statusRank(status) {
+    return MESSAGE_STATUSES.indexOf(status);
+};
+
+/**
+ * Compute the rates of a template counters.
+ * @param {Object} counters - The counters as { total, sent, delivered, read, failed }.
+ * @returns {Object} - The counters, plus deliveryRate (delivered / total), readRate (read / delivered) and failureRate (failed / total), null when undefined.
+ */
+function withRates(counters) {
+    const rate = (count, of) => (of ? count / of : null);
+
+    return {
+        ...counters,
+        "deliveryRate": rate(counters.delivered, counters.total),
+        "readRate": rate(counters.read, counters.delivered),
+        "failureRate": rate(counters.failed, counters.total)
+    };
+};
+
+class MessageLedger {
+    /**
+     * Create a ledger recording outgoing messages and updating them from status webhooks, with delivery statistics per template.
+     * Share the store between processes (e.g. Redis) when webhooks and sends are handled by different instances.
+     * Records are { id, to, waId, phoneNumberId, type, templateName, templateLanguage, correlationId, status, timestamps, errors, pricing, conversation }.
+     * @param {Object} [options={}] - Ledger options (optional).
+     * @param {Object} [options.store] - The store, with async get(key), set(key, value, ttl) and delete(key) methods. Defaults to a MemoryStore.
+     * @param {Number} [options.ttl] - The time to live of message records in milliseconds, if the store supports it (optional).
+     * @param {String} [options.prefix="ledger"] - The prefix of the store keys.
+     * @param {function} [options.onError] - Called with the error when recording a send or a status fails, logged by default.
+     * @param {Object} [options.logger] - The logger default error handling writes to, defaults to a console logger.
+     */
+    constructor({ store, ttl, prefix = "ledger", onError, logger } = {}) {
+        this.store = store || new MemoryStore();
+        this.ttl = ttl;
+        this.prefix = prefix;
+        this.logger = logger || createLogger();
+        this.onError = onError || ((error) => this.logger.error("ledger.record.failed", { error }));
+        this.queue = Promise.resolve();
+        this.waiters = new Map();
+    };
+
+    /**
+     * Get the store key of a message.
+     * @param {String} messageId - The message ID (wamid).
+     * @returns {String} - The key.
+     */
+    key(messageId) {
+        return `${this.prefix}:message:${messageId}`;
+    };
+
+    /**
+     * Get the store key of the counters of a template.
+     * @param {String} name - The template name.
+     * @param {String} language - The template language.
+     * @returns {String} - The key.
+     */
+    templateKey(name, language) {
+        return `${this.prefix}:template:${name}:${language}`;
+    };
+
+    /**
+     * Run the updates one at a time, so the read-modify-write of records and counters do not interleave.
+     * @param {function} update - The update.
+     * @returns {Promise<*>} - A promise resolving to the result of the update.
+     */
+    enqueue(update) {
+        const run = this.queue.catch(() => {}).then(update);
+
+        this.queue = run;
+        return run;
+    };
+
+    /**
+     * Record a message accepted by the Cloud API.
+     * @param {Object} payload - The message payload sent.
+     * @param {Object} response - The response of the messages endpoint.
+     * @param {String} [phoneNumberId] - The phone number the message was sent from (optional).
+     * @returns {Promise<Object|null>} - A promise resolving to the record, or null if the response carries no message ID.
+     */
+    recordSent(payload, response, phoneNumberId = null) {
+        const messageId = response?.messages?.[0]?.id;
+
+        if (!messageId) {
+            return Promise.resolve(null);
+        }
+
+        return this.enqueue(async () => {
+            const now = new Date().toISOString();
+            const existing = await this.store.get(this.key(messageId));
+            const record = {
+                "id": messageId,
+                "to": payload.to ?? null,
+                "waId": response.contacts?.[0]?.wa_id ?? null,
+                "phoneNumberId": phoneNumberId,
+                "type": payload.type || "text",
+                "templateName": payload.template?.name ?? null,
+                "templateLanguage": payload.template?.language?.code ?? null,
+                "correlationId": payload.biz_opaque_callback_data ?? null,
+                "status": "accepted",
+                "timestamps": { "accepted": now },
+                "errors": [],
+                "pricing": null,
+                "conversation": null
+            };
+
+            // A status webhook may have been applied before the send was recorded.
+            if (existing) {
+                Object.assign(record, {
+                    "status": existing.status || record.status,
+                    "timestamps": { ...record.timestamps, ...existing.timestamps },
+                    "errors": existing.errors,
+                    "pricing": existing.pricing,
+                    "conversation": existing.conversation
+                });
+            }
+
+            if (record.templateName) {
+                const counters = await this.templateCounters(record.templateName, record.templateLanguage);
+
+                counters.total++;
+                this.countStatuses(counters, record, -1);
+                await this.saveTemplateCounters(record.templateName, record.templateLanguage, counters);
+            }
+
+            await this.store.set(this.key(messageId), record, this.ttl);
+            this.notify(record);
+            return record;
+        });
+    };
+
+    /**
+     * Apply the status events of parsed webhook events (see parseWebhook). Other events are ignored.
+     * @param {Array<Object>} events - The webhook events.
+     * @returns {Promise<void>}
+     */
+    async track(events) {
+        const updates = events
+            .filter((event) => event.type.startsWith("status."))
+            .map((event) => this.applyStatus(event));
+
+        await Promise.all(updates);
+    };
+
+    /**
+     * Apply a status event to the record of its message. Statuses arriving out of order never move a message back (e.g. delivered after read).
+     * A failure reported after delivery is kept in timestamps and errors, but does not change the status, so the message is not counted as both delivered and failed.
+     * Messages sent by another process or before the ledger existed get a partial record.
+     * @param {Object} event - The status event.
+     * @returns {Promise<Object>} - A promise resolving to the updated record.
+     */
+    applyStatus(event) {
+        return this.enqueue(async () => {
+            const stored = await this.store.get(this.key(event.id));
+            const record = stored ? { ...stored, "timestamps": { ...stored.timestamps } } : {
+                "id": event.id,
+                "to": event.recipientId ?? null,
+                "waId": event.recipientId ?? null,
+                "phoneNumberId": event.phoneNumberId ?? null,
+                "type": null,
+                "templateName": null,
+                "templateLanguage": null,
+                "correlationId": event.bizOpaqueCallbackData ?? null,
+                "status": null,
+                "timestamps": {},
+                "errors": [],
+                "pricing": null,
+                "conversation": null
+            };
+            const previousRank = record.status === "failed" ? Infinity : statusRank(record.status);
+            const timestamp = (event.timestamp || new Date()).toISOString();
+
+            record.timestamps[event.status] = record.timestamps[event.status] || timestamp;
+            record.pricing = event.pricing || record.pricing;
+            record.conversation = event.conversation || record.conversation;
+
+            if (event.status === "failed") {
+                record.errors = event.errors || [];
+            }
+
+            if (event.status === "failed" ? previousRank < statusRank("delivered") : statusRank(event.status) > previousRank) {
+                record.status = event.status;
+
+                if (record.templateName) {
+                    const counters = await this.templateCounters(record.templateName, record.templateLanguage);
+
+                    this.countStatuses(counters, record, previousRank);
+                    await this.saveTemplateCounters(record.templateName, record.templateLanguage, counters);
+                }
+            }
+
+            await this.store.set(this.key(event.id), record, this.ttl);
+            this.notify(record);
+            return record;
+        });
+    };
+
+    /**
+     * Count the statuses a record reached since its previous status. Reaching read also counts delivered and sent, when those webhooks were missed.
+     * @param {Object} counters - The template counters, updated in place.
+     * @param {Object} record - The message record.
+     * @param {Number} previousRank - The rank of the previous status.
+     */
+    countStatuses(counters, record, previousRank) {
+        if (record.status === "failed") {
+            counters.failed++;
+            return;
+        }
+
+        for (let rank = Math.max(previousRank + 1, 1); rank <= statusRank(record.status); rank++) {
+            counters[MESSAGE_STATUSES[rank]]++;
+        }
+    };
+
+    /**
+     * Get the counters of a template.
+     * @param {String} name - The template name.
+     * @param {String} language - The template language.
+     * @returns {Promise<Object>} - A promise resolving to the counters as { total, sent, delivered, read, failed }.
+     */
+    async templateCounters(name, language) {
+        return { "total": 0, "sent": 0, "delivered": 0, "read": 0, "failed": 0, ...(await this.store.get(this.templateKey(name, language))) };
+    };
+
+    /**
+     * Save the counters of a template, and add it to the template index.
+     * @param {String} name - The template name.
+     * @param {String} language - The template language.
+     * @param {Object} counters - The counters.
+     * @returns {Promise<void>}
+     */
+    async saveTemplateCounters(name, language, counters) {
+        const index = (await this.store.get(`${this.prefix}:templates`)) || [];
+
+        if (!index.some((template) => template.name === name && template.language === language)) {
+            await this.store.set(`${this.prefix}:templates`, [...index, { name, language }]);
+        }
+
+        await this.store.set(this.templateKey(name, language), counters);
+    };
+
+    /**
+     * Get the record of a message.
+     * @param {String} messageId - The message ID (wamid).
+     * @returns {Promise<Object|null>} - A promise resolving to the record, or null if the message is unknown.
+     */
+    async getMessageStatus(messageId) {
+        return (await this.store.get(this.key(messageId))) ?? null;
+    };
+
+    /**
+     * Wait until a message reaches a status (or a later one, e.g. read when waiting for delivered).
+     * Statuses are seen when this ledger tracks the webhooks, a ledger sharing the store in another process does not wake the wait.
+     * @param {String} messageId - The message ID (wamid).
+     * @param {String} [status="delivered"] - The status to wait for: sent, delivered, read or failed.
+     * @param {Object} [options={}] - Wait options (optional).
+     * @param {Number} [options.timeout=60000] - Milliseconds after which the wait fails, 0 to wait forever.
+     * @returns {Promise<Object>} - A promise resolving to the record.
+     * @throws {WhatsappApiError} - If the message fails (unless waiting for failed), or with the timeout category if the status is not reached in time.
+     */
+    async waitForStatus(messageId, status = "delivered", { timeout = 60000 } = {}) {
+        return await new Promise((resolve, reject) => {
+            const waiter = { status, resolve, reject, "timer": null };
+            const waiters = this.waiters.get(messageId) || new Set();
+
+            waiters.add(waiter);
+            this.waiters.set(messageId, waiters);
+
+            if (timeout) {
+                waiter.timer = setTimeout(() => {
+                    this.removeWaiter(messageId, waiter);
+                    reject(new WhatsappApiError(`Message ${messageId} did not reach status ${status} within ${timeout}ms`, { category: ERROR_CATEGORIES.TIMEOUT }));
+                }, timeout);
+            }
+
+            this.getMessageStatus(messageId).then((record) => record && this.settle(waiter, record, messageId), (error) => {
+                this.removeWaiter(messageId, waiter);
+                reject(error);
+            });
+        });
+    };
+
+    /**
+     * Forget a waiter.
+     * @param {String} messageId - The message ID.
+     * @param {Object} waiter - The waiter.
+     */
+    removeWaiter(messageId, waiter) {
+        clearTimeout(waiter.timer);
+        this.waiters.get(messageId)?.delete(waiter);
+
+        if (this.waiters.get(messageId)?.size === 0) {
+            this.waiters.delete(messageId);
+        }
+    };
+
+    /**
+     * Resolve or reject a waiter if the record settles it.
+     * @param {Object} waiter - The waiter.
+     * @param {Object} record - The message record.
+     * @param {String} messageId - The message ID.
+     */
+    settle(waiter, record, messageId) {
+        if (record.status === "failed" && waiter.status !== "failed") {
+            const error = record.errors[0] || {};
+
+            this.removeWaiter(messageId, waiter);
+            waiter.reject(new WhatsappApiError(error.title || error.message || `Message ${messageId} failed`, {
+                code: error.code ?? null,
+                details: error.error_data?.details ?? null,
+                error: error
+            }));
+        } else if (record.status === waiter.status || (statusRank(waiter.status) >= 0 && statusRank(record.status) >= statusRank(waiter.status))) {
+            this.removeWaiter(messageId, waiter);
+            waiter.resolve(record);
+        }
+    };
+
+    /**
+     * Settle the waiters of an updated record.
+     * @param {Object} record - The message record.
+     */
+    notify(record) {
+        for (const waiter of this.waiters.get(record.id) || []) {
+            this.settle(waiter, record, record.id);
+        }
+    };
+
+    /**
+     * Get the delivery statistics of a template, or of every template sent when no name is given.
+     * @param {String} [name] - The template name (optional).
+     * @param {String} [language] - The template language, every language of the template when omitted (optional).
+     * @returns {Promise<Array<Object>>} - A promise resolving to the statistics of each template and language, as
+     * { name, language, total, sent, delivered, read, failed, deliveryRate, readRate, failureRate }.
+     */
+    async getTemplateStats(name, language) {
+        const index = (await this.store.get(`${this.prefix}:templates`)) || [];
+        const templates = index.filter((template) => (!name || template.name === name) && (!language || template.language === language));
+
+        return await Promise.all(templates.map(async (template) => ({ ...template, ...withRates(await this.templateCounters(template.name, template.language)) })));
+    };
+};
+
+
+module.exports = { MessageLedger, MESSAGE_STATUSES };
@@ -0,0 +1,172 @@
+/**
+ * Log levels, in increasing severity. A logger writes the entries at or above its level.
+ */
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+};
+
+/**
+ * Keys whose values are secrets, always redacted.
+ */
+const SECRET_KEYS = ["access_token", "accesstoken", "authorization", "token", "app_secret", "appsecret", "client_secret", "pin", "webhookverifytoken", "hub.verify_token"];
+
+/**
+ * Keys whose values are phone numbers or WhatsApp IDs of users.
+ */
+const PHONE_NUMBER_KEYS = ["to", "from", "wa_id", "waid", "recipient_id", "recipientid", "input", "phone_number"];
+
+/**
+ * Keys whose values are message content.
+ */
+const MESSAGE_BODY_KEYS = ["body", "text", "caption", "title", "description", "footer", "header", "address", "formatted_name", "first_name", "last_name", "profilename", "emoji"];
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Create a logger writing to the console.
+ * @param {Object} [options={}] - Logger options (optional).
+ * @param {String} [options.level="error"] - The minimum level written: debug, info, warn, error or silent.
+ * @param {Boolean} [options.json=false] - Write each entry as a line of JSON ({ time, level, message, ...fields }) instead of the message followed by its fields.
+ * @param {Object} [options.console=console] - The console to write to.
+ * @returns {Object} - The logger, with debug, info, warn and error methods called as (message, fields).
+ */
+function createLogger({ level = "error", json = false, console: output = console } = {}) {
+    const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.error;
+    const logger = {};
+
+    for (const method of ["debug", "info", "warn", "error"]) {
+        logger[method] = (message, fields = {}) => {
+            if (LOG_LEVELS[method] < threshold) {
+                return;
+            }
+
+            if (json) {
+                output[method](JSON.stringify({ "time": new Date().toISOString(), "level": method, message, ...fields }, (key, value) => (value instanceof Error ? serializeError(value) : value)));
+            } else {
+                output[method](message, fields);
+            }
+        };
+    }
+
+    return logger;
+};
+
+/**
+ * Reduce an error to plain fields, for structured logs.
+ * @param {Error} error - The error.
+ * @returns {Object} - The error as { name, message, category, status, code, stack }.
+ */
+function serializeError(error) {
+    return {
+        "name": error.name,
+        "message": error.message,
+        "category": error.category,
+        "status": error.status,
+        "code": error.code,
+        "stack": error.stack
+    };
+};
+
+/**
+ * Mask a phone number, keeping its last 4 digits.
+ * @param {String} value - The phone number.
+ * @returns {String} - The masked number, e.g. "*******4567".
+ */
+function maskPhoneNumber(value) {
+    const text = String(value);
+
+    return text.length > 4 ? `${"*".repeat(text.length - 4)}${text.slice(-4)}` : "****";
+};
+
+/**
+ * Remove access tokens from a URL or header value.
+ * @param {String} value - The string.
+ * @returns {String} - The string with tokens replaced by [REDACTED].
+ */
+function redactSecrets(value) {
+    return value
+        .replace(/([?&](?:access_token|hub\.verify_token|client_secret)=)[^&#\s]+/gi, `$1${REDACTED}`)
+        .replace(/\b(Bearer|OAuth)\s+[^\s,]+/g, `$1 ${REDACTED}`);
+};
+
+/**
+ * Copy a value with its secrets and, optionally, personal data redacted, for logging.
+ * Secrets (tokens, app secret, PIN) are always redacted. Phone numbers are masked and message content is replaced unless disabled.
+ * @param {*} value - The value: an object, an array, a string (URLs and headers are cleaned of tokens) or a JSON string.
+ * @param {Object|false} [options={}] - Redaction options, false to redact only the secrets (optional).
+ * @param {Boolean} [options.phoneNumbers=true] - Mask phone numbers and WhatsApp IDs of users.
+ * @param {Boolean} [options.messageBodies=true] - Replace message content (text, captions, titles, names, etc.).
+ * @param {Array<String>} [options.keys=[]] - Other keys whose values are replaced.
+ * @returns {*} - The redacted copy.
+ */
+function redact(value, options = {}) {
+    const settings = options === false ? { "phoneNumbers": false, "messageBodies": false } : options;
+    const extraKeys = (settings.keys || []).map((key) => key.toLowerCase());
+
+    const visit = (item, key) => {
+        const name = String(key ?? "").toLowerCase();
+
+        if (item === null || item === undefined) {
+            return item;
+        }
+
+        if (SECRET_KEYS.includes(name) && typeof item !== "object") {
+            return name === "authorization" ? redactSecrets(String(item)) : REDACTED;
+        }
+
+        if (extraKeys.includes(name)) {
+            return REDACTED;
+        }
+
+        if (typeof item === "string" || typeof item === "number") {
+            if (settings.phoneNumbers !== false && PHONE_NUMBER_KEYS.includes(name)) {
+                return maskPhoneNumber(item);
+            }
+
+            if (settings.messageBodies !== false && MESSAGE_BODY_KEYS.includes(name) && typeof item === "string") {
+                return REDACTED;
+            }
+
+            return typeof item === "string" ? redactSecrets(item) : item;
+        }
+
+        if (Buffer.isBuffer(item) || item instanceof ArrayBuffer || ArrayBuffer.isView(item)) {
+            return `[${item.byteLength ?? item.length} bytes]`;
+        }
+
+        if (typeof FormData !== "undefined" && item instanceof FormData) {
+            return "[multipart form data]";
+        }
+
+        if (item instanceof Error) {
+            return item;
+        }
+
+        if (Array.isArray(item)) {
+            return item.map((element) => visit(element, key));
+        }
+
+        if (typeof item === "object") {
+            return Object.fromEntries(Object.entries(item).map(([field, element]) => [field, visit(element, field)]));
+        }
+
+        return item;
+    };
+
+    if (typeof value === "string" && /^\s*[{[]/.test(value)) {
+        try {
+            return visit(JSON.parse(value));
+        } catch (error) {
+            return redactSecrets(value);
+        }
+    }
+
+    return visit(value);
+};
+
+
+module.exports = { LOG_LEVELS, createLogger, redact, redactSecrets, maskPhoneNumber };
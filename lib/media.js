@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { assertValid } = require('./validation');
+
+/**
+ * Supported media types, their MIME types and maximum sizes in bytes.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/cloud-api/reference/media#supported-media-types
+ */
+const MEDIA_TYPES = {
+    audio: {
+        mimeTypes: ["audio/aac", "audio/amr", "audio/mpeg", "audio/mp4", "audio/ogg"],
+        maxSize: 16 * 1024 * 1024
+    },
+    document: {
+        mimeTypes: [
+            "text/plain",
+            "application/pdf",
+            "application/msword",
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            "application/vnd.ms-excel",
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            "application/vnd.ms-powerpoint",
+            "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+        ],
+        maxSize: 100 * 1024 * 1024
+    },
+    image: {
+        mimeTypes: ["image/jpeg", "image/png"],
+        maxSize: 5 * 1024 * 1024
+    },
+    sticker: {
+        mimeTypes: ["image/webp"],
+        maxSize: 100 * 1024,
+        maxAnimatedSize: 500 * 1024
+    },
+    video: {
+        mimeTypes: ["video/mp4", "video/3gpp"],
+        maxSize: 16 * 1024 * 1024
+    },
+};
+
+const EXTENSION_MIME_TYPES = {
+    ".aac": "audio/aac",
+    ".amr": "audio/amr",
+    ".mp3": "audio/mpeg",
+    ".m4a": "audio/mp4",
+    ".ogg": "audio/ogg",
+    ".opus": "audio/ogg",
+    ".txt": "text/plain",
+    ".pdf": "application/pdf",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xls": "application/vnd.ms-excel",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".ppt": "application/vnd.ms-powerpoint",
+    ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".mp4": "video/mp4",
+    ".3gp": "video/3gpp",
+};
+
+/**
+ * MIME types accepted by the Resumable Upload API.
+ */
+const RESUMABLE_UPLOAD_MIME_TYPES = ["application/pdf", "image/jpeg", "image/jpg", "image/png", "video/mp4"];
+
+/**
+ * Number of leading bytes needed to sniff a MIME type.
+ */
+const SNIFF_LENGTH = 64;
+
+/**
+ * Guess a MIME type from the magic bytes at the start of a file.
+ * @param {Buffer} buffer - The first bytes of the file.
+ * @returns {String|null} - The MIME type, or null if it could not be recognized.
+ */
+function sniffMimeType(buffer) {
+    const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return "image/jpeg";
+    }
+
+    if (ascii(0, 8) === "\x89PNG\r\n\x1A\n") {
+        return "image/png";
+    }
+
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+        return "image/webp";
+    }
+
+    if (ascii(0, 5) === "%PDF-") {
+        return "application/pdf";
+    }
+
+    if (ascii(4, 8) === "ftyp") {
+        const brand = ascii(8, 12);
+
+        if (brand.startsWith("3g")) {
+            return "video/3gpp";
+        }
+
+        return brand === "M4A " ? "audio/mp4" : "video/mp4";
+    }
+
+    if (ascii(0, 4) === "OggS") {
+        return "audio/ogg";
+    }
+
+    if (ascii(0, 5) === "#!AMR") {
+        return "audio/amr";
+    }
+
+    if (ascii(0, 3) === "ID3") {
+        return "audio/mpeg";
+    }
+
+    if (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) {
+        return "audio/aac";
+    }
+
+    if (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) {
+        return "audio/mpeg";
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a webp file is animated, from its VP8X header.
+ * @param {Buffer} buffer - The first bytes of the file.
+ * @returns {Boolean} - True if the animation flag is set.
+ */
+function isAnimatedWebp(buffer) {
+    return buffer.toString("latin1", 12, 16) === "VP8X" && buffer.length > 20 && (buffer[20] & 0x02) === 0x02;
+};
+
+/**
+ * Find the media type (audio, document, image, sticker or video) a MIME type belongs to.
+ * @param {String} mimeType - The MIME type.
+ * @returns {String|null} - The media type, or null if the MIME type is not supported.
+ */
+function mediaTypeOf(mimeType) {
+    const type = Object.keys(MEDIA_TYPES).find((key) => MEDIA_TYPES[key].mimeTypes.includes(mimeType));
+
+    return type || null;
+};
+
+/**
+ * Read a Readable stream into a Buffer, giving up once it exceeds a size.
+ * @param {Readable} stream - The stream.
+ * @param {Number} maxSize - The maximum number of bytes to read.
+ * @returns {Promise<Buffer>} - The content of the stream.
+ * @throws {WhatsappValidationError} - If the stream is larger than maxSize.
+ */
+async function readStream(stream, maxSize) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+
+        size += buffer.length;
+
+        if (size > maxSize) {
+            stream.destroy?.();
+            assertValid([`file exceeds the maximum media size of ${maxSize} bytes`]);
+        }
+
+        chunks.push(buffer);
+    }
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Open any supported upload input as a Blob, with its file name, MIME type and size.
+ * File paths are opened as file-backed Blobs where the runtime supports it, so their content is streamed rather than loaded in memory.
+ * A file path larger than maxSize is left unread (blob is null), its size being reported for the caller to reject it.
+ * @param {Buffer|Uint8Array|Blob|Readable|String|Object} file - A Buffer, a Blob / File, a Readable stream, a file path, or a multer-style file ({ path | buffer, originalname | filename, mimetype }).
+ * @param {Object} [options={}] - Upload options (optional).
+ * @param {String} [options.filename] - The file name sent to Meta.
+ * @param {String} [options.mimeType] - The MIME type, sniffed from the content or the file name when omitted.
+ * @param {Number} [maxSize=Infinity] - The maximum number of bytes read from a Readable stream or a file path (optional).
+ * @returns {Promise<Object>} - The upload as { blob, head, filename, mimeType, size }, head being the first bytes of the file.
+ * @throws {WhatsappValidationError} - If the input is not supported or a stream is too large.
+ */
+async function openUploadSource(file, options = {}, maxSize = Infinity) {
+    let source = file;
+    let filename = options.filename;
+    let mimeType = options.mimeType;
+    let blob = null;
+    let head = null;
+
+    if (source && typeof source === "object" && !Buffer.isBuffer(source) && !(source instanceof Uint8Array) && !(source instanceof Blob) && !(source instanceof Readable) && (source.path || source.buffer)) {
+        filename = filename || source.originalname || source.filename || (source.path ? path.basename(source.path) : undefined);
+        mimeType = mimeType || source.mimetype;
+        source = source.buffer || source.path;
+    }
+
+    if (typeof source === "string") {
+        const stats = await fs.promises.stat(source);
+        const handle = await fs.promises.open(source, "r");
+
+        try {
+            head = Buffer.alloc(Math.min(SNIFF_LENGTH, stats.size));
+            await handle.read(head, 0, head.length, 0);
+        } finally {
+            await handle.close();
+        }
+
+        filename = filename || path.basename(source);
+
+        if (stats.size <= maxSize) {
+            blob = typeof fs.openAsBlob === "function" ? await fs.openAsBlob(source) : new Blob([await fs.promises.readFile(source)]);
+        }
+
+        source = { size: stats.size };
+    } else if (source instanceof Blob) {
+        head = Buffer.from(await source.slice(0, SNIFF_LENGTH).arrayBuffer());
+        filename = filename || source.name;
+        mimeType = mimeType || source.type || undefined;
+        blob = source;
+    } else if (Buffer.isBuffer(source) || source instanceof Uint8Array) {
+        blob = new Blob([source]);
+        head = Buffer.from(source.subarray(0, SNIFF_LENGTH));
+    } else if (source instanceof Readable || typeof source?.[Symbol.asyncIterator] === "function") {
+        const buffer = await readStream(source, maxSize);
+
+        blob = new Blob([buffer]);
+        head = buffer.subarray(0, SNIFF_LENGTH);
+        filename = filename || (typeof source.path === "string" ? path.basename(source.path) : undefined);
+    } else {
+        assertValid(["file must be a Buffer, Blob, Readable stream, file path or multer-style file object"]);
+    }
+
+    mimeType = mimeType || sniffMimeType(head) || EXTENSION_MIME_TYPES[path.extname(filename || "").toLowerCase()];
+
+    if (!filename) {
+        filename = `file${Object.keys(EXTENSION_MIME_TYPES).find((ext) => EXTENSION_MIME_TYPES[ext] === mimeType) || ""}`;
+    }
+
+    return { blob, head, filename, mimeType, size: blob ? blob.size : source.size };
+};
+
+/**
+ * Resolve any supported upload input into a Blob, checking its MIME type and size against Meta's media limits.
+ * @param {Buffer|Uint8Array|Blob|Readable|String|Object} file - The file, see openUploadSource.
+ * @param {Object} [options={}] - Upload options, see openUploadSource (optional).
+ * @returns {Promise<Object>} - The upload as { blob, filename, mimeType, mediaType, size }.
+ * @throws {WhatsappValidationError} - If the MIME type is not supported or the file is too large.
+ */
+async function resolveUpload(file, options = {}) {
+    const largest = Math.max(...Object.values(MEDIA_TYPES).map((type) => type.maxAnimatedSize || type.maxSize));
+    const { blob, head, filename, mimeType, size } = await openUploadSource(file, options, largest);
+    const errors = [];
+    const mediaType = mediaTypeOf(mimeType);
+
+    if (!mediaType) {
+        errors.push(`unsupported media MIME type: ${mimeType || "unknown"}`);
+    } else {
+        const limits = MEDIA_TYPES[mediaType];
+        const maxSize = mediaType === "sticker" && isAnimatedWebp(head) ? limits.maxAnimatedSize : limits.maxSize;
+
+        if (size > maxSize) {
+            errors.push(`${mediaType} files must be at most ${maxSize} bytes (got ${size})`);
+        }
+    }
+
+    if (size === 0) {
+        errors.push("file is empty");
+    }
+
+    assertValid(errors);
+
+    return { blob, filename, mimeType, mediaType, size };
+};
+
+
+module.exports = { MEDIA_TYPES, RESUMABLE_UPLOAD_MIME_TYPES, sniffMimeType, isAnimatedWebp, mediaTypeOf, openUploadSource, resolveUpload };
@@ -0,0 +1,53 @@
+class MemoryStore {
+    /**
+     * Create a new in-memory key/value store.
+     * Stores are used by the SDK to persist state (e.g. broadcast checkpoints). Any object exposing the same async get, set and delete methods
+     * (Redis, a database table, etc.) can be used instead, so the state survives a restart.
+     */
+    constructor() {
+        this.entries = new Map();
+    };
+
+    /**
+     * Get the value of a key.
+     * @param {String} key - The key.
+     * @returns {Promise<*>} - A promise resolving to the value, or undefined if the key does not exist or has expired.
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    };
+
+    /**
+     * Set the value of a key.
+     * @param {String} key - The key.
+     * @param {*} value - The value.
+     * @param {Number} [ttl] - The time to live of the key in milliseconds, the key never expires when omitted (optional).
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttl) {
+        this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+    };
+
+    /**
+     * Delete a key.
+     * @param {String} key - The key.
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    };
+};
+
+
+module.exports = { MemoryStore };
@@ -0,0 +1,204 @@
+const { checkText, assertValid } = require('./validation');
+
+/**
+ * The maximum length of an image, video or document caption.
+ */
+const MAX_CAPTION_LENGTH = 1024;
+
+/**
+ * Build the media object of a message from a media link or a media ID.
+ * @param {String} media - The URL or ID of the media.
+ * @param {Object} [fields={}] - Additional fields of the media object, e.g. caption or filename (optional).
+ * @returns {Object} - The media object.
+ * @throws {WhatsappValidationError} - If the caption is too long.
+ */
+function mediaObject(media, fields = {}) {
+    const errors = [];
+
+    checkText(errors, fields.caption, "caption", MAX_CAPTION_LENGTH, false);
+    assertValid(errors);
+
+    const object = media.startsWith("http") ? { "link": media } : { "id": media };
+
+    return { ...object, ...fields };
+};
+
+/**
+ * Build and validate a location object.
+ * @param {Number|String} latitude - The latitude, between -90 and 90.
+ * @param {Number|String} longitude - The longitude, between -180 and 180.
+ * @param {String} [name=""] - The name of the location (optional).
+ * @param {String} [address=""] - The address of the location (optional).
+ * @returns {Object} - The location object.
+ * @throws {WhatsappValidationError} - If the coordinates are invalid.
+ */
+function buildLocation(latitude, longitude, name = "", address = "") {
+    const errors = [];
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+
+    if (latitude === "" || latitude === null || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+        errors.push("latitude must be a number between -90 and 90");
+    }
+
+    if (longitude === "" || longitude === null || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+        errors.push("longitude must be a number between -180 and 180");
+    }
+
+    assertValid(errors);
+
+    const location = { "latitude": lat, "longitude": lng };
+
+    if (name) {
+        location.name = name;
+    }
+
+    if (address) {
+        location.address = address;
+    }
+
+    return location;
+};
+
+/**
+ * Turn a list of strings or objects into a list of objects, strings being stored under `key`.
+ * @param {Array<String|Object>|String|undefined} items - The items.
+ * @param {String} key - The field strings are stored under.
+ * @returns {Array<Object>} - The normalized items.
+ */
+function normalizeItems(items, key) {
+    if (items === undefined || items === null) {
+        return [];
+    }
+
+    return (Array.isArray(items) ? items : [items]).map((item) => (typeof item === "string" ? { [key]: item } : item));
+};
+
+/**
+ * Build and validate the contacts of a contacts message.
+ * Names may be given as a string, phones, emails and urls as strings or objects.
+ * @param {Object|Array<Object>} contacts - One contact card or a list of contact cards, as { name, phones, emails, org, urls, addresses, birthday }.
+ * @returns {Array<Object>} - The contacts array of the message.
+ * @throws {WhatsappValidationError} - If a contact card is invalid.
+ */
+function buildContacts(contacts) {
+    const errors = [];
+    const list = Array.isArray(contacts) ? contacts : [contacts];
+
+    if (list.length === 0) {
+        errors.push("at least one contact is required");
+    }
+
+    const result = list.map((contact, index) => {
+        const label = `contacts[${index}]`;
+
+        if (!contact || typeof contact !== "object") {
+            errors.push(`${label} must be an object`);
+            return contact;
+        }
+
+        let name = contact.name;
+
+        if (typeof name === "string") {
+            const [firstName, ...lastNames] = name.trim().split(/\s+/);
+
+            name = { "formatted_name": name.trim(), "first_name": firstName };
+
+            if (lastNames.length > 0) {
+                name.last_name = lastNames.join(" ");
+            }
+        }
+
+        if (!name?.formatted_name) {
+            errors.push(`${label}.name.formatted_name is required`);
+        }
+
+        if (name && !["first_name", "last_name", "middle_name", "suffix", "prefix"].some((field) => name[field])) {
+            errors.push(`${label}.name requires at least one of first_name, last_name, middle_name, suffix or prefix`);
+        }
+
+        const card = { "name": name };
+        const phones = normalizeItems(contact.phones, "phone");
+        const emails = normalizeItems(contact.emails, "email");
+        const urls = normalizeItems(contact.urls, "url");
+        const addresses = normalizeItems(contact.addresses, "street");
+
+        phones.forEach((phone, phoneIndex) => {
+            if (!phone?.phone && !phone?.wa_id) {
+                errors.push(`${label}.phones[${phoneIndex}] requires a phone or a wa_id`);
+            }
+        });
+
+        emails.forEach((email, emailIndex) => {
+            if (typeof email?.email !== "string" || !email.email.includes("@")) {
+                errors.push(`${label}.emails[${emailIndex}].email must be an email address`);
+            }
+        });
+
+        urls.forEach((url, urlIndex) => {
+            if (!url?.url) {
+                errors.push(`${label}.urls[${urlIndex}].url is required`);
+            }
+        });
+
+        if (contact.birthday && !/^\d{4}-\d{2}-\d{2}$/.test(contact.birthday)) {
+            errors.push(`${label}.birthday must be formatted as YYYY-MM-DD`);
+        }
+
+        if (phones.length > 0) {
+            card.phones = phones;
+        }
+
+        if (emails.length > 0) {
+            card.emails = emails;
+        }
+
+        if (urls.length > 0) {
+            card.urls = urls;
+        }
+
+        if (addresses.length > 0) {
+            card.addresses = addresses;
+        }
+
+        if (contact.org) {
+            card.org = contact.org;
+        }
+
+        if (contact.birthday) {
+            card.birthday = contact.birthday;
+        }
+
+        return card;
+    });
+
+    assertValid(errors);
+
+    return result;
+};
+
+/**
+ * Build and validate a reaction object.
+ * @param {String} messageId - The ID of the message to react to.
+ * @param {String} [emoji=""] - The emoji, an empty string removes the reaction (optional).
+ * @returns {Object} - The reaction object.
+ * @throws {WhatsappValidationError} - If the message ID is missing.
+ */
+function buildReaction(messageId, emoji = "") {
+    const errors = [];
+
+    if (!messageId || typeof messageId !== "string") {
+        errors.push("message id is required");
+    }
+
+    if (typeof emoji !== "string") {
+        errors.push("emoji must be a string");
+    }
+
+    assertValid(errors);
+
+    return { "message_id": messageId, "emoji": emoji };
+};
+
+
+module.exports = { mediaObject, buildLocation, buildContacts, buildReaction };
@@ -0,0 +1,961 @@
+const crypto = require('crypto');
+const http = require('http');
+const EventEmitter = require('events');
+const { createWebhookSignature } = require('./webhook');
+const { RESUMABLE_UPLOAD_MIME_TYPES } = require('./media');
+
+/**
+ * Graph API errors the mock server can be told to answer with, by name.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+ */
+const MOCK_ERRORS = {
+    auth: { status: 401, code: 190, type: "OAuthException", message: "Error validating access token: Session has expired." },
+    permission: { status: 403, code: 10, type: "OAuthException", message: "Application does not have permission for this action" },
+    rate_limit: { status: 429, code: 130429, message: "Rate limit hit", retryAfter: 1 },
+    pair_rate_limit: { status: 400, code: 131056, message: "(Business Account, Consumer Account) pair rate limit hit" },
+    invalid_parameter: { status: 400, code: 100, message: "Invalid parameter" },
+    reengagement: { status: 400, code: 131047, message: "Re-engagement message", details: "Message failed to send because more than 24 hours have passed since the customer last replied to this number." },
+    recipient_unavailable: { status: 400, code: 131026, message: "Message undeliverable" },
+    template_not_found: { status: 404, code: 132001, message: "Template name does not exist in the translation" },
+    template_params: { status: 400, code: 132000, message: "Number of parameters does not match the expected number of params" },
+    code_mismatch: { status: 400, code: 136025, message: "Verify code error", details: "The verification code you entered is incorrect." },
+    pin_mismatch: { status: 400, code: 133005, message: "Two step verification PIN Mismatch" },
+    server: { status: 500, code: 131000, message: "Something went wrong" },
+    unavailable: { status: 503, code: 131016, message: "Service unavailable" },
+};
+
+/**
+ * Generate a message ID looking like the ones returned by Meta.
+ * @returns {String} - The message ID.
+ */
+function createMessageId() {
+    return `wamid.${crypto.randomBytes(24).toString("base64url")}`;
+};
+
+class MockServer extends EventEmitter {
+    /**
+     * Create a local mock of the Cloud API, to develop and run end-to-end tests without Meta.
+     * It implements /messages, /media, media download URLs, /message_templates, the Resumable Upload API, and the phone number
+     * (/phone_numbers, registration, two-step PIN) and /whatsapp_business_profile endpoints, keeping state in memory.
+     * Point a client at it with the baseUrl option: new Whatsapp(phoneNumberId, accessToken, version, accountId, appId, "", "", { baseUrl: mock.url }).
+     * Emits "request" for every request and "message" for every message sent.
+     * @param {Object} [options={}] - Server options (optional).
+     * @param {Number} [options.port=0] - The port to listen on, a free port when 0.
+     * @param {String} [options.host="127.0.0.1"] - The host to listen on.
+     * @param {String} [options.accessToken] - The only access token accepted, any token is accepted when omitted.
+     * @param {String} [options.templateStatus="APPROVED"] - The status given to registered templates.
+     * @param {Boolean} [options.strictTemplates=false] - Reject template messages whose template is not registered and approved.
+     * @param {Number} [options.latency=0] - Milliseconds to wait before answering each request.
+     * @param {String} [options.verificationCode="123456"] - The code accepted by /verify_code.
+     */
+    constructor(options = {}) {
+        super();
+        this.port = options.port || 0;
+        this.host = options.host || "127.0.0.1";
+        this.accessToken = options.accessToken || null;
+        this.templateStatus = options.templateStatus || "APPROVED";
+        this.strictTemplates = options.strictTemplates || false;
+        this.latency = options.latency || 0;
+        this.verificationCode = options.verificationCode || "123456";
+        this.server = null;
+        this.url = null;
+        this.nextId = 1000000000000;
+        this.reset();
+    };
+
+    /**
+     * Clear the recorded requests, injected failures and every stored message, media, template, upload session and phone number.
+     */
+    reset() {
+        this.requests = [];
+        this.messages = [];
+        this.failures = [];
+        this.media = new Map();
+        this.templates = new Map();
+        this.uploadSessions = new Map();
+        this.phoneNumbers = new Map();
+    };
+
+    /**
+     * Start listening.
+     * @returns {Promise<String>} - A promise resolving to the URL of the server, to use as the client baseUrl.
+     */
+    async start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch((error) => {
+                this.reply(res, 500, { "error": { "message": error.message, "code": 1, "type": "OAuthException" } });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        this.url = `http://${this.host}:${this.server.address().port}`;
+        return this.url;
+    };
+
+    /**
+     * Stop listening and close open connections.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+
+        this.server = null;
+        server.closeAllConnections?.();
+        await new Promise((resolve) => server.close(() => resolve()));
+    };
+
+    /**
+     * Answer the next matching requests with an error instead of handling them.
+     * @param {Object|Function} match - The requests to fail: a predicate called with the recorded request, or { method, path, to },
+     * path being a string contained in the path or a RegExp, and to the recipient of a message. Every field is optional.
+     * @param {String|Object} [error="server"] - The name of one of MOCK_ERRORS, or { status, code, subcode, type, message, details, retryAfter (seconds) },
+     * or { network: true } to destroy the connection, or { delay } (milliseconds) to answer late (optional).
+     * @param {Object} [options={}] - Failure options (optional).
+     * @param {Number} [options.times=1] - The number of requests to fail, Infinity for all of them.
+     * @returns {MockServer} - The server, for chaining.
+     */
+    failNext(match, error = "server", { times = 1 } = {}) {
+        const spec = typeof error === "string" ? MOCK_ERRORS[error] : error;
+
+        if (!spec) {
+            throw new Error(`Unknown mock error: ${error}, expected one of: ${Object.keys(MOCK_ERRORS).join(", ")}`);
+        }
+
+        this.failures.push({ match, spec, times });
+        return this;
+    };
+
+    /**
+     * Register a template directly, as if it had been created and reviewed.
+     * @param {Object} template - The template as { name, language, category, components, status }.
+     * @returns {Object} - The stored template, with its id.
+     */
+    addTemplate(template) {
+        const stored = { "id": this.createId(), "status": this.templateStatus, ...template };
+
+        this.templates.set(stored.id, stored);
+        return stored;
+    };
+
+    /**
+     * Add a phone number to the business account, as if it had been added in WhatsApp Manager.
+     * @param {Object} [phoneNumber={}] - The phone number fields, e.g. { display_phone_number, verified_name, quality_rating } (optional).
+     * @param {String} [phoneNumber.id] - The phone number ID, generated when omitted. Use the client phoneNumberId to manage it.
+     * @param {String} [phoneNumber.pin] - The two-step verification PIN, when two-step verification is already enabled.
+     * @returns {Object} - The stored phone number.
+     */
+    addPhoneNumber({ id, pin, ...fields } = {}) {
+        const phoneNumberId = id ? String(id) : this.createId();
+        const phoneNumber = {
+            "id": phoneNumberId,
+            "display_phone_number": "+1 555-000-0000",
+            "verified_name": "Test Business",
+            "quality_rating": "GREEN",
+            "messaging_limit_tier": "TIER_1K",
+            "code_verification_status": "NOT_VERIFIED",
+            "name_status": "APPROVED",
+            "status": "PENDING",
+            "platform_type": "NOT_APPLICABLE",
+            "throughput": { "level": "STANDARD" },
+            "is_official_business_account": false,
+            ...fields
+        };
+
+        this.phoneNumbers.set(phoneNumberId, { "data": phoneNumber, "pin": pin ? String(pin) : null, "codeRequested": false, "profile": {} });
+        return phoneNumber;
+    };
+
+    /**
+     * Get the messages sent to a recipient.
+     * @param {String} to - The recipient phone number.
+     * @returns {Array<Object>} - The messages as { id, to, payload }.
+     */
+    messagesTo(to) {
+        return this.messages.filter((message) => message.to === String(to));
+    };
+
+    /**
+     * Generate a numeric node ID.
+     * @returns {String} - The ID.
+     */
+    createId() {
+        return String(this.nextId++);
+    };
+
+    /**
+     * Send a JSON response.
+     * @param {http.ServerResponse} res - The response.
+     * @param {Number} status - The HTTP status.
+     * @param {Object} body - The response body.
+     * @param {Object} [headers={}] - Additional headers (optional).
+     */
+    reply(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    };
+
+    /**
+     * Send a Graph API error response.
+     * @param {http.ServerResponse} res - The response.
+     * @param {Object} spec - The error as { status, code, subcode, type, message, details, retryAfter }.
+     */
+    replyError(res, spec) {
+        const error = {
+            "message": spec.message || "An unknown error occurred",
+            "type": spec.type || "OAuthException",
+            "code": spec.code ?? 1,
+            "fbtrace_id": crypto.randomBytes(8).toString("base64url")
+        };
+
+        if (spec.subcode) {
+            error.error_subcode = spec.subcode;
+        }
+
+        if (spec.details) {
+            error.error_data = { "messaging_product": "whatsapp", "details": spec.details };
+        }
+
+        this.reply(res, spec.status || 400, { "error": error }, spec.retryAfter ? { 'Retry-After': String(spec.retryAfter) } : {});
+    };
+
+    /**
+     * Read and decode the body of a request.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {String} url - The full URL of the request.
+     * @returns {Promise<Object|Buffer|null>} - The parsed JSON, the multipart fields (files as { filename, type, buffer }), or the raw bytes.
+     */
+    async readBody(req, url) {
+        const chunks = [];
+
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        const buffer = Buffer.concat(chunks);
+        const type = req.headers["content-type"] || "";
+
+        if (buffer.length === 0) {
+            return null;
+        }
+
+        if (type.includes("application/json")) {
+            try {
+                return JSON.parse(buffer.toString("utf8"));
+            } catch (error) {
+                return buffer.toString("utf8");
+            }
+        }
+
+        if (type.includes("multipart/form-data")) {
+            const form = await new Request(url, { method: "POST", headers: { 'Content-Type': type }, body: buffer }).formData();
+            const fields = {};
+
+            for (const [name, value] of form.entries()) {
+                fields[name] = typeof value === "string" ? value : { "filename": value.name, "type": value.type, "buffer": Buffer.from(await value.arrayBuffer()) };
+            }
+
+            return fields;
+        }
+
+        return buffer;
+    };
+
+    /**
+     * Find the injected failure matching a request, and use it up.
+     * @param {Object} request - The recorded request.
+     * @returns {Object|null} - The error spec, or null if the request should be handled.
+     */
+    takeFailure(request) {
+        const failure = this.failures.find(({ match }) => {
+            if (typeof match === "function") {
+                return match(request);
+            }
+
+            const { method, path, to } = match || {};
+
+            return (!method || method.toUpperCase() === request.method)
+                && (!path || (path instanceof RegExp ? path.test(request.path) : request.path.includes(path)))
+                && (!to || String(request.body?.to) === String(to));
+        });
+
+        if (!failure) {
+            return null;
+        }
+
+        if (--failure.times <= 0) {
+            this.failures.splice(this.failures.indexOf(failure), 1);
+        }
+
+        return failure.spec;
+    };
+
+    /**
+     * Handle a request.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const request = {
+            "method": req.method,
+            "path": url.pathname,
+            "query": Object.fromEntries(url.searchParams),
+            "headers": req.headers,
+            "body": await this.readBody(req, url.href),
+            "timestamp": new Date()
+        };
+
+        this.requests.push(request);
+        this.emit("request", request);
+
+        const failure = this.takeFailure(request);
+        const delay = (failure?.delay || 0) + this.latency;
+
+        if (delay) {
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+
+        if (failure?.network) {
+            req.socket.destroy();
+            return;
+        }
+
+        if (failure && failure.status) {
+            return this.replyError(res, failure);
+        }
+
+        const [, version, node, edge] = url.pathname.split("/").map(decodeURIComponent);
+
+        if (version === "media-download") {
+            return this.downloadMedia(req, res, node);
+        }
+
+        const token = (req.headers.authorization || "").replace(/^(Bearer|OAuth)\s+/i, "") || url.searchParams.get("access_token");
+
+        if (!token || (this.accessToken && token !== this.accessToken)) {
+            return this.replyError(res, { status: 401, code: 190, type: "OAuthException", message: "Invalid OAuth access token - Cannot parse access token" });
+        }
+
+        if (!/^v\d+\.\d+$/.test(version || "") || !node) {
+            return this.replyError(res, { status: 400, code: 2500, message: "Unknown path components" });
+        }
+
+        if (edge === "messages" && req.method === "POST") {
+            return this.sendMessage(res, request.body);
+        }
+
+        if (edge === "media" && req.method === "POST") {
+            return this.uploadMedia(res, request.body);
+        }
+
+        if (edge === "message_templates") {
+            return this.messageTemplates(res, req.method, url, request.body);
+        }
+
+        if (edge === "uploads" && req.method === "POST") {
+            return this.createUploadSession(res, url.searchParams);
+        }
+
+        if (edge === "phone_numbers" && req.method === "GET") {
+            return this.reply(res, 200, { "data": Array.from(this.phoneNumbers.values(), (phoneNumber) => phoneNumber.data), "paging": { "cursors": {} } });
+        }
+
+        if (edge === "template_analytics" && req.method === "GET") {
+            return this.reply(res, 200, { "data": [{ "granularity": url.searchParams.get("granularity"), "data_points": [] }], "paging": { "cursors": {} } });
+        }
+
+        if (!edge && req.method === "GET" && /^(conversation_)?analytics\b/.test(url.searchParams.get("fields") || "")) {
+            return this.analytics(res, node, url.searchParams.get("fields"));
+        }
+
+        if (this.phoneNumbers.has(node) && (!edge || ["request_code", "verify_code", "register", "deregister", "whatsapp_business_profile"].includes(edge))) {
+            return this.phoneNumber(res, req.method, this.phoneNumbers.get(node), edge, request.body);
+        }
+
+        if (!edge) {
+            return this.node(req, res, node, request.body);
+        }
+
+        this.replyError(res, { status: 400, code: 100, subcode: 33, message: `Unsupported ${req.method.toLowerCase()} request. Object with ID '${node}' does not exist, cannot be loaded due to missing permissions, or does not support this operation.` });
+    };
+
+    /**
+     * Handle POST /{phone-number-id}/messages.
+     * @param {http.ServerResponse} res - The response.
+     * @param {Object} body - The message payload.
+     */
+    sendMessage(res, body) {
+        const invalid = (message) => this.replyError(res, { status: 400, code: 100, message: `(#100) ${message}` });
+
+        if (!body || typeof body !== "object" || Buffer.isBuffer(body)) {
+            return invalid("The request body must be JSON");
+        }
+
+        if (body.messaging_product !== "whatsapp") {
+            return invalid("The parameter messaging_product is required.");
+        }
+
+        if (body.status === "read") {
+            return body.message_id ? this.reply(res, 200, { "success": true }) : invalid("The parameter message_id is required.");
+        }
+
+        if (!body.to) {
+            return invalid("The parameter to is required.");
+        }
+
+        const type = body.type || "text";
+
+        if (!body[type]) {
+            return invalid(`The parameter ${type} is required.`);
+        }
+
+        if (type === "template" && this.strictTemplates) {
+            const exists = Array.from(this.templates.values()).some((template) => template.name === body.template.name && template.language === body.template.language?.code && template.status === "APPROVED");
+
+            if (!exists) {
+                return this.replyError(res, MOCK_ERRORS.template_not_found);
+            }
+        }
+
+        const message = { "id": createMessageId(), "to": String(body.to), "payload": body };
+        const response = {
+            "messaging_product": "whatsapp",
+            "contacts": [{ "input": String(body.to), "wa_id": String(body.to).replace(/\D/g, "") }],
+            "messages": [type === "template" ? { "id": message.id, "message_status": "accepted" } : { "id": message.id }]
+        };
+
+        this.messages.push(message);
+        this.emit("message", message);
+        this.reply(res, 200, response);
+    };
+
+    /**
+     * Handle POST /{phone-number-id}/media.
+     * @param {http.ServerResponse} res - The response.
+     * @param {Object} fields - The multipart fields.
+     */
+    uploadMedia(res, fields) {
+        if (!fields?.file?.buffer) {
+            return this.replyError(res, { status: 400, code: 100, message: "(#100) The parameter file is required." });
+        }
+
+        if (fields.messaging_product !== "whatsapp") {
+            return this.replyError(res, { status: 400, code: 100, message: "(#100) The parameter messaging_product is required." });
+        }
+
+        const id = this.createId();
+
+        this.media.set(id, {
+            "id": id,
+            "buffer": fields.file.buffer,
+            "filename": fields.file.filename,
+            "mimeType": fields.type || fields.file.type,
+            "sha256": crypto.createHash("sha256").update(fields.file.buffer).digest("hex")
+        });
+        this.reply(res, 200, { "id": id });
+    };
+
+    /**
+     * Handle GET /media-download/{media-id}, the temporary URL media content is downloaded from.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @param {String} id - The media ID.
+     */
+    downloadMedia(req, res, id) {
+        const media = this.media.get(id);
+
+        if (!/^Bearer\s+\S/i.test(req.headers.authorization || "")) {
+            return this.replyError(res, { status: 401, code: 190, type: "OAuthException", message: "Invalid OAuth access token - Cannot parse access token" });
+        }
+
+        if (!media) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        res.writeHead(200, { 'Content-Type': media.mimeType, 'Content-Length': media.buffer.length });
+        res.end(media.buffer);
+    };
+
+    /**
+     * Handle requests to a node without edge: media, templates and upload sessions.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @param {String} id - The node ID.
+     * @param {Object|Buffer|null} body - The request body.
+     */
+    node(req, res, id, body) {
+        const media = this.media.get(id);
+        const template = this.templates.get(id);
+        const session = this.uploadSessions.get(id);
+
+        if (media && req.method === "GET") {
+            return this.reply(res, 200, {
+                "messaging_product": "whatsapp",
+                "url": `${this.url}/media-download/${id}`,
+                "mime_type": media.mimeType,
+                "sha256": media.sha256,
+                "file_size": media.buffer.length,
+                "id": id
+            });
+        }
+
+        if (media && req.method === "DELETE") {
+            this.media.delete(id);
+            return this.reply(res, 200, { "success": true });
+        }
+
+        if (template && req.method === "GET") {
+            return this.reply(res, 200, template);
+        }
+
+        if (template && req.method === "POST") {
+            if (body?.category) {
+                template.category = body.category;
+            }
+
+            if (body?.components) {
+                template.components = body.components;
+            }
+
+            return this.reply(res, 200, { "success": true });
+        }
+
+        if (session && req.method === "GET") {
+            return this.reply(res, 200, { "id": id, "file_offset": session.offset });
+        }
+
+        if (session && req.method === "POST") {
+            return this.uploadChunk(req, res, session, body);
+        }
+
+        this.replyError(res, { status: 400, code: 100, subcode: 33, message: `Unsupported ${req.method.toLowerCase()} request. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation.` });
+    };
+
+    /**
+     * Handle requests to a phone number: the node itself (fields, two-step PIN), registration and the business profile.
+     * @param {http.ServerResponse} res - The response.
+     * @param {String} method - The HTTP method.
+     * @param {Object} phoneNumber - The stored phone number.
+     * @param {String} [edge] - The edge.
+     * @param {Object} body - The request body.
+     */
+    phoneNumber(res, method, phoneNumber, edge, body) {
+        const success = () => this.reply(res, 200, { "success": true });
+        const pinInvalid = () => this.replyError(res, { status: 400, code: 100, message: "(#100) The parameter pin must be a 6-digit number." });
+
+        if (!edge && method === "GET") {
+            return this.reply(res, 200, phoneNumber.data);
+        }
+
+        if (!edge && method === "POST" && body?.pin !== undefined) {
+            if (!/^\d{6}$/.test(body.pin)) {
+                return pinInvalid();
+            }
+
+            phoneNumber.pin = body.pin;
+            return success();
+        }
+
+        if (edge === "request_code" && method === "POST") {
+            if (!["SMS", "VOICE"].includes(body?.code_method) || !body?.language) {
+                return this.replyError(res, { status: 400, code: 100, message: "(#100) The parameters code_method and language are required." });
+            }
+
+            phoneNumber.codeRequested = true;
+            return success();
+        }
+
+        if (edge === "verify_code" && method === "POST") {
+            if (!phoneNumber.codeRequested || body?.code !== this.verificationCode) {
+                return this.replyError(res, MOCK_ERRORS.code_mismatch);
+            }
+
+            phoneNumber.codeRequested = false;
+            phoneNumber.data.code_verification_status = "VERIFIED";
+            return success();
+        }
+
+        if (edge === "register" && method === "POST") {
+            if (body?.messaging_product !== "whatsapp" || !/^\d{6}$/.test(body?.pin || "")) {
+                return pinInvalid();
+            }
+
+            if (phoneNumber.pin && phoneNumber.pin !== body.pin) {
+                return this.replyError(res, MOCK_ERRORS.pin_mismatch);
+            }
+
+            phoneNumber.pin = body.pin;
+            phoneNumber.data.status = "CONNECTED";
+            return success();
+        }
+
+        if (edge === "deregister" && method === "POST") {
+            phoneNumber.data.status = "DISCONNECTED";
+            return success();
+        }
+
+        if (edge === "whatsapp_business_profile" && method === "GET") {
+            return this.reply(res, 200, { "data": [{ "messaging_product": "whatsapp", ...phoneNumber.profile }] });
+        }
+
+        if (edge === "whatsapp_business_profile" && method === "POST") {
+            if (body?.messaging_product !== "whatsapp") {
+                return this.replyError(res, { status: 400, code: 100, message: "(#100) The parameter messaging_product is required." });
+            }
+
+            const { messaging_product, profile_picture_handle, ...fields } = body;
+
+            Object.assign(phoneNumber.profile, fields);
+
+            if (profile_picture_handle) {
+                phoneNumber.profile.profile_picture_url = `${this.url}/profile-picture/${phoneNumber.data.id}`;
+            }
+
+            return success();
+        }
+
+        this.replyError(res, { status: 400, code: 100, message: `Unsupported ${method.toLowerCase()} request.` });
+    };
+
+    /**
+     * Handle /{waba-id}/message_templates: list (with filters and cursors), create and delete.
+     * @param {http.ServerResponse} res - The response.
+     * @param {String} method - The HTTP method.
+     * @param {URL} url - The URL of the request.
+     * @param {Object} body - The request body.
+     */
+    messageTemplates(res, method, url, body) {
+        const query = url.searchParams;
+        const templates = Array.from(this.templates.values());
+
+        if (method === "GET") {
+            const filtered = templates.filter((template) => (!query.get("status") || template.status === query.get("status"))
+                && (!query.get("category") || template.category === query.get("category"))
+                && (!query.get("language") || template.language === query.get("language"))
+                && (!query.get("name") || template.name.includes(query.get("name"))));
+            const limit = Number(query.get("limit")) || 25;
+            const start = Number(query.get("after") ? Buffer.from(query.get("after"), "base64url").toString() : 0);
+            const data = filtered.slice(start, start + limit);
+            const fields = query.get("fields") ? query.get("fields").split(",").concat("id") : null;
+            const paging = {
+                "cursors": {
+                    "before": Buffer.from(String(start)).toString("base64url"),
+                    "after": Buffer.from(String(start + data.length)).toString("base64url")
+                }
+            };
+
+            if (start + data.length < filtered.length) {
+                const next = new URL(url);
+
+                next.searchParams.set("after", paging.cursors.after);
+                paging.next = next.href;
+            }
+
+            return this.reply(res, 200, {
+                "data": data.map((template) => (fields ? Object.fromEntries(Object.entries(template).filter(([key]) => fields.includes(key))) : template)),
+                "paging": paging
+            });
+        }
+
+        if (method === "POST") {
+            if (!body?.name || !body?.language || !body?.category || !Array.isArray(body?.components)) {
+                return this.replyError(res, { status: 400, code: 100, message: "(#100) The parameters name, language, category and components are required." });
+            }
+
+            if (templates.some((template) => template.name === body.name && template.language === body.language)) {
+                return this.replyError(res, { status: 400, code: 100, subcode: 2388024, message: "Content in this language already exists" });
+            }
+
+            const template = this.addTemplate({
+                "name": body.name,
+                "language": body.language,
+                "category": body.category,
+                "components": body.components,
+                "parameter_format": body.parameter_format || "POSITIONAL"
+            });
+
+            return this.reply(res, 200, { "id": template.id, "status": template.status, "category": template.category });
+        }
+
+        if (method === "DELETE") {
+            const matches = templates.filter((template) => template.name === query.get("name") && (!query.get("hsm_id") || template.id === query.get("hsm_id")));
+
+            if (matches.length === 0) {
+                return this.replyError(res, { status: 400, code: 100, subcode: 2593002, message: "Message template not found" });
+            }
+
+            matches.forEach((template) => this.templates.delete(template.id));
+            return this.reply(res, 200, { "success": true });
+        }
+
+        this.replyError(res, { status: 400, code: 100, message: `Unsupported ${method.toLowerCase()} request.` });
+    };
+
+    /**
+     * Handle GET /{waba-id}?fields=analytics(...) and conversation_analytics(...), answering with the requested granularity and no data points.
+     * @param {http.ServerResponse} res - The response.
+     * @param {String} node - The business account ID.
+     * @param {String} fields - The field expression.
+     */
+    analytics(res, node, fields) {
+        const field = fields.match(/^\w+/)[0];
+        const granularity = fields.match(/\.granularity\((\w+)\)/)?.[1] ?? null;
+        const value = field === "analytics"
+            ? { "phone_numbers": JSON.parse(fields.match(/\.phone_numbers\((\[.*?\])\)/)?.[1] ?? "[]"), "granularity": granularity, "data_points": [] }
+            : { "data": [{ "data_points": [] }] };
+
+        this.reply(res, 200, { [field]: value, "id": node });
+    };
+
+    /**
+     * Handle POST /{app-id}/uploads, creating a Resumable Upload session.
+     * @param {http.ServerResponse} res - The response.
+     * @param {URLSearchParams} query - The query parameters.
+     */
+    createUploadSession(res, query) {
+        const fileLength = Number(query.get("file_length"));
+
+        if (!Number.isInteger(fileLength) || fileLength <= 0) {
+            return this.replyError(res, { status: 400, code: 100, message: "(#100) The parameter file_length is required." });
+        }
+
+        if (!RESUMABLE_UPLOAD_MIME_TYPES.includes(query.get("file_type"))) {
+            return this.replyError(res, { status: 400, code: 100, message: "(#100) Param file_type must be one of {application/pdf, image/jpeg, image/jpg, image/png, video/mp4}" });
+        }
+
+        const id = `upload:${crypto.randomBytes(16).toString("base64url")}`;
+
+        this.uploadSessions.set(id, { "id": id, "fileLength": fileLength, "fileType": query.get("file_type"), "fileName": query.get("file_name"), "offset": 0, "chunks": [] });
+        this.reply(res, 200, { "id": id });
+    };
+
+    /**
+     * Handle POST /{upload-session-id}, appending a chunk to a Resumable Upload session.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @param {Object} session - The upload session.
+     * @param {Buffer|null} body - The chunk.
+     */
+    uploadChunk(req, res, session, body) {
+        const offset = Number(req.headers.file_offset);
+        const chunk = Buffer.isBuffer(body) ? body : Buffer.alloc(0);
+
+        if (offset !== session.offset) {
+            return this.replyError(res, { status: 400, code: 100, message: `(#100) file_offset ${offset} does not match the session offset ${session.offset}` });
+        }
+
+        if (offset + chunk.length > session.fileLength) {
+            return this.replyError(res, { status: 400, code: 100, message: "(#100) The chunk exceeds file_length" });
+        }
+
+        session.chunks.push(chunk);
+        session.offset += chunk.length;
+
+        if (session.offset < session.fileLength) {
+            return this.reply(res, 200, { "file_offset": session.offset });
+        }
+
+        session.handle = `4::${Buffer.from(session.fileType).toString("base64")}:${crypto.randomBytes(32).toString("base64url")}`;
+        this.reply(res, 200, { "h": session.handle });
+    };
+};
+
+class WebhookSimulator {
+    /**
+     * Create a simulator POSTing correctly signed webhook notifications to an endpoint, as Meta would.
+     * @param {Object} options - Simulator options.
+     * @param {String} options.url - The webhook endpoint URL.
+     * @param {String} [options.appSecret] - The app secret used to sign notifications, they are not signed when omitted.
+     * @param {String} [options.phoneNumberId="100000000000000"] - The phone number ID notifications are sent for.
+     * @param {String} [options.displayPhoneNumber="15550000000"] - The display phone number of the business.
+     * @param {String} [options.businessAccountId="200000000000000"] - The business account ID notifications are sent for.
+     */
+    constructor({ url, appSecret = "", phoneNumberId = "100000000000000", displayPhoneNumber = "15550000000", businessAccountId = "200000000000000" } = {}) {
+        this.url = url;
+        this.appSecret = appSecret;
+        this.phoneNumberId = phoneNumberId;
+        this.displayPhoneNumber = displayPhoneNumber;
+        this.businessAccountId = businessAccountId;
+    };
+
+    /**
+     * Wrap a change value into a complete webhook notification.
+     * @param {Object} value - The change value.
+     * @param {String} [field="messages"] - The webhook field (optional).
+     * @returns {Object} - The notification body.
+     */
+    notification(value, field = "messages") {
+        return {
+            "object": "whatsapp_business_account",
+            "entry": [{
+                "id": this.businessAccountId,
+                "changes": [{
+                    "field": field,
+                    "value": {
+                        "messaging_product": "whatsapp",
+                        "metadata": { "display_phone_number": this.displayPhoneNumber, "phone_number_id": this.phoneNumberId },
+                        ...value
+                    }
+                }]
+            }]
+        };
+    };
+
+    /**
+     * Build an inbound message notification.
+     * @param {String} from - The sender phone number.
+     * @param {Object} message - The message content as { type, [type]: content }, e.g. { type: "text", text: { body } }.
+     * @param {Object} [options={}] - Message options (optional).
+     * @param {String} [options.name="Test User"] - The sender profile name.
+     * @param {String} [options.id] - The message ID, generated when omitted.
+     * @param {Object} [options.context] - The context of a reply, as { from, id }.
+     * @param {Date|Number} [options.timestamp=new Date()] - The time the message was sent.
+     * @returns {Object} - The notification body.
+     */
+    messagePayload(from, message, options = {}) {
+        const timestamp = Math.floor(Number(options.timestamp || new Date()) / 1000);
+        const inbound = { "from": String(from), "id": options.id || createMessageId(), "timestamp": String(timestamp), ...message };
+
+        if (options.context) {
+            inbound.context = options.context;
+        }
+
+        return this.notification({
+            "contacts": [{ "profile": { "name": options.name || "Test User" }, "wa_id": String(from) }],
+            "messages": [inbound]
+        });
+    };
+
+    /**
+     * Build a message status notification.
+     * @param {String} messageId - The ID of the message the status is about.
+     * @param {String} status - The status: sent, delivered, read or failed.
+     * @param {String} recipientId - The recipient phone number.
+     * @param {Object} [options={}] - Status options (optional).
+     * @param {Array<Object>} [options.errors] - The errors of a failed message, as { code, title, message }.
+     * @param {String} [options.bizOpaqueCallbackData] - The callback data sent with the message.
+     * @param {Object} [options.conversation] - The conversation object.
+     * @param {Object} [options.pricing] - The pricing object.
+     * @param {Date|Number} [options.timestamp=new Date()] - The time of the status change.
+     * @returns {Object} - The notification body.
+     */
+    statusPayload(messageId, status, recipientId, options = {}) {
+        const item = {
+            "id": messageId,
+            "status": status,
+            "timestamp": String(Math.floor(Number(options.timestamp || new Date()) / 1000)),
+            "recipient_id": String(recipientId)
+        };
+
+        if (status !== "failed" && status !== "read") {
+            item.conversation = options.conversation || { "id": crypto.randomBytes(16).toString("hex"), "origin": { "type": "service" } };
+            item.pricing = options.pricing || { "billable": true, "pricing_model": "CBP", "category": "service" };
+        }
+
+        if (options.bizOpaqueCallbackData) {
+            item.biz_opaque_callback_data = options.bizOpaqueCallbackData;
+        }
+
+        if (options.errors) {
+            item.errors = options.errors;
+        }
+
+        return this.notification({ "statuses": [item] });
+    };
+
+    /**
+     * POST a notification to the endpoint, signed with the app secret.
+     * @param {Object} body - The notification body.
+     * @returns {Promise<Object>} - A promise resolving to the endpoint response as { status, body }.
+     */
+    async post(body) {
+        const rawBody = JSON.stringify(body);
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.appSecret) {
+            headers['X-Hub-Signature-256'] = createWebhookSignature(rawBody, this.appSecret);
+        }
+
+        const response = await fetch(this.url, { method: "POST", headers, body: rawBody });
+
+        return { "status": response.status, "body": await response.text() };
+    };
+
+    /**
+     * Simulate an inbound message of any type.
+     * @param {String} from - The sender phone number.
+     * @param {Object} message - The message content as { type, [type]: content }.
+     * @param {Object} [options={}] - Message options, see messagePayload (optional).
+     * @returns {Promise<Object>} - A promise resolving to the endpoint response as { status, body }.
+     */
+    async sendMessage(from, message, options = {}) {
+        return await this.post(this.messagePayload(from, message, options));
+    };
+
+    /**
+     * Simulate an inbound text message.
+     * @param {String} from - The sender phone number.
+     * @param {String} text - The message text.
+     * @param {Object} [options={}] - Message options, see messagePayload (optional).
+     * @returns {Promise<Object>} - A promise resolving to the endpoint response as { status, body }.
+     */
+    async sendText(from, text, options = {}) {
+        return await this.sendMessage(from, { "type": "text", "text": { "body": text } }, options);
+    };
+
+    /**
+     * Simulate a click on a reply button of an interactive message.
+     * @param {String} from - The sender phone number.
+     * @param {String} id - The button ID.
+     * @param {String} title - The button title.
+     * @param {Object} [options={}] - Message options, see messagePayload (optional).
+     * @returns {Promise<Object>} - A promise resolving to the endpoint response as { status, body }.
+     */
+    async sendButtonReply(from, id, title, options = {}) {
+        return await this.sendMessage(from, { "type": "interactive", "interactive": { "type": "button_reply", "button_reply": { "id": id, "title": title } } }, options);
+    };
+
+    /**
+     * Simulate the selection of a list message row.
+     * @param {String} from - The sender phone number.
+     * @param {String} id - The row ID.
+     * @param {String} title - The row title.
+     * @param {String} [description=""] - The row description (optional).
+     * @param {Object} [options={}] - Message options, see messagePayload (optional).
+     * @returns {Promise<Object>} - A promise resolving to the endpoint response as { status, body }.
+     */
+    async sendListReply(from, id, title, description = "", options = {}) {
+        const reply = { "id": id, "title": title };
+
+        if (description) {
+            reply.description = description;
+        }
+
+        return await this.sendMessage(from, { "type": "interactive", "interactive": { "type": "list_reply", "list_reply": reply } }, options);
+    };
+
+    /**
+     * Simulate a message status notification.
+     * @param {String} messageId - The ID of the message the status is about.
+     * @param {String} status - The status: sent, delivered, read or failed.
+     * @param {String} recipientId - The recipient phone number.
+     * @param {Object} [options={}] - Status options, see statusPayload (optional).
+     * @returns {Promise<Object>} - A promise resolving to the endpoint response as { status, body }.
+     */
+    async sendStatus(messageId, status, recipientId, options = {}) {
+        return await this.post(this.statusPayload(messageId, status, recipientId, options));
+    };
+};
+
+
+module.exports = { MockServer, WebhookSimulator, MOCK_ERRORS };
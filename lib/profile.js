@@ -0,0 +1,100 @@
+const { checkText, assertValid } = require('./validation');
+
+/**
+ * Character and item limits Meta enforces on WhatsApp Business profiles.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/cloud-api/reference/business-profiles
+ */
+const PROFILE_LIMITS = {
+    ABOUT: 139,
+    ADDRESS: 256,
+    DESCRIPTION: 512,
+    EMAIL: 128,
+    WEBSITES: 2,
+    WEBSITE: 256,
+};
+
+/**
+ * Industries a business profile can belong to.
+ */
+const BUSINESS_VERTICALS = [
+    "UNDEFINED", "OTHER", "AUTO", "BEAUTY", "APPAREL", "EDU", "ENTERTAIN", "EVENT_PLAN", "FINANCE", "GROCERY", "GOVT",
+    "HOTEL", "HEALTH", "NONPROFIT", "PROF_SERVICES", "RETAIL", "TRAVEL", "RESTAURANT", "NOT_A_BIZ"
+];
+
+/**
+ * Phone number fields returned when none are requested.
+ */
+const PHONE_NUMBER_FIELDS = [
+    "id", "display_phone_number", "verified_name", "quality_rating", "messaging_limit_tier", "code_verification_status",
+    "name_status", "status", "platform_type", "throughput", "is_official_business_account"
+];
+
+/**
+ * Business profile fields returned when none are requested.
+ */
+const BUSINESS_PROFILE_FIELDS = ["about", "address", "description", "email", "profile_picture_url", "websites", "vertical"];
+
+/**
+ * Check a two-step verification PIN.
+ * @param {String} pin - The PIN.
+ * @throws {WhatsappValidationError} - If the PIN is not 6 digits.
+ */
+function checkPin(pin) {
+    assertValid(/^\d{6}$/.test(String(pin ?? "")) ? [] : ["pin must be a 6-digit number"]);
+};
+
+/**
+ * Build and validate the payload of a business profile update. Only the given fields are changed.
+ * @param {Object} profile - The profile as { about, address, description, email, websites, vertical, profilePictureHandle }.
+ * @returns {Object} - The update payload.
+ * @throws {WhatsappValidationError} - If a field breaks Meta's rules.
+ */
+function buildBusinessProfile(profile) {
+    const errors = [];
+    const data = { "messaging_product": "whatsapp" };
+    const { about, address, description, email, websites, vertical, profilePictureHandle } = profile || {};
+
+    checkText(errors, about, "about", PROFILE_LIMITS.ABOUT, false);
+    checkText(errors, address, "address", PROFILE_LIMITS.ADDRESS, false);
+    checkText(errors, description, "description", PROFILE_LIMITS.DESCRIPTION, false);
+    checkText(errors, email, "email", PROFILE_LIMITS.EMAIL, false);
+
+    if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+        errors.push("email must be an email address");
+    }
+
+    if (websites !== undefined) {
+        if (!Array.isArray(websites) || websites.length > PROFILE_LIMITS.WEBSITES) {
+            errors.push(`websites must be a list of at most ${PROFILE_LIMITS.WEBSITES} URLs`);
+        } else {
+            websites.forEach((website, index) => {
+                checkText(errors, website, `websites[${index}]`, PROFILE_LIMITS.WEBSITE);
+
+                if (typeof website === "string" && !/^https?:\/\//.test(website)) {
+                    errors.push(`websites[${index}] must start with http:// or https://`);
+                }
+            });
+        }
+    }
+
+    if (vertical !== undefined && !BUSINESS_VERTICALS.includes(vertical)) {
+        errors.push(`vertical must be one of: ${BUSINESS_VERTICALS.join(", ")}`);
+    }
+
+    assertValid(errors);
+
+    for (const [key, value] of Object.entries({ about, address, description, email, websites, vertical })) {
+        if (value !== undefined) {
+            data[key] = value;
+        }
+    }
+
+    if (profilePictureHandle) {
+        data.profile_picture_handle = profilePictureHandle;
+    }
+
+    return data;
+};
+
+
+module.exports = { PROFILE_LIMITS, BUSINESS_VERTICALS, PHONE_NUMBER_FIELDS, BUSINESS_PROFILE_FIELDS, checkPin, buildBusinessProfile };
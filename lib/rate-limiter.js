@@ -0,0 +1,74 @@
+const { sleep } = require('./retry');
+
+class TokenBucket {
+    /**
+     * Create a new token bucket.
+     * @param {Object} [options={}] - Bucket options (optional).
+     * @param {Number} [options.tokensPerSecond=80] - The rate at which tokens are refilled.
+     * @param {Number} [options.burst] - The maximum number of tokens the bucket can hold (defaults to tokensPerSecond).
+     */
+    constructor({ tokensPerSecond = 80, burst } = {}) {
+        this.tokensPerSecond = tokensPerSecond;
+        this.capacity = burst ?? tokensPerSecond;
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+        this.pending = Promise.resolve();
+    };
+
+    /**
+     * Add the tokens earned since the last refill.
+     */
+    refill() {
+        const now = Date.now();
+
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.tokensPerSecond);
+        this.updatedAt = now;
+    };
+
+    /**
+     * Take a token, waiting until one is available. Callers are served in order.
+     * @returns {Promise<void>} - A promise resolving once a token has been taken.
+     */
+    take() {
+        const turn = this.pending.then(async () => {
+            this.refill();
+
+            if (this.tokens < 1) {
+                await sleep(Math.ceil(((1 - this.tokens) / this.tokensPerSecond) * 1000));
+                this.refill();
+            }
+
+            this.tokens -= 1;
+        });
+
+        this.pending = turn;
+        return turn;
+    };
+};
+
+class RateLimiter {
+    /**
+     * Create a new rate limiter keeping one token bucket per key (e.g. per phone number ID).
+     * @param {Object} [options={}] - Options applied to every bucket, see TokenBucket (optional).
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.buckets = new Map();
+    };
+
+    /**
+     * Take a token from the bucket of a key, waiting until one is available.
+     * @param {String} key - The key to rate limit on.
+     * @returns {Promise<void>} - A promise resolving once a token has been taken.
+     */
+    take(key) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(this.options));
+        }
+
+        return this.buckets.get(key).take();
+    };
+};
+
+
+module.exports = { TokenBucket, RateLimiter };
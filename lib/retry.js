@@ -0,0 +1,107 @@
+const { ERROR_CATEGORIES } = require('./errors');
+
+/**
+ * Retry policy used when none is configured.
+ * Retryable codes are Graph throughput / transient errors: 1, 2 (API unknown / service), 4 (app rate limit), 80007 (WABA rate limit),
+ * 130429 (throughput reached), 131000 (something went wrong), 131016 (service unavailable), 131056 (pair rate limit) and 133004 (server unavailable).
+ * Throttling codes (and 429 responses) reject a request before it is processed, so they are the only failures retried for non-idempotent requests
+ * such as message sends, where a network error, timeout or server error may come after the message was accepted.
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    jitter: true,
+    retryableCodes: [1, 2, 4, 80007, 130429, 131000, 131016, 131056, 133004],
+    retryableStatuses: [408, 429, 500, 502, 503, 504],
+    retryNetworkErrors: true,
+    throttlingCodes: [4, 80007, 130429, 131056],
+    retryUnsafeRequests: false,
+    onRetry: null,
+};
+
+/**
+ * Build a complete retry policy from user options.
+ * @param {Object|false} [options={}] - Overrides of DEFAULT_RETRY_POLICY, or false to disable retries (optional).
+ * @returns {Object} - The retry policy.
+ */
+function resolveRetryPolicy(options = {}) {
+    if (options === false) {
+        return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+    }
+
+    return { ...DEFAULT_RETRY_POLICY, ...options };
+};
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {Number} ms - The delay in milliseconds.
+ * @returns {Promise<void>} - A promise resolving once the delay has elapsed.
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+};
+
+/**
+ * Check whether a failed attempt should be retried under a policy.
+ * @param {WhatsappApiError} error - The failure.
+ * @param {Object} policy - The retry policy.
+ * @param {Boolean} [idempotent=true] - Whether the request can be repeated safely, only throttling errors are retried otherwise (optional).
+ * @returns {Boolean} - True if the request may be attempted again.
+ */
+function isRetryable(error, policy, idempotent = true) {
+    if (!idempotent && !policy.retryUnsafeRequests) {
+        return error.status === 429 || policy.throttlingCodes.includes(error.code);
+    }
+
+    if (error.category === ERROR_CATEGORIES.NETWORK || error.category === ERROR_CATEGORIES.TIMEOUT) {
+        return policy.retryNetworkErrors;
+    }
+
+    return policy.retryableCodes.includes(error.code) || (error.code === null && policy.retryableStatuses.includes(error.status));
+};
+
+/**
+ * Compute the delay before the next attempt, using exponential backoff with optional full jitter.
+ * @param {Number} attempt - The number of the attempt that just failed, starting at 1.
+ * @param {Object} policy - The retry policy.
+ * @param {Number|null} [retryAfter=null] - The delay requested by the server through Retry-After, in milliseconds (optional).
+ * @returns {Number} - The delay in milliseconds.
+ */
+function backoffDelay(attempt, policy, retryAfter = null) {
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * (2 ** (attempt - 1)));
+    const delay = policy.jitter ? Math.random() * exponential : exponential;
+
+    return Math.max(delay, retryAfter || 0);
+};
+
+/**
+ * Run an operation, retrying it according to a policy.
+ * @param {function} operation - An async function receiving the attempt number and performing a single attempt.
+ * @param {Object} policy - The retry policy.
+ * @param {Boolean} [idempotent=true] - Whether the operation can be repeated safely, see isRetryable (optional).
+ * @returns {Promise<*>} - A promise resolving to the result of the first successful attempt.
+ * @throws {WhatsappApiError} - The failure of the last attempt.
+ */
+async function withRetry(operation, policy, idempotent = true) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= policy.maxAttempts || !isRetryable(error, policy, idempotent)) {
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, policy, error.retryAfter);
+
+            if (policy.onRetry) {
+                policy.onRetry(error, attempt, delay);
+            }
+
+            await sleep(delay);
+        }
+    }
+};
+
+
+module.exports = { DEFAULT_RETRY_POLICY, resolveRetryPolicy, isRetryable, backoffDelay, withRetry, sleep };
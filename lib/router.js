@@ -0,0 +1,432 @@
+const { MemoryStore } = require('./memory-store');
+const { createLogger } = require('./logger');
+
+/**
+ * Check a value against a route pattern.
+ * @param {String|RegExp|Array<String|RegExp>} pattern - The pattern: strings are compared trimmed and case-insensitively, RegExps are tested.
+ * @param {String|null} value - The value to check.
+ * @returns {Array|Boolean} - The RegExp match, true for a string match, or false.
+ */
+function matchPattern(pattern, value) {
+    if (value === null || value === undefined) {
+        return false;
+    }
+
+    if (Array.isArray(pattern)) {
+        for (const item of pattern) {
+            const match = matchPattern(item, value);
+
+            if (match) {
+                return match;
+            }
+        }
+
+        return false;
+    }
+
+    if (pattern instanceof RegExp) {
+        return String(value).match(pattern) || false;
+    }
+
+    return String(value).trim().toLowerCase() === String(pattern).trim().toLowerCase();
+};
+
+class BotContext {
+    /**
+     * Create the context a bot handler receives for an inbound message. Use BotRouter.handle rather than calling this constructor directly.
+     * Reply methods send to the author of the message and quote it, pass replyTo: null in their options to send without quoting.
+     * @param {Object} event - The parsed message event (see parseWebhook).
+     * @param {Whatsapp} whatsapp - The client of the phone number the message was sent to.
+     * @param {Object} session - The session of the user.
+     */
+    constructor(event, whatsapp, session) {
+        this.event = event;
+        this.whatsapp = whatsapp;
+        this.session = session;
+        this.from = event.from;
+        this.text = event.text;
+        this.messageType = event.messageType;
+        this.match = null;
+    };
+
+    /**
+     * The conversation state of the user, null when none is set.
+     */
+    get state() {
+        return this.session.state ?? null;
+    };
+
+    /**
+     * Set the conversation state of the user, matched by BotRouter.state routes on their next messages.
+     * @param {String|null} state - The state, null to clear it.
+     */
+    setState(state) {
+        this.session.state = state;
+    };
+
+    /**
+     * Clear the session of the user (state and data) once the message is handled.
+     */
+    endSession() {
+        this.session = { "state": null };
+    };
+
+    /**
+     * Merge the reply options with the context of the message.
+     * @param {Object} options - The message options.
+     * @returns {Object} - The options, replying to the message unless replyTo is given.
+     */
+    replyOptions(options) {
+        return { "replyTo": this.event.id, ...options };
+    };
+
+    /**
+     * Reply with a text message, see Whatsapp.sendMessage.
+     * @param {String} text - The message text.
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendMessage.
+     */
+    reply(text, options = {}) {
+        return this.whatsapp.sendMessage(this.from, text, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with an image, see Whatsapp.sendImage.
+     * @param {String} media - The media URL or ID.
+     * @param {String} [caption=""] - The caption (optional).
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendImage.
+     */
+    replyImage(media, caption = "", options = {}) {
+        return this.whatsapp.sendImage(this.from, media, caption, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a video, see Whatsapp.sendVideo.
+     * @param {String} media - The media URL or ID.
+     * @param {String} [caption=""] - The caption (optional).
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendVideo.
+     */
+    replyVideo(media, caption = "", options = {}) {
+        return this.whatsapp.sendVideo(this.from, media, caption, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with an audio, see Whatsapp.sendAudio.
+     * @param {String} media - The media URL or ID.
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendAudio.
+     */
+    replyAudio(media, options = {}) {
+        return this.whatsapp.sendAudio(this.from, media, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a document, see Whatsapp.sendDocument.
+     * @param {String} media - The media URL or ID.
+     * @param {String} [caption=""] - The caption (optional).
+     * @param {String} [filename=""] - The file name shown to the user (optional).
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendDocument.
+     */
+    replyDocument(media, caption = "", filename = "", options = {}) {
+        return this.whatsapp.sendDocument(this.from, media, caption, filename, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a sticker, see Whatsapp.sendSticker.
+     * @param {String} media - The media URL or ID.
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendSticker.
+     */
+    replySticker(media, options = {}) {
+        return this.whatsapp.sendSticker(this.from, media, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a location, see Whatsapp.sendLocation.
+     * @param {Number|String} latitude - The latitude.
+     * @param {Number|String} longitude - The longitude.
+     * @param {String} [name=""] - The name of the location (optional).
+     * @param {String} [address=""] - The address of the location (optional).
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendLocation.
+     */
+    replyLocation(latitude, longitude, name = "", address = "", options = {}) {
+        return this.whatsapp.sendLocation(this.from, latitude, longitude, name, address, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with reply buttons, see Whatsapp.sendButtons.
+     * @param {String} body - The message body.
+     * @param {Array<Object>} buttons - The buttons as { id, title }.
+     * @param {Object} [options={}] - Interactive message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendButtons.
+     */
+    replyButtons(body, buttons, options = {}) {
+        return this.whatsapp.sendButtons(this.from, body, buttons, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a list message, see Whatsapp.sendList.
+     * @param {String} body - The message body.
+     * @param {String} buttonText - The text of the button opening the list.
+     * @param {Array<Object>} sections - The sections of the list.
+     * @param {Object} [options={}] - Interactive message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendList.
+     */
+    replyList(body, buttonText, sections, options = {}) {
+        return this.whatsapp.sendList(this.from, body, buttonText, sections, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a call-to-action URL button, see Whatsapp.sendCtaUrl.
+     * @param {String} body - The message body.
+     * @param {String} displayText - The text of the button.
+     * @param {String} url - The URL opened by the button.
+     * @param {Object} [options={}] - Interactive message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendCtaUrl.
+     */
+    replyCtaUrl(body, displayText, url, options = {}) {
+        return this.whatsapp.sendCtaUrl(this.from, body, displayText, url, this.replyOptions(options));
+    };
+
+    /**
+     * Reply with a template message, see Whatsapp.sendTemplate.
+     * @param {String} templateName - The name of the template.
+     * @param {String} [language="en_US"] - The language code of the template (optional).
+     * @param {Array} [header=[]] - The header parameters (optional).
+     * @param {Array} [body=[]] - The body parameters (optional).
+     * @param {Array} [buttons=[]] - The button components (optional).
+     * @param {Object} [options={}] - Message options (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendTemplate.
+     */
+    replyTemplate(templateName, language = "en_US", header = [], body = [], buttons = [], options = {}) {
+        return this.whatsapp.sendTemplate(this.from, templateName, language, header, body, buttons, this.replyOptions(options));
+    };
+
+    /**
+     * React to the message, see Whatsapp.sendReaction.
+     * @param {String} emoji - The emoji.
+     * @returns {Promise<Object|WhatsappApiError>} - The result of sendReaction.
+     */
+    react(emoji) {
+        return this.whatsapp.sendReaction(this.from, this.event.id, emoji);
+    };
+
+    /**
+     * Mark the message as read, see Whatsapp.markAsRead.
+     * @param {Object} [options={}] - Options, { typing: true } to show a typing indicator (optional).
+     * @returns {Promise<Object|WhatsappApiError>} - The result of markAsRead.
+     */
+    markAsRead(options = {}) {
+        return this.whatsapp.markAsRead(this.event.id, options);
+    };
+};
+
+class BotRouter {
+    /**
+     * Create a router dispatching inbound messages to handlers, with middleware and a per-user session.
+     * Routes are tried in the order they are registered and the first matching one handles the message. A handler is called as handler(ctx, next),
+     * calling next() passes the message to the next matching route. Middleware registered with use() runs before the routes, in order.
+     * Sessions are loaded before the middleware and saved once the message is handled, messages of the same user are handled one at a time.
+     * @param {Object} [options={}] - Router options (optional).
+     * @param {Object} [options.store] - The session store, with async get(key), set(key, value, ttl) and delete(key) methods. Defaults to a MemoryStore.
+     * @param {Number} [options.sessionTtl] - The time to live of sessions in milliseconds, if the store supports it (optional).
+     * @param {String} [options.prefix="bot"] - The prefix of the store keys.
+     * @param {function} [options.onError] - Called with (error, event) when a handler of an attached router fails, logged by default.
+     * @param {Object} [options.logger] - The logger default error handling writes to, defaults to a console logger.
+     */
+    constructor({ store, sessionTtl, prefix = "bot", onError, logger } = {}) {
+        this.store = store || new MemoryStore();
+        this.sessionTtl = sessionTtl;
+        this.prefix = prefix;
+        this.logger = logger || createLogger();
+        this.onError = onError || ((error, event) => this.logger.error("bot.handler.failed", { error, "messageId": event?.id }));
+        this.middleware = [];
+        this.routes = [];
+        this.pending = new Map();
+    };
+
+    /**
+     * Add a middleware, called as middleware(ctx, next) before the routes. Not calling next() stops the message there.
+     * @param {function} middleware - The middleware.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    };
+
+    /**
+     * Add a route.
+     * @param {function} test - Called with the context, returns a RegExp match, true, or false when the route does not match.
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    route(test, handler) {
+        this.routes.push({ test, handler });
+        return this;
+    };
+
+    /**
+     * Handle text messages matching a keyword or pattern. The RegExp match is available as ctx.match.
+     * @param {String|RegExp|Array<String|RegExp>} pattern - Keywords are compared with the whole text, trimmed and case-insensitively.
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    hears(pattern, handler) {
+        return this.route((ctx) => ctx.messageType === "text" && matchPattern(pattern, ctx.text), handler);
+    };
+
+    /**
+     * Handle reply button clicks (interactive button_reply) and template quick reply buttons, by button ID or payload.
+     * @param {String|RegExp|Array<String|RegExp>} pattern - The button ID or payload.
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    button(pattern, handler) {
+        return this.route((ctx) => {
+            if (ctx.event.type === "message.interactive.button_reply") {
+                return matchPattern(pattern, ctx.event.content?.button_reply?.id);
+            }
+
+            return ctx.messageType === "button" && matchPattern(pattern, ctx.event.content?.payload);
+        }, handler);
+    };
+
+    /**
+     * Handle list message selections (interactive list_reply), by row ID.
+     * @param {String|RegExp|Array<String|RegExp>} pattern - The row ID.
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    listReply(pattern, handler) {
+        return this.route((ctx) => ctx.event.type === "message.interactive.list_reply" && matchPattern(pattern, ctx.event.content?.list_reply?.id), handler);
+    };
+
+    /**
+     * Handle messages of a type.
+     * @param {String|Array<String>} type - A message type (e.g. "image", "location") or an event type (e.g. "message.interactive.nfm_reply").
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    on(type, handler) {
+        const types = [].concat(type);
+
+        return this.route((ctx) => types.includes(ctx.messageType) || types.includes(ctx.event.type), handler);
+    };
+
+    /**
+     * Handle every message of users in a conversation state, set with ctx.setState.
+     * @param {String|Array<String>} state - The state.
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    state(state, handler) {
+        const states = [].concat(state);
+
+        return this.route((ctx) => ctx.state !== null && states.includes(ctx.state), handler);
+    };
+
+    /**
+     * Handle the messages no other route handled.
+     * @param {function} handler - The handler.
+     * @returns {BotRouter} - The router, for chaining.
+     */
+    otherwise(handler) {
+        return this.route(() => true, handler);
+    };
+
+    /**
+     * Get the session key of a user.
+     * @param {Object} event - The message event.
+     * @returns {String} - The key, per business phone number and user.
+     */
+    sessionKey(event) {
+        return `${this.prefix}:${event.phoneNumberId ?? ""}:${event.from}`;
+    };
+
+    /**
+     * Handle an inbound message event. Messages of the same user are handled in order.
+     * @param {Object} event - The parsed message event (see parseWebhook).
+     * @param {Whatsapp} whatsapp - The client replies are sent with.
+     * @returns {Promise<Boolean>} - A promise resolving to true if a route handled the message. It rejects if a handler or the store fails.
+     */
+    handle(event, whatsapp) {
+        const key = this.sessionKey(event);
+        const previous = this.pending.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => this.dispatch(key, event, whatsapp));
+
+        this.pending.set(key, run);
+        run.catch(() => {}).finally(() => {
+            if (this.pending.get(key) === run) {
+                this.pending.delete(key);
+            }
+        });
+
+        return run;
+    };
+
+    /**
+     * Load the session, run the middleware and the matching routes, and save the session.
+     * @param {String} key - The session key.
+     * @param {Object} event - The message event.
+     * @param {Whatsapp} whatsapp - The client replies are sent with.
+     * @returns {Promise<Boolean>} - A promise resolving to true if a route handled the message.
+     */
+    async dispatch(key, event, whatsapp) {
+        const stored = await this.store.get(key);
+        const ctx = new BotContext(event, whatsapp, stored ? structuredClone(stored) : { "state": null });
+        let handled = false;
+
+        const runRoutes = async (index) => {
+            for (let i = index; i < this.routes.length; i++) {
+                const match = this.routes[i].test(ctx);
+
+                if (match) {
+                    handled = true;
+                    ctx.match = Array.isArray(match) ? match : null;
+                    return await this.routes[i].handler(ctx, () => runRoutes(i + 1));
+                }
+            }
+        };
+
+        const runMiddleware = async (index) => {
+            if (index < this.middleware.length) {
+                return await this.middleware[index](ctx, () => runMiddleware(index + 1));
+            }
+
+            return await runRoutes(0);
+        };
+
+        await runMiddleware(0);
+
+        if (ctx.session.state === null && Object.keys(ctx.session).length === 1) {
+            await this.store.delete(key);
+        } else {
+            await this.store.set(key, ctx.session, this.sessionTtl);
+        }
+
+        return handled;
+    };
+
+    /**
+     * Handle the inbound messages emitted by a client or a ClientRegistry, replying with the client of the phone number each message was sent to.
+     * Handler failures are reported to onError.
+     * @param {Whatsapp|ClientRegistry} source - The client or registry.
+     * @returns {function} - A function detaching the router.
+     */
+    attach(source) {
+        const listener = (event, route) => {
+            this.handle(event, route?.client ?? source).catch((error) => this.onError(error, event));
+        };
+
+        source.on("message", listener);
+        return () => source.off("message", listener);
+    };
+};
+
+
+module.exports = { BotRouter, BotContext, matchPattern };
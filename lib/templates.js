@@ -0,0 +1,721 @@
+const { checkText, assertValid } = require('./validation');
+const { mediaObject } = require('./messages');
+
+/**
+ * Character and item limits Meta enforces on message templates.
+ * Reffer : https://developers.facebook.com/docs/whatsapp/business-management-api/message-templates/components
+ */
+const TEMPLATE_LIMITS = {
+    NAME: 512,
+    HEADER_TEXT: 60,
+    BODY_TEXT: 1024,
+    FOOTER_TEXT: 60,
+    BUTTONS: 10,
+    BUTTON_TEXT: 25,
+    URL: 2000,
+    PHONE_NUMBER: 20,
+    URL_BUTTONS: 2,
+    PHONE_NUMBER_BUTTONS: 1,
+    COPY_CODE: 15,
+};
+
+const TEMPLATE_CATEGORIES = ["UTILITY", "MARKETING", "AUTHENTICATION"];
+const MEDIA_FORMATS = ["IMAGE", "VIDEO", "DOCUMENT"];
+
+/**
+ * Send-time button sub types, by template button type.
+ */
+const BUTTON_SUB_TYPES = {
+    "QUICK_REPLY": "quick_reply",
+    "URL": "url",
+    "COPY_CODE": "copy_code",
+    "OTP": "url",
+    "FLOW": "flow",
+    "CATALOG": "catalog",
+    "MPM": "mpm",
+};
+
+/**
+ * List the placeholders of a template text, e.g. ["1", "2"] or ["first_name"].
+ * @param {String} [text=""] - The template text (optional).
+ * @returns {Array<String>} - The placeholder names, in order of appearance.
+ */
+function placeholdersOf(text = "") {
+    return Array.from(String(text).matchAll(/\{\{\s*([^{}\s]+)\s*\}\}/g), (match) => match[1]);
+};
+
+/**
+ * Check the placeholders of a template text for the parameter format of the template.
+ * @param {Array<String>} errors - The list problems are added to.
+ * @param {Array<String>} placeholders - The placeholder names.
+ * @param {String} label - The name of the text, used in the messages.
+ * @param {Boolean} named - Whether the template uses named parameters.
+ */
+function checkPlaceholders(errors, placeholders, label, named) {
+    if (named) {
+        placeholders.filter((name) => !/^[a-z][a-z0-9_]*$/.test(name)).forEach((name) => {
+            errors.push(`${label} placeholder {{${name}}} must be lowercase letters, digits and underscores, starting with a letter`);
+        });
+
+        if (new Set(placeholders).size !== placeholders.length) {
+            errors.push(`${label} placeholders must be unique`);
+        }
+
+        return;
+    }
+
+    placeholders.forEach((name, index) => {
+        if (name !== String(index + 1)) {
+            errors.push(`${label} placeholders must be sequential starting at {{1}} (found {{${name}}} at position ${index + 1})`);
+        }
+    });
+};
+
+/**
+ * Validate a template registration payload (as sent to registerTemplate).
+ * @param {Object} definition - The template as { name, language, category, parameter_format, components }.
+ * @returns {Array<String>} - The problems found, empty if the template is valid.
+ */
+function validateTemplateDefinition(definition) {
+    const errors = [];
+    const { name, language, category, components = [] } = definition || {};
+    const named = String(definition?.parameter_format || "").toUpperCase() === "NAMED";
+
+    if (typeof name !== "string" || !/^[a-z0-9_]+$/.test(name) || name.length > TEMPLATE_LIMITS.NAME) {
+        errors.push(`name must be lowercase letters, digits and underscores, at most ${TEMPLATE_LIMITS.NAME} characters`);
+    }
+
+    if (!language) {
+        errors.push("language is required");
+    }
+
+    if (!TEMPLATE_CATEGORIES.includes(String(category).toUpperCase())) {
+        errors.push(`category must be one of: ${TEMPLATE_CATEGORIES.join(", ")}`);
+    }
+
+    const types = components.map((component) => String(component.type).toUpperCase());
+
+    if (!types.includes("BODY")) {
+        errors.push("a BODY component is required");
+    }
+
+    for (const type of ["HEADER", "BODY", "FOOTER", "BUTTONS"]) {
+        if (types.filter((item) => item === type).length > 1) {
+            errors.push(`only one ${type} component is allowed`);
+        }
+    }
+
+    for (const component of components) {
+        const type = String(component.type).toUpperCase();
+
+        if (type === "HEADER") {
+            const format = String(component.format || "TEXT").toUpperCase();
+
+            if (format === "TEXT") {
+                const placeholders = placeholdersOf(component.text);
+
+                checkText(errors, component.text, "header text", TEMPLATE_LIMITS.HEADER_TEXT);
+                checkPlaceholders(errors, placeholders, "header text", named);
+
+                if (placeholders.length > 1) {
+                    errors.push("header text can contain at most 1 placeholder");
+                }
+
+                const examples = named ? component.example?.header_text_named_params : component.example?.header_text;
+
+                if (placeholders.length > 0 && (!Array.isArray(examples) || examples.length !== placeholders.length)) {
+                    errors.push(`header text has ${placeholders.length} placeholder(s) and requires as many example values`);
+                }
+            } else if (MEDIA_FORMATS.includes(format)) {
+                if (!component.example?.header_handle?.length) {
+                    errors.push(`${format} header requires an example header_handle (see resumableUpload)`);
+                }
+            } else if (format !== "LOCATION") {
+                errors.push(`header format must be one of: TEXT, ${MEDIA_FORMATS.join(", ")}, LOCATION`);
+            }
+        } else if (type === "BODY") {
+            const placeholders = placeholdersOf(component.text);
+
+            checkText(errors, component.text, "body text", TEMPLATE_LIMITS.BODY_TEXT);
+            checkPlaceholders(errors, placeholders, "body text", named);
+
+            if (placeholders.length > 0) {
+                const examples = named ? component.example?.body_text_named_params : component.example?.body_text?.[0];
+
+                if (!Array.isArray(examples) || examples.length !== placeholders.length) {
+                    errors.push(`body text has ${placeholders.length} placeholder(s) and requires as many example values`);
+                }
+            }
+        } else if (type === "FOOTER") {
+            checkText(errors, component.text, "footer text", TEMPLATE_LIMITS.FOOTER_TEXT);
+
+            if (placeholdersOf(component.text).length > 0) {
+                errors.push("footer text cannot contain placeholders");
+            }
+        } else if (type === "BUTTONS") {
+            const buttons = component.buttons || [];
+            const buttonTypes = buttons.map((button) => String(button.type).toUpperCase());
+
+            if (buttons.length === 0 || buttons.length > TEMPLATE_LIMITS.BUTTONS) {
+                errors.push(`buttons must contain between 1 and ${TEMPLATE_LIMITS.BUTTONS} buttons`);
+            }
+
+            if (buttonTypes.filter((item) => item === "URL").length > TEMPLATE_LIMITS.URL_BUTTONS) {
+                errors.push(`at most ${TEMPLATE_LIMITS.URL_BUTTONS} URL buttons are allowed`);
+            }
+
+            if (buttonTypes.filter((item) => item === "PHONE_NUMBER").length > TEMPLATE_LIMITS.PHONE_NUMBER_BUTTONS) {
+                errors.push(`at most ${TEMPLATE_LIMITS.PHONE_NUMBER_BUTTONS} phone number button is allowed`);
+            }
+
+            buttons.forEach((button, index) => {
+                const label = `buttons[${index}]`;
+
+                if (buttonTypes[index] !== "COPY_CODE" && buttonTypes[index] !== "OTP") {
+                    checkText(errors, button.text, `${label}.text`, TEMPLATE_LIMITS.BUTTON_TEXT);
+                }
+
+                if (buttonTypes[index] === "URL") {
+                    checkText(errors, button.url, `${label}.url`, TEMPLATE_LIMITS.URL);
+
+                    const placeholders = placeholdersOf(button.url);
+
+                    if (placeholders.length > 1 || (placeholders.length === 1 && !String(button.url).trim().endsWith("}}"))) {
+                        errors.push(`${label}.url can only contain 1 placeholder, at the end of the URL`);
+                    }
+
+                    if (placeholders.length === 1 && !button.example?.length) {
+                        errors.push(`${label}.url has a placeholder and requires an example value`);
+                    }
+                } else if (buttonTypes[index] === "PHONE_NUMBER") {
+                    checkText(errors, button.phone_number, `${label}.phone_number`, TEMPLATE_LIMITS.PHONE_NUMBER);
+                } else if (buttonTypes[index] === "COPY_CODE") {
+                    checkText(errors, Array.isArray(button.example) ? button.example[0] : button.example, `${label}.example`, TEMPLATE_LIMITS.COPY_CODE);
+                }
+            });
+        } else {
+            errors.push(`unknown component type: ${component.type}`);
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Check the text of a send-time parameter against Meta's formatting rules.
+ * @param {Array<String>} errors - The list problems are added to.
+ * @param {Object} parameter - The parameter.
+ * @param {String} label - The name of the parameter, used in the messages.
+ */
+function checkParameterText(errors, parameter, label) {
+    if (parameter?.type !== "text") {
+        return;
+    }
+
+    if (typeof parameter.text !== "string" || parameter.text === "") {
+        errors.push(`${label}.text is required`);
+    } else if (/[\n\t]| {5,}/.test(parameter.text)) {
+        errors.push(`${label}.text cannot contain new lines, tabs or more than 4 consecutive spaces`);
+    }
+};
+
+/**
+ * Check send-time parameters against the placeholders of a template text.
+ * @param {Array<String>} errors - The list problems are added to.
+ * @param {Array<Object>} parameters - The send-time parameters.
+ * @param {Array<String>} placeholders - The placeholder names of the template text.
+ * @param {String} label - The name of the component, used in the messages.
+ * @param {Boolean} named - Whether the template uses named parameters.
+ */
+function checkParameters(errors, parameters, placeholders, label, named) {
+    if (parameters.length !== placeholders.length) {
+        errors.push(`${label} expects ${placeholders.length} parameter(s), got ${parameters.length}`);
+    }
+
+    parameters.forEach((parameter, index) => {
+        checkParameterText(errors, parameter, `${label}[${index}]`);
+
+        if (named && !placeholders.includes(parameter?.parameter_name)) {
+            errors.push(`${label}[${index}].parameter_name must be one of: ${placeholders.join(", ") || "(none)"}`);
+        }
+
+        if (!named && parameter?.parameter_name) {
+            errors.push(`${label}[${index}].parameter_name is not allowed, the template uses positional parameters`);
+        }
+    });
+};
+
+/**
+ * Validate the parameters of a sendTemplate call against the template definition (as returned by getTemplateInfo).
+ * @param {Object} definition - The template definition ({ name, language, parameter_format, components }).
+ * @param {Array<Object>} [header=[]] - The header parameters (optional).
+ * @param {Array<Object>} [body=[]] - The body parameters (optional).
+ * @param {Array<Object>} [buttons=[]] - The button components (optional).
+ * @returns {Array<String>} - The problems found, empty if the call matches the template.
+ */
+function validateTemplateSend(definition, header = [], body = [], buttons = []) {
+    const errors = [];
+    const components = definition?.components || [];
+    const named = String(definition?.parameter_format || "").toUpperCase() === "NAMED";
+    const find = (type) => components.find((component) => String(component.type).toUpperCase() === type);
+    const headerComponent = find("HEADER");
+    const bodyComponent = find("BODY");
+    const templateButtons = find("BUTTONS")?.buttons || [];
+    const format = String(headerComponent?.format || "TEXT").toUpperCase();
+
+    if (!headerComponent || (format === "TEXT" && placeholdersOf(headerComponent.text).length === 0)) {
+        if (header.length > 0) {
+            errors.push("header parameters were given but the template header has no parameters");
+        }
+    } else if (format === "TEXT") {
+        checkParameters(errors, header, placeholdersOf(headerComponent.text), "header", named);
+    } else if (header.length !== 1 || header[0]?.type !== format.toLowerCase()) {
+        errors.push(`header expects 1 parameter of type ${format.toLowerCase()}`);
+    }
+
+    checkParameters(errors, body, placeholdersOf(bodyComponent?.text), "body", named);
+
+    const covered = new Set();
+
+    buttons.forEach((button, index) => {
+        const label = `buttons[${index}]`;
+
+        if (typeof button?.index !== "string" || !/^\d+$/.test(button.index)) {
+            errors.push(`${label}.index must be a numeric string, e.g. "0"`);
+            return;
+        }
+
+        const templateButton = templateButtons[Number(button.index)];
+
+        if (!templateButton) {
+            errors.push(`${label}.index ${button.index} does not match any template button`);
+            return;
+        }
+
+        const expected = BUTTON_SUB_TYPES[String(templateButton.type).toUpperCase()];
+
+        if (button.type !== "button") {
+            errors.push(`${label}.type must be "button"`);
+        }
+
+        if (expected && button.sub_type !== expected) {
+            errors.push(`${label}.sub_type must be "${expected}" for the ${templateButton.type} button at index ${button.index}`);
+        }
+
+        if (String(templateButton.type).toUpperCase() === "URL" && placeholdersOf(templateButton.url).length === 0) {
+            errors.push(`${label} targets a static URL button, which takes no parameters`);
+        }
+
+        (button.parameters || []).forEach((parameter, parameterIndex) => checkParameterText(errors, parameter, `${label}.parameters[${parameterIndex}]`));
+        covered.add(button.index);
+    });
+
+    templateButtons.forEach((templateButton, index) => {
+        const type = String(templateButton.type).toUpperCase();
+        const needsParameter = (type === "URL" && placeholdersOf(templateButton.url).length > 0) || type === "COPY_CODE" || type === "OTP";
+
+        if (needsParameter && !covered.has(String(index))) {
+            errors.push(`the ${type} button at index ${index} requires a parameter`);
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Build a send-time text parameter.
+ * @param {*} value - The parameter value.
+ * @param {String} [name] - The parameter name, for named templates (optional).
+ * @returns {Object} - The parameter.
+ */
+function textParameter(value, name) {
+    if (value && typeof value === "object") {
+        return name ? { "parameter_name": name, ...value } : value;
+    }
+
+    return name ? { "type": "text", "parameter_name": name, "text": String(value) } : { "type": "text", "text": String(value) };
+};
+
+/**
+ * Build the payload of a template message.
+ * @param {String} to - The recipient's phone number.
+ * @param {String} templateName - The name of the template.
+ * @param {String} [language="en_US"] - The language code of the template (optional).
+ * @param {Array<Object>} [header=[]] - The header parameters (optional).
+ * @param {Array<Object>} [body=[]] - The body parameters (optional).
+ * @param {Array<Object>} [buttons=[]] - The button components (optional).
+ * @returns {Object} - The message payload.
+ */
+function buildTemplateMessage(to, templateName, language = "en_US", header = [], body = [], buttons = []) {
+    const components = [];
+    const data = {
+        "messaging_product": "whatsapp",
+        "to": to,
+        "type": "template",
+        "template": {
+            "name": templateName,
+            "language": {
+                "code": language
+            }
+        }
+    };
+
+    if (header.length > 0) {
+        components.push({ "type": "header", "parameters": header });
+    }
+
+    if (body.length > 0) {
+        components.push({ "type": "body", "parameters": body });
+    }
+
+    if (buttons.length > 0) {
+        components.push(...buttons);
+    }
+
+    if (components.length > 0) {
+        data.template.components = components;
+    }
+
+    return data;
+};
+
+/**
+ * Reduce a template to the fields that matter when comparing a local definition with the one registered on the account.
+ * Button fields are only compared when the reference definition sets them, as Meta fills in some itself (e.g. the text of COPY_CODE and OTP buttons).
+ * @param {Object} definition - The template definition.
+ * @param {Object} [reference=definition] - The local definition the template is compared with (optional).
+ * @returns {String} - A canonical representation of the category and components.
+ */
+function templateSignature(definition, reference = definition) {
+    const referenceComponents = reference.components || [];
+    const components = (definition.components || []).map((component) => {
+        const type = String(component.type).toUpperCase();
+        const result = { "type": type };
+
+        if (component.format) {
+            result.format = String(component.format).toUpperCase();
+        }
+
+        if (component.text !== undefined) {
+            result.text = component.text;
+        }
+
+        if (component.buttons) {
+            const referenceButtons = referenceComponents.find((item) => String(item.type).toUpperCase() === type)?.buttons || [];
+
+            result.buttons = component.buttons.map((button, index) => {
+                const item = { "type": String(button.type).toUpperCase() };
+
+                for (const field of ["text", "url", "phone_number"]) {
+                    if (referenceButtons[index]?.[field] !== undefined) {
+                        item[field] = button[field] ?? null;
+                    }
+                }
+
+                return item;
+            });
+        }
+
+        return result;
+    });
+
+    return JSON.stringify({ "category": String(definition.category || "").toUpperCase(), "components": components });
+};
+
+/**
+ * Work out which templates must be created, updated or deleted for the account to match local definitions.
+ * Templates are matched by name and language.
+ * @param {Array<Object>} local - The local template definitions (registration payloads).
+ * @param {Array<Object>} remote - The templates registered on the account (with id, name, language, category and components).
+ * @param {Object} [options={}] - Plan options (optional).
+ * @param {Boolean} [options.deleteMissing=false] - Delete account templates that have no local definition.
+ * @returns {Object} - The plan as { create, update, delete, unchanged }, lists of { name, language, id, definition }.
+ */
+function planTemplateSync(local, remote, { deleteMissing = false } = {}) {
+    const key = (template) => `${template.name}:${template.language}`;
+    const remoteByKey = new Map(remote.map((template) => [key(template), template]));
+    const localKeys = new Set();
+    const plan = { "create": [], "update": [], "delete": [], "unchanged": [] };
+
+    for (const definition of local) {
+        const existing = remoteByKey.get(key(definition));
+        const item = { "name": definition.name, "language": definition.language, "id": existing?.id ?? null, "definition": definition };
+
+        localKeys.add(key(definition));
+
+        if (!existing) {
+            plan.create.push(item);
+        } else if (templateSignature(existing, definition) !== templateSignature(definition)) {
+            plan.update.push(item);
+        } else {
+            plan.unchanged.push(item);
+        }
+    }
+
+    if (deleteMissing) {
+        remote.filter((template) => !localKeys.has(key(template))).forEach((template) => {
+            plan.delete.push({ "name": template.name, "language": template.language, "id": template.id, "definition": template });
+        });
+    }
+
+    return plan;
+};
+
+class TemplateBuilder {
+    /**
+     * Create a new message template builder.
+     * @param {String} name - The template name (lowercase letters, digits and underscores).
+     * @param {Object} [options={}] - Template options (optional).
+     * @param {String} [options.language="en_US"] - The template language code.
+     * @param {String} [options.category="UTILITY"] - The template category (UTILITY, MARKETING, AUTHENTICATION).
+     * @param {Boolean} [options.allowCategoryChange=false] - Allow Meta to assign another category.
+     * @param {String} [options.parameterFormat="POSITIONAL"] - POSITIONAL ({{1}}) or NAMED ({{first_name}}) placeholders.
+     */
+    constructor(name, { language = "en_US", category = "UTILITY", allowCategoryChange = false, parameterFormat = "POSITIONAL" } = {}) {
+        this.name = name;
+        this.language = language;
+        this.category = category.toUpperCase();
+        this.allowCategoryChange = allowCategoryChange;
+        this.parameterFormat = parameterFormat.toUpperCase();
+        this.headerComponent = null;
+        this.bodyComponent = null;
+        this.footerComponent = null;
+        this.buttons = [];
+    };
+
+    /**
+     * Whether the template uses named placeholders.
+     * @returns {Boolean} - True for NAMED templates.
+     */
+    get named() {
+        return this.parameterFormat === "NAMED";
+    };
+
+    /**
+     * Build the example of a text component from positional (array) or named (object) example values.
+     * @param {String} key - The example key ("header_text" or "body_text").
+     * @param {Array|Object} examples - The example values.
+     * @returns {Object|undefined} - The example object, undefined if there are no examples.
+     */
+    buildExample(key, examples) {
+        if (!examples || (Array.isArray(examples) ? examples.length === 0 : Object.keys(examples).length === 0)) {
+            return undefined;
+        }
+
+        if (this.named) {
+            const params = Object.entries(examples).map(([name, example]) => ({ "param_name": name, "example": String(example) }));
+            return { [`${key}_named_params`]: params };
+        }
+
+        const values = Object.values(examples).map(String);
+
+        return { [key]: key === "body_text" ? [values] : values };
+    };
+
+    /**
+     * Set a text header.
+     * @param {String} text - The header text, with at most 1 placeholder.
+     * @param {Array|Object} [examples] - The example value of the placeholder (optional).
+     * @returns {TemplateBuilder} - The builder.
+     */
+    headerText(text, examples) {
+        this.headerComponent = { "type": "HEADER", "format": "TEXT", "text": text };
+
+        const example = this.buildExample("header_text", examples);
+
+        if (example) {
+            this.headerComponent.example = example;
+        }
+
+        return this;
+    };
+
+    /**
+     * Set a media header.
+     * @param {String} format - IMAGE, VIDEO or DOCUMENT.
+     * @param {String} handle - The example file handle, see resumableUpload.
+     * @returns {TemplateBuilder} - The builder.
+     */
+    headerMedia(format, handle) {
+        this.headerComponent = { "type": "HEADER", "format": format.toUpperCase(), "example": { "header_handle": [handle] } };
+        return this;
+    };
+
+    /**
+     * Set a location header.
+     * @returns {TemplateBuilder} - The builder.
+     */
+    headerLocation() {
+        this.headerComponent = { "type": "HEADER", "format": "LOCATION" };
+        return this;
+    };
+
+    /**
+     * Set the body.
+     * @param {String} text - The body text.
+     * @param {Array|Object} [examples] - The example values of the placeholders, an array for positional templates, an object for named ones (optional).
+     * @returns {TemplateBuilder} - The builder.
+     */
+    body(text, examples) {
+        this.bodyComponent = { "type": "BODY", "text": text };
+
+        const example = this.buildExample("body_text", examples);
+
+        if (example) {
+            this.bodyComponent.example = example;
+        }
+
+        return this;
+    };
+
+    /**
+     * Set the footer.
+     * @param {String} text - The footer text.
+     * @returns {TemplateBuilder} - The builder.
+     */
+    footer(text) {
+        this.footerComponent = { "type": "FOOTER", "text": text };
+        return this;
+    };
+
+    /**
+     * Add a quick reply button.
+     * @param {String} text - The button text.
+     * @returns {TemplateBuilder} - The builder.
+     */
+    quickReplyButton(text) {
+        this.buttons.push({ "type": "QUICK_REPLY", "text": text });
+        return this;
+    };
+
+    /**
+     * Add a URL button.
+     * @param {String} text - The button text.
+     * @param {String} url - The URL, optionally ending with a {{1}} placeholder.
+     * @param {String} [example] - The example value of the placeholder (optional).
+     * @returns {TemplateBuilder} - The builder.
+     */
+    urlButton(text, url, example) {
+        const button = { "type": "URL", "text": text, "url": url };
+
+        if (example) {
+            button.example = [example];
+        }
+
+        this.buttons.push(button);
+        return this;
+    };
+
+    /**
+     * Add a phone number button.
+     * @param {String} text - The button text.
+     * @param {String} phoneNumber - The phone number to call.
+     * @returns {TemplateBuilder} - The builder.
+     */
+    phoneNumberButton(text, phoneNumber) {
+        this.buttons.push({ "type": "PHONE_NUMBER", "text": text, "phone_number": phoneNumber });
+        return this;
+    };
+
+    /**
+     * Add a copy code button.
+     * @param {String} example - An example code.
+     * @returns {TemplateBuilder} - The builder.
+     */
+    copyCodeButton(example) {
+        this.buttons.push({ "type": "COPY_CODE", "example": example });
+        return this;
+    };
+
+    /**
+     * Get the components of the template.
+     * @returns {Array<Object>} - The components.
+     */
+    components() {
+        const components = [this.headerComponent, this.bodyComponent, this.footerComponent].filter(Boolean);
+
+        if (this.buttons.length > 0) {
+            components.push({ "type": "BUTTONS", "buttons": this.buttons });
+        }
+
+        return components;
+    };
+
+    /**
+     * Build and validate the registration payload of the template.
+     * @returns {Object} - The payload ({ name, language, category, allow_category_change, parameter_format, components }), accepted by registerTemplate.
+     * @throws {WhatsappValidationError} - If the template breaks Meta's rules.
+     */
+    build() {
+        const definition = {
+            "name": this.name,
+            "language": this.language,
+            "category": this.category,
+            "allow_category_change": this.allowCategoryChange,
+            "components": this.components()
+        };
+
+        if (this.named) {
+            definition.parameter_format = "NAMED";
+        }
+
+        assertValid(validateTemplateDefinition(definition));
+
+        return definition;
+    };
+
+    /**
+     * Build the send-time parameters of the template, in the shape expected by sendTemplate.
+     * @param {Object} [values={}] - The values to send (optional).
+     * @param {String|Object} [values.header] - The header value: text, a media link or ID, a location object, or a full parameter object.
+     * @param {Array|Object} [values.body] - The body values, an array for positional templates, an object for named ones.
+     * @param {Object|Array} [values.buttons] - The button values by button index: URL suffixes, copy codes or quick reply payloads.
+     * @returns {Object} - { header, body, buttons }, to pass to sendTemplate.
+     * @throws {WhatsappValidationError} - If the values do not match the template.
+     */
+    sendComponents(values = {}) {
+        const header = [];
+        const body = [];
+        const buttons = [];
+
+        if (values.header !== undefined && this.headerComponent) {
+            const format = this.headerComponent.format;
+
+            if (format === "TEXT") {
+                header.push(textParameter(values.header, this.named ? placeholdersOf(this.headerComponent.text)[0] : undefined));
+            } else if (format === "LOCATION") {
+                header.push({ "type": "location", "location": values.header });
+            } else {
+                const type = format.toLowerCase();
+                header.push(typeof values.header === "string" ? { "type": type, [type]: mediaObject(values.header) } : values.header);
+            }
+        }
+
+        if (this.named) {
+            Object.entries(values.body || {}).forEach(([name, value]) => body.push(textParameter(value, name)));
+        } else {
+            (values.body || []).forEach((value) => body.push(textParameter(value)));
+        }
+
+        Object.entries(values.buttons || {}).forEach(([index, value]) => {
+            const templateButton = this.buttons[Number(index)];
+            const subType = BUTTON_SUB_TYPES[templateButton?.type] || "quick_reply";
+            let parameter = { "type": "text", "text": String(value) };
+
+            if (subType === "quick_reply") {
+                parameter = { "type": "payload", "payload": String(value) };
+            } else if (subType === "copy_code") {
+                parameter = { "type": "coupon_code", "coupon_code": String(value) };
+            }
+
+            buttons.push({ "type": "button", "sub_type": subType, "index": String(index), "parameters": [parameter] });
+        });
+
+        assertValid(validateTemplateSend({ "parameter_format": this.parameterFormat, "components": this.components() }, header, body, buttons));
+
+        return { header, body, buttons };
+    };
+};
+
+
+module.exports = { TEMPLATE_LIMITS, TemplateBuilder, placeholdersOf, validateTemplateDefinition, validateTemplateSend, buildTemplateMessage, templateSignature, planTemplateSync };
@@ -0,0 +1,37 @@
+const { WhatsappValidationError } = require('./errors');
+
+/**
+ * Check that a value is a non-empty string of at most `max` characters.
+ * @param {Array<String>} errors - The list problems are added to.
+ * @param {*} value - The value to check.
+ * @param {String} label - The name of the value, used in the messages.
+ * @param {Number} max - The maximum length.
+ * @param {Boolean} [required=true] - Whether an empty value is a problem (optional).
+ */
+function checkText(errors, value, label, max, required = true) {
+    if (value === undefined || value === null || value === "") {
+        if (required) {
+            errors.push(`${label} is required`);
+        }
+        return;
+    }
+
+    if (typeof value !== "string") {
+        errors.push(`${label} must be a string`);
+    } else if (value.length > max) {
+        errors.push(`${label} must be at most ${max} characters (got ${value.length})`);
+    }
+};
+
+/**
+ * Throw a WhatsappValidationError if any problem was found.
+ * @param {Array<String>} errors - The problems found.
+ */
+function assertValid(errors) {
+    if (errors.length > 0) {
+        throw new WhatsappValidationError(errors);
+    }
+};
+
+
+module.exports = { checkText, assertValid };
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+
+/**
+ * Event types emitted for webhook fields other than `messages`.
+ * Fields that are not listed here are emitted using the field name itself.
+ */
+const FIELD_EVENT_TYPES = {
+    "message_template_status_update": "template.status_update",
+    "message_template_quality_update": "template.quality_update",
+    "template_category_update": "template.category_update",
+    "phone_number_quality_update": "phone_number.quality_update",
+    "phone_number_name_update": "phone_number.name_update",
+    "account_update": "account.update",
+    "account_review_update": "account.review_update",
+    "account_alerts": "account.alerts",
+    "business_capability_update": "business.capability_update",
+};
+
+/**
+ * Convert a webhook unix timestamp (in seconds) into a Date.
+ * @param {String|Number} timestamp - The timestamp sent by Meta.
+ * @returns {Date|null} - The converted date, or null if no timestamp was given.
+ */
+function toDate(timestamp) {
+    return timestamp ? new Date(Number(timestamp) * 1000) : null;
+};
+
+/**
+ * Pull the human readable text out of an inbound message, whatever its type.
+ * @param {Object} message - The raw message object.
+ * @returns {String|null} - The message text, or null if the message type carries none.
+ */
+function extractText(message) {
+    switch (message.type) {
+        case "text":
+            return message.text?.body ?? null;
+        case "button":
+            return message.button?.text ?? null;
+        case "interactive": {
+            const reply = message.interactive?.[message.interactive.type];
+            return reply?.title ?? reply?.body ?? null;
+        }
+        case "image":
+        case "video":
+        case "document":
+            return message[message.type]?.caption ?? null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Normalize an inbound message.
+ * @param {Object} message - The raw message object.
+ * @param {Object} value - The change value the message belongs to.
+ * @param {Object} base - Fields shared by every event of the change.
+ * @returns {Object} - The message event.
+ */
+function parseMessage(message, value, base) {
+    const contacts = value.contacts || [];
+    const contact = contacts.find((item) => item.wa_id === message.from) || contacts[0] || null;
+    let type = `message.${message.type}`;
+
+    if (message.type === "interactive" && message.interactive?.type) {
+        type += `.${message.interactive.type}`;
+    }
+
+    return {
+        ...base,
+        type,
+        messageType: message.type,
+        id: message.id,
+        from: message.from,
+        profileName: contact?.profile?.name ?? null,
+        contact,
+        timestamp: toDate(message.timestamp),
+        replyTo: message.context?.id ?? null,
+        context: message.context ?? null,
+        text: extractText(message),
+        content: message[message.type] ?? null,
+        referral: message.referral ?? null,
+        errors: message.errors || [],
+        raw: message
+    };
+};
+
+/**
+ * Normalize an outbound message status.
+ * @param {Object} status - The raw status object.
+ * @param {Object} base - Fields shared by every event of the change.
+ * @returns {Object} - The status event.
+ */
+function parseStatus(status, base) {
+    return {
+        ...base,
+        type: `status.${status.status}`,
+        id: status.id,
+        status: status.status,
+        recipientId: status.recipient_id,
+        timestamp: toDate(status.timestamp),
+        conversation: status.conversation ?? null,
+        pricing: status.pricing ?? null,
+        bizOpaqueCallbackData: status.biz_opaque_callback_data ?? null,
+        errors: status.errors || [],
+        raw: status
+    };
+};
+
+/**
+ * Normalize a change of any field other than `messages`.
+ * @param {Object} change - The raw change object.
+ * @param {Object} entry - The entry the change belongs to.
+ * @param {Object} base - Fields shared by every event of the change.
+ * @returns {Object} - The event.
+ */
+function parseFieldChange(change, entry, base) {
+    const value = change.value || {};
+    const event = {
+        ...base,
+        type: FIELD_EVENT_TYPES[change.field] || change.field,
+        timestamp: toDate(entry.time),
+        value
+    };
+
+    if (event.type.startsWith("template.")) {
+        event.event = value.event ?? null;
+        event.templateId = value.message_template_id ?? null;
+        event.templateName = value.message_template_name ?? null;
+        event.language = value.message_template_language ?? null;
+        event.reason = value.reason ?? null;
+    }
+
+    return event;
+};
+
+/**
+ * Parse a webhook notification POSTed by Meta into a flat list of normalized events.
+ * @param {Object|String|Buffer} body - The notification payload (parsed JSON or the raw body).
+ * @returns {Array<Object>} - The events found in the notification, in the order they were sent.
+ */
+function parseWebhook(body) {
+    const payload = (typeof body === "string" || Buffer.isBuffer(body)) ? JSON.parse(body.toString()) : body;
+    const events = [];
+
+    if (!payload || payload.object !== "whatsapp_business_account") {
+        return events;
+    }
+
+    for (const entry of payload.entry || []) {
+        for (const change of entry.changes || []) {
+            const value = change.value || {};
+            const base = {
+                field: change.field,
+                businessAccountId: entry.id,
+                phoneNumberId: value.metadata?.phone_number_id ?? null,
+                displayPhoneNumber: value.metadata?.display_phone_number ?? null
+            };
+
+            if (change.field !== "messages") {
+                events.push(parseFieldChange(change, entry, base));
+                continue;
+            }
+
+            for (const message of value.messages || []) {
+                events.push(parseMessage(message, value, base));
+            }
+
+            for (const status of value.statuses || []) {
+                events.push(parseStatus(status, base));
+            }
+
+            for (const error of value.errors || []) {
+                events.push({
+                    ...base,
+                    type: "notification.error",
+                    code: error.code,
+                    title: error.title,
+                    message: error.message ?? null,
+                    details: error.error_data?.details ?? null,
+                    raw: error
+                });
+            }
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Compute the X-Hub-Signature-256 header value Meta sends with a webhook payload.
+ * @param {String|Buffer} rawBody - The exact bytes of the request body.
+ * @param {String} appSecret - The app secret of the Meta app.
+ * @returns {String} - The signature, formatted as "sha256=<hex digest>".
+ */
+function createWebhookSignature(rawBody, appSecret) {
+    return `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`;
+};
+
+/**
+ * Check an X-Hub-Signature-256 header against the raw request body, in constant time.
+ * @param {String|Buffer} rawBody - The exact bytes of the request body.
+ * @param {String} signatureHeader - The value of the X-Hub-Signature-256 header.
+ * @param {String} appSecret - The app secret of the Meta app.
+ * @returns {Boolean} - True if the signature matches the body.
+ */
+function verifyWebhookSignature(rawBody, signatureHeader, appSecret) {
+    if (!appSecret) {
+        throw new Error("An app secret is required to verify webhook signatures.");
+    }
+
+    if (typeof signatureHeader !== "string" || rawBody === null || rawBody === undefined) {
+        return false;
+    }
+
+    const expected = Buffer.from(createWebhookSignature(rawBody, appSecret));
+    const received = Buffer.from(signatureHeader.trim());
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+
+module.exports = { parseWebhook, createWebhookSignature, verifyWebhookSignature };
@@ -0,0 +1,82 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { toUnixTime, fieldExpression } = require('../lib/analytics');
+
+const START = new Date("2024-05-01T00:00:00Z");
+const END = new Date("2024-05-08T00:00:00Z");
+
+describe("analytics queries", () => {
+    it("converts dates to unix timestamps", () => {
+        assert.equal(toUnixTime(START), 1714521600);
+        assert.equal(toUnixTime("2024-05-01T00:00:00.900Z"), 1714521600);
+        assert.equal(toUnixTime(1714521600.5), 1714521600);
+        assert.equal(toUnixTime("not a date"), null);
+    });
+
+    it("builds field expressions without empty parameters", () => {
+        assert.equal(fieldExpression("analytics", { "start": 1, "end": 2, "granularity": "DAY", "phone_numbers": ["15550001"], "country_codes": [], "other": undefined }),
+            'analytics.start(1).end(2).granularity(DAY).phone_numbers(["15550001"])');
+    });
+});
+
+describe("analytics wrappers", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("queries messaging analytics", async () => {
+        const analytics = await client.getMessagingAnalytics({ "start": START, "end": END, "granularity": "HALF_HOUR", "phoneNumbers": ["15550001", "15550002"] });
+
+        assert.equal(mock.requests[0].path, "/v19.0/456");
+        assert.equal(mock.requests[0].query.fields, 'analytics.start(1714521600).end(1715126400).granularity(HALF_HOUR).phone_numbers(["15550001","15550002"])');
+        assert.deepEqual(analytics, { "phone_numbers": ["15550001", "15550002"], "granularity": "HALF_HOUR", "data_points": [] });
+    });
+
+    it("queries conversation analytics", async () => {
+        const analytics = await client.getConversationAnalytics({ "start": "2024-05-01T00:00:00Z", "end": 1715126400, "phoneNumbers": ["15550001"], "dimensions": ["CONVERSATION_CATEGORY"] });
+
+        assert.equal(mock.requests[0].query.fields, 'conversation_analytics.start(1714521600).end(1715126400).granularity(DAILY).phone_numbers(["15550001"]).dimensions(["CONVERSATION_CATEGORY"])');
+        assert.deepEqual(analytics, { "data": [{ "data_points": [] }] });
+    });
+
+    it("queries template analytics", async () => {
+        await client.getTemplateAnalytics({ "templateIds": ["1", 2], "start": START, "end": END, "metricTypes": ["SENT", "READ"] });
+
+        assert.equal(mock.requests[0].path, "/v19.0/456/template_analytics");
+        assert.deepEqual(mock.requests[0].query, { "start": "1714521600", "end": "1715126400", "granularity": "DAILY", "template_ids": '["1","2"]', "metric_types": '["SENT","READ"]' });
+    });
+
+    it("rejects invalid ranges, granularities and template lists", async () => {
+        const errors = async (promise) => {
+            const error = await promise;
+
+            assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+            return error.errors;
+        };
+
+        assert.deepEqual(await errors(client.getMessagingAnalytics({ "start": END, "end": START, "granularity": "DAILY" })), [
+            "start must be before end",
+            "granularity must be one of: HALF_HOUR, DAY, MONTH"
+        ]);
+        assert.deepEqual(await errors(client.getConversationAnalytics({ "start": "yesterday", "end": END, "granularity": "DAY" })), [
+            "start and end must be dates or unix timestamps",
+            "granularity must be one of: HALF_HOUR, DAILY, MONTHLY"
+        ]);
+        assert.deepEqual(await errors(client.getTemplateAnalytics({ "templateIds": Array.from({ "length": 11 }, (_, index) => String(index)), "start": START, "end": END })), [
+            "templateIds must list 1 to 10 template IDs"
+        ]);
+        assert.equal(mock.requests.length, 0);
+    });
+});
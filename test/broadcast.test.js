@@ -0,0 +1,139 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock, nextEvent } = require('./helpers');
+
+const text = () => ({ "type": "text", "text": { "body": "Hello" } });
+
+describe("Broadcast", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock({ "client": { "retry": false } }));
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("messages every recipient once and collects the outcomes", async () => {
+        mock.failNext({ "to": "3" }, "recipient_unavailable");
+
+        const summary = await client.broadcast(["1", "2", "2", { "to": "3" }], text, { "concurrency": 2 }).start();
+
+        assert.equal(summary.state, "completed");
+        assert.equal(summary.duplicates, 1);
+        assert.deepEqual([summary.sent, summary.failed], [2, 1]);
+        assert.equal(summary.results[2].error.code, 131026);
+        assert.deepEqual(mock.messages.map((message) => message.to).sort(), ["1", "2"]);
+    });
+
+    it("stops sending while paused", async () => {
+        const job = client.broadcast(["1", "2", "3", "4"], text, { "concurrency": 1 });
+
+        job.once("sent", () => job.pause());
+
+        const done = job.start();
+
+        await nextEvent(job, "paused");
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.equal(job.progress().state, "paused");
+        assert.ok(mock.messages.length <= 2);
+
+        job.resume();
+
+        const summary = await done;
+
+        assert.equal(summary.sent, 4);
+        assert.equal(mock.messages.length, 4);
+    });
+
+    it("resumes a cancelled job from its checkpoints", async () => {
+        const store = new Whatsapp.MemoryStore();
+        const recipients = ["1", "2", "3", "4"];
+        const first = client.broadcast(recipients, text, { "jobId": "job-1", store, "concurrency": 1 });
+
+        first.once("sent", () => first.cancel());
+
+        const cancelled = await first.start();
+
+        assert.equal(cancelled.state, "cancelled");
+        assert.ok(cancelled.completed < recipients.length);
+
+        const resumed = await client.broadcast(recipients, text, { "jobId": "job-1", store }).start();
+
+        assert.equal(resumed.state, "completed");
+        assert.equal(resumed.sent, 4);
+        assert.equal(resumed.resumed, cancelled.completed);
+        assert.equal(mock.messages.length, 4);
+    });
+
+    it("marks sends in flight when the job stopped as unknown", async () => {
+        const store = new Whatsapp.MemoryStore();
+
+        await store.set("broadcast:job-2:1", { "to": "1", "index": 0, "status": "in_flight" });
+        await store.set("broadcast:job-2:2", { "to": "2", "index": 1, "status": "sent", "messageId": "wamid.2", "error": null });
+
+        const summary = await client.broadcast(["1", "2", "3"], text, { "jobId": "job-2", store }).start();
+
+        assert.deepEqual(summary.results.map((result) => result.status), ["unknown", "sent", "sent"]);
+        assert.equal((await store.get("broadcast:job-2:1")).status, "unknown");
+        assert.deepEqual(mock.messages.map((message) => message.to), ["3"]);
+    });
+
+    it("sends throttled failures again on resume", async () => {
+        const store = new Whatsapp.MemoryStore();
+
+        mock.failNext({ "to": "1" }, "pair_rate_limit");
+        mock.failNext({ "to": "2" }, "server");
+
+        const first = await client.broadcast(["1", "2", "3"], text, { "jobId": "job-3", store }).start();
+
+        assert.equal(first.failed, 2);
+
+        const second = await client.broadcast(["1", "2", "3"], text, { "jobId": "job-3", store }).start();
+
+        assert.equal(second.retried, 1);
+        assert.deepEqual(second.results.map((result) => result.status), ["sent", "failed", "sent"]);
+        assert.deepEqual(mock.messagesTo("2"), []);
+
+        const third = await client.broadcast(["1", "2", "3"], text, { "jobId": "job-3", store, "retryFailed": "transient" }).start();
+
+        assert.equal(third.retried, 1);
+        assert.equal(third.sent, 3);
+        assert.equal(mock.messagesTo("2").length, 1);
+    });
+
+    it("never sends failures again with retryFailed false", async () => {
+        const store = new Whatsapp.MemoryStore();
+
+        mock.failNext({ "to": "1" }, "rate_limit");
+        await client.broadcast(["1"], text, { "jobId": "job-4", store }).start();
+
+        const summary = await client.broadcast(["1"], text, { "jobId": "job-4", store, "retryFailed": false }).start();
+
+        assert.deepEqual([summary.retried, summary.failed], [0, 1]);
+        assert.equal(mock.messages.length, 0);
+    });
+});
+
+describe("MemoryStore", () => {
+    it("expires keys after their ttl", async () => {
+        const store = new Whatsapp.MemoryStore();
+
+        await store.set("a", 1, 20);
+        await store.set("b", 2);
+        assert.equal(await store.get("a"), 1);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.equal(await store.get("a"), undefined);
+        assert.equal(await store.get("b"), 2);
+
+        await store.delete("b");
+        assert.equal(await store.get("b"), undefined);
+    });
+});
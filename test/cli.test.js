@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Whatsapp, startMock } = require('./helpers');
+const { run } = require('../lib/cli');
+const { createWebhookSignature } = require('../lib/webhook');
+
+/**
+ * Collect what the CLI writes to a stream.
+ * @returns {Object} - The stream, with the written text in `text`.
+ */
+function output() {
+    return {
+        "text": "",
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+};
+
+describe("command line", () => {
+    let mock;
+    let dir;
+    let config;
+
+    before(async () => {
+        ({ mock } = await startMock());
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "wa-cli-"));
+        config = path.join(dir, "config.yaml");
+        await fs.promises.writeFile(config, [
+            "defaultProfile: test",
+            "profiles:",
+            "  test:",
+            "    phoneNumberId: \"123\"",
+            "    accountId: \"456\"",
+            "    accessToken: test-token",
+            `    baseUrl: ${mock.url}`,
+            ""
+        ].join("\n"));
+    });
+
+    after(async () => {
+        await mock.stop();
+        await fs.promises.rm(dir, { "recursive": true, "force": true });
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    /**
+     * Run the CLI with the test config.
+     * @param {Array<String>} argv - The command line arguments.
+     * @returns {Promise<Object>} - A promise resolving to { code, stdout, stderr }.
+     */
+    async function cli(argv) {
+        const stdout = output();
+        const stderr = output();
+        const code = await run([...argv, "--config", config], { "env": {}, stdout, stderr, Whatsapp });
+
+        return { code, "stdout": stdout.text, "stderr": stderr.text };
+    };
+
+    it("reads a YAML config and sends with its profile", async () => {
+        const { code, stdout } = await cli(["send", "text", "15551234567", "Hello"]);
+
+        assert.equal(code, 0);
+        assert.match(JSON.parse(stdout).messages[0].id, /^wamid\./);
+        assert.equal(mock.messagesTo("15551234567")[0].payload.text.body, "Hello");
+    });
+
+    it("exports and imports templates as YAML", async () => {
+        const file = path.join(dir, "templates.yaml");
+
+        mock.addTemplate({ ...new Whatsapp.TemplateBuilder("order_update").body("Hello {{1}}", ["Jane"]).build(), "status": "APPROVED" });
+
+        const exported = await cli(["templates", "export", "--out", file]);
+
+        assert.equal(exported.code, 0);
+        assert.match(await fs.promises.readFile(file, "utf8"), /^- name: order_update$/m);
+
+        const imported = await cli(["templates", "import", file, "--dry-run"]);
+        const result = JSON.parse(imported.stdout);
+
+        assert.equal(imported.code, 0);
+        assert.equal(result.dryRun, true);
+        assert.deepEqual(result.unchanged.map((item) => item.name), ["order_update"]);
+    });
+
+    it("listens for webhooks, verifying them with the client", async () => {
+        const stdout = output();
+        const stderr = output();
+        const server = await run(["webhook", "--port", "0", "--verify-token", "verify-token", "--app-secret", "app-secret", "--config", config], { "env": {}, stdout, stderr, Whatsapp });
+        const url = `http://127.0.0.1:${server.address().port}/webhook`;
+
+        try {
+            const challenge = await fetch(`${url}?hub.mode=subscribe&hub.verify_token=verify-token&hub.challenge=42`);
+            const wrongToken = await fetch(`${url}?hub.mode=subscribe&hub.verify_token=wrong&hub.challenge=42`);
+
+            assert.equal(challenge.status, 200);
+            assert.equal(await challenge.text(), "42");
+            assert.equal(wrongToken.status, 400);
+            assert.equal((await fetch(`${url}/other`)).status, 404);
+
+            const simulator = new Whatsapp.WebhookSimulator({ url, "appSecret": "app-secret", "phoneNumberId": "123" });
+
+            assert.equal((await simulator.sendText("15551234567", "Hello", { "name": "Jane" })).status, 200);
+            assert.match(stdout.text, /message\.text \[123\] from 15551234567 \(Jane\): Hello\n$/);
+
+            const forged = new Whatsapp.WebhookSimulator({ url, "appSecret": "wrong" });
+
+            assert.equal((await forged.sendText("15551234567", "Hello")).status, 401);
+            assert.match(stderr.text, /Rejected a notification with an invalid signature/);
+            const invalid = await fetch(url, { "method": "POST", "headers": { "X-Hub-Signature-256": createWebhookSignature("{", "app-secret") }, "body": "{" });
+
+            assert.equal(invalid.status, 400);
+            assert.match(stderr.text, /Could not parse the notification/);
+        } finally {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    it("prints webhook events as JSON without an app secret", async () => {
+        const stdout = output();
+        const server = await run(["webhook", "--port", "0", "--json", "--config", config], { "env": {}, stdout, "stderr": output(), Whatsapp });
+        const url = `http://127.0.0.1:${server.address().port}/webhook`;
+
+        try {
+            const simulator = new Whatsapp.WebhookSimulator({ url, "phoneNumberId": "123" });
+
+            assert.equal((await fetch(`${url}?hub.mode=subscribe&hub.verify_token=&hub.challenge=42`)).status, 400);
+            assert.equal((await simulator.sendStatus("wamid.ID", "read", "15551234567")).status, 200);
+
+            const event = JSON.parse(stdout.text);
+
+            assert.equal(event.type, "status.read");
+            assert.equal(event.raw, undefined);
+        } finally {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    it("exits with 2 on usage errors", async () => {
+        const { code, stderr } = await cli(["send", "fax", "1555"]);
+
+        assert.equal(code, 2);
+        assert.match(stderr, /unknown message type fax/);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+
+describe("customer service window", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock({
+            "client": {
+                "conversationTracker": true,
+                "windowFallback": { "name": "reengagement", "language": "en_US" }
+            }
+        }));
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("sends free-form messages while the window is open", async () => {
+        await client.conversationTracker.recordInbound("15551111111");
+
+        const response = await client.sendMessage("15551111111", "Hello");
+
+        assert.equal(response.fallbackTemplate, undefined);
+        assert.equal(mock.messagesTo("15551111111")[0].payload.type, "text");
+    });
+
+    it("sends the fallback template once the window is closed", async () => {
+        const response = await client.sendMessage("15552222222", "Hello");
+        const [message] = mock.messagesTo("15552222222");
+
+        assert.equal(response.fallbackTemplate, "reengagement");
+        assert.equal(message.payload.type, "template");
+        assert.equal(message.payload.template.name, "reengagement");
+    });
+
+    it("fails locally without a fallback template", async () => {
+        const strict = new Whatsapp("123", "test-token", "v19.0", "", "", "", "", { "baseUrl": mock.url, "conversationTracker": true });
+        const error = await strict.sendMessage("15553333333", "Hello");
+
+        assert.equal(error.code, 131047);
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.REENGAGEMENT_WINDOW);
+        assert.equal(mock.requests.length, 0);
+    });
+
+    it("does not convert reactions or read receipts", async () => {
+        const reaction = await client.sendReaction("15554444444", "wamid.ABC", "👍");
+        const receipt = await client.markAsRead("wamid.ABC");
+        const [message] = mock.messagesTo("15554444444");
+
+        assert.equal(reaction.fallbackTemplate, undefined);
+        assert.equal(message.payload.type, "reaction");
+        assert.deepEqual(message.payload.reaction, { "message_id": "wamid.ABC", "emoji": "👍" });
+        assert.equal(receipt.success, true);
+    });
+
+    it("skips the check when enforceWindow is false", async () => {
+        await client.sendMessage("15555555555", "Hello", { "enforceWindow": false });
+
+        assert.equal(mock.messagesTo("15555555555")[0].payload.type, "text");
+    });
+});
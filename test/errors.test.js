@@ -0,0 +1,121 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { WhatsappApiError, ERROR_CATEGORIES, classifyError } = require('../lib/errors');
+
+describe("error classification", () => {
+    const cases = [
+        [401, 190, ERROR_CATEGORIES.AUTH],
+        [400, 4, ERROR_CATEGORIES.RATE_LIMIT],
+        [400, 80007, ERROR_CATEGORIES.RATE_LIMIT],
+        [429, 130429, ERROR_CATEGORIES.RATE_LIMIT],
+        [400, 131047, ERROR_CATEGORIES.REENGAGEMENT_WINDOW],
+        [400, 131026, ERROR_CATEGORIES.RECIPIENT_UNAVAILABLE],
+        [400, 100, ERROR_CATEGORIES.INVALID_PARAMETER],
+        [400, 200, ERROR_CATEGORIES.AUTH],
+        [403, null, ERROR_CATEGORIES.AUTH],
+        [429, null, ERROR_CATEGORIES.RATE_LIMIT],
+        [503, null, ERROR_CATEGORIES.SERVER],
+        [404, null, ERROR_CATEGORIES.INVALID_PARAMETER],
+        [null, null, ERROR_CATEGORIES.UNKNOWN]
+    ];
+
+    for (const [status, code, category] of cases) {
+        it(`classifies status ${status} with code ${code} as ${category}`, () => {
+            assert.equal(classifyError(status, code), category);
+        });
+    }
+
+    it("prefers the Graph error code over the HTTP status", () => {
+        assert.equal(classifyError(500, 131047), ERROR_CATEGORIES.REENGAGEMENT_WINDOW);
+        assert.equal(classifyError(400, 130429), ERROR_CATEGORIES.RATE_LIMIT);
+    });
+});
+
+describe("error construction", () => {
+    it("copies the Graph error fields of a response", () => {
+        const body = {
+            "error": {
+                "message": "(#131026) Message undeliverable",
+                "type": "OAuthException",
+                "code": 131026,
+                "error_subcode": 2494010,
+                "error_data": { "messaging_product": "whatsapp", "details": "Receiver is incapable of receiving this message" },
+                "fbtrace_id": "AbCdEf123"
+            }
+        };
+        const error = WhatsappApiError.fromResponse(400, body, 2000);
+
+        assert.ok(error instanceof Error);
+        assert.equal(error.message, "(#131026) Message undeliverable");
+        assert.deepEqual([error.status, error.code, error.subcode, error.type, error.fbtraceId, error.details, error.retryAfter], [
+            400, 131026, 2494010, "OAuthException", "AbCdEf123", "Receiver is incapable of receiving this message", 2000
+        ]);
+        assert.equal(error.error, body.error);
+        assert.equal(error.category, ERROR_CATEGORIES.RECIPIENT_UNAVAILABLE);
+    });
+
+    it("prefers the user message and falls back to the body text", () => {
+        assert.equal(WhatsappApiError.fromResponse(400, { "error": { "message": "Invalid parameter", "error_user_msg": "The phone number is invalid", "code": 100 } }).message, "The phone number is invalid");
+
+        const error = WhatsappApiError.fromResponse(502, "<html>Bad Gateway</html>");
+
+        assert.equal(error.message, "Request failed with status 502: <html>Bad Gateway</html>");
+        assert.deepEqual([error.code, error.subcode, error.fbtraceId, error.details, error.category], [null, null, null, null, ERROR_CATEGORIES.SERVER]);
+    });
+
+    it("wraps exceptions", () => {
+        const exception = new TypeError("fetch failed");
+        const error = WhatsappApiError.fromException(exception, ERROR_CATEGORIES.NETWORK);
+
+        assert.deepEqual([error.message, error.status, error.code, error.category, error.cause], ["fetch failed", null, null, ERROR_CATEGORIES.NETWORK, exception]);
+        assert.equal(WhatsappApiError.fromException("boom").category, ERROR_CATEGORIES.UNKNOWN);
+    });
+});
+
+describe("request failures", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock({ "client": { "timeout": 200 } }));
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("turns a network exception into a network error", async () => {
+        mock.failNext({ "path": "/messages" }, { "network": true });
+
+        const error = await client.sendMessage("15551234567", "Hello");
+
+        assert.ok(error instanceof WhatsappApiError);
+        assert.equal(error.category, ERROR_CATEGORIES.NETWORK);
+        assert.equal(error.status, null);
+        assert.ok(error.cause instanceof Error);
+    });
+
+    it("turns an aborted request into a timeout error", async () => {
+        mock.failNext({ "path": "/messages" }, { "delay": 1000 });
+
+        const error = await client.sendMessage("15551234567", "Hello");
+
+        assert.equal(error.category, ERROR_CATEGORIES.TIMEOUT);
+        assert.equal(error.message, "Request timed out after 200ms");
+    });
+
+    it("turns a Graph error response into an API error", async () => {
+        mock.failNext({ "path": "/messages" }, "auth");
+
+        const error = await client.sendMessage("15551234567", "Hello");
+
+        assert.ok(!(error instanceof Whatsapp.WhatsappValidationError));
+        assert.deepEqual([error.status, error.code, error.category], [401, 190, ERROR_CATEGORIES.AUTH]);
+        assert.ok(error.fbtraceId);
+    });
+});
@@ -0,0 +1,72 @@
+const http = require('http');
+const Whatsapp = require('../index');
+
+/**
+ * Start a MockServer and create a client pointed at it.
+ * @param {Object} [options={}] - Options (optional).
+ * @param {Object} [options.mock={}] - MockServer options.
+ * @param {Object} [options.client={}] - Client options, retries are fast and without jitter by default.
+ * @returns {Promise<Object>} - A promise resolving to { mock, client }.
+ */
+async function startMock({ mock: mockOptions = {}, client: clientOptions = {} } = {}) {
+    const mock = new Whatsapp.MockServer(mockOptions);
+    const baseUrl = await mock.start();
+    const client = new Whatsapp("123", mockOptions.accessToken || "test-token", "v19.0", "456", "789", "verify-token", "app-secret", {
+        baseUrl,
+        "retry": { "baseDelay": 5, "jitter": false },
+        "logger": Whatsapp.createLogger({ "level": "silent" }),
+        ...clientOptions
+    });
+
+    return { mock, client };
+};
+
+/**
+ * Serve Express-style route handlers with node:http, for webhook tests without Express.
+ * The raw body is kept in req.rawBody and req.body, req.query holds the query string.
+ * @param {function} handler - Called with (req, res) once the body is read.
+ * @returns {Promise<Object>} - A promise resolving to { url, close }.
+ */
+async function serveExpress(handler) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            req.rawBody = Buffer.concat(chunks);
+            req.body = req.rawBody;
+            req.query = Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+            res.status = (status) => {
+                res.statusCode = status;
+                return res;
+            };
+            res.send = (body) => res.end(String(body));
+            res.json = (body) => res.end(JSON.stringify(body));
+            res.sendStatus = (status) => res.status(status).end();
+            handler(req, res);
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        "url": `http://127.0.0.1:${server.address().port}/webhook`,
+        "close": () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+};
+
+/**
+ * Wait for the next emission of an event.
+ * @param {EventEmitter} emitter - The emitter.
+ * @param {String} event - The event name.
+ * @returns {Promise<*>} - A promise resolving to the first argument of the event.
+ */
+function nextEvent(emitter, event) {
+    return new Promise((resolve) => emitter.once(event, resolve));
+};
+
+
+module.exports = { Whatsapp, startMock, serveExpress, nextEvent };
@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { parseWebhook } = require('../lib/webhook');
+
+const simulator = new Whatsapp.WebhookSimulator({ "phoneNumberId": "123" });
+
+/**
+ * Build the event of a message status.
+ * @param {String} messageId - The message ID.
+ * @param {String} status - The status.
+ * @param {Object} [options={}] - Status options, see WebhookSimulator.statusPayload (optional).
+ * @returns {Object} - The status event.
+ */
+function statusEvent(messageId, status, options = {}) {
+    return parseWebhook(simulator.statusPayload(messageId, status, "15551234567", options))[0];
+};
+
+describe("message ledger", () => {
+    let mock;
+    let client;
+    let ledger;
+
+    before(async () => {
+        ({ mock } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        ledger = new Whatsapp.MessageLedger();
+        client = new Whatsapp("123", "test-token", "v19.0", "", "", "", "", { "baseUrl": mock.url, ledger });
+    });
+
+    it("records sent messages", async () => {
+        const response = await client.sendMessage("15551234567", "Hello", { "bizOpaqueCallbackData": "order-1" });
+        const record = await client.getMessageStatus(response.messages[0].id);
+
+        assert.equal(record.status, "accepted");
+        assert.equal(record.to, "15551234567");
+        assert.equal(record.phoneNumberId, "123");
+        assert.equal(record.type, "text");
+        assert.equal(record.correlationId, "order-1");
+        assert.ok(record.timestamps.accepted);
+    });
+
+    it("never moves a message back to an earlier status", async () => {
+        const { messages: [{ id }] } = await client.sendMessage("15551234567", "Hello");
+
+        await ledger.track([statusEvent(id, "read"), statusEvent(id, "delivered"), statusEvent(id, "sent")]);
+
+        const record = await ledger.getMessageStatus(id);
+
+        assert.equal(record.status, "read");
+        assert.deepEqual(Object.keys(record.timestamps).sort(), ["accepted", "delivered", "read", "sent"]);
+        assert.equal(record.pricing.category, "service");
+    });
+
+    it("keeps failed as the final status", async () => {
+        const { messages: [{ id }] } = await client.sendMessage("15551234567", "Hello");
+
+        await ledger.applyStatus(statusEvent(id, "sent"));
+        await ledger.applyStatus(statusEvent(id, "failed", { "errors": [{ "code": 131026, "title": "Message undeliverable" }] }));
+        await ledger.applyStatus(statusEvent(id, "delivered"));
+
+        const record = await ledger.getMessageStatus(id);
+
+        assert.equal(record.status, "failed");
+        assert.equal(record.errors[0].code, 131026);
+    });
+
+    it("ignores failures reported after delivery", async () => {
+        const { messages: [{ id }] } = await client.sendTemplate("15551234567", "order_update");
+
+        await ledger.track([statusEvent(id, "delivered"), statusEvent(id, "failed", { "errors": [{ "code": 131026 }] })]);
+
+        const record = await ledger.getMessageStatus(id);
+        const [stats] = await client.getTemplateStats("order_update");
+
+        assert.equal(record.status, "delivered");
+        assert.equal(record.errors[0].code, 131026);
+        assert.ok(record.timestamps.failed);
+        assert.deepEqual([stats.delivered, stats.failed, stats.deliveryRate, stats.failureRate], [1, 0, 1, 0]);
+    });
+
+    it("keeps statuses received before the send was recorded", async () => {
+        await ledger.applyStatus(statusEvent("wamid.EARLY", "delivered"));
+        await ledger.recordSent({ "to": "15551234567", "type": "text" }, { "messages": [{ "id": "wamid.EARLY" }] }, "123");
+
+        const record = await ledger.getMessageStatus("wamid.EARLY");
+
+        assert.equal(record.status, "delivered");
+        assert.equal(record.type, "text");
+    });
+
+    it("updates records from processed webhooks", async () => {
+        const { messages: [{ id }] } = await client.sendMessage("15551234567", "Hello");
+        const delivered = client.waitForStatus(id, "delivered");
+
+        client.processWebhook(simulator.statusPayload(id, "delivered", "15551234567"));
+
+        assert.equal((await delivered).status, "delivered");
+    });
+
+    it("resolves waits on a later status and on statuses already reached", async () => {
+        const { messages: [{ id }] } = await client.sendMessage("15551234567", "Hello");
+        const delivered = ledger.waitForStatus(id, "delivered");
+
+        await ledger.applyStatus(statusEvent(id, "read"));
+
+        assert.equal((await delivered).status, "read");
+        assert.equal((await ledger.waitForStatus(id, "sent")).status, "read");
+        assert.equal(ledger.waiters.size, 0);
+    });
+
+    it("rejects waits when the message fails", async () => {
+        const { messages: [{ id }] } = await client.sendMessage("15551234567", "Hello");
+        const delivered = client.waitForStatus(id, "delivered");
+        const failed = client.waitForStatus(id, "failed");
+
+        await ledger.applyStatus(statusEvent(id, "failed", { "errors": [{ "code": 131026, "title": "Message undeliverable" }] }));
+
+        const error = await delivered;
+
+        assert.ok(error instanceof Whatsapp.WhatsappApiError);
+        assert.equal(error.code, 131026);
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.RECIPIENT_UNAVAILABLE);
+        assert.equal((await failed).status, "failed");
+    });
+
+    it("times out waits", async () => {
+        const { messages: [{ id }] } = await client.sendMessage("15551234567", "Hello");
+        const error = await client.waitForStatus(id, "read", { "timeout": 20 });
+
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.TIMEOUT);
+        assert.equal(ledger.waiters.size, 0);
+        assert.ok((await client.waitForStatus(id, "seen")) instanceof Whatsapp.WhatsappValidationError);
+    });
+
+    it("counts template statuses", async () => {
+        const ids = [];
+
+        for (let i = 0; i < 4; i++) {
+            ids.push((await client.sendTemplate(`155500000${i}`, "order_update")).messages[0].id);
+        }
+
+        await ledger.track([
+            statusEvent(ids[0], "read"),
+            statusEvent(ids[1], "delivered"),
+            statusEvent(ids[1], "delivered"),
+            statusEvent(ids[2], "sent"),
+            statusEvent(ids[3], "failed", { "errors": [{ "code": 131026 }] })
+        ]);
+
+        const [stats] = await client.getTemplateStats("order_update");
+
+        assert.deepEqual(stats, {
+            "name": "order_update",
+            "language": "en_US",
+            "total": 4,
+            "sent": 3,
+            "delivered": 2,
+            "read": 1,
+            "failed": 1,
+            "deliveryRate": 0.5,
+            "readRate": 0.5,
+            "failureRate": 0.25
+        });
+        assert.deepEqual(await client.getTemplateStats("other"), []);
+    });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { redact, redactSecrets, maskPhoneNumber } = require('../lib/logger');
+
+const TOKEN = "secret-token-123";
+
+/**
+ * Create a console recording what a logger writes.
+ * @returns {Object} - The console, with the written entries in `entries` as [level, message, fields].
+ */
+function recordingConsole() {
+    const output = { "entries": [] };
+
+    for (const level of ["debug", "info", "warn", "error"]) {
+        output[level] = (...args) => output.entries.push([level, ...args]);
+    }
+
+    return output;
+};
+
+describe("redaction", () => {
+    it("always removes secrets", () => {
+        const request = {
+            "url": `https://graph.facebook.com/v19.0/123?access_token=${TOKEN}&hub.verify_token=verify&fields=id`,
+            "headers": { "Authorization": `Bearer ${TOKEN}` },
+            "body": { "pin": "123456", "app_secret": "shh" }
+        };
+
+        for (const options of [{}, false]) {
+            const redacted = redact(request, options);
+
+            assert.equal(redacted.url, "https://graph.facebook.com/v19.0/123?access_token=[REDACTED]&hub.verify_token=[REDACTED]&fields=id");
+            assert.equal(redacted.headers.Authorization, "Bearer [REDACTED]");
+            assert.deepEqual(redacted.body, { "pin": "[REDACTED]", "app_secret": "[REDACTED]" });
+        }
+
+        assert.equal(redactSecrets(`OAuth ${TOKEN}`), "OAuth [REDACTED]");
+    });
+
+    it("masks phone numbers and message bodies as configured", () => {
+        const payload = JSON.stringify({ "to": "15551234567", "type": "text", "text": { "body": "Hello" }, "order": "A1" });
+
+        assert.deepEqual(redact(payload), { "to": "*******4567", "type": "text", "text": { "body": "[REDACTED]" }, "order": "A1" });
+        assert.deepEqual(redact(payload, { "phoneNumbers": false }), { "to": "15551234567", "type": "text", "text": { "body": "[REDACTED]" }, "order": "A1" });
+        assert.deepEqual(redact(payload, { "messageBodies": false, "keys": ["order"] }), { "to": "*******4567", "type": "text", "text": { "body": "Hello" }, "order": "[REDACTED]" });
+        assert.deepEqual(redact(payload, false), JSON.parse(payload));
+        assert.equal(maskPhoneNumber("123"), "****");
+    });
+});
+
+describe("interceptors and logger", () => {
+    let mock;
+
+    before(async () => {
+        ({ mock } = await startMock({ "mock": { "accessToken": TOKEN } }));
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    /**
+     * Create a client logging everything to a recording console.
+     * @param {Object} [options={}] - Client options (optional).
+     * @returns {Object} - { client, output }.
+     */
+    function recordingClient(options = {}) {
+        const output = recordingConsole();
+        const client = new Whatsapp("123", TOKEN, "v19.0", "456", "", "verify", "", {
+            "baseUrl": mock.url,
+            "retry": { "baseDelay": 1, "jitter": false },
+            "logger": Whatsapp.createLogger({ "level": "debug", "json": true, "console": output }),
+            ...options
+        });
+
+        return { client, output };
+    };
+
+    it("never logs or hands out the access token", async () => {
+        const snapshots = [];
+        const { client, output } = recordingClient();
+
+        client.onRequest((request) => {
+            snapshots.push(client.redact(request));
+        });
+        client.onResponse((context) => {
+            snapshots.push(context.request);
+        });
+
+        await client.sendMessage("15551234567", "Hello");
+        await client.graphRequest(`${client.nodeUrl("456")}/message_templates?access_token=${TOKEN}&hub.verify_token=verify`, "GET");
+
+        const written = JSON.stringify([output.entries, snapshots]);
+
+        assert.equal(snapshots.length, 4);
+        assert.ok(output.entries.some(([level, line]) => level === "debug" && JSON.parse(line).message === "whatsapp.request"));
+        assert.ok(!written.includes(TOKEN));
+        assert.ok(!written.includes("verify_token=verify"));
+        assert.equal(snapshots[0].headers.Authorization, "Bearer [REDACTED]");
+        assert.equal(mock.requests[0].headers.authorization, `Bearer ${TOKEN}`);
+    });
+
+    it("redacts logged payloads according to the redact option", async () => {
+        const logged = async (options) => {
+            const { client, output } = recordingClient(options);
+
+            await client.sendMessage("15551234567", "Hello");
+
+            return JSON.parse(output.entries.find(([level]) => level === "debug")[1]).body;
+        };
+
+        assert.deepEqual(await logged({}), { "messaging_product": "whatsapp", "recipient_type": "individual", "to": "*******4567", "type": "text", "text": { "preview_url": false, "body": "[REDACTED]" } });
+        assert.equal((await logged({ "redact": { "phoneNumbers": false } })).to, "15551234567");
+        assert.equal((await logged({ "redact": { "messageBodies": false } })).text.body, "Hello");
+        assert.deepEqual(await logged({ "redact": false }), { "messaging_product": "whatsapp", "recipient_type": "individual", "to": "15551234567", "type": "text", "text": { "preview_url": false, "body": "Hello" } });
+    });
+
+    it("gives response interceptors the status and latency", async () => {
+        const contexts = [];
+        const { client } = recordingClient({ "interceptors": { "response": [(context) => contexts.push(context)] } });
+
+        mock.failNext({ "path": "/message_templates" }, "auth");
+        await client.getTemplates();
+        mock.failNext({ "path": "/message_templates" }, { "network": true });
+        await client.getTemplates();
+
+        assert.deepEqual(contexts.map((context) => context.status), [401, null, 200]);
+        assert.ok(contexts.every((context) => Number.isFinite(context.durationMs) && context.durationMs >= 0));
+        assert.equal(contexts[0].response.status, 401);
+        assert.equal(contexts[1].error.category, Whatsapp.ERROR_CATEGORIES.NETWORK);
+        assert.equal(contexts[2].request.method, "GET");
+    });
+
+    it("lets request interceptors rewrite requests", async () => {
+        const { client } = recordingClient();
+        const remove = client.onRequest((request) => ({
+            ...request,
+            "url": request.url.replace("/123/", "/999/"),
+            "headers": { ...request.headers, "X-Request-Id": "abc" }
+        }));
+
+        await client.sendMessage("15551234567", "Hello");
+        remove();
+        await client.sendMessage("15551234567", "Hello");
+
+        assert.equal(mock.requests[0].path, "/v19.0/999/messages");
+        assert.equal(mock.requests[0].headers["x-request-id"], "abc");
+        assert.equal(mock.requests[1].path, "/v19.0/123/messages");
+        assert.equal(mock.requests[1].headers["x-request-id"], undefined);
+    });
+
+    it("logs and ignores failing response interceptors", async () => {
+        const { client, output } = recordingClient({ "interceptors": { "response": [() => {
+            throw new Error("metrics down");
+        }] } });
+
+        assert.match((await client.sendMessage("15551234567", "Hello")).messages[0].id, /^wamid\./);
+        assert.ok(output.entries.some(([level, line]) => level === "error" && JSON.parse(line).message === "whatsapp.interceptor.failed"));
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WhatsappValidationError } = require('../lib/errors');
+const { sniffMimeType, openUploadSource, resolveUpload } = require('../lib/media');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+describe("media", () => {
+    let dir;
+    let file;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "wa-media-"));
+        file = path.join(dir, "photo.png");
+        await fs.promises.writeFile(file, PNG);
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { "recursive": true, "force": true });
+    });
+
+    it("sniffs the MIME type of a file path", async () => {
+        const upload = await resolveUpload(file);
+
+        assert.equal(sniffMimeType(PNG), "image/png");
+        assert.equal(upload.mimeType, "image/png");
+        assert.equal(upload.mediaType, "image");
+        assert.equal(upload.filename, "photo.png");
+        assert.equal(upload.size, PNG.length);
+    });
+
+    it("does not read a file path larger than maxSize", async () => {
+        const openAsBlob = fs.openAsBlob;
+        const readFile = fs.promises.readFile;
+        let reads = 0;
+
+        fs.openAsBlob = undefined;
+        fs.promises.readFile = async (...args) => {
+            reads++;
+            return readFile(...args);
+        };
+
+        try {
+            const small = await openUploadSource(file, {}, PNG.length);
+            const large = await openUploadSource(file, {}, PNG.length - 1);
+
+            assert.equal(small.blob.size, PNG.length);
+            assert.equal(large.blob, null);
+            assert.equal(large.size, PNG.length);
+            assert.equal(reads, 1);
+        } finally {
+            fs.openAsBlob = openAsBlob;
+            fs.promises.readFile = readFile;
+        }
+    });
+
+    it("rejects an empty file", async () => {
+        const empty = path.join(dir, "empty.png");
+
+        await fs.promises.writeFile(empty, "");
+
+        await assert.rejects(resolveUpload(empty, { "mimeType": "image/png" }), WhatsappValidationError);
+    });
+});
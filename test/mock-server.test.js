@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock, serveExpress, nextEvent } = require('./helpers');
+
+describe("MockServer", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("records sent messages", async () => {
+        const response = await client.sendMessage("15551234567", "Hello");
+
+        assert.match(response.messages[0].id, /^wamid\./);
+        assert.deepEqual(mock.messagesTo("15551234567").map((message) => message.payload.text.body), ["Hello"]);
+        assert.equal(mock.requests[0].headers.authorization, "Bearer test-token");
+    });
+
+    it("answers injected failures with Graph errors", async () => {
+        mock.failNext({ "to": "15550000000" }, "recipient_unavailable");
+
+        const error = await client.sendMessage("15550000000", "Hello");
+
+        assert.ok(error instanceof Whatsapp.WhatsappApiError);
+        assert.equal(error.code, 131026);
+        assert.equal(mock.messages.length, 0);
+    });
+
+    it("rejects other access tokens when one is configured", async () => {
+        const strict = new Whatsapp.MockServer({ "accessToken": "right" });
+        const baseUrl = await strict.start();
+        const wrong = new Whatsapp("123", "wrong", "v19.0", "", "", "", "", { baseUrl, "retry": false });
+
+        try {
+            const error = await wrong.sendMessage("1555", "Hello");
+
+            assert.equal(error.code, 190);
+            assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.AUTH);
+        } finally {
+            await strict.stop();
+        }
+    });
+
+    it("rejects replyTo on reactions", async () => {
+        const error = await client.sendReaction("15551234567", "wamid.ABC", "👍", { "replyTo": "wamid.OTHER" });
+
+        assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+        assert.equal(mock.requests.length, 0);
+    });
+
+    it("uploads, downloads and deletes media", async () => {
+        const png = Buffer.concat([Buffer.from("89504e470d0a1a0a", "hex"), Buffer.alloc(64, 1)]);
+        const { id } = await client.uploadMedia(png);
+        const download = await client.downloadMediaContent(id);
+
+        assert.equal(download.mimeType, "image/png");
+        assert.ok(download.buffer.equals(png));
+        assert.deepEqual(await client.deleteMedia(id), { "success": true });
+        assert.equal((await client.getMediaUrl(id)).code, 100);
+    });
+
+    it("registers, lists and deletes templates", async () => {
+        await client.registerTemplate(new Whatsapp.TemplateBuilder("order_update").body("Hello").build());
+        mock.addTemplate({ "name": "promo", "language": "en_US", "category": "MARKETING", "components": [] });
+
+        const groups = await client.getTemplateGroups();
+
+        assert.deepEqual(Object.keys(groups).sort(), ["order_update", "promo"]);
+        assert.deepEqual(await client.deleteTemplate("promo"), { "success": true });
+        assert.equal(await client.getTemplateByName("promo"), null);
+    });
+
+    it("rejects unknown templates in strict mode", async () => {
+        const strict = new Whatsapp.MockServer({ "strictTemplates": true });
+        const baseUrl = await strict.start();
+        const strictClient = new Whatsapp("123", "token", "v19.0", "456", "", "", "", { baseUrl, "retry": false });
+
+        try {
+            assert.equal((await strictClient.sendTemplate("1555", "missing")).code, 132001);
+        } finally {
+            await strict.stop();
+        }
+    });
+});
+
+describe("WebhookSimulator", () => {
+    let client;
+    let server;
+
+    before(async () => {
+        client = new Whatsapp("123", "token", "v19.0", "456", "", "verify-token", "app-secret", { "logger": Whatsapp.createLogger({ "level": "silent" }) });
+        server = await serveExpress((req, res) => client.verifySignature(req, res, () => client.receiveWebhook(req, res)));
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it("delivers signed messages and statuses to the client", async () => {
+        const simulator = new Whatsapp.WebhookSimulator({ "url": server.url, "appSecret": "app-secret", "phoneNumberId": "123" });
+        const text = nextEvent(client, "message.text");
+        const response = await simulator.sendText("15551234567", "Hello", { "name": "Jane" });
+
+        assert.equal(response.status, 200);
+        assert.equal((await text).text, "Hello");
+
+        const status = nextEvent(client, "status.delivered");
+
+        await simulator.sendStatus("wamid.ID", "delivered", "15551234567");
+        assert.equal((await status).id, "wamid.ID");
+    });
+
+    it("is rejected when signed with another app secret", async () => {
+        const simulator = new Whatsapp.WebhookSimulator({ "url": server.url, "appSecret": "wrong" });
+
+        assert.equal((await simulator.sendText("15551234567", "Hello")).status, 401);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { buildBusinessProfile } = require('../lib/profile');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+describe("business profile payload", () => {
+    it("keeps only the given fields", () => {
+        assert.deepEqual(buildBusinessProfile({ "about": "Open 9-5", "websites": ["https://example.com"], "profilePictureHandle": "4::aW1hZ2U=:abc" }), {
+            "messaging_product": "whatsapp",
+            "about": "Open 9-5",
+            "websites": ["https://example.com"],
+            "profile_picture_handle": "4::aW1hZ2U=:abc"
+        });
+    });
+
+    it("rejects fields breaking Meta's rules", () => {
+        const errors = (profile) => {
+            try {
+                buildBusinessProfile(profile);
+                return [];
+            } catch (error) {
+                assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+                return error.errors;
+            }
+        };
+
+        assert.deepEqual(errors({ "email": "not an email" }), ["email must be an email address"]);
+        assert.deepEqual(errors({ "websites": ["https://a.example", "https://b.example", "https://c.example"] }), ["websites must be a list of at most 2 URLs"]);
+        assert.deepEqual(errors({ "websites": ["example.com"] }), ["websites[0] must start with http:// or https://"]);
+        assert.match(errors({ "vertical": "SPACE_TRAVEL" })[0], /^vertical must be one of: UNDEFINED, OTHER, AUTO/);
+    });
+});
+
+describe("phone numbers and business profile", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        mock.addPhoneNumber({ "id": "123", "quality_rating": "YELLOW", "messaging_limit_tier": "TIER_10K" });
+    });
+
+    it("lists phone numbers with their quality rating and messaging limit tier", async () => {
+        mock.addPhoneNumber({ "id": "124" });
+
+        const phoneNumbers = await client.listPhoneNumbers();
+
+        assert.deepEqual(phoneNumbers.map((phoneNumber) => [phoneNumber.id, phoneNumber.quality_rating, phoneNumber.messaging_limit_tier]), [
+            ["123", "YELLOW", "TIER_10K"],
+            ["124", "GREEN", "TIER_1K"]
+        ]);
+        assert.equal(mock.requests[0].path, "/v19.0/456/phone_numbers");
+        assert.ok(mock.requests[0].query.fields.split(",").includes("messaging_limit_tier"));
+    });
+
+    it("validates the registration PIN before calling the API", async () => {
+        for (const pin of ["12345", "1234567", "12a456", undefined]) {
+            const error = await client.registerPhoneNumber(pin);
+
+            assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+            assert.deepEqual(error.errors, ["pin must be a 6-digit number"]);
+        }
+
+        assert.equal(mock.requests.length, 0);
+        assert.deepEqual(await client.registerPhoneNumber("123456"), { "success": true });
+        assert.deepEqual(mock.requests[0].body, { "messaging_product": "whatsapp", "pin": "123456" });
+    });
+
+    it("sets the profile picture from an upload session", async () => {
+        const upload = await client.resumableUpload(PNG, { "filename": "logo.png" });
+
+        assert.deepEqual(await client.updateBusinessProfile({ "about": "Open 9-5", "profilePictureHandle": upload.h }), { "success": true });
+        assert.deepEqual(mock.requests.at(-1).body, { "messaging_product": "whatsapp", "about": "Open 9-5", "profile_picture_handle": upload.h });
+    });
+
+    it("uploads a profile picture file and sends its handle", async () => {
+        assert.deepEqual(await client.updateBusinessProfile({ "profilePicture": PNG }), { "success": true });
+
+        const session = Array.from(mock.uploadSessions.values())[0];
+        const profile = await client.getBusinessProfile();
+
+        assert.equal(session.fileType, "image/png");
+        assert.deepEqual(mock.requests.at(-2).body, { "messaging_product": "whatsapp", "profile_picture_handle": session.handle });
+        assert.equal(profile.profile_picture_url, `${mock.url}/profile-picture/123`);
+    });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { cachedTokenProvider } = require('../lib/credentials');
+
+const simulator = (phoneNumberId) => new Whatsapp.WebhookSimulator({ phoneNumberId, "businessAccountId": "waba-acme" });
+
+describe("client registry", () => {
+    let mock;
+    let registry;
+
+    before(async () => {
+        ({ mock } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        registry = new Whatsapp.ClientRegistry({
+            "clientOptions": { "baseUrl": mock.url, "logger": Whatsapp.createLogger({ "level": "silent" }), "rateLimit": { "tokensPerSecond": 20, "burst": 1 } }
+        });
+        registry.register("acme", { "phoneNumberIds": ["111", "112"], "accessToken": "acme-token", "accountId": "waba-acme" });
+        registry.register("globex", { "phoneNumberId": "222", "accessToken": "globex-token" });
+    });
+
+    it("routes sends by phone number ID and by tenant key", async () => {
+        await registry.client("112").sendMessage("1555", "From 112");
+        await registry.client("acme").sendMessage("1555", "From acme");
+        await registry.client("globex").sendMessage("1555", "From globex");
+
+        assert.deepEqual(mock.requests.map((request) => [request.path, request.headers.authorization]), [
+            ["/v19.0/112/messages", "Bearer acme-token"],
+            ["/v19.0/111/messages", "Bearer acme-token"],
+            ["/v19.0/222/messages", "Bearer globex-token"]
+        ]);
+        assert.equal(registry.tenantOf("112").key, "acme");
+        assert.throws(() => registry.client("unknown"), Whatsapp.WhatsappValidationError);
+    });
+
+    it("rejects a phone number registered to another tenant", () => {
+        assert.throws(() => registry.register("initech", { "phoneNumberIds": ["333", "222"], "accessToken": "token" }), (error) => {
+            assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+            assert.deepEqual(error.errors, ["phone number 222 is already registered to tenant globex"]);
+            return true;
+        });
+        assert.equal(registry.has("333"), false);
+        assert.throws(() => registry.register("empty", {}), /has no phone number; tenant empty needs an accessToken or a credential provider/);
+
+        registry.register("globex", { "phoneNumberId": "223", "accessToken": "globex-token" });
+        assert.equal(registry.has("222"), false);
+        assert.equal(registry.client("globex").phoneNumberId, "223");
+    });
+
+    it("dispatches webhook events by metadata.phone_number_id", () => {
+        const routed = [];
+        const unrouted = [];
+        const received = [];
+
+        registry.on("message", (event, route) => routed.push([event.text, route.tenantKey, route.phoneNumberId]));
+        registry.on("unrouted", (event) => unrouted.push(event.phoneNumberId));
+        registry.client("112").on("message.text", (event) => received.push(event.text));
+
+        registry.processWebhook(simulator("112").messagePayload("1555", { "type": "text", "text": { "body": "to 112" } }));
+        registry.processWebhook(simulator("222").messagePayload("1555", { "type": "text", "text": { "body": "to 222" } }));
+        registry.processWebhook(simulator("999").messagePayload("1555", { "type": "text", "text": { "body": "to 999" } }));
+
+        assert.deepEqual(routed, [["to 112", "acme", "112"], ["to 222", "globex", "222"]]);
+        assert.deepEqual(received, ["to 112"]);
+        assert.deepEqual(unrouted, ["999"]);
+    });
+
+    it("routes account level events to the tenant of the business account", () => {
+        const routes = [];
+
+        registry.on("template", (event, route) => routes.push([event.templateName, route.tenantKey, route.phoneNumberId]));
+        registry.processWebhook({
+            "object": "whatsapp_business_account",
+            "entry": [{ "id": "waba-acme", "changes": [{ "field": "message_template_status_update", "value": { "event": "APPROVED", "message_template_name": "promo" } }] }]
+        });
+
+        assert.deepEqual(routes, [["promo", "acme", "111"]]);
+    });
+
+    it("shares one rate limiter bucket between the clients of a phone number", async () => {
+        const previous = registry.client("222");
+
+        registry.register("globex", { "phoneNumberId": "222", "accessToken": "globex-token" });
+
+        const current = registry.client("222");
+        const startedAt = Date.now();
+
+        assert.notEqual(previous, current);
+        assert.equal(previous.rateLimiter, registry.rateLimiter);
+        assert.equal(current.rateLimiter, registry.rateLimiter);
+
+        await Promise.all([previous.sendMessage("1555", "1"), current.sendMessage("1555", "2"), current.sendMessage("1555", "3")]);
+
+        assert.ok(Date.now() - startedAt >= 90);
+        assert.deepEqual(Array.from(registry.rateLimiter.buckets.keys()), ["222"]);
+    });
+
+    it("refreshes a rejected tenant token once for a burst of 190 errors", async () => {
+        const strict = new Whatsapp.MockServer({ "accessToken": "fresh-token" });
+        const baseUrl = await strict.start();
+        const calls = [];
+        const tenants = new Whatsapp.ClientRegistry({
+            "clientOptions": { baseUrl, "retry": false, "logger": Whatsapp.createLogger({ "level": "silent" }) },
+            "credentialProvider": async (tenantKey, { forceRefresh }) => {
+                calls.push([tenantKey, forceRefresh]);
+                return calls.length === 1 ? "expired-token" : "fresh-token";
+            }
+        });
+
+        try {
+            tenants.register("acme", { "phoneNumberId": "111" });
+
+            const client = tenants.client("acme");
+            const responses = await Promise.all([1, 2, 3, 4, 5].map((i) => client.sendMessage("1555", `Hello ${i}`)));
+
+            assert.ok(responses.every((response) => response.messages?.[0]?.id));
+            assert.deepEqual(calls, [["acme", false], ["acme", true]]);
+            assert.equal(strict.messages.length, 5);
+        } finally {
+            await strict.stop();
+        }
+    });
+});
+
+describe("cachedTokenProvider", () => {
+    it("caches the token and refreshes it within refreshMargin of its expiry", async () => {
+        let fetched = 0;
+        const provider = cachedTokenProvider(() => ({ "accessToken": `token-${++fetched}`, "expiresAt": Date.now() + 1050 }), { "refreshMargin": 1000 });
+
+        assert.equal(await provider(), "token-1");
+        assert.equal(await provider(), "token-1");
+
+        await new Promise((resolve) => setTimeout(resolve, 80));
+
+        assert.equal(await provider(), "token-2");
+        assert.equal(fetched, 2);
+    });
+
+    it("reads expiresIn in seconds and shares concurrent fetches", async () => {
+        let fetched = 0;
+        const provider = cachedTokenProvider(async () => {
+            fetched++;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return { "accessToken": "token", "expiresIn": 3600 };
+        });
+
+        assert.deepEqual(await Promise.all([provider(), provider(), provider()]), ["token", "token", "token"]);
+        assert.equal(fetched, 1);
+    });
+
+    it("refreshes a rejected token only if it is still the cached one", async () => {
+        const forced = [];
+        let fetched = 0;
+        const provider = cachedTokenProvider(({ forceRefresh }) => {
+            forced.push(forceRefresh);
+            return `token-${++fetched}`;
+        });
+
+        assert.equal(await provider(), "token-1");
+        assert.equal(await provider({ "forceRefresh": true, "failedToken": "token-1" }), "token-2");
+        assert.equal(await provider({ "forceRefresh": true, "failedToken": "token-1" }), "token-2");
+        assert.deepEqual(forced, [false, true]);
+        await assert.rejects(cachedTokenProvider(() => ({}))(), /returned no access token/);
+    });
+});
@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { resolveRetryPolicy, backoffDelay, isRetryable } = require('../lib/retry');
+const { TokenBucket, RateLimiter } = require('../lib/rate-limiter');
+
+describe("retries", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock({ "client": { "timeout": 200 } }));
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("retries a server error on a read", async () => {
+        mock.failNext({ "path": "/message_templates" }, "server");
+
+        const response = await client.getTemplates();
+
+        assert.deepEqual(response.data, []);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    it("gives up after maxAttempts", async () => {
+        const attempts = [];
+        const retrying = new Whatsapp("123", "token", "v19.0", "456", "", "", "", {
+            "baseUrl": mock.url,
+            "retry": { "maxAttempts": 4, "baseDelay": 1, "jitter": false, "onRetry": (error, attempt, delay) => attempts.push([error.code, attempt, delay]) }
+        });
+
+        mock.failNext({ "path": "/message_templates" }, "unavailable", { "times": Infinity });
+
+        const error = await retrying.getTemplates();
+
+        assert.equal(error.code, 131016);
+        assert.equal(mock.requests.length, 4);
+        assert.deepEqual(attempts, [[131016, 1, 1], [131016, 2, 2], [131016, 3, 4]]);
+    });
+
+    it("does not retry a message send on a server error", async () => {
+        mock.failNext({ "path": "/messages" }, "server");
+
+        const error = await client.sendMessage("15551234567", "Hello");
+
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.SERVER);
+        assert.equal(mock.requests.length, 1);
+        assert.equal(mock.messages.length, 0);
+    });
+
+    it("does not retry a message send on a network error", async () => {
+        mock.failNext({ "path": "/messages" }, { "network": true });
+
+        const error = await client.sendMessage("15551234567", "Hello");
+
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.NETWORK);
+        assert.equal(mock.requests.length, 1);
+    });
+
+    it("retries a message send on throttling errors", async () => {
+        mock.failNext({ "path": "/messages" }, "pair_rate_limit");
+
+        const response = await client.sendMessage("15551234567", "Hello");
+
+        assert.ok(response.messages);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    it("retries a message send on any transient failure when asked to", async () => {
+        mock.failNext({ "path": "/messages" }, "server");
+        assert.ok((await client.sendMessage("15551234567", "Hello", { "retryUnsafe": true })).messages);
+        assert.equal(mock.requests.length, 2);
+
+        const unsafe = new Whatsapp("123", "token", "v19.0", "", "", "", "", { "baseUrl": mock.url, "retry": { "baseDelay": 1, "retryUnsafeRequests": true } });
+
+        mock.failNext({ "path": "/messages" }, { "network": true });
+        assert.ok((await unsafe.sendMessage("15551234567", "Hello")).messages);
+        assert.equal(mock.messages.length, 2);
+    });
+
+    it("waits for Retry-After", async () => {
+        mock.failNext({ "path": "/messages" }, "rate_limit");
+
+        const startedAt = Date.now();
+        const response = await client.sendMessage("15551234567", "Hello");
+
+        assert.ok(response.messages);
+        assert.ok(Date.now() - startedAt >= 1000);
+    });
+
+    it("reports a timeout", async () => {
+        mock.failNext({ "path": "/message_templates" }, { "delay": 1000 }, { "times": Infinity });
+
+        const noRetry = new Whatsapp("123", "token", "v19.0", "456", "", "", "", { "baseUrl": mock.url, "retry": false, "timeout": 50 });
+        const error = await noRetry.getTemplates();
+
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.TIMEOUT);
+        mock.failures.length = 0;
+    });
+
+    it("does not retry an authentication failure", async () => {
+        mock.failNext({}, "auth");
+
+        const error = await client.getTemplates();
+
+        assert.ok(error instanceof Whatsapp.WhatsappApiError);
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.AUTH);
+        assert.equal(mock.requests.length, 1);
+    });
+});
+
+describe("retry policy", () => {
+    it("backs off exponentially up to maxDelay", () => {
+        const policy = resolveRetryPolicy({ "baseDelay": 100, "maxDelay": 500, "jitter": false });
+
+        assert.deepEqual([1, 2, 3, 4].map((attempt) => backoffDelay(attempt, policy)), [100, 200, 400, 500]);
+    });
+
+    it("waits at least the Retry-After delay", () => {
+        const policy = resolveRetryPolicy({ "baseDelay": 100, "jitter": false });
+
+        assert.equal(backoffDelay(1, policy, 2000), 2000);
+    });
+
+    it("keeps jittered delays under the backoff", () => {
+        const policy = resolveRetryPolicy({ "baseDelay": 100 });
+
+        for (let i = 0; i < 20; i++) {
+            assert.ok(backoffDelay(3, policy) <= 400);
+        }
+    });
+
+    it("only retries throttling errors for non-idempotent requests", () => {
+        const policy = resolveRetryPolicy();
+        const error = (category, code, status) => ({ category, code, status });
+
+        assert.equal(isRetryable(error("server", 131000, 500), policy), true);
+        assert.equal(isRetryable(error("server", 131000, 500), policy, false), false);
+        assert.equal(isRetryable(error("network", null, null), policy, false), false);
+        assert.equal(isRetryable(error("rate_limit", 130429, 429), policy, false), true);
+        assert.equal(isRetryable(error("rate_limit", null, 429), policy, false), true);
+        assert.equal(isRetryable(error("auth", 190, 401), policy), false);
+    });
+
+    it("disables retries with false", () => {
+        assert.equal(resolveRetryPolicy(false).maxAttempts, 1);
+    });
+});
+
+describe("RateLimiter", () => {
+    it("paces takes once the burst is used", async () => {
+        const bucket = new TokenBucket({ "tokensPerSecond": 20, "burst": 1 });
+        const startedAt = Date.now();
+
+        await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+        assert.ok(Date.now() - startedAt >= 90);
+    });
+
+    it("keeps one bucket per key", async () => {
+        const limiter = new RateLimiter({ "tokensPerSecond": 1, "burst": 1 });
+        const startedAt = Date.now();
+
+        await Promise.all([limiter.take("a"), limiter.take("b"), limiter.take("c")]);
+        assert.ok(Date.now() - startedAt < 500);
+        assert.equal(limiter.buckets.size, 3);
+    });
+
+    it("paces the messages of a client", async () => {
+        const { mock, client } = await startMock({ "client": { "rateLimit": { "tokensPerSecond": 20, "burst": 1 } } });
+
+        try {
+            const startedAt = Date.now();
+
+            await Promise.all([1, 2, 3].map((i) => client.sendMessage("15551234567", `Hello ${i}`)));
+            assert.ok(Date.now() - startedAt >= 90);
+            assert.equal(mock.messages.length, 3);
+        } finally {
+            await mock.stop();
+        }
+    });
+});
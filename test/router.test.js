@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { parseWebhook } = require('../lib/webhook');
+
+const simulator = new Whatsapp.WebhookSimulator({ "phoneNumberId": "123" });
+
+/**
+ * Build the event of an inbound message.
+ * @param {String} from - The sender phone number.
+ * @param {Object|String} message - The message content, or a text.
+ * @param {Object} [options={}] - Message options, see WebhookSimulator.messagePayload (optional).
+ * @returns {Object} - The message event.
+ */
+function inbound(from, message, options = {}) {
+    const content = typeof message === "string" ? { "type": "text", "text": { "body": message } } : message;
+
+    return parseWebhook(simulator.messagePayload(from, content, options))[0];
+};
+
+describe("bot router", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("runs middleware in order before the routes", async () => {
+        const calls = [];
+        const router = new Whatsapp.BotRouter()
+            .use(async (ctx, next) => {
+                calls.push("first:before");
+                await next();
+                calls.push("first:after");
+            })
+            .use(async (ctx, next) => {
+                calls.push("second");
+                await next();
+            })
+            .hears("hi", () => calls.push("route"));
+
+        assert.equal(await router.handle(inbound("1555", "hi"), client), true);
+        assert.deepEqual(calls, ["first:before", "second", "route", "first:after"]);
+    });
+
+    it("stops when a middleware does not call next", async () => {
+        const router = new Whatsapp.BotRouter()
+            .use((ctx, next) => (ctx.from === "blocked" ? undefined : next()))
+            .otherwise(() => {});
+
+        assert.equal(await router.handle(inbound("blocked", "hi"), client), false);
+        assert.equal(await router.handle(inbound("1555", "hi"), client), true);
+    });
+
+    it("dispatches to the first matching route, next() passing to the following one", async () => {
+        const calls = [];
+        const router = new Whatsapp.BotRouter()
+            .hears(/^order (\d+)$/i, async (ctx, next) => {
+                calls.push(["pattern", ctx.match[1]]);
+                await next();
+            })
+            .hears(["help", "menu"], () => calls.push(["keyword"]))
+            .button("yes", () => calls.push(["button"]))
+            .listReply(/^row-/, () => calls.push(["list"]))
+            .on("image", () => calls.push(["image"]))
+            .otherwise((ctx) => calls.push(["otherwise", ctx.text]));
+
+        await router.handle(inbound("1555", "Order 42"), client);
+        await router.handle(inbound("1555", "  MENU "), client);
+        await router.handle(inbound("1555", { "type": "interactive", "interactive": { "type": "button_reply", "button_reply": { "id": "yes", "title": "Yes" } } }), client);
+        await router.handle(inbound("1555", { "type": "button", "button": { "payload": "yes", "text": "Yes" } }), client);
+        await router.handle(inbound("1555", { "type": "interactive", "interactive": { "type": "list_reply", "list_reply": { "id": "row-1", "title": "Row" } } }), client);
+        await router.handle(inbound("1555", { "type": "image", "image": { "id": "media-1" } }), client);
+
+        assert.deepEqual(calls, [["pattern", "42"], ["otherwise", "Order 42"], ["keyword"], ["button"], ["button"], ["list"], ["image"]]);
+    });
+
+    it("keeps a session per user between messages", async () => {
+        const store = new Whatsapp.MemoryStore();
+        const router = new Whatsapp.BotRouter({ store })
+            .hears("order", (ctx) => {
+                ctx.setState("awaiting_address");
+                ctx.session.items = 1;
+            })
+            .state("awaiting_address", (ctx) => {
+                ctx.session.address = ctx.text;
+                ctx.endSession();
+            })
+            .otherwise((ctx) => {
+                ctx.session.seen = (ctx.session.seen || 0) + 1;
+            });
+
+        await router.handle(inbound("1555", "order"), client);
+        assert.deepEqual(await store.get(router.sessionKey(inbound("1555", "x"))), { "state": "awaiting_address", "items": 1 });
+
+        await router.handle(inbound("1666", "hello"), client);
+        await router.handle(inbound("1555", "1 Main St"), client);
+
+        assert.equal(await store.get("bot:123:1555"), undefined);
+        assert.deepEqual(await store.get("bot:123:1666"), { "state": null, "seen": 1 });
+    });
+
+    it("handles the messages of a user one at a time", async () => {
+        const seen = [];
+        const router = new Whatsapp.BotRouter().otherwise(async (ctx) => {
+            seen.push(ctx.session.count || 0);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            ctx.session.count = (ctx.session.count || 0) + 1;
+        });
+
+        await Promise.all([1, 2, 3].map(() => router.handle(inbound("1555", "hi"), client)));
+
+        assert.deepEqual(seen, [0, 1, 2]);
+    });
+
+    it("replies to the author, quoting the message", async () => {
+        const event = inbound("1555", "hi", { "id": "wamid.IN" });
+        const router = new Whatsapp.BotRouter().otherwise(async (ctx) => {
+            await ctx.markAsRead({ "typing": true });
+            await ctx.reply("Hello");
+            await ctx.replyButtons("Pick one", [{ "id": "yes", "title": "Yes" }], { "replyTo": null });
+            await ctx.react("👍");
+        });
+
+        await router.handle(event, client);
+
+        const [text, buttons, reaction] = mock.messagesTo("1555").map((message) => message.payload);
+        const receipt = mock.requests.find((request) => request.body?.status === "read");
+
+        assert.deepEqual(text.context, { "message_id": "wamid.IN" });
+        assert.equal(text.text.body, "Hello");
+        assert.equal(buttons.context, undefined);
+        assert.equal(buttons.interactive.type, "button");
+        assert.deepEqual(reaction.reaction, { "message_id": "wamid.IN", "emoji": "👍" });
+        assert.equal(reaction.context, undefined);
+        assert.deepEqual(receipt.body.typing_indicator, { "type": "text" });
+    });
+
+    it("handles the messages emitted by an attached client until detached", async () => {
+        const errors = [];
+        const router = new Whatsapp.BotRouter({ "onError": (error, event) => errors.push([error.message, event.text]) })
+            .hears("fail", () => {
+                throw new Error("handler failed");
+            })
+            .otherwise((ctx) => ctx.reply(`echo: ${ctx.text}`));
+        const detach = router.attach(client);
+
+        client.processWebhook(simulator.messagePayload("1555", { "type": "text", "text": { "body": "hi" } }));
+        client.processWebhook(simulator.messagePayload("1555", { "type": "text", "text": { "body": "fail" } }));
+        await router.pending.get("bot:123:1555").catch(() => {});
+
+        detach();
+        client.processWebhook(simulator.messagePayload("1555", { "type": "text", "text": { "body": "ignored" } }));
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.deepEqual(mock.messagesTo("1555").map((message) => message.payload.text.body), ["echo: hi"]);
+        assert.deepEqual(errors, [["handler failed", "fail"]]);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp } = require('./helpers');
+const { createWebhookSignature, verifyWebhookSignature } = require('../lib/webhook');
+
+const BODY = JSON.stringify({ "object": "whatsapp_business_account", "entry": [] });
+
+/**
+ * Record what a middleware answers on an Express-style response.
+ * @returns {Object} - The response, with the answered status and body.
+ */
+function fakeResponse() {
+    const res = { "statusCode": null, "body": null };
+
+    res.status = (status) => {
+        res.statusCode = status;
+        return res;
+    };
+    res.send = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.json = res.send;
+    res.sendStatus = (status) => res.status(status);
+
+    return res;
+};
+
+/**
+ * Run verifySignature on a request.
+ * @param {Whatsapp} client - The client.
+ * @param {Object} req - The request.
+ * @returns {Object} - { res, called }, called being true if next() was called.
+ */
+function verify(client, req) {
+    const res = fakeResponse();
+    let called = false;
+
+    req.headers = req.headers || {};
+    client.verifySignature(req, res, () => {
+        called = true;
+    });
+
+    return { res, called };
+};
+
+describe("webhook signatures", () => {
+    const client = new Whatsapp("123", "token", "v19.0", "", "", "verify-token", "app-secret", { "logger": Whatsapp.createLogger({ "level": "silent" }) });
+    const signature = createWebhookSignature(BODY, "app-secret");
+
+    it("computes and checks HMAC-SHA256 signatures", () => {
+        assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+        assert.equal(verifyWebhookSignature(BODY, signature, "app-secret"), true);
+        assert.equal(verifyWebhookSignature(Buffer.from(BODY), ` ${signature} `, "app-secret"), true);
+        assert.equal(verifyWebhookSignature(`${BODY} `, signature, "app-secret"), false);
+        assert.equal(verifyWebhookSignature(BODY, signature, "other-secret"), false);
+        assert.equal(verifyWebhookSignature(BODY, "sha256=short", "app-secret"), false);
+        assert.equal(verifyWebhookSignature(BODY, undefined, "app-secret"), false);
+        assert.equal(verifyWebhookSignature(null, signature, "app-secret"), false);
+        assert.throws(() => verifyWebhookSignature(BODY, signature, ""), /app secret is required/);
+    });
+
+    it("accepts a body captured by captureRawBody", () => {
+        const req = { "headers": { "x-hub-signature-256": signature }, "body": JSON.parse(BODY) };
+
+        Whatsapp.captureRawBody(req, null, Buffer.from(BODY));
+
+        const { res, called } = verify(client, req);
+
+        assert.ok(Buffer.isBuffer(req.rawBody));
+        assert.equal(called, true);
+        assert.equal(res.statusCode, null);
+    });
+
+    it("accepts and parses a raw body", () => {
+        const req = { "headers": { "x-hub-signature-256": signature }, "body": Buffer.from(BODY) };
+        const { called } = verify(client, req);
+
+        assert.equal(called, true);
+        assert.deepEqual(req.body, JSON.parse(BODY));
+    });
+
+    it("rejects missing or bad signatures with 401", () => {
+        const cases = [
+            { "rawBody": Buffer.from(BODY) },
+            { "headers": { "x-hub-signature-256": createWebhookSignature(BODY, "wrong") }, "rawBody": Buffer.from(BODY) },
+            { "headers": { "x-hub-signature-256": signature }, "rawBody": Buffer.from(`${BODY} `) },
+            { "headers": { "x-hub-signature-256": signature }, "body": JSON.parse(BODY) }
+        ];
+
+        for (const req of cases) {
+            const { res, called } = verify(client, req);
+
+            assert.equal(called, false);
+            assert.equal(res.statusCode, 401);
+        }
+    });
+
+    it("answers 400 to a signed body that is not JSON", () => {
+        const { res, called } = verify(client, { "headers": { "x-hub-signature-256": createWebhookSignature("{", "app-secret") }, "body": "{" });
+
+        assert.equal(called, false);
+        assert.equal(res.statusCode, 400);
+    });
+
+    it("answers 500 without an app secret", () => {
+        const unsigned = new Whatsapp("123", "token", "v19.0", "", "", "", "", { "logger": Whatsapp.createLogger({ "level": "silent" }) });
+        const { res, called } = verify(unsigned, { "headers": { "x-hub-signature-256": signature }, "rawBody": Buffer.from(BODY) });
+
+        assert.equal(called, false);
+        assert.equal(res.statusCode, 500);
+    });
+});
@@ -0,0 +1,243 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { TemplateBuilder, validateTemplateDefinition, validateTemplateSend, planTemplateSync } = require('../lib/templates');
+
+const ORDER_UPDATE = new TemplateBuilder("order_update")
+    .headerText("Order {{1}}", ["#42"])
+    .body("Hi {{1}}, your order ships on {{2}}.", ["Jane", "Monday"])
+    .footer("Reply STOP to opt out")
+    .urlButton("Track", "https://example.com/track/{{1}}", "42")
+    .quickReplyButton("Thanks");
+
+describe("template builder", () => {
+    it("builds the registration payload", () => {
+        const definition = ORDER_UPDATE.build();
+
+        assert.equal(definition.name, "order_update");
+        assert.equal(definition.category, "UTILITY");
+        assert.deepEqual(definition.components.map((component) => component.type), ["HEADER", "BODY", "FOOTER", "BUTTONS"]);
+        assert.deepEqual(definition.components[1].example, { "body_text": [["Jane", "Monday"]] });
+        assert.deepEqual(definition.components[3].buttons[0].example, ["42"]);
+    });
+
+    it("builds named examples", () => {
+        const definition = new TemplateBuilder("welcome", { "parameterFormat": "named" }).body("Hi {{first_name}}", { "first_name": "Jane" }).build();
+
+        assert.equal(definition.parameter_format, "NAMED");
+        assert.deepEqual(definition.components[0].example, { "body_text_named_params": [{ "param_name": "first_name", "example": "Jane" }] });
+    });
+
+    it("rejects templates breaking Meta's rules", () => {
+        assert.throws(() => new TemplateBuilder("Order Update").body("Hi {{2}}", ["Jane"]).footer("Code {{1}}").build(), (error) => {
+            assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+            assert.deepEqual(error.errors, [
+                "name must be lowercase letters, digits and underscores, at most 512 characters",
+                "body text placeholders must be sequential starting at {{1}} (found {{2}} at position 1)",
+                "footer text cannot contain placeholders"
+            ]);
+            return true;
+        });
+    });
+
+    it("checks placeholders, examples and buttons", () => {
+        const errors = validateTemplateDefinition({
+            "name": "promo",
+            "language": "en_US",
+            "category": "MARKETING",
+            "components": [
+                { "type": "HEADER", "format": "TEXT", "text": "{{1}} {{2}}", "example": { "header_text": ["a", "b"] } },
+                { "type": "BODY", "text": "Hi {{1}}" },
+                { "type": "BUTTONS", "buttons": [{ "type": "URL", "text": "Open", "url": "https://example.com/{{1}}/page" }, { "type": "QUICK_REPLY", "text": "x".repeat(26) }] }
+            ]
+        });
+
+        assert.deepEqual(errors, [
+            "header text can contain at most 1 placeholder",
+            "body text has 1 placeholder(s) and requires as many example values",
+            "buttons[0].url can only contain 1 placeholder, at the end of the URL",
+            "buttons[0].url has a placeholder and requires an example value",
+            "buttons[1].text must be at most 25 characters (got 26)"
+        ]);
+        assert.deepEqual(validateTemplateDefinition({ "name": "empty", "language": "en_US", "category": "OTHER", "components": [] }), [
+            "category must be one of: UTILITY, MARKETING, AUTHENTICATION",
+            "a BODY component is required"
+        ]);
+    });
+});
+
+describe("template parameters", () => {
+    const definition = ORDER_UPDATE.build();
+
+    it("builds send-time parameters", () => {
+        const { header, body, buttons } = ORDER_UPDATE.sendComponents({ "header": "#42", "body": ["Jane", "Monday"], "buttons": { "0": "42", "1": "thanks" } });
+
+        assert.deepEqual(header, [{ "type": "text", "text": "#42" }]);
+        assert.deepEqual(body.map((parameter) => parameter.text), ["Jane", "Monday"]);
+        assert.deepEqual(buttons[0], { "type": "button", "sub_type": "url", "index": "0", "parameters": [{ "type": "text", "text": "42" }] });
+        assert.deepEqual(buttons[1].parameters, [{ "type": "payload", "payload": "thanks" }]);
+        assert.deepEqual(validateTemplateSend(definition, header, body, buttons), []);
+    });
+
+    it("reports parameter count mismatches", () => {
+        const buttons = [{ "type": "button", "sub_type": "url", "index": "0", "parameters": [{ "type": "text", "text": "42" }] }];
+
+        assert.deepEqual(validateTemplateSend(definition, [], [{ "type": "text", "text": "Jane" }], buttons), [
+            "header expects 1 parameter(s), got 0",
+            "body expects 2 parameter(s), got 1"
+        ]);
+        assert.deepEqual(validateTemplateSend(definition, [{ "type": "text", "text": "#42" }], [{ "type": "text", "text": "Jane" }, { "type": "text", "text": "Monday" }]), [
+            "the URL button at index 0 requires a parameter"
+        ]);
+    });
+
+    it("reports badly formatted parameters and buttons", () => {
+        const body = [{ "type": "text", "text": "Jane\nDoe" }, { "type": "text", "text": "" }];
+        const buttons = [{ "type": "button", "sub_type": "quick_reply", "index": "0", "parameters": [] }, { "type": "button", "sub_type": "url", "index": "5" }];
+
+        assert.deepEqual(validateTemplateSend(definition, [{ "type": "text", "text": "#42" }], body, buttons), [
+            "body[0].text cannot contain new lines, tabs or more than 4 consecutive spaces",
+            "body[1].text is required",
+            'buttons[0].sub_type must be "url" for the URL button at index 0',
+            "buttons[1].index 5 does not match any template button"
+        ]);
+    });
+
+    it("plans template syncs", () => {
+        const changed = { ...definition, "components": [{ "type": "BODY", "text": "Changed" }] };
+        const plan = planTemplateSync([definition, { ...definition, "name": "new_one" }], [{ ...changed, "id": "1", "status": "APPROVED" }, { "name": "old", "language": "en_US", "id": "2" }], { "deleteMissing": true });
+
+        assert.deepEqual(plan.create.map((item) => item.name), ["new_one"]);
+        assert.deepEqual(plan.update.map((item) => [item.name, item.id]), [["order_update", "1"]]);
+        assert.deepEqual(plan.delete.map((item) => [item.name, item.id]), [["old", "2"]]);
+        assert.deepEqual(planTemplateSync([definition], [{ ...definition, "id": "1" }]).unchanged.map((item) => item.name), ["order_update"]);
+    });
+
+    it("ignores button text filled in by Meta", () => {
+        const local = new TemplateBuilder("login_code", { "category": "AUTHENTICATION" }).body("Your code is {{1}}", ["123456"]).copyCodeButton("123456").build();
+        const remote = { ...local, "id": "1", "components": [local.components[0], { "type": "BUTTONS", "buttons": [{ "type": "COPY_CODE", "text": "Copy offer code", "example": ["123456"] }] }] };
+        const renamed = { ...local, "components": [local.components[0], { "type": "BUTTONS", "buttons": [{ "type": "COPY_CODE", "text": "Copy", "example": "123456" }] }] };
+
+        assert.deepEqual(planTemplateSync([local], [remote]).unchanged.map((item) => item.id), ["1"]);
+        assert.deepEqual(planTemplateSync([renamed], [remote]).update.map((item) => item.id), ["1"]);
+    });
+});
+
+describe("validated template sends", () => {
+    let mock;
+    let client;
+    let template;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        template = mock.addTemplate({ ...ORDER_UPDATE.build(), "status": "APPROVED" });
+    });
+
+    it("fetches the definition to validate a send", async () => {
+        const result = await client.validateTemplateSend(template.id, [], [{ "type": "text", "text": "Jane" }]);
+
+        assert.equal(result.valid, false);
+        assert.ok(result.errors.includes("body expects 2 parameter(s), got 1"));
+    });
+
+    it("does not send a template whose parameters do not match", async () => {
+        const error = await client.sendTemplate("1555", "order_update", "en_US", [], [], [], { "template": template.id });
+
+        assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+        assert.equal(mock.messages.length, 0);
+    });
+
+    it("sends a template whose parameters match", async () => {
+        const { header, body, buttons } = ORDER_UPDATE.sendComponents({ "header": "#42", "body": ["Jane", "Monday"], "buttons": { "0": "42" } });
+        const response = await client.sendTemplate("1555", "order_update", "en_US", header, body, buttons, { "template": template });
+
+        assert.match(response.messages[0].id, /^wamid\./);
+        assert.equal(mock.messagesTo("1555")[0].payload.template.name, "order_update");
+    });
+});
+
+describe("template management", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("follows paging cursors with encoded filters", async () => {
+        for (let index = 0; index < 5; index++) {
+            mock.addTemplate({ ...ORDER_UPDATE.build(), "name": `order_update_${index}`, "status": "APPROVED" });
+        }
+
+        mock.addTemplate({ ...ORDER_UPDATE.build(), "name": "order_update_rejected", "status": "REJECTED" });
+
+        const names = [];
+
+        for await (const template of client.listTemplates({ "name": "order_update", "status": "APPROVED", "fields": "name,status", "limit": 2 })) {
+            names.push(template.name);
+        }
+
+        const pages = mock.requests.filter((request) => request.path.endsWith("/message_templates"));
+
+        assert.deepEqual(names, ["order_update_0", "order_update_1", "order_update_2", "order_update_3", "order_update_4"]);
+        assert.equal(pages.length, 3);
+        assert.deepEqual(pages.map((request) => request.query.after), [undefined, Buffer.from("2").toString("base64url"), Buffer.from("4").toString("base64url")]);
+        pages.forEach((request) => assert.deepEqual([request.query.name, request.query.status, request.query.fields, request.query.limit], ["order_update", "APPROVED", "name,status", "2"]));
+    });
+
+    it("finds a template by name and language", async () => {
+        mock.addTemplate({ ...ORDER_UPDATE.build(), "language": "en_US", "status": "APPROVED" });
+        const spanish = mock.addTemplate({ ...ORDER_UPDATE.build(), "language": "es_ES", "status": "APPROVED" });
+
+        assert.equal((await client.getTemplateByName("order_update", "es_ES")).id, spanish.id);
+        assert.equal(mock.requests.at(-1).query.language, "es_ES");
+        assert.equal(await client.getTemplateByName("order_update", "fr_FR"), null);
+        assert.equal(await client.getTemplateByName("order_update_old"), null);
+    });
+
+    it("registers, updates and deletes templates", async () => {
+        const changed = mock.addTemplate({ ...ORDER_UPDATE.build(), "components": [{ "type": "BODY", "text": "Old text" }], "status": "APPROVED" });
+        const unchanged = mock.addTemplate({ ...ORDER_UPDATE.build(), "name": "same", "status": "APPROVED" });
+        const old = mock.addTemplate({ ...ORDER_UPDATE.build(), "name": "old", "status": "APPROVED" });
+        const local = [ORDER_UPDATE, { ...ORDER_UPDATE.build(), "name": "same" }, { ...ORDER_UPDATE.build(), "name": "new_one" }];
+        const writes = () => mock.requests.filter((request) => request.method !== "GET").map((request) => [request.method, request.path]);
+
+        const plan = await client.syncTemplates(local, { "dryRun": true, "deleteMissing": true });
+
+        assert.equal(plan.dryRun, true);
+        assert.deepEqual(plan.created.map((item) => item.name), ["new_one"]);
+        assert.deepEqual(plan.updated.map((item) => item.id), [changed.id]);
+        assert.deepEqual(plan.deleted.map((item) => item.id), [old.id]);
+        assert.deepEqual(writes(), []);
+
+        const result = await client.syncTemplates(local, { "deleteMissing": true });
+        const created = Array.from(mock.templates.values()).find((template) => template.name === "new_one");
+
+        assert.deepEqual(result.failed, []);
+        assert.deepEqual(result.created.map((item) => item.id), [created.id]);
+        assert.deepEqual(result.unchanged.map((item) => item.id), [unchanged.id]);
+        assert.deepEqual(writes(), [
+            ["POST", "/v19.0/456/message_templates"],
+            ["POST", `/v19.0/${changed.id}`],
+            ["DELETE", "/v19.0/456/message_templates"]
+        ]);
+        assert.equal(mock.templates.get(changed.id).components[1].text, ORDER_UPDATE.build().components[1].text);
+        assert.equal(mock.templates.has(old.id), false);
+    });
+});
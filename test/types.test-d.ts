@@ -0,0 +1,55 @@
+import { expectType, expectError, expectAssignable } from "tsd";
+import Whatsapp = require("..");
+
+const client = new Whatsapp("123", "token");
+const throwing = new Whatsapp("123", "token", "v19.0", "456", "789", "verify-token", "app-secret", { errorMode: "throw" });
+
+// Senders resolve to the error in "return" mode, and only to the response in "throw" mode.
+expectType<Promise<Whatsapp.SendMessageResponse | Whatsapp.WhatsappApiError>>(client.sendMessage("15551234567", "Hello", { previewUrl: true, replyTo: "wamid.ID" }));
+expectType<Promise<Whatsapp.SendMessageResponse>>(throwing.sendMessage("15551234567", "Hello"));
+expectType<Promise<Whatsapp.SendMessageResponse>>(throwing.sendTemplate("15551234567", "order_update", "en_US", [{ type: "text", text: "Jane" }]));
+expectType<Promise<Whatsapp.SendMessageResponse>>(throwing.sendButtons("15551234567", "Pick one", [{ id: "yes", title: "Yes" }], { footer: "Footer" }));
+expectType<Promise<Whatsapp.SendMessageResponse>>(throwing.sendLocation("15551234567", 48.85, 2.35, "Paris"));
+expectType<Promise<Whatsapp.SendMessageResponse>>(throwing.sendReaction("15551234567", "wamid.ID", "👍"));
+expectError(client.sendMessage("15551234567"));
+expectError(client.sendButtons("15551234567", "Pick one", [{ id: "yes" }]));
+expectError(client.sendReaction("15551234567", "wamid.ID", "👍", { replyTo: "wamid.OTHER" }));
+
+// Template builder.
+const builder = new Whatsapp.TemplateBuilder("order_update", { language: "en_US", category: "UTILITY" })
+    .headerText("Order {{1}}", ["#1234"])
+    .body("Hi {{1}}", ["Jane"])
+    .footer("Thanks")
+    .quickReplyButton("Track");
+expectType<Whatsapp.TemplateBuilder>(builder);
+expectType<Whatsapp.TemplateDefinition>(builder.build());
+expectType<Whatsapp.TemplateSendComponents>(builder.sendComponents({ header: "#1234", body: ["Jane"] }));
+expectError(builder.headerMedia("AUDIO", "handle"));
+
+// Bot router.
+const router = new Whatsapp.BotRouter({ sessionTtl: 60000 });
+expectType<Whatsapp.BotRouter>(router.hears(/^hi/i, async (ctx, next) => {
+    expectType<string | null>(ctx.text);
+    expectType<string | null>(ctx.state);
+    ctx.setState("asked");
+    await ctx.reply("Hello");
+    await next();
+}));
+expectType<Whatsapp.BotRouter>(router.button("yes", (ctx) => ctx.replyButtons("Sure?", [{ id: "ok", title: "OK" }])));
+expectType<() => void>(router.attach(client));
+
+// Client registry.
+const registry = new Whatsapp.ClientRegistry({ appSecret: "app-secret", credentialProvider: async (tenantKey) => ({ accessToken: tenantKey, expiresIn: 3600 }) });
+expectType<Whatsapp.Tenant>(registry.register("acme", { phoneNumberIds: ["1", "2"], accountId: "456" }));
+expectType<Whatsapp<"return">>(registry.client("acme"));
+expectType<Whatsapp<"throw">>(registry.client<"throw">("1"));
+expectType<() => void>(router.attach(registry));
+registry.on("message.text", (event, route) => {
+    expectType<string | null>(event.text);
+    expectType<string>(route.tenantKey);
+});
+expectError(registry.register("acme"));
+
+// Options and helpers.
+expectAssignable<Whatsapp.ClientOptions>({ retry: { maxAttempts: 5 }, rateLimit: false, ledger: true, redact: { phoneNumbers: false } });
+expectType<Whatsapp.WebhookEvent[]>(client.parseWebhook({ object: "whatsapp_business_account", entry: [] }));
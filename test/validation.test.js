@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp, startMock } = require('./helpers');
+const { INTERACTIVE_LIMITS, buildButtons, buildList, buildCtaUrl } = require('../lib/interactive');
+const { mediaObject, buildLocation, buildContacts, buildReaction } = require('../lib/messages');
+
+/**
+ * Run a builder expected to fail and return the problems it reported.
+ * @param {function} build - The builder call.
+ * @returns {Array<String>} - The validation errors.
+ */
+function problems(build) {
+    try {
+        build();
+    } catch (error) {
+        assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+        assert.equal(error.category, Whatsapp.ERROR_CATEGORIES.VALIDATION);
+        return error.errors;
+    }
+
+    assert.fail("expected a WhatsappValidationError");
+};
+
+describe("payload limits", () => {
+    it("checks reply buttons", () => {
+        const button = { "id": "yes", "title": "Yes" };
+
+        assert.equal(buildButtons("Pick one", [button]).action.buttons[0].reply.title, "Yes");
+        assert.deepEqual(problems(() => buildButtons("Pick one", [])), ["buttons must contain between 1 and 3 buttons"]);
+        assert.deepEqual(problems(() => buildButtons("Pick one", [button, button, button, button])), ["buttons must contain between 1 and 3 buttons"]);
+        assert.deepEqual(problems(() => buildButtons("Pick one", [{ "id": "a", "title": "x".repeat(INTERACTIVE_LIMITS.BUTTON_TITLE + 1) }])), ["buttons[0].title must be at most 20 characters (got 21)"]);
+        assert.deepEqual(problems(() => buildButtons("Pick one", [button, button])), ['buttons[1].id "yes" is not unique']);
+        assert.deepEqual(problems(() => buildButtons("", [{ "id": "a" }])), ["body text is required", "buttons[0].title is required"]);
+    });
+
+    it("checks list sections and rows", () => {
+        const rows = (count, prefix = "row") => Array.from({ "length": count }, (value, index) => ({ "id": `${prefix}-${index}`, "title": `Row ${index}` }));
+
+        assert.equal(buildList("Pick one", "Open", [{ "rows": rows(10) }]).action.sections[0].rows.length, 10);
+        assert.deepEqual(problems(() => buildList("Pick one", "Open", [{ "title": "A", "rows": rows(6, "a") }, { "title": "B", "rows": rows(5, "b") }])), ["sections must contain at most 10 rows in total (got 11)"]);
+        assert.deepEqual(problems(() => buildList("Pick one", "Open", [{ "rows": [{ "id": "a", "title": "x".repeat(25), "description": "y".repeat(73) }] }])), [
+            "sections[0].rows[0].title must be at most 24 characters (got 25)",
+            "sections[0].rows[0].description must be at most 72 characters (got 73)"
+        ]);
+        assert.deepEqual(problems(() => buildList("Pick one", "Open", [{ "rows": rows(1) }, { "rows": rows(1, "other") }])), [
+            "sections[0].title is required",
+            "sections[1].title is required"
+        ]);
+        assert.deepEqual(problems(() => buildList("Pick one", "Open", [{ "rows": rows(1) }], { "header": { "type": "image", "image": { "id": "1" } } })), ["header type must be one of: text"]);
+    });
+
+    it("checks headers, footers and URLs", () => {
+        assert.deepEqual(problems(() => buildCtaUrl("Visit", "Open", "ftp://example.com", { "header": "x".repeat(61), "footer": "y".repeat(61) })), [
+            "header text must be at most 60 characters (got 61)",
+            "footer text must be at most 60 characters (got 61)",
+            "url must be an http or https URL"
+        ]);
+        assert.deepEqual(problems(() => buildCtaUrl("Visit", "Open", "https://example.com", { "header": { "type": "video", "video": {} } })), ["video header requires an id or a link"]);
+    });
+
+    it("checks captions", () => {
+        assert.deepEqual(mediaObject("https://example.com/a.png", { "caption": "x".repeat(1024) }), { "link": "https://example.com/a.png", "caption": "x".repeat(1024) });
+        assert.deepEqual(problems(() => mediaObject("media-1", { "caption": "x".repeat(1025) })), ["caption must be at most 1024 characters (got 1025)"]);
+    });
+
+    it("checks coordinates", () => {
+        assert.deepEqual(buildLocation("48.85", -180, "Paris"), { "latitude": 48.85, "longitude": -180, "name": "Paris" });
+        assert.deepEqual(problems(() => buildLocation(90.1, 180.1)), ["latitude must be a number between -90 and 90", "longitude must be a number between -180 and 180"]);
+        assert.deepEqual(problems(() => buildLocation("", "east")), ["latitude must be a number between -90 and 90", "longitude must be a number between -180 and 180"]);
+    });
+
+    it("checks contact cards", () => {
+        assert.deepEqual(buildContacts({ "name": "Jane Q Doe", "phones": "+15551234567", "emails": "jane@example.com" }), [{
+            "name": { "formatted_name": "Jane Q Doe", "first_name": "Jane", "last_name": "Q Doe" },
+            "phones": [{ "phone": "+15551234567" }],
+            "emails": [{ "email": "jane@example.com" }]
+        }]);
+        assert.deepEqual(problems(() => buildContacts({ "name": { "first_name": "Jane" } })), ["contacts[0].name.formatted_name is required"]);
+        assert.deepEqual(problems(() => buildContacts([{ "phones": "+15551234567" }])), ["contacts[0].name.formatted_name is required"]);
+        assert.deepEqual(problems(() => buildContacts({ "name": "Jane", "phones": [{ "type": "WORK" }], "emails": ["jane.example.com", { "email": 42 }] })), [
+            "contacts[0].phones[0] requires a phone or a wa_id",
+            "contacts[0].emails[0].email must be an email address",
+            "contacts[0].emails[1].email must be an email address"
+        ]);
+        assert.deepEqual(problems(() => buildContacts([])), ["at least one contact is required"]);
+    });
+
+    it("checks reactions", () => {
+        assert.deepEqual(buildReaction("wamid.1", "👍"), { "message_id": "wamid.1", "emoji": "👍" });
+        assert.deepEqual(buildReaction("wamid.1"), { "message_id": "wamid.1", "emoji": "" });
+        assert.deepEqual(problems(() => buildReaction("", "👍")), ["message id is required"]);
+        assert.deepEqual(problems(() => buildReaction(undefined, 1)), ["message id is required", "emoji must be a string"]);
+    });
+});
+
+describe("validated senders", () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        ({ mock, client } = await startMock());
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+    });
+
+    it("return validation errors without sending", async () => {
+        const errors = await Promise.all([
+            client.sendButtons("1555", "Pick one", [{ "id": "a", "title": "x".repeat(21) }]),
+            client.sendList("1555", "Pick one", "Open", []),
+            client.sendImage("1555", "media-1", "x".repeat(1025)),
+            client.sendLocation("1555", 91, 0),
+            client.sendContacts("1555", { "name": { "first_name": "Jane" } }),
+            client.sendReaction("1555", "")
+        ]);
+
+        for (const error of errors) {
+            assert.ok(error instanceof Whatsapp.WhatsappValidationError);
+        }
+
+        assert.equal(mock.requests.length, 0);
+    });
+
+    it("removes a reaction with an empty emoji", async () => {
+        await client.sendReaction("1555", "wamid.1");
+
+        assert.deepEqual(mock.messagesTo("1555")[0].payload.reaction, { "message_id": "wamid.1", "emoji": "" });
+    });
+
+    it("throw them in throw mode", async () => {
+        const throwing = new Whatsapp("123", "test-token", "v19.0", "", "", "", "", { "baseUrl": mock.url, "errorMode": "throw" });
+
+        await assert.rejects(throwing.sendVideo("1555", "media-1", "x".repeat(1025)), Whatsapp.WhatsappValidationError);
+        assert.equal(mock.requests.length, 0);
+    });
+});
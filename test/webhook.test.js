@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Whatsapp } = require('./helpers');
+const { parseWebhook } = require('../lib/webhook');
+
+const simulator = new Whatsapp.WebhookSimulator({ "phoneNumberId": "123", "displayPhoneNumber": "15550000000", "businessAccountId": "456" });
+
+describe("webhook parsing", () => {
+    it("normalizes an inbound text message", () => {
+        const [event] = parseWebhook(simulator.messagePayload("15551234567", { "type": "text", "text": { "body": "Hi" } }, {
+            "id": "wamid.IN",
+            "name": "Jane",
+            "timestamp": 1700000000000,
+            "context": { "from": "15550000000", "id": "wamid.OUT" }
+        }));
+
+        assert.equal(event.type, "message.text");
+        assert.equal(event.messageType, "text");
+        assert.equal(event.id, "wamid.IN");
+        assert.equal(event.from, "15551234567");
+        assert.equal(event.profileName, "Jane");
+        assert.equal(event.text, "Hi");
+        assert.equal(event.replyTo, "wamid.OUT");
+        assert.equal(event.phoneNumberId, "123");
+        assert.equal(event.displayPhoneNumber, "15550000000");
+        assert.equal(event.businessAccountId, "456");
+        assert.deepEqual(event.timestamp, new Date(1700000000000));
+    });
+
+    it("types interactive replies by their reply type", () => {
+        const button = parseWebhook(simulator.messagePayload("1555", { "type": "interactive", "interactive": { "type": "button_reply", "button_reply": { "id": "yes", "title": "Yes" } } }))[0];
+        const list = parseWebhook(simulator.messagePayload("1555", { "type": "interactive", "interactive": { "type": "list_reply", "list_reply": { "id": "row-1", "title": "Row", "description": "First" } } }))[0];
+        const image = parseWebhook(simulator.messagePayload("1555", { "type": "image", "image": { "id": "media-1", "caption": "Look" } }))[0];
+
+        assert.equal(button.type, "message.interactive.button_reply");
+        assert.equal(button.text, "Yes");
+        assert.deepEqual(button.content, { "type": "button_reply", "button_reply": { "id": "yes", "title": "Yes" } });
+        assert.equal(list.type, "message.interactive.list_reply");
+        assert.equal(list.text, "Row");
+        assert.equal(image.type, "message.image");
+        assert.equal(image.text, "Look");
+    });
+
+    it("normalizes statuses", () => {
+        const [sent] = parseWebhook(simulator.statusPayload("wamid.OUT", "sent", "1555", { "bizOpaqueCallbackData": "order-1" }));
+        const [failed] = parseWebhook(simulator.statusPayload("wamid.OUT", "failed", "1555", { "errors": [{ "code": 131026, "title": "Message undeliverable" }] }));
+
+        assert.equal(sent.type, "status.sent");
+        assert.equal(sent.recipientId, "1555");
+        assert.equal(sent.bizOpaqueCallbackData, "order-1");
+        assert.equal(sent.pricing.category, "service");
+        assert.equal(failed.type, "status.failed");
+        assert.equal(failed.conversation, null);
+        assert.equal(failed.errors[0].code, 131026);
+    });
+
+    it("maps other fields to their event types", () => {
+        const [event] = parseWebhook(simulator.notification({
+            "event": "REJECTED",
+            "message_template_id": 789,
+            "message_template_name": "order_update",
+            "message_template_language": "en_US",
+            "reason": "INCORRECT_CATEGORY"
+        }, "message_template_status_update"));
+        const [unknown] = parseWebhook(simulator.notification({ "flag": true }, "some_new_field"));
+
+        assert.equal(event.type, "template.status_update");
+        assert.equal(event.event, "REJECTED");
+        assert.equal(event.templateId, 789);
+        assert.equal(event.templateName, "order_update");
+        assert.equal(event.language, "en_US");
+        assert.equal(event.reason, "INCORRECT_CATEGORY");
+        assert.equal(unknown.type, "some_new_field");
+        assert.equal(unknown.value.flag, true);
+    });
+
+    it("emits notification errors", () => {
+        const [event] = parseWebhook(simulator.notification({ "errors": [{ "code": 131051, "title": "Unsupported message type", "error_data": { "details": "Message type is not supported" } }] }));
+
+        assert.equal(event.type, "notification.error");
+        assert.equal(event.code, 131051);
+        assert.equal(event.details, "Message type is not supported");
+    });
+
+    it("parses raw bodies and ignores other objects", () => {
+        const body = simulator.messagePayload("1555", { "type": "text", "text": { "body": "Hi" } });
+
+        assert.equal(parseWebhook(JSON.stringify(body))[0].text, "Hi");
+        assert.equal(parseWebhook(Buffer.from(JSON.stringify(body)))[0].text, "Hi");
+        assert.deepEqual(parseWebhook({ "object": "page", "entry": [] }), []);
+        assert.deepEqual(parseWebhook(null), []);
+    });
+
+    it("emits each event by type, category and as webhook", () => {
+        const client = new Whatsapp("123", "token");
+        const emitted = [];
+
+        for (const name of ["message.text", "message", "status.read", "status", "webhook"]) {
+            client.on(name, (event) => emitted.push([name, event.type]));
+        }
+
+        client.processWebhook(simulator.messagePayload("1555", { "type": "text", "text": { "body": "Hi" } }));
+        client.processWebhook(simulator.statusPayload("wamid.OUT", "read", "1555"));
+
+        assert.deepEqual(emitted, [
+            ["message.text", "message.text"],
+            ["message", "message.text"],
+            ["webhook", "message.text"],
+            ["status.read", "status.read"],
+            ["status", "status.read"],
+            ["webhook", "status.read"]
+        ]);
+    });
+});